@@ -0,0 +1,185 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const rateLimit = require('express-rate-limit');
+
+const config = require('./config');
+const { checkConfig } = require('./config/bootstrap');
+const { supabaseConfig } = require('./config/supabase');
+const contactRoutes = require('./routes/contactRoutes');
+const careerRoutes = require('./routes/careerRoutes');
+const authRoutes = require('./routes/authRoutes');
+const productRoutes = require('./routes/productRoutes');
+const registrationRoutes = require('./routes/registrationRoutes');
+const privacyRoutes = require('./routes/privacyRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const CareerService = require('./services/careerService');
+const MailService = require('./services/mailService');
+const { setClock } = require('./utils/clock');
+const scope = require('./utils/scope');
+const { createRateLimits } = require('./middleware/validation');
+const { errorHandler } = require('./middleware/errorHandler');
+
+/**
+ * Africure Pharma API App
+ * Builds the Express app without listening, connecting to Supabase, starting jobs or
+ * installing signal handlers, so tests, workers and scripts can use it. server.js starts it.
+ *
+ * The app gets its own configuration: ./config as loaded, with options.config applied to a
+ * copy. That configuration, the dependencies passed here and whatever services create on
+ * first use (Supabase clients, stores, the mail queue, rate limits) belong to the app's scope
+ * (utils/scope.js), in which each of its requests is handled, so building an app changes
+ * nothing for other apps or the rest of the process. app.locals.run(fn) runs fn in the
+ * scope, to use services for the app outside a request (e.g. to stop its mail queue).
+ *
+ * The copy is checked like any other configuration (config/bootstrap.js), so an invalid or
+ * unsafe one is refused here; settings replaced by options.database and options.mailer are
+ * not required.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration values to change from ./config
+ * @param {Object} [options.database] - { client, serviceClient? } Supabase clients to use instead of
+ *   creating them from config; serviceClient defaults to client
+ * @param {Object} [options.storage] - Resume storage (see storage/) instead of config.storage
+ * @param {Object} [options.mailer] - Nodemailer-compatible transport instead of config.mail
+ * @param {Function} [options.clock] - () => Date, the current time for services
+ * @returns {Object} Express app, with its configuration in app.locals.config and app.locals.run(fn)
+ * @throws {Error} When the configuration is invalid, listing every problem
+ */
+function createApp({ config: overrides, database, storage, mailer, clock } = {}) {
+  const appConfig = config.withOverrides(overrides);
+  checkConfig({
+    config: appConfig,
+    provided: [database && 'database.supabase', mailer && 'mail.smtp'].filter(Boolean)
+  });
+
+  const appScope = scope.createScope({ config: appConfig });
+  const run = (fn) => scope.run(appScope, fn);
+
+  run(() => {
+    if (database) {
+      supabaseConfig.setClient(database.client, database.serviceClient);
+    }
+
+    if (storage) {
+      CareerService.setResumeStorage(storage);
+    }
+
+    if (mailer) {
+      MailService.setTransport(mailer);
+    }
+
+    if (clock) {
+      setClock(clock);
+    }
+
+    createRateLimits();
+  });
+
+  const app = express();
+  app.locals.config = appConfig;
+  app.locals.run = run;
+
+  // Everything after this runs in the app's scope
+  app.use((req, res, next) => run(next));
+
+  setupMiddleware(app, appConfig);
+  setupRoutes(app, appConfig);
+  app.use(errorHandler);
+
+  return app;
+}
+
+/**
+ * Security, CORS, rate limiting, logging and body parsing
+ * @param {Object} app - Express app
+ * @param {Object} config - The app's configuration
+ */
+function setupMiddleware(app, config) {
+  // Security middleware
+  app.use(helmet({
+    crossOriginEmbedderPolicy: false,
+    contentSecurityPolicy: config.security.helmet.contentSecurityPolicy
+  }));
+
+  // CORS configuration
+  const corsOptions = {
+    origin: (origin, callback) => {
+      const { origins } = config.security.cors;
+
+      // '*' (config/environments/development.json) allows any origin
+      if (!origin || origins.includes('*') || origins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    credentials: config.security.cors.credentials,
+    optionsSuccessStatus: 200
+  };
+
+  app.use(cors(corsOptions));
+
+  // Rate limiting
+  const limiter = rateLimit({
+    windowMs: config.security.rateLimit.windowMs,
+    max: config.security.rateLimit.maxRequests,
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+      retryAfter: Math.ceil(config.security.rateLimit.windowMs / 1000)
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  app.use(limiter);
+
+  // Logging
+  if (config.logging.enabled) {
+    app.use(morgan(config.logging.level));
+  }
+
+  // Body parsing middleware
+  app.use(scope.bindNext(express.json({ limit: config.api.bodyLimit })));
+  app.use(scope.bindNext(express.urlencoded({ extended: true, limit: config.api.bodyLimit })));
+}
+
+/**
+ * Health check, API routes and the 404 handler
+ * @param {Object} app - Express app
+ * @param {Object} config - The app's configuration
+ */
+function setupRoutes(app, config) {
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.status(200).json({
+      status: 'OK',
+      message: 'Africure Pharma API is running',
+      timestamp: new Date().toISOString(),
+      environment: config.server.environment,
+      version: '1.0.0'
+    });
+  });
+
+  // API routes
+  app.use(`${config.api.prefix}/auth`, authRoutes);
+  app.use(`${config.api.prefix}/contact`, contactRoutes);
+  app.use(`${config.api.prefix}/careers`, careerRoutes);
+  app.use(`${config.api.prefix}/products`, productRoutes);
+  app.use(`${config.api.prefix}/registrations`, registrationRoutes);
+  app.use(`${config.api.prefix}/privacy`, privacyRoutes);
+  app.use(`${config.api.prefix}/admin`, adminRoutes);
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found',
+      message: `The requested route ${req.originalUrl} does not exist.`,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = createApp;
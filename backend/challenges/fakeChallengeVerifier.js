@@ -0,0 +1,20 @@
+// Challenge response that passes; anything else fails
+const PASSING_TOKEN = 'test-pass';
+
+/**
+ * Fake Challenge Verifier
+ * Same interface as the hCaptcha and Turnstile verifiers without calling a provider, for
+ * local development and tests. Accepts the token "test-pass" and rejects everything else.
+ */
+class FakeChallengeVerifier {
+  async verify(token) {
+    if (token === PASSING_TOKEN) {
+      return { success: true, errorCodes: [] };
+    }
+    return { success: false, errorCodes: ['invalid-input-response'] };
+  }
+}
+
+FakeChallengeVerifier.PASSING_TOKEN = PASSING_TOKEN;
+
+module.exports = FakeChallengeVerifier;
@@ -0,0 +1,20 @@
+const SiteverifyVerifier = require('./siteverifyVerifier');
+
+/**
+ * hCaptcha Verifier (https://docs.hcaptcha.com)
+ * The form sends the widget's response as challengeToken.
+ */
+class HcaptchaVerifier extends SiteverifyVerifier {
+  constructor(options) {
+    super('https://api.hcaptcha.com/siteverify', options);
+  }
+
+  // hCaptcha also checks that the response was issued for our site key
+  params(token, ip) {
+    const params = super.params(token, ip);
+    if (this.siteKey) params.set('sitekey', this.siteKey);
+    return params;
+  }
+}
+
+module.exports = HcaptchaVerifier;
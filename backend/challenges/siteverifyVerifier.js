@@ -0,0 +1,62 @@
+/**
+ * Siteverify Verifier
+ * Checks a challenge response with the provider's siteverify endpoint; hCaptcha and
+ * Cloudflare Turnstile share the same protocol.
+ *
+ * Verifier interface, shared with FakeChallengeVerifier:
+ *   verify(token, { ip }) -> { success: boolean, errorCodes: string[] }
+ * Throws when the provider could not be reached or gave an unexpected reply.
+ */
+class SiteverifyVerifier {
+  /**
+   * @param {string} verifyUrl - Provider siteverify endpoint
+   * @param {Object} options - { siteKey, secret, timeoutMs }
+   */
+  constructor(verifyUrl, { siteKey = null, secret, timeoutMs = 5000 } = {}) {
+    if (!secret) {
+      throw new Error('CHALLENGE_SECRET is required for the challenge provider');
+    }
+    this.verifyUrl = verifyUrl;
+    this.siteKey = siteKey;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Form fields sent to the provider
+   * @param {string} token - Challenge response from the form
+   * @param {string} ip - IP address of the visitor
+   * @returns {URLSearchParams} Request body
+   */
+  params(token, ip) {
+    const params = new URLSearchParams({ secret: this.secret, response: token });
+    if (ip) params.set('remoteip', ip);
+    return params;
+  }
+
+  async verify(token, { ip } = {}) {
+    const params = this.params(token, ip);
+
+    let reply;
+    try {
+      const response = await fetch(this.verifyUrl, {
+        method: 'POST',
+        body: params,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      reply = await response.json();
+    } catch (error) {
+      throw new Error(`Challenge provider unavailable: ${error.message}`);
+    }
+
+    return {
+      success: reply.success === true,
+      errorCodes: reply['error-codes'] || []
+    };
+  }
+}
+
+module.exports = SiteverifyVerifier;
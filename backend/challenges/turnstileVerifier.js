@@ -0,0 +1,13 @@
+const SiteverifyVerifier = require('./siteverifyVerifier');
+
+/**
+ * Cloudflare Turnstile Verifier (https://developers.cloudflare.com/turnstile)
+ * The form sends the widget's response as challengeToken.
+ */
+class TurnstileVerifier extends SiteverifyVerifier {
+  constructor(options) {
+    super('https://challenges.cloudflare.com/turnstile/v0/siteverify', options);
+  }
+}
+
+module.exports = TurnstileVerifier;
@@ -0,0 +1,55 @@
+const config = require('./index');
+const { validateConfig } = require('./schema');
+
+/**
+ * Configuration Bootstrap
+ * The startup check every entrypoint runs before using the configuration: server.js and the
+ * scripts call bootstrap(), createApp() (app.js) calls checkConfig() on its copy once its
+ * overrides are applied, and the job scheduler checks the configuration it runs with.
+ */
+
+// Warnings already logged, so each appears once however many entrypoints check
+const warned = new Set();
+
+/**
+ * Check a configuration against config/schema.js, logging its warnings
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration to check (default: the one in use)
+ * @param {Array<string>} [options.provided] - Settings given in code instead, e.g. 'database.supabase'
+ *   when createApp() is given Supabase clients; errors about them are ignored
+ * @throws {Error} 'Invalid configuration (<environment>):' followed by every error, one per line
+ */
+function checkConfig({ config: target = config, provided = [] } = {}) {
+  const { errors, warnings } = validateConfig(target, config.getLoadReport(target).problems);
+  const refused = errors.filter(error => !provided.some(setting => error.startsWith(`${setting}.`)));
+
+  warnings.filter(warning => !warned.has(warning)).forEach(warning => {
+    warned.add(warning);
+    console.warn(`⚠️  Configuration: ${warning}`);
+  });
+
+  if (refused.length > 0) {
+    throw new Error([
+      `Invalid configuration (${target.server.environment}):`,
+      ...refused.map(error => `   - ${error}`)
+    ].join('\n'));
+  }
+}
+
+/**
+ * Refuse to run a command-line entrypoint with an invalid or unsafe configuration, listing
+ * every problem at once and exiting
+ */
+function bootstrap() {
+  try {
+    checkConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  checkConfig,
+  bootstrap
+};
@@ -1,141 +1,129 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { buildConfig } = require('./schema');
+const { deepMerge } = require('../utils/objects');
+const scope = require('../utils/scope');
 
 /**
  * Application Configuration
  * Centralized configuration management for the Africure Pharma API
+ *
+ * Built from, in order (later wins):
+ * 1. the defaults in config/schema.js
+ * 2. config/environments/<NODE_ENV>.json
+ * 3. config/environments/<NODE_ENV>.local.json (not committed; the only file that may hold secrets)
+ * 4. environment variables (and .env)
+ *
+ * Nothing is checked on require; every entrypoint checks the configuration it runs with
+ * through config/bootstrap.js before using it.
+ *
+ * The exported object shows the configuration in use: inside an app (see utils/scope.js) the
+ * copy createApp() (app.js) built for it with withOverrides(), everywhere else the one loaded
+ * here. The loaded configuration itself is never changed, and settings cannot be assigned
+ * through the exported object.
  */
 
-const config = {
-  // Server Configuration
-  server: {
-    port: parseInt(process.env.PORT) || 3002,
-    environment: process.env.NODE_ENV || 'development',
-    host: process.env.HOST || 'localhost'
-  },
+const ENVIRONMENTS_DIR = path.join(__dirname, 'environments');
 
-  // Database Configuration
-  database: {
-    supabase: {
-      url: process.env.SUPABASE_URL,
-      anonKey: process.env.SUPABASE_ANON_KEY,
-      serviceKey: process.env.SUPABASE_SERVICE_KEY
-    }
-  },
+// Where the configuration came from and what was wrong with the files, for validateConfig()
+const LOAD_REPORT = Symbol('configLoadReport');
 
-  // Security Configuration
-  security: {
-    cors: {
-      origins: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : [
-        'http://localhost:3000',
-        'http://127.0.0.1:5500',
-        'http://localhost:5500'
-      ],
-      credentials: true
-    },
-    rateLimit: {
-      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-      maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
-    },
-    helmet: {
-      contentSecurityPolicy: {
-        directives: {
-          defaultSrc: ["'self'"],
-          styleSrc: ["'self'", "'unsafe-inline'"],
-          scriptSrc: ["'self'"],
-          imgSrc: ["'self'", "data:", "https:"],
-        }
-      }
-    }
-  },
+/**
+ * Read one environment file
+ * @param {string} fileName - e.g. 'production.json'
+ * @param {Array<string>} problems - Collects unreadable files
+ * @returns {Object|null} Parsed settings, or null when the file does not exist
+ */
+function readLayer(fileName, problems) {
+  const filePath = path.join(ENVIRONMENTS_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
 
-  // API Configuration
-  api: {
-    version: 'v1',
-    prefix: '/api',
-    bodyLimit: '10mb'
-  },
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    problems.push(`config/environments/${fileName} could not be read: ${error.message}`);
+    return null;
+  }
+}
 
-  // Logging Configuration
-  logging: {
-    level: process.env.LOG_LEVEL || 'combined',
-    enabled: process.env.NODE_ENV !== 'test'
-  },
+/**
+ * Build the configuration for the current environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Configuration
+ */
+function loadConfig(env = process.env) {
+  const environment = env.NODE_ENV || 'development';
+  const problems = [];
+  const layers = [];
 
-  // Validation Configuration
-  validation: {
-    contact: {
-      fullName: {
-        minLength: 2,
-        maxLength: 50,
-        pattern: /^[a-zA-Z\s]+$/
-      },
-      email: {
-        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-      },
-      contact: {
-        minLength: 10,
-        maxLength: 15,
-        pattern: /^[\+]?[\d\s\-\(\)]+$/
-      },
-      message: {
-        minLength: 10,
-        maxLength: 1000
-      }
+  [
+    { fileName: `${environment}.json`, allowSecrets: false },
+    { fileName: `${environment}.local.json`, allowSecrets: true }
+  ].forEach(({ fileName, allowSecrets }) => {
+    const values = readLayer(fileName, problems);
+    if (values) {
+      layers.push({ name: `config/environments/${fileName}`, values, allowSecrets });
     }
-  }
-};
+  });
+
+  const { config, problems: layerProblems } = buildConfig({ env, layers });
+
+  Object.defineProperty(config, LOAD_REPORT, {
+    value: {
+      sources: ['defaults', ...layers.map(layer => layer.name), 'environment'],
+      problems: [...problems, ...layerProblems]
+    }
+  });
+
+  return config;
+}
 
 /**
- * Validate required environment variables
+ * Where a configuration came from and the problems found while loading it
+ * @param {Object} config - Configuration built by loadConfig()
+ * @returns {Object} { sources, problems }
  */
-function validateConfig() {
-  const required = [
-    'SUPABASE_URL',
-    'SUPABASE_ANON_KEY'
-  ];
-
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
-  }
+function getLoadReport(config) {
+  return config[LOAD_REPORT] || { sources: [], problems: [] };
 }
 
+const loaded = loadConfig();
+
 /**
- * Get configuration for specific environment
+ * A copy of the loaded configuration with some values changed
+ * @param {Object} overrides - Values to change, in the shape of the configuration
+ * @returns {Object} New configuration, with the load report of the loaded one
  */
-function getConfig(env = config.server.environment) {
-  const envConfig = {
-    development: {
-      ...config,
-      security: {
-        ...config.security,
-        cors: {
-          ...config.security.cors,
-          origins: ['*'] // Allow all origins in development
-        }
-      }
-    },
-    production: {
-      ...config,
-      logging: {
-        ...config.logging,
-        level: 'combined'
-      }
-    },
-    test: {
-      ...config,
-      logging: {
-        ...config.logging,
-        enabled: false
-      }
-    }
-  };
-
-  return envConfig[env] || config;
+function withOverrides(overrides) {
+  const config = deepMerge(deepMerge({}, loaded), overrides);
+  Object.defineProperty(config, LOAD_REPORT, { value: getLoadReport(loaded) });
+  return config;
 }
 
-// Validate configuration on load
-validateConfig();
+// The configuration of the app the caller runs in, or the loaded one outside any app
+const active = () => scope.current().config || loaded;
 
-module.exports = getConfig();
+// Not settings, so never listed with them
+const FUNCTIONS = { loadConfig, getLoadReport, withOverrides };
+
+module.exports = new Proxy({}, {
+  get: (target, key) => (Object.prototype.hasOwnProperty.call(FUNCTIONS, key) ? FUNCTIONS[key] : active()[key]),
+  has: (target, key) => key in active(),
+  ownKeys: () => Reflect.ownKeys(active()),
+  getOwnPropertyDescriptor: (target, key) => {
+    const descriptor = Reflect.getOwnPropertyDescriptor(active(), key);
+    return descriptor && { ...descriptor, configurable: true };
+  },
+  set: (target, key) => {
+    throw new TypeError(`Cannot set config.${String(key)}; pass overrides to createApp() instead`);
+  },
+  defineProperty: (target, key) => {
+    throw new TypeError(`Cannot set config.${String(key)}; pass overrides to createApp() instead`);
+  },
+  deleteProperty: (target, key) => {
+    throw new TypeError(`Cannot delete config.${String(key)}`);
+  }
+});
@@ -0,0 +1,563 @@
+const path = require('path');
+const cron = require('node-cron');
+const { isValidTimeZone } = require('../utils/timezone');
+const { isPlainObject } = require('../utils/objects');
+
+/**
+ * Configuration Schema
+ * Every setting with its type, default, environment variable(s) and checks. config/index.js
+ * builds the configuration from it; validateConfig() checks the result at startup
+ * (config/bootstrap.js).
+ *
+ * Field options:
+ * - env:      environment variable(s) read for the value; the first one set wins
+ * - default:  value, or (config) => value computed from the other settings
+ * - min, max: bounds for integers
+ * - format:   'url', 'email', 'cron' or 'timezone'
+ * - required: true, or (config) => boolean
+ * - secret:   never shown in the /api/admin/config dump and only accepted from the
+ *             environment or a *.local.json file
+ */
+
+const FIELD = Symbol('configField');
+
+const field = (type, options = {}) => ({ [FIELD]: true, type, ...options });
+const string = (options) => field('string', options);
+const integer = (options) => field('integer', options);
+const boolean = (options) => field('boolean', options);
+const list = (options) => field('list', options);
+const oneOf = (values, options) => field('enum', { values, ...options });
+// Set in code only: patterns, header policies and the like
+const fixed = (value) => field('fixed', { default: value });
+
+const isField = (node) => Boolean(node && node[FIELD]);
+
+// Supabase settings are only needed when the database or resume storage is on Supabase
+const usesSupabase = (config) => config.database.driver === 'supabase' || config.storage.driver === 'supabase';
+
+const SCHEMA = {
+  // Server Configuration
+  server: {
+    port: integer({ env: 'PORT', default: 3002, min: 1, max: 65535 }),
+    environment: string({ env: 'NODE_ENV', default: 'development' }),
+    host: string({ env: 'HOST', default: 'localhost' })
+  },
+
+  // Database Configuration
+  database: {
+    // 'supabase' uses the Supabase tables; 'memory' keeps every store in process, lost on
+    // restart (development and tests)
+    driver: oneOf(['supabase', 'memory'], { env: 'DATABASE_DRIVER', default: 'supabase' }),
+    // Postgres connection string used by the migrate CLI (Supabase: Settings > Database)
+    url: string({ env: 'DATABASE_URL', secret: true }),
+    supabase: {
+      url: string({ env: 'SUPABASE_URL', format: 'url', required: usesSupabase }),
+      anonKey: string({ env: 'SUPABASE_ANON_KEY', required: usesSupabase, secret: true }),
+      // Needed for the admin tables and storage; without it those calls use the anon key and fail on RLS
+      serviceKey: string({
+        env: ['SUPABASE_SERVICE_KEY', 'SUPABASE_SERVICE_ROLE_KEY'],
+        secret: true,
+        required: config => config.server.environment === 'production' && usesSupabase(config)
+      })
+    }
+  },
+
+  // Security Configuration
+  security: {
+    cors: {
+      // '*' allows any origin; only without credentials (refused in production)
+      origins: list({
+        env: 'CORS_ORIGIN',
+        default: ['http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:5500']
+      }),
+      credentials: boolean({ env: 'CORS_CREDENTIALS', default: true })
+    },
+    rateLimit: {
+      windowMs: integer({ env: 'RATE_LIMIT_WINDOW_MS', default: 15 * 60 * 1000, min: 1000 }), // 15 minutes
+      maxRequests: integer({ env: 'RATE_LIMIT_MAX_REQUESTS', default: 100, min: 1 })
+    },
+    helmet: {
+      contentSecurityPolicy: fixed({
+        directives: {
+          defaultSrc: ["'self'"],
+          styleSrc: ["'self'", "'unsafe-inline'"],
+          scriptSrc: ["'self'"],
+          imgSrc: ["'self'", 'data:', 'https:'],
+        }
+      })
+    }
+  },
+
+  // Authentication Configuration
+  auth: {
+    jwtSecret: string({
+      env: 'JWT_SECRET',
+      secret: true,
+      required: config => config.server.environment === 'production'
+    }),
+    tokenExpiresIn: string({ env: 'JWT_EXPIRES_IN', default: '8h' }),
+    issuer: fixed('africure-api'),
+    bcryptRounds: integer({ env: 'BCRYPT_ROUNDS', default: 10, min: 4, max: 15 })
+  },
+
+  // File Storage Configuration
+  storage: {
+    // 'supabase' uses Supabase Storage; 'local' writes to localDir (development and tests)
+    driver: oneOf(['supabase', 'local'], { env: 'STORAGE_DRIVER', default: 'supabase' }),
+    localDir: string({ env: 'STORAGE_LOCAL_DIR', default: path.join(__dirname, '..', 'uploads') }),
+    resumeBucket: string({ env: 'RESUME_BUCKET', default: 'career-applications' }),
+    signedUrlExpiresIn: integer({ env: 'RESUME_URL_EXPIRES_IN', default: 300, min: 1 }) // seconds
+  },
+
+  // Career Applications Configuration
+  careers: {
+    // A repeat application (same position, email and phone) within this many days is merged into the first
+    duplicateWindowDays: integer({ env: 'DUPLICATE_APPLICATION_WINDOW_DAYS', default: 90, min: 1 }),
+    // Time zone interview times are written in for emails (the .ics files use UTC)
+    interviewTimezone: string({ env: 'INTERVIEW_TIMEZONE', default: 'UTC', format: 'timezone' }),
+    // Time zone that "today" and analytics days, weeks and months are counted in
+    reportingTimezone: string({ env: 'REPORTING_TIMEZONE', default: 'UTC', format: 'timezone' })
+  },
+
+  // Data Retention Configuration
+  retention: {
+    // Applications and enquiries with no activity for this many days are removed by the retention job
+    careerApplicationsDays: integer({ env: 'CAREER_APPLICATION_RETENTION_DAYS', default: 730, min: 1 }),
+    contactEnquiriesDays: integer({ env: 'CONTACT_ENQUIRY_RETENTION_DAYS', default: 730, min: 1 }),
+    // 'anonymise' keeps the rows for reporting with the personal data removed; 'delete' removes them
+    action: oneOf(['anonymise', 'delete'], { env: 'RETENTION_ACTION', default: 'anonymise' })
+  },
+
+  // Privacy Configuration
+  privacy: {
+    // Key for the email and IP address hashes in the erasure log and consent ledger; keep it
+    // stable so earlier certificates and consents can still be found
+    hashSecret: string({ env: 'PRIVACY_HASH_SECRET', secret: true, default: config => config.auth.jwtSecret }),
+    // Copies of personal data requested through POST /api/privacy/access-requests
+    accessRequests: {
+      // Address of this API as seen from the requester's mail client, used in the emailed link
+      linkBaseUrl: string({
+        env: 'PUBLIC_API_URL',
+        format: 'url',
+        default: config => `http://localhost:${config.server.port}`
+      }),
+      linkExpiresInHours: integer({ env: 'ACCESS_REQUEST_LINK_EXPIRES_HOURS', default: 24, min: 1 }),
+      // Further requests for the same address within a day are accepted but not emailed
+      maxPerDay: integer({ env: 'ACCESS_REQUEST_MAX_PER_DAY', default: 3, min: 1 })
+    }
+  },
+
+  // Spam and Bot Protection for the public contact and careers forms
+  spamProtection: {
+    // Key for the form tokens issued when a form loads
+    formTokenSecret: string({ env: 'FORM_TOKEN_SECRET', secret: true, default: config => config.auth.jwtSecret }),
+    // Submissions sooner than this after the form loaded are treated as automated
+    minFillSeconds: integer({ env: 'FORM_MIN_FILL_SECONDS', default: 3, min: 1 }),
+    formTokenMaxAgeHours: integer({ env: 'FORM_TOKEN_MAX_AGE_HOURS', default: 24, min: 1 }),
+    // Links allowed in a message or cover letter before it counts against the submission
+    maxLinks: integer({ env: 'SPAM_MAX_LINKS', default: 2, min: 0 }),
+    // Added to the built-in phrase list (comma-separated)
+    extraPhrases: list({ env: 'SPAM_PHRASES', default: [], lowercase: true }),
+    // Submissions scoring this much or more are quarantined for staff review
+    quarantineScore: integer({ env: 'SPAM_QUARANTINE_SCORE', default: 3, min: 1 }),
+    // Quarantined submissions are deleted by the retention job after this many days
+    quarantineDays: integer({ env: 'SPAM_QUARANTINE_DAYS', default: 30, min: 1 }),
+    challenge: {
+      // 'none', 'hcaptcha', 'turnstile', or 'fake' (accepts the token "test-pass"; development and tests)
+      provider: oneOf(['none', 'hcaptcha', 'turnstile', 'fake'], { env: 'CHALLENGE_PROVIDER', default: 'none' }),
+      siteKey: string({
+        env: 'CHALLENGE_SITE_KEY',
+        required: config => ['hcaptcha', 'turnstile'].includes(config.spamProtection.challenge.provider)
+      }),
+      secret: string({
+        env: 'CHALLENGE_SECRET',
+        secret: true,
+        required: config => ['hcaptcha', 'turnstile'].includes(config.spamProtection.challenge.provider)
+      }),
+      timeoutMs: integer({ env: 'CHALLENGE_TIMEOUT_MS', default: 5000, min: 100 })
+    }
+  },
+
+  // Upload Screening Configuration
+  uploads: {
+    // 'clamav' streams files to a clamd daemon; 'stub' only flags the EICAR test file (development and tests)
+    scanner: oneOf(['clamav', 'stub'], { env: 'UPLOAD_SCANNER', default: 'clamav' }),
+    clamav: {
+      host: string({ env: 'CLAMAV_HOST', default: '127.0.0.1' }),
+      port: integer({ env: 'CLAMAV_PORT', default: 3310, min: 1, max: 65535 }),
+      timeoutMs: integer({ env: 'CLAMAV_TIMEOUT_MS', default: 30000, min: 100 })
+    },
+    // Files are held here while they are checked; rejected files stay for review
+    quarantineDir: string({ env: 'UPLOAD_QUARANTINE_DIR', default: path.join(__dirname, '..', 'quarantine') }),
+    // Rejected files are deleted by the retention job after this many days
+    quarantineDays: integer({ env: 'UPLOAD_QUARANTINE_DAYS', default: 30, min: 1 })
+  },
+
+  // Mail Configuration
+  mail: {
+    // 'smtp' delivers through the SMTP server below; 'json' only logs messages (no delivery)
+    transport: oneOf(['smtp', 'json'], {
+      env: 'MAIL_TRANSPORT',
+      default: config => (config.mail.smtp.host ? 'smtp' : 'json')
+    }),
+    from: string({ env: 'MAIL_FROM', default: 'Africure Pharma <no-reply@africurepharma.com>' }),
+    smtp: {
+      host: string({ env: 'SMTP_HOST', required: config => config.mail.transport === 'smtp' }),
+      port: integer({ env: 'SMTP_PORT', default: 587, min: 1, max: 65535 }),
+      secure: boolean({ env: 'SMTP_SECURE', default: false }),
+      user: string({ env: 'SMTP_USER' }),
+      pass: string({ env: 'SMTP_PASS', secret: true })
+    },
+    mailboxes: {
+      general: string({ env: 'CONTACT_EMAIL', default: 'info@africurepharma.com', format: 'email' }),
+      hr: string({ env: 'HR_EMAIL', default: 'hrd@africurepharma.com', format: 'email' }),
+      pharmacovigilance: string({ env: 'PHARMACOVIGILANCE_EMAIL', default: 'pv@africurepharma.com', format: 'email' }),
+      regulatoryAffairs: string({ env: 'REGULATORY_AFFAIRS_EMAIL', default: 'regulatory@africurepharma.com', format: 'email' })
+    },
+    // Background delivery of notification emails
+    queue: {
+      maxAttempts: integer({ env: 'MAIL_MAX_ATTEMPTS', default: 5, min: 1 }),
+      retryDelayMs: integer({ env: 'MAIL_RETRY_DELAY_MS', default: 30 * 1000, min: 0 }) // doubles after each failure
+    }
+  },
+
+  // Scheduled Jobs Configuration
+  jobs: {
+    timezone: string({ env: 'JOBS_TIMEZONE', default: 'UTC', format: 'timezone' }),
+    licenceExpiry: {
+      enabled: boolean({ env: 'LICENCE_EXPIRY_JOB_ENABLED', default: true }),
+      schedule: string({ env: 'LICENCE_EXPIRY_JOB_CRON', default: '0 6 * * *', format: 'cron' }), // daily at 06:00
+      alertDays: fixed([180, 90, 30])
+    },
+    dataRetention: {
+      enabled: boolean({ env: 'RETENTION_JOB_ENABLED', default: true }),
+      schedule: string({ env: 'RETENTION_JOB_CRON', default: '30 2 * * *', format: 'cron' }) // daily at 02:30
+    }
+  },
+
+  // API Configuration
+  api: {
+    version: fixed('v1'),
+    prefix: fixed('/api'),
+    bodyLimit: fixed('10mb')
+  },
+
+  // Logging Configuration
+  logging: {
+    level: string({ env: 'LOG_LEVEL', default: 'combined' }),
+    enabled: boolean({ env: 'LOG_ENABLED', default: true })
+  },
+
+  // Validation Configuration
+  validation: fixed({
+    contact: {
+      fullName: {
+        minLength: 2,
+        maxLength: 50,
+        pattern: /^[a-zA-Z\s]+$/
+      },
+      email: {
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+      },
+      contact: {
+        minLength: 10,
+        maxLength: 15,
+        pattern: /^[\+]?[\d\s\-\(\)]+$/
+      },
+      message: {
+        minLength: 10,
+        maxLength: 1000
+      }
+    }
+  })
+};
+
+/**
+ * Checks that involve more than one setting
+ * Each returns a message when the combination is unsafe; in production that stops startup,
+ * elsewhere it is a warning.
+ */
+const COMBINATION_CHECKS = [
+  (config) => {
+    const { origins, credentials } = config.security.cors;
+    return Array.isArray(origins) && origins.includes('*') && credentials === true
+      ? 'security.cors allows any origin (CORS_ORIGIN=*) with credentials enabled (CORS_CREDENTIALS); list the site origins or turn credentials off'
+      : null;
+  },
+  (config) => {
+    const secret = config.auth.jwtSecret;
+    return typeof secret === 'string' && secret.length < 32
+      ? 'auth.jwtSecret (JWT_SECRET) is shorter than 32 characters'
+      : null;
+  },
+  (config) => (config.spamProtection.challenge.provider === 'fake'
+    ? 'spamProtection.challenge.provider is "fake", which accepts a fixed token; use it only in development and tests'
+    : null),
+  (config) => (config.uploads.scanner === 'stub'
+    ? 'uploads.scanner (UPLOAD_SCANNER) is "stub", which only detects the EICAR test file; use it only in development and tests'
+    : null),
+  (config) => (config.database.driver === 'memory'
+    ? 'database.driver (DATABASE_DRIVER) is "memory": all data is kept in process and lost on restart'
+    : null)
+];
+
+/**
+ * Visit every field of a schema (or a part of one)
+ * @param {Object} schema - Schema node
+ * @param {Function} visit - (field, keys) => void
+ * @param {Array<string>} keys - Path to the node
+ */
+const eachField = (schema, visit, keys = []) => {
+  Object.entries(schema).forEach(([key, node]) => {
+    if (isField(node)) {
+      visit(node, [...keys, key]);
+    } else {
+      eachField(node, visit, [...keys, key]);
+    }
+  });
+};
+
+const getPath = (object, keys) => keys.reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, keys, value) => {
+  const parent = keys.slice(0, -1).reduce((node, key) => {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    return node[key];
+  }, object);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const envNames = (definition) => [].concat(definition.env || []);
+
+const describe = (definition, keys) => {
+  const names = envNames(definition);
+  return names.length > 0 ? `${keys.join('.')} (${names.join(' or ')})` : keys.join('.');
+};
+
+/**
+ * Convert an environment variable to the field's type
+ * A value that cannot be converted is kept as text so validateConfig() reports it.
+ */
+const fromEnv = (definition, text) => {
+  switch (definition.type) {
+    case 'integer':
+      return /^-?\d+$/.test(text.trim()) ? Number(text) : text;
+    case 'boolean':
+      if (/^(true|1|yes)$/i.test(text.trim())) return true;
+      if (/^(false|0|no)$/i.test(text.trim())) return false;
+      return text;
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+};
+
+/**
+ * Build the configuration from the schema defaults, the layer files and the environment
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables (process.env)
+ * @param {Array<Object>} options.layers - [{ name, values, allowSecrets }] applied in order
+ * @returns {Object} { config, problems } - problems found in the layers (unknown or misplaced settings)
+ */
+const buildConfig = ({ env = {}, layers = [] } = {}) => {
+  const config = {};
+  const problems = [];
+  const computed = [];
+
+  eachField(SCHEMA, (definition, keys) => {
+    let value;
+
+    layers.forEach(layer => {
+      const layerValue = getPath(layer.values, keys);
+      if (layerValue === undefined) {
+        return;
+      }
+      if (definition.type === 'fixed') {
+        problems.push(`${keys.join('.')} cannot be set in ${layer.name}`);
+      } else if (definition.secret && !layer.allowSecrets) {
+        problems.push(`${describe(definition, keys)} is a secret; set it in the environment or a *.local.json file, not in ${layer.name}`);
+      } else {
+        value = layerValue;
+      }
+    });
+
+    const name = envNames(definition).find(envName => env[envName] !== undefined && env[envName] !== '');
+    if (name) {
+      value = fromEnv(definition, env[name]);
+    }
+
+    if (value === undefined && typeof definition.default === 'function') {
+      computed.push([definition, keys]);
+      return;
+    }
+
+    if (value === undefined) {
+      value = isPlainObject(definition.default) || Array.isArray(definition.default)
+        ? structuredCopy(definition.default)
+        : definition.default;
+    }
+
+    if (definition.lowercase && Array.isArray(value)) {
+      value = value.map(item => (typeof item === 'string' ? item.toLowerCase() : item));
+    }
+
+    setPath(config, keys, value);
+  });
+
+  // Defaults worked out from other settings, once those are known
+  computed.forEach(([definition, keys]) => {
+    setPath(config, keys, definition.default(config));
+  });
+
+  layers.forEach(layer => {
+    findUnknownKeys(layer.values, SCHEMA).forEach(keys => {
+      problems.push(`Unknown setting ${keys.join('.')} in ${layer.name}`);
+    });
+  });
+
+  return { config, problems };
+};
+
+/**
+ * Copy nested objects and arrays so a default is never shared (regular expressions are kept)
+ */
+const structuredCopy = (value) => {
+  if (Array.isArray(value)) return value.map(structuredCopy);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, structuredCopy(item)]));
+  }
+  return value;
+};
+
+const findUnknownKeys = (values, schema, keys = []) => {
+  if (!isPlainObject(values)) {
+    return [];
+  }
+  return Object.entries(values).flatMap(([key, value]) => {
+    const node = schema[key];
+    if (node === undefined) return [[...keys, key]];
+    if (isField(node)) return [];
+    return findUnknownKeys(value, node, [...keys, key]);
+  });
+};
+
+const FORMAT_CHECKS = {
+  url: (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+  email: (value) => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(value),
+  cron: (value) => cron.validate(value),
+  timezone: (value) => isValidTimeZone(value)
+};
+
+const FORMAT_NAMES = {
+  url: 'an http(s) URL',
+  email: 'an email address',
+  cron: 'a cron expression',
+  timezone: 'an IANA time zone such as Africa/Nairobi'
+};
+
+/**
+ * Check one setting against its field definition
+ * @returns {string|null} Problem, or null
+ */
+const checkField = (definition, keys, value, config) => {
+  const name = describe(definition, keys);
+  const shown = JSON.stringify(definition.secret ? '[redacted]' : value);
+
+  if (value === undefined || value === null || value === '') {
+    const required = typeof definition.required === 'function' ? definition.required(config) : definition.required;
+    return required ? `${name} is required` : null;
+  }
+
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be text, got ${shown}`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return `${name} must be a whole number, got ${shown}`;
+      if (definition.min !== undefined && value < definition.min) return `${name} must be at least ${definition.min}, got ${value}`;
+      if (definition.max !== undefined && value > definition.max) return `${name} must be at most ${definition.max}, got ${value}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be true or false, got ${shown}`;
+      break;
+    case 'list':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return `${name} must be a list of text values (comma-separated in the environment), got ${shown}`;
+      }
+      break;
+    case 'enum':
+      if (!definition.values.includes(value)) return `${name} must be one of ${definition.values.join(', ')}, got ${shown}`;
+      break;
+    default:
+      break;
+  }
+
+  if (definition.format && !FORMAT_CHECKS[definition.format](value)) {
+    return `${name} must be ${FORMAT_NAMES[definition.format]}, got ${shown}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a configuration against the schema
+ * @param {Object} config - Configuration (config/index.js, including any createApp() overrides)
+ * @param {Array<string>} problems - Problems already found while loading it
+ * @returns {Object} { errors, warnings } - lists of messages; any error should stop startup
+ */
+const validateConfig = (config, problems = []) => {
+  const errors = [...problems];
+  const warnings = [];
+
+  eachField(SCHEMA, (definition, keys) => {
+    const problem = checkField(definition, keys, getPath(config, keys), config);
+    if (problem) {
+      errors.push(problem);
+    }
+  });
+
+  const isProduction = config.server.environment === 'production';
+  COMBINATION_CHECKS.forEach(check => {
+    const message = check(config);
+    if (message) {
+      (isProduction ? errors : warnings).push(message);
+    }
+  });
+
+  return { errors, warnings };
+};
+
+/**
+ * Copy of a configuration that is safe to show: secrets are replaced with '[redacted]'
+ * (or null when not set) and patterns are written out as text
+ * @param {Object} config - Configuration
+ * @returns {Object} Plain JSON-safe object
+ */
+const redactConfig = (config) => {
+  const copy = JSON.parse(JSON.stringify(config, (key, value) => (value instanceof RegExp ? value.toString() : value)));
+
+  eachField(SCHEMA, (definition, keys) => {
+    if (definition.secret) {
+      const value = getPath(config, keys);
+      setPath(copy, keys, value === undefined || value === null || value === '' ? null : '[redacted]');
+    }
+  });
+
+  return copy;
+};
+
+module.exports = {
+  SCHEMA,
+  buildConfig,
+  validateConfig,
+  redactConfig
+};
@@ -1,5 +1,14 @@
 const { createClient } = require('@supabase/supabase-js');
 const config = require('./index');
+const { scoped } = require('../utils/scope');
+
+// Clients and connection state of each app (see utils/scope.js)
+const connection = scoped(() => ({
+  client: null,
+  serviceClient: null,
+  isConnected: false,
+  connectionAttempts: 0
+}));
 
 /**
  * Supabase Database Configuration
@@ -7,20 +16,52 @@ const config = require('./index');
  */
 class SupabaseConfig {
   constructor() {
-    this.client = null;
-    this.isConnected = false;
-    this.connectionAttempts = 0;
     this.maxRetries = 3;
   }
 
+  get client() {
+    return connection.get().client;
+  }
+
+  set client(client) {
+    connection.get().client = client;
+  }
+
+  get serviceClient() {
+    return connection.get().serviceClient;
+  }
+
+  set serviceClient(serviceClient) {
+    connection.get().serviceClient = serviceClient;
+  }
+
+  get isConnected() {
+    return connection.get().isConnected;
+  }
+
+  set isConnected(isConnected) {
+    connection.get().isConnected = isConnected;
+  }
+
+  get connectionAttempts() {
+    return connection.get().connectionAttempts;
+  }
+
+  set connectionAttempts(connectionAttempts) {
+    connection.get().connectionAttempts = connectionAttempts;
+  }
+
   /**
    * Initialize Supabase client
    */
   initialize() {
     const { url, anonKey } = config.database.supabase;
 
-    if (!url || !anonKey) {
-      throw new Error('Missing Supabase configuration. Please check your environment variables.');
+    const missing = [['SUPABASE_URL', url], ['SUPABASE_ANON_KEY', anonKey]]
+      .filter(([, value]) => !value)
+      .map(([name]) => name);
+    if (missing.length > 0) {
+      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 
     this.client = createClient(url, anonKey, {
@@ -84,6 +125,43 @@ class SupabaseConfig {
     return this.client;
   }
 
+  /**
+   * Get a Supabase client authenticated with the service role key.
+   * Used for admin-only tables that are not exposed to the anon role;
+   * falls back to the anon client when no service key is configured.
+   */
+  getServiceClient() {
+    if (!this.serviceClient) {
+      const { url, anonKey, serviceKey } = config.database.supabase;
+
+      if (!serviceKey) {
+        return this.getClient();
+      }
+
+      this.serviceClient = createClient(url, serviceKey, {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        },
+        db: {
+          schema: 'public'
+        }
+      });
+    }
+    return this.serviceClient;
+  }
+
+  /**
+   * Use existing clients instead of creating them from config (tests, workers)
+   * @param {Object} client - Supabase client for public reads (anon key)
+   * @param {Object} serviceClient - Supabase client with the service role, default the same client
+   */
+  setClient(client, serviceClient = client) {
+    this.reset();
+    this.client = client;
+    this.serviceClient = serviceClient;
+  }
+
   /**
    * Check if database is connected
    */
@@ -98,14 +176,18 @@ class SupabaseConfig {
     this.isConnected = false;
     this.connectionAttempts = 0;
     this.client = null;
+    this.serviceClient = null;
   }
 }
 
 // Create singleton instance
 const supabaseConfig = new SupabaseConfig();
 
+// The client is created on first use, so requiring this module never needs the environment
 module.exports = {
-  supabase: supabaseConfig.getClient(),
+  get supabase() {
+    return supabaseConfig.getClient();
+  },
   testSupabaseConnection: () => supabaseConfig.testConnection(),
   supabaseConfig
 };
@@ -0,0 +1,74 @@
+const { validationResult } = require('express-validator');
+const AuthService = require('../services/authService');
+const config = require('../config');
+
+/**
+ * Auth Controller
+ * Handles HTTP requests for staff authentication
+ */
+class AuthController {
+  /**
+   * Sign in with email and password
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async login(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array().map(error => ({
+            field: error.path,
+            message: error.msg
+          }))
+        });
+      }
+
+      const { email, password } = req.body;
+      const session = await AuthService.login(email, password);
+
+      console.log(`✅ Staff login - User ID: ${session.user.id}, Role: ${session.user.role}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: session
+      });
+
+    } catch (error) {
+      if (error.message === 'Invalid email or password') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password'
+        });
+      }
+
+      console.error('❌ Login error:', error);
+
+      const isDevelopment = config.server.environment === 'development';
+      res.status(500).json({
+        success: false,
+        message: 'Login failed. Please try again later.',
+        ...(isDevelopment && { error: error.message })
+      });
+    }
+  }
+
+  /**
+   * Get the currently signed in user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async me(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: req.user
+    });
+  }
+}
+
+module.exports = AuthController;
@@ -1,7 +1,149 @@
 const { validationResult } = require('express-validator');
 const CareerService = require('../services/careerService');
+const NotificationService = require('../services/notificationService');
+const JobOpeningService = require('../services/jobOpeningService');
+const ConsentService = require('../services/consentService');
+const SpamProtectionService = require('../services/spamProtectionService');
 const config = require('../config');
 
+/**
+ * Send an error response for resume downloads
+ */
+const sendResumeError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  // A row pointing at a file missing from storage is reported like a missing resume
+  const notFoundMessages = {
+    'Application not found': 'Application not found',
+    'Resume not found': 'Resume not found',
+    'File not found': 'Resume not found'
+  };
+  const notFound = notFoundMessages[error.message];
+  const isDevelopment = config.server.environment === 'development';
+
+  res.status(notFound ? 404 : 500).json({
+    success: false,
+    message: notFound || fallbackMessage,
+    ...(isDevelopment && !notFound && { error: error.message })
+  });
+};
+
+/**
+ * Send an error response for hiring pipeline operations
+ */
+const sendPipelineError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Application not found' || error.message === 'Quarantined submission not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message.startsWith('Invalid status transition') || error.message.startsWith('Quarantined submission already')) {
+    statusCode = 409;
+    message = error.message;
+  } else if (error.message.startsWith('Resume rejected')) {
+    statusCode = 422;
+    message = error.message;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Save an application, record its consent and, unless it repeats an earlier application,
+ * queue the acknowledgement and HR alert
+ * Used for new submissions and for quarantined ones released by staff.
+ * @param {Object} fields - Application form fields, with positionTitle and privacyNoticeVersion
+ * @param {Object} resumeFile - Uploaded resume (multer file)
+ * @param {string|null} ip - IP address the application came from
+ * @returns {Promise<Object>} Created (or existing) application, see CareerService.createApplication
+ */
+const acceptApplication = async (fields, resumeFile, ip) => {
+  const {
+    fullName,
+    email,
+    phone,
+    location,
+    position,
+    positionTitle,
+    experience,
+    qualification,
+    coverLetter,
+    consent,
+    privacyNoticeVersion
+  } = fields;
+
+  // Create application record
+  const application = await CareerService.createApplication({
+    fullName,
+    email,
+    phone,
+    location,
+    position,
+    experience,
+    qualification,
+    coverLetter,
+    consent
+  }, resumeFile);
+
+  // A repeat application is agreed to again, so it is recorded against the application too
+  try {
+    await ConsentService.recordFormConsent({
+      email,
+      purposes: ['recruitment'],
+      noticeVersion: privacyNoticeVersion,
+      source: 'careers_form',
+      applicationId: application.id,
+      ip
+    });
+  } catch (consentError) {
+    // A new application is only kept with its consent on record; a merged repeat keeps the
+    // consent recorded with the application it repeats
+    if (!application.duplicate) {
+      await CareerService.deleteApplication(application.id).catch(deleteError => {
+        console.error(`Failed to remove application ${application.applicationNumber} without consent:`, deleteError.message);
+      });
+    }
+    throw consentError;
+  }
+
+  // A repeat application was merged into the applicant's existing one; HR is not alerted again,
+  // and what happened is emailed to the address on file rather than shown to the caller
+  if (application.duplicate) {
+    NotificationService.careerApplicationRepeated({
+      applicationNumber: application.applicationNumber,
+      fullName: application.fullName,
+      email: application.email,
+      positionTitle,
+      updated: application.updated
+    });
+  } else {
+    // Queue acknowledgement and HR alert; delivery happens in the background
+    NotificationService.careerApplicationSubmitted({
+      id: application.id,
+      applicationNumber: application.applicationNumber,
+      fullName,
+      email,
+      phone,
+      location,
+      position,
+      positionTitle,
+      experience,
+      qualification,
+      submittedAt: application.submittedAt
+    });
+  }
+
+  return application;
+};
+
 /**
  * Career Controller
  * Handles HTTP requests for career application operations
@@ -37,7 +179,8 @@ class CareerController {
         experience,
         qualification,
         coverLetter,
-        consent
+        consent,
+        privacyNoticeVersion
       } = req.body;
 
       // Additional service-level validation
@@ -80,38 +223,80 @@ class CareerController {
         });
       }
 
-      // Create application record
-      const application = await CareerService.createApplication({
+      const fields = {
         fullName,
         email,
         phone,
         location,
         position,
+        positionTitle: req.jobOpening ? req.jobOpening.label : position,
         experience,
         qualification,
         coverLetter,
-        consent
-      }, resumeFile);
+        consent,
+        privacyNoticeVersion
+      };
+
+      // Bot checks: honeypot, form token, content and (when configured) the challenge
+      const assessment = await SpamProtectionService.assess('careers', {
+        name: fullName,
+        texts: [coverLetter, location],
+        honeypot: req.body[SpamProtectionService.HONEYPOT_FIELD],
+        formToken: req.body.formToken,
+        challengeToken: req.body.challengeToken,
+        ip: req.ip
+      });
+
+      if (assessment.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Please complete the verification check and submit your application again.',
+          errors: [{ field: 'challengeToken', message: 'Verification check not completed' }]
+        });
+      }
+
+      // Held for HR review with its resume; it becomes an application only when released
+      if (assessment.action === 'quarantine') {
+        await SpamProtectionService.quarantine('careers', {
+          payload: fields,
+          email,
+          assessment,
+          resumeFile,
+          ip: req.ip
+        });
+        return res.status(202).json({
+          success: true,
+          held: true,
+          message: 'Thank you for your application. It will be passed to our HR team once it has been checked, and you will then receive your application number by email.'
+        });
+      }
+
+      const application = await acceptApplication(fields, resumeFile, req.ip);
 
       // Log successful submission (without sensitive data)
-      console.log(`✅ Career application submitted successfully - ID: ${application.id}, Position: ${position}, Email: ${email}`);
+      console.log(`✅ Career application ${application.duplicate ? 'repeat merged into' : 'submitted successfully -'} ID: ${application.id}, Position: ${position}`);
 
-      // Return success response
+      // The same response whether or not the applicant had already applied, so it reveals
+      // nothing about existing applications; the application number is sent by email
       res.status(201).json({
         success: true,
-        message: 'Thank you for your application! We have received your details and will get back to you soon.',
+        message: 'Thank you for your application! We have received your details and will email your application number to you shortly.',
         data: {
-          applicationNumber: application.applicationNumber,
-          id: application.id,
           submittedAt: application.submittedAt,
-          position: application.position,
-          status: application.status
+          position: application.position
         }
       });
 
     } catch (error) {
       console.error('❌ Career application submission error:', error);
-      
+
+      if (error.message.startsWith('Resume rejected')) {
+        return res.status(422).json({
+          success: false,
+          message: `Your resume could not be accepted because ${error.message.replace('Resume rejected: ', '')}. Please upload a plain PDF, DOC, or DOCX file.`
+        });
+      }
+
       // Determine error type and response
       const isDevelopment = config.server.environment === 'development';
       const errorResponse = {
@@ -121,11 +306,49 @@ class CareerController {
       };
 
       // Send appropriate status code based on error type
-      const statusCode = error.message.includes('Database') || error.message.includes('upload') ? 503 : 500;
+      const statusCode = error.message.includes('Database') || error.message.includes('upload') || error.message.includes('scanned') ? 503 : 500;
       res.status(statusCode).json(errorResponse);
     }
   }
 
+  /**
+   * Let a candidate check the status of their application
+   * Responds the same way whether the application number does not exist or the
+   * email does not match it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async lookupApplicationStatus(req, res) {
+    try {
+      const { applicationNumber, email } = req.body;
+
+      const application = await CareerService.lookupApplicationStatus(applicationNumber, email);
+
+      if (!application) {
+        return res.status(404).json({
+          success: false,
+          message: 'We could not find an application with this application number and email address. Please check both and try again.'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Application status retrieved successfully',
+        data: application
+      });
+
+    } catch (error) {
+      console.error('❌ Application status lookup error:', error);
+
+      const isDevelopment = config.server.environment === 'development';
+      res.status(500).json({
+        success: false,
+        message: 'We could not check your application status right now. Please try again later.',
+        ...(isDevelopment && { error: error.message })
+      });
+    }
+  }
+
   /**
    * Get all career applications (admin endpoint)
    * @param {Object} req - Express request object
@@ -143,8 +366,8 @@ class CareerController {
       } = req.query;
       
       const options = {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         sortBy,
         sortOrder,
         status,
@@ -172,6 +395,43 @@ class CareerController {
     }
   }
 
+  /**
+   * Search applications by resume and cover letter content (admin use)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async searchApplications(req, res) {
+    try {
+      const { q, position, experience, qualification, page = 1, limit = 10 } = req.query;
+
+      const result = await CareerService.searchApplications({
+        q,
+        position,
+        experience,
+        qualification,
+        page,
+        limit
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Search completed successfully',
+        data: result.applications,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error('❌ Search applications error:', error);
+
+      const isDevelopment = config.server.environment === 'development';
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search applications',
+        ...(isDevelopment && { error: error.message })
+      });
+    }
+  }
+
   /**
    * Get application by ID (admin endpoint)
    * @param {Object} req - Express request object
@@ -203,25 +463,191 @@ class CareerController {
   }
 
   /**
-   * Update application status (admin endpoint)
+   * Issue a short-lived signed URL for an application's resume (admin endpoint)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  static async updateApplicationStatus(req, res) {
+  static async getResumeDownloadUrl(req, res) {
     try {
       const { id } = req.params;
-      const { status, notes } = req.body;
+      const download = await CareerService.getResumeDownloadUrl(id);
 
-      const validStatuses = ['pending', 'reviewing', 'shortlisted', 'interviewed', 'hired', 'rejected'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
+      if (!download) {
+        return res.status(501).json({
           success: false,
-          message: 'Invalid status',
-          errors: [`Status must be one of: ${validStatuses.join(', ')}`]
+          message: `Signed URLs are not available with the configured file storage. Download the file from ${req.baseUrl}/admin/applications/${id}/resume instead.`
         });
       }
 
-      const application = await CareerService.updateApplicationStatus(id, status, notes);
+      console.log(`📄 Resume download URL for application ${id} issued to user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Resume download URL created successfully',
+        data: download
+      });
+
+    } catch (error) {
+      sendResumeError(res, error, 'Failed to create resume download URL');
+    }
+  }
+
+  /**
+   * Stream an application's resume (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadResume(req, res) {
+    try {
+      const { id } = req.params;
+      const file = await CareerService.getResumeFile(id);
+
+      console.log(`📄 Resume for application ${id} downloaded by user ${req.user.id}`);
+
+      res.status(200);
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Length': file.size,
+        'Cache-Control': 'private, no-store'
+      });
+      res.attachment(file.fileName);
+
+      file.stream.on('error', error => {
+        console.error('❌ Resume stream error:', error);
+        res.destroy(error);
+      });
+      file.stream.pipe(res);
+
+    } catch (error) {
+      sendResumeError(res, error, 'Failed to download resume');
+    }
+  }
+
+  /**
+   * Issue the form token the careers page sends back with the application
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFormToken(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data: SpamProtectionService.issueFormToken('careers')
+    });
+  }
+
+  /**
+   * List applications held as suspected spam (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuarantined(req, res) {
+    try {
+      const { page = 1, limit = 20, status = 'held' } = req.query;
+      const result = await SpamProtectionService.getQuarantined('careers', {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined applications retrieved successfully',
+        data: result
+      });
+
+    } catch (error) {
+      sendPipelineError(res, error, 'Failed to retrieve quarantined applications');
+    }
+  }
+
+  /**
+   * Get a quarantined application (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuarantinedById(req, res) {
+    try {
+      const submission = await SpamProtectionService.getQuarantinedById('careers', req.params.quarantineId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined application retrieved successfully',
+        data: submission
+      });
+
+    } catch (error) {
+      sendPipelineError(res, error, 'Failed to retrieve quarantined application');
+    }
+  }
+
+  /**
+   * Release a quarantined application: its resume is screened and it is added to the
+   * pipeline and acknowledged as if just submitted
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async releaseQuarantined(req, res) {
+    try {
+      const { quarantineId } = req.params;
+      const { submission, resumeFile } = await SpamProtectionService.takeForRelease('careers', quarantineId);
+
+      const application = await acceptApplication(submission.payload, resumeFile, null);
+      const released = await SpamProtectionService.closeQuarantined(
+        'careers', quarantineId, 'released', req.user, application.applicationNumber
+      );
+
+      console.log(`✅ Quarantined application ${quarantineId} released as ${application.applicationNumber} by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: application.duplicate
+          ? `Submission merged into existing application ${application.applicationNumber}`
+          : `Submission released as application ${application.applicationNumber}`,
+        data: { ...released, applicationId: application.id, duplicate: application.duplicate }
+      });
+
+    } catch (error) {
+      sendPipelineError(res, error, 'Failed to release quarantined application');
+    }
+  }
+
+  /**
+   * Discard a quarantined application as spam (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async discardQuarantined(req, res) {
+    try {
+      const { quarantineId } = req.params;
+      const discarded = await SpamProtectionService.closeQuarantined('careers', quarantineId, 'discarded', req.user);
+
+      console.log(`🗑️  Quarantined application ${quarantineId} discarded by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Submission discarded',
+        data: discarded
+      });
+
+    } catch (error) {
+      sendPipelineError(res, error, 'Failed to discard quarantined application');
+    }
+  }
+
+  /**
+   * Update application status (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateApplicationStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, notes } = req.body;
+
+      const application = await CareerService.updateApplicationStatus(id, status, notes, req.user);
+
+      console.log(`✅ Application ${id} moved to "${status}" by user ${req.user.id}`);
 
       res.status(200).json({
         success: true,
@@ -230,12 +656,68 @@ class CareerController {
       });
 
     } catch (error) {
-      console.error('❌ Update application status error:', error);
-      
+      sendPipelineError(res, error, 'Failed to update application status');
+    }
+  }
+
+  /**
+   * Get the status history of an application (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getApplicationTimeline(req, res) {
+    try {
+      const timeline = await CareerService.getApplicationTimeline(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Application timeline retrieved successfully',
+        data: timeline
+      });
+
+    } catch (error) {
+      sendPipelineError(res, error, 'Failed to retrieve application timeline');
+    }
+  }
+
+  /**
+   * Get application analytics as JSON or CSV (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getApplicationAnalytics(req, res) {
+    try {
+      const { from, to, interval, timezone, format } = req.query;
+
+      const analytics = await CareerService.getApplicationAnalytics({ from, to, interval, timezone });
+
+      if (format === 'csv') {
+        const { range } = analytics;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="career-analytics-${range.from}-to-${range.to}.csv"`);
+        return res.status(200).send(CareerService.analyticsToCsv(analytics));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Application analytics retrieved successfully',
+        data: analytics
+      });
+
+    } catch (error) {
+      console.error('❌ Get application analytics error:', error);
+
+      if (error.message.startsWith('Invalid analytics range')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       const isDevelopment = config.server.environment === 'development';
       res.status(500).json({
         success: false,
-        message: 'Failed to update application status',
+        message: 'Failed to retrieve application analytics',
         ...(isDevelopment && { error: error.message })
       });
     }
@@ -269,27 +751,13 @@ class CareerController {
   }
 
   /**
-   * Get available positions
+   * Get positions currently open for applications
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   static async getAvailablePositions(req, res) {
     try {
-      const positions = [
-        { value: 'supply-chain', label: 'Supply Chain Dy. Managers' },
-        { value: 'executive-ceo', label: 'Executive Assistant to CEO' },
-        { value: 'executive-directors', label: 'Executive Assistant to Directors' },
-        { value: 'manager-ehs', label: 'Manager - EHS' },
-        { value: 'manager-hrd', label: 'Manager HRD' },
-        { value: 'manager-accounts', label: 'Manager Accounts' },
-        { value: 'manager-regulatory', label: 'Manager Regulatory Affairs' },
-        { value: 'manager-procurement', label: 'Manager – API Procurement' },
-        { value: 'trainee-procurement', label: 'Trainee- Procurement' },
-        { value: 'business-development', label: 'Business Development Manager' },
-        { value: 'manager-engineering', label: 'Manager-Engineering' },
-        { value: 'deputy-qa', label: 'Deputy Manager-QA Validation' },
-        { value: 'other', label: 'Other' }
-      ];
+      const positions = await JobOpeningService.getOpenPositions();
 
       res.status(200).json({
         success: true,
@@ -0,0 +1,54 @@
+const config = require('../config');
+const { validateConfig, redactConfig } = require('../config/schema');
+
+/**
+ * Send an error response for configuration requests
+ */
+const sendConfigError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    ...(isDevelopment && { error: error.message })
+  });
+};
+
+/**
+ * Config Controller
+ * Shows the configuration the API is running with (admin only)
+ */
+class ConfigController {
+  /**
+   * Get the running configuration with secrets redacted, where it was loaded from and
+   * anything validation found wrong with it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getConfig(req, res) {
+    try {
+      const { sources, problems } = config.getLoadReport(config);
+      const { errors, warnings } = validateConfig(config, problems);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.status(200).json({
+        success: true,
+        message: 'Configuration retrieved successfully',
+        data: {
+          environment: config.server.environment,
+          sources,
+          config: redactConfig(config),
+          errors,
+          warnings
+        }
+      });
+
+    } catch (error) {
+      sendConfigError(res, error, 'Failed to retrieve configuration');
+    }
+  }
+}
+
+module.exports = ConfigController;
@@ -1,7 +1,83 @@
 const { validationResult } = require('express-validator');
 const ContactService = require('../services/contactService');
+const AuthService = require('../services/authService');
+const NotificationService = require('../services/notificationService');
+const ConsentService = require('../services/consentService');
+const SpamProtectionService = require('../services/spamProtectionService');
 const config = require('../config');
 
+/**
+ * Send an error response for admin inbox operations
+ */
+const sendAdminError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Contact not found' || error.message === 'Quarantined submission not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message.startsWith('Invalid status transition') || error.message.startsWith('Quarantined submission already')) {
+    statusCode = 409;
+    message = error.message;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Save an enquiry, record its consents and queue the acknowledgement and department alert
+ * Used for new submissions and for quarantined ones released by staff.
+ * @param {Object} fields - { fullName, email, contact, message, marketingConsent, privacyNoticeVersion }
+ * @param {string|null} ip - IP address the enquiry came from
+ * @returns {Promise<Object>} { contactRecord, reference }
+ */
+const acceptEnquiry = async ({ fullName, email, contact, message, marketingConsent, privacyNoticeVersion }, ip) => {
+  const contactRecord = await ContactService.createContact({
+    fullName,
+    email,
+    contact,
+    message
+  });
+
+  const reference = ContactService.getReference(contactRecord.id);
+
+  try {
+    await ConsentService.recordFormConsent({
+      email: contactRecord.email,
+      purposes: marketingConsent ? ['enquiry_handling', 'marketing'] : ['enquiry_handling'],
+      noticeVersion: privacyNoticeVersion,
+      source: 'contact_form',
+      contactId: contactRecord.id,
+      ip
+    });
+  } catch (consentError) {
+    // An enquiry is only kept with its consent on record
+    await ContactService.deleteContact(contactRecord.id).catch(deleteError => {
+      console.error(`Failed to remove enquiry ${reference} without consent:`, deleteError.message);
+    });
+    throw consentError;
+  }
+
+  // Queue acknowledgement and department alert; delivery happens in the background
+  NotificationService.contactSubmitted({
+    reference,
+    fullName: contactRecord.fullName,
+    email: contactRecord.email,
+    contact,
+    message,
+    submittedAt: contactRecord.submittedAt
+  });
+
+  return { contactRecord, reference };
+};
+
 /**
  * Contact Controller
  * Handles HTTP requests for contact-related operations
@@ -28,7 +104,7 @@ class ContactController {
         });
       }
 
-      const { fullName, email, contact, message } = req.body;
+      const { fullName, email, contact, message, marketingConsent, privacyNoticeVersion } = req.body;
 
       // Additional service-level validation
       const validation = ContactService.validateContactData(req.body);
@@ -40,14 +116,38 @@ class ContactController {
         });
       }
 
-      // Create contact record
-      const contactRecord = await ContactService.createContact({
-        fullName,
-        email,
-        contact,
-        message
+      const fields = { fullName, email, contact, message, marketingConsent, privacyNoticeVersion };
+
+      // Bot checks: honeypot, form token, content and (when configured) the challenge
+      const assessment = await SpamProtectionService.assess('contact', {
+        name: fullName,
+        texts: [message],
+        honeypot: req.body[SpamProtectionService.HONEYPOT_FIELD],
+        formToken: req.body.formToken,
+        challengeToken: req.body.challengeToken,
+        ip: req.ip
       });
 
+      if (assessment.action === 'reject') {
+        return res.status(400).json({
+          success: false,
+          message: 'Please complete the verification check and send your message again.',
+          errors: [{ field: 'challengeToken', message: 'Verification check not completed' }]
+        });
+      }
+
+      // Held for staff review; nothing is saved to the inbox or emailed until it is released
+      if (assessment.action === 'quarantine') {
+        await SpamProtectionService.quarantine('contact', { payload: fields, email, assessment, ip: req.ip });
+        return res.status(202).json({
+          success: true,
+          held: true,
+          message: 'Thank you for contacting Africure Pharma. Your message will be passed to our team once it has been checked.'
+        });
+      }
+
+      const { contactRecord, reference } = await acceptEnquiry(fields, req.ip);
+
       // Log successful submission (without sensitive data)
       console.log(`✅ Contact form submitted successfully - ID: ${contactRecord.id}, Email: ${contactRecord.email}`);
 
@@ -58,7 +158,7 @@ class ContactController {
         data: {
           id: contactRecord.id,
           submittedAt: contactRecord.submittedAt,
-          reference: `AF-${contactRecord.id.slice(-8).toUpperCase()}`
+          reference
         }
       });
 
@@ -79,6 +179,332 @@ class ContactController {
     }
   }
 
+  /**
+   * Issue the form token the contact page sends back with the enquiry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getFormToken(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      success: true,
+      data: SpamProtectionService.issueFormToken('contact')
+    });
+  }
+
+  /**
+   * Get all contact submissions (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllContacts(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'created_at',
+        sortOrder = 'desc',
+        status,
+        assignedTo,
+        unassigned,
+        search,
+        from,
+        to
+      } = req.query;
+
+      const result = await ContactService.getAllContacts({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        status,
+        assignedTo,
+        unassigned: unassigned === true,
+        search,
+        from,
+        to
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Contacts retrieved successfully',
+        data: result.contacts,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve contacts');
+    }
+  }
+
+  /**
+   * Get a contact with its internal notes (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getContactById(req, res) {
+    try {
+      const { id } = req.params;
+      const contact = await ContactService.getContactById(id);
+      const notes = await ContactService.getContactNotes(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact retrieved successfully',
+        data: {
+          ...contact,
+          reference: ContactService.getReference(contact.id),
+          notes
+        }
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve contact');
+    }
+  }
+
+  /**
+   * Update contact status (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateContactStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body;
+
+      const contact = await ContactService.updateContactStatus(id, status);
+
+      if (note && note.trim()) {
+        await ContactService.addContactNote(id, req.user, note);
+      }
+
+      console.log(`✅ Contact ${id} moved to "${status}" by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact status updated successfully',
+        data: contact
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to update contact status');
+    }
+  }
+
+  /**
+   * Assign a contact to a staff member (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async assignContact(req, res) {
+    try {
+      const { id } = req.params;
+      const { assigneeId } = req.body;
+
+      const assignee = await AuthService.getUserRepository().findById(assigneeId);
+      if (!assignee || !assignee.is_active) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: [{ field: 'assigneeId', message: 'Assignee must be an active staff member', value: assigneeId }]
+        });
+      }
+
+      const contact = await ContactService.assignContact(id, AuthService.toPublicUser(assignee));
+
+      console.log(`✅ Contact ${id} assigned to user ${assignee.id} by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact assigned successfully',
+        data: contact
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to assign contact');
+    }
+  }
+
+  /**
+   * Get internal notes for a contact (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getContactNotes(req, res) {
+    try {
+      const { id } = req.params;
+      await ContactService.getContactById(id);
+      const notes = await ContactService.getContactNotes(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notes retrieved successfully',
+        data: notes
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve notes');
+    }
+  }
+
+  /**
+   * Add an internal note to a contact (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addContactNote(req, res) {
+    try {
+      const note = await ContactService.addContactNote(req.params.id, req.user, req.body.note);
+
+      res.status(201).json({
+        success: true,
+        message: 'Note added successfully',
+        data: note
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to add note');
+    }
+  }
+
+  /**
+   * List contact form submissions held as suspected spam (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuarantined(req, res) {
+    try {
+      const { page = 1, limit = 20, status = 'held' } = req.query;
+      const result = await SpamProtectionService.getQuarantined('contact', {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined submissions retrieved successfully',
+        data: result
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve quarantined submissions');
+    }
+  }
+
+  /**
+   * Get a quarantined contact form submission (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getQuarantinedById(req, res) {
+    try {
+      const submission = await SpamProtectionService.getQuarantinedById('contact', req.params.quarantineId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Quarantined submission retrieved successfully',
+        data: submission
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve quarantined submission');
+    }
+  }
+
+  /**
+   * Release a quarantined submission: it is added to the inbox and acknowledged as if just sent
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async releaseQuarantined(req, res) {
+    try {
+      const { quarantineId } = req.params;
+      const { submission } = await SpamProtectionService.takeForRelease('contact', quarantineId);
+
+      const { contactRecord, reference } = await acceptEnquiry(submission.payload, null);
+      const released = await SpamProtectionService.closeQuarantined('contact', quarantineId, 'released', req.user, reference);
+
+      console.log(`✅ Quarantined contact submission ${quarantineId} released as ${contactRecord.id} by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: `Submission released as enquiry ${reference}`,
+        data: { ...released, contactId: contactRecord.id }
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to release quarantined submission');
+    }
+  }
+
+  /**
+   * Discard a quarantined submission as spam (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async discardQuarantined(req, res) {
+    try {
+      const { quarantineId } = req.params;
+      const discarded = await SpamProtectionService.closeQuarantined('contact', quarantineId, 'discarded', req.user);
+
+      console.log(`🗑️  Quarantined contact submission ${quarantineId} discarded by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Submission discarded',
+        data: discarded
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to discard quarantined submission');
+    }
+  }
+
+  /**
+   * Delete a contact (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteContact(req, res) {
+    try {
+      const { id } = req.params;
+      await ContactService.getContactById(id);
+      await ContactService.deleteContact(id);
+
+      console.log(`🗑️  Contact ${id} deleted by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact deleted successfully'
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to delete contact');
+    }
+  }
+
+  /**
+   * Get contact statistics (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getContactStats(req, res) {
+    try {
+      const stats = await ContactService.getContactStats();
+
+      res.status(200).json({
+        success: true,
+        message: 'Contact statistics retrieved successfully',
+        data: stats
+      });
+
+    } catch (error) {
+      sendAdminError(res, error, 'Failed to retrieve contact statistics');
+    }
+  }
+
   /**
    * Test database connection
    * @param {Object} req - Express request object
@@ -0,0 +1,101 @@
+const ExportService = require('../services/exportService');
+const AuthService = require('../services/authService');
+const config = require('../config');
+
+/**
+ * Send an error response for exports, or abort the download if it has started
+ */
+const sendExportError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  // Part of the file has been sent; a JSON body can no longer be added, so cut the download short
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  const isDevelopment = config.server.environment === 'development';
+  const isInvalid = error.message.startsWith('Invalid export');
+
+  res.status(isInvalid ? 400 : 500).json({
+    success: false,
+    message: isInvalid ? error.message : fallbackMessage,
+    ...(isDevelopment && !isInvalid && { error: error.message })
+  });
+};
+
+/**
+ * Stream an export to the response
+ * Viewers always receive redacted exports.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} dataset - 'applications' or 'contacts'
+ * @param {Object} filters - Filters of the matching list endpoint
+ */
+const streamExport = async (req, res, dataset, filters) => {
+  const { format, columns, redact } = req.query;
+
+  const plan = ExportService.plan({
+    dataset,
+    format,
+    columns: columns ? columns.split(',').map(column => column.trim()).filter(Boolean) : null,
+    redact: redact === true || req.user.role === AuthService.ROLES.VIEWER,
+    filters
+  });
+
+  res.setHeader('Content-Type', plan.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${plan.fileName}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  const count = await ExportService.writeExport(plan, res);
+  res.end();
+
+  console.log(`✅ Exported ${count} ${dataset} (${plan.format}${plan.redact ? ', redacted' : ''}) for user ${req.user.id}`);
+};
+
+/**
+ * Export Controller
+ * Handles CSV/XLSX downloads of admin lists (staff only)
+ */
+class ExportController {
+  /**
+   * Export career applications, with the filters of the application list
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async exportApplications(req, res) {
+    try {
+      const { status, position } = req.query;
+
+      await streamExport(req, res, 'applications', { status, position });
+
+    } catch (error) {
+      sendExportError(res, error, 'Failed to export applications');
+    }
+  }
+
+  /**
+   * Export contact enquiries, with the filters of the inbox list
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async exportContacts(req, res) {
+    try {
+      const { status, assignedTo, unassigned, search, from, to } = req.query;
+
+      await streamExport(req, res, 'contacts', {
+        status,
+        assignedTo,
+        unassigned: unassigned === true,
+        search,
+        from,
+        to
+      });
+
+    } catch (error) {
+      sendExportError(res, error, 'Failed to export contact enquiries');
+    }
+  }
+}
+
+module.exports = ExportController;
@@ -0,0 +1,189 @@
+const InterviewService = require('../services/interviewService');
+const config = require('../config');
+
+/**
+ * Send an error response for interview operations
+ */
+const sendInterviewError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Application not found' || error.message === 'Interview not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message.startsWith('Invalid interview')) {
+    statusCode = 400;
+    message = error.message;
+  } else if (error.message.startsWith('Interviews can only be scheduled') ||
+    error.message.startsWith('Only scheduled interviews') ||
+    error.message.startsWith('Cannot ')) {
+    statusCode = 409;
+    message = error.message;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Interview Controller
+ * Handles HTTP requests for interviews of career applications (admin only)
+ */
+class InterviewController {
+  /**
+   * List the interviews of an application, with feedback
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getInterviews(req, res) {
+    try {
+      const interviews = await InterviewService.getInterviews(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interviews retrieved successfully',
+        data: interviews
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to retrieve interviews');
+    }
+  }
+
+  /**
+   * Schedule an interview and send the invitations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async scheduleInterview(req, res) {
+    try {
+      const interview = await InterviewService.scheduleInterview(req.params.id, req.body, req.user);
+
+      console.log(`✅ Interview ${interview.id} scheduled for application ${req.params.id} by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Interview scheduled and invitations sent',
+        data: interview
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to schedule interview');
+    }
+  }
+
+  /**
+   * Reschedule or change a scheduled interview
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateInterview(req, res) {
+    try {
+      const { id, interviewId } = req.params;
+      const interview = await InterviewService.updateInterview(id, interviewId, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview updated successfully',
+        data: interview
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to update interview');
+    }
+  }
+
+  /**
+   * Cancel a scheduled interview
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async cancelInterview(req, res) {
+    try {
+      const { id, interviewId } = req.params;
+      const interview = await InterviewService.cancelInterview(id, interviewId, req.body.reason || null);
+
+      console.log(`✅ Interview ${interviewId} of application ${id} cancelled by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview cancelled and cancellations sent',
+        data: interview
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to cancel interview');
+    }
+  }
+
+  /**
+   * Record whether the interview took place and its outcome
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async recordOutcome(req, res) {
+    try {
+      const { id, interviewId } = req.params;
+      const interview = await InterviewService.recordOutcome(id, interviewId, req.body, req.user);
+
+      res.status(200).json({
+        success: true,
+        message: 'Interview outcome recorded successfully',
+        data: interview
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to record interview outcome');
+    }
+  }
+
+  /**
+   * Add feedback from the signed-in staff member
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addFeedback(req, res) {
+    try {
+      const { id, interviewId } = req.params;
+      const feedback = await InterviewService.addFeedback(id, interviewId, req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Feedback recorded successfully',
+        data: feedback
+      });
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to record feedback');
+    }
+  }
+
+  /**
+   * Download the current .ics invitation for the candidate or the panel
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadInvitation(req, res) {
+    try {
+      const { id, interviewId } = req.params;
+      const audience = req.query.for || 'candidate';
+      const ics = await InterviewService.getInvitation(id, interviewId, audience);
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="interview-${interviewId}-${audience}.ics"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.status(200).send(ics);
+
+    } catch (error) {
+      sendInterviewError(res, error, 'Failed to build interview invitation');
+    }
+  }
+}
+
+module.exports = InterviewController;
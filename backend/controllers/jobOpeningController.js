@@ -0,0 +1,144 @@
+const JobOpeningService = require('../services/jobOpeningService');
+const config = require('../config');
+
+/**
+ * Send an error response for job opening operations
+ */
+const sendOpeningError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Job opening not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message === 'A job opening with this slug already exists') {
+    statusCode = 409;
+    message = error.message;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Job Opening Controller
+ * Handles HTTP requests for managing job openings (admin only)
+ */
+class JobOpeningController {
+  /**
+   * List job openings
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllOpenings(req, res) {
+    try {
+      const { state, department } = req.query;
+
+      const openings = await JobOpeningService.getAllOpenings({ state, department });
+
+      res.status(200).json({
+        success: true,
+        message: 'Job openings retrieved successfully',
+        data: openings
+      });
+
+    } catch (error) {
+      sendOpeningError(res, error, 'Failed to retrieve job openings');
+    }
+  }
+
+  /**
+   * Get a job opening by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getOpeningById(req, res) {
+    try {
+      const opening = await JobOpeningService.getOpeningById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job opening retrieved successfully',
+        data: opening
+      });
+
+    } catch (error) {
+      sendOpeningError(res, error, 'Failed to retrieve job opening');
+    }
+  }
+
+  /**
+   * Create a job opening
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createOpening(req, res) {
+    try {
+      const opening = await JobOpeningService.createOpening(req.body);
+
+      console.log(`✅ Job opening ${opening.id} (${opening.slug}) created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Job opening created successfully',
+        data: opening
+      });
+
+    } catch (error) {
+      sendOpeningError(res, error, 'Failed to create job opening');
+    }
+  }
+
+  /**
+   * Update a job opening
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateOpening(req, res) {
+    try {
+      const opening = await JobOpeningService.updateOpening(req.params.id, req.body);
+
+      console.log(`✅ Job opening ${opening.id} updated by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job opening updated successfully',
+        data: opening
+      });
+
+    } catch (error) {
+      sendOpeningError(res, error, 'Failed to update job opening');
+    }
+  }
+
+  /**
+   * Unpublish a job opening
+   * Openings are hidden rather than deleted so applications made to them still resolve.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unpublishOpening(req, res) {
+    try {
+      const opening = await JobOpeningService.updateOpening(req.params.id, { isPublished: false });
+
+      console.log(`🗑️  Job opening ${opening.id} unpublished by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Job opening unpublished successfully',
+        data: opening
+      });
+
+    } catch (error) {
+      sendOpeningError(res, error, 'Failed to unpublish job opening');
+    }
+  }
+}
+
+module.exports = JobOpeningController;
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const DataProtectionService = require('../services/dataProtectionService');
+const ConsentService = require('../services/consentService');
+const DataAccessService = require('../services/dataAccessService');
+const EmailTemplateService = require('../services/emailTemplateService');
+const config = require('../config');
+
+const DOWNLOAD_PAGE = fs.readFileSync(path.join(__dirname, '..', 'templates', 'pages', 'dataAccessDownload.html'), 'utf8');
+
+/**
+ * Send an error response for privacy operations
+ */
+const sendPrivacyError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  // Part of a download has been sent; a JSON body can no longer be added, so cut it short
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Certificate not found' || error.message === 'Privacy notice not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message.startsWith('Invalid privacy notice') || error.message.startsWith('Invalid consent')) {
+    statusCode = 400;
+    message = error.message;
+  } else if (error.message.endsWith('already exists')) {
+    statusCode = 409;
+    message = error.message;
+  } else if (error.message === 'Access link is invalid, expired or already used') {
+    statusCode = 410;
+    message = 'This link is invalid, has expired or has already been used. Please request a new one.';
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Privacy Controller
+ * Handles the privacy notice, the consent ledger, personal data access requests, erasure
+ * requests, the erasure log and retention runs
+ */
+class PrivacyController {
+  /**
+   * Get the privacy notice in force, for the public forms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCurrentNotice(req, res) {
+    try {
+      const notice = await ConsentService.getCurrentNotice();
+
+      // Short cache so a new version reaches the forms quickly
+      res.set('Cache-Control', 'public, max-age=60');
+      res.status(200).json({
+        success: true,
+        message: 'Privacy notice retrieved successfully',
+        data: notice
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve privacy notice');
+    }
+  }
+
+  /**
+   * Get a version of the privacy notice, e.g. the one a consent refers to
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getNotice(req, res) {
+    try {
+      const notice = await ConsentService.getNotice(req.params.version);
+
+      res.status(200).json({
+        success: true,
+        message: 'Privacy notice retrieved successfully',
+        data: notice
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve privacy notice');
+    }
+  }
+
+  /**
+   * Request a copy of one's personal data
+   * The link is emailed to the address given; the reply is the same whether or not
+   * anything is held about it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async requestAccess(req, res) {
+    try {
+      await DataAccessService.requestAccess(req.body.email, req.ip);
+
+      res.status(202).json({
+        success: true,
+        message: 'If we hold data about this email address, a link to download it has been sent to it. Please check your inbox.'
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to request a copy of personal data');
+    }
+  }
+
+  /**
+   * Show the confirmation page of the link from the email
+   * Link scanners and prefetchers open links before the recipient does, so opening it changes
+   * nothing; the page posts the token back to downloadAccessBundle.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async showAccessDownload(req, res) {
+    res.setHeader('Cache-Control', 'private, no-store');
+    // The token is validated to URL-safe base64, so it needs no escaping
+    res.status(200).type('html').send(EmailTemplateService.fill(DOWNLOAD_PAGE, { token: req.query.token }));
+  }
+
+  /**
+   * Download the personal data bundle of a confirmed request
+   * The link is used up only once the whole bundle has been sent; if anything fails before
+   * that, it can be used again.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async downloadAccessBundle(req, res) {
+    const format = req.body.format || 'zip';
+    let claim = null;
+
+    try {
+      const { contentType, fileName } = DataAccessService.describeFormat(format);
+      claim = await DataAccessService.claim(req.body.token);
+      const bundle = await DataAccessService.collect(claim.email);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+
+      await DataAccessService.writeBundle(bundle, format, res);
+      res.end();
+      await finished(res);
+
+      await DataAccessService.complete(claim.requestId, bundle);
+      console.log(`📦 Personal data access request ${claim.requestId} downloaded`);
+
+    } catch (error) {
+      if (claim) {
+        await DataAccessService.release(claim.requestId);
+      }
+      sendPrivacyError(res, error, 'Failed to prepare personal data download');
+    }
+  }
+
+  /**
+   * List all versions of the privacy notice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getNotices(req, res) {
+    try {
+      const notices = await ConsentService.getNotices();
+
+      res.status(200).json({
+        success: true,
+        message: 'Privacy notices retrieved successfully',
+        data: notices
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve privacy notices');
+    }
+  }
+
+  /**
+   * Publish a new version of the privacy notice
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async publishNotice(req, res) {
+    try {
+      const { version, title, body, purposes, effectiveAt } = req.body;
+
+      const notice = await ConsentService.publishNotice({ version, title, body, purposes, effectiveAt }, req.user);
+
+      console.log(`✅ Privacy notice ${notice.version} published by user ${req.user.id}, effective ${notice.effectiveAt}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Privacy notice published successfully',
+        data: notice
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to publish privacy notice');
+    }
+  }
+
+  /**
+   * Get the consent ledger of a data subject
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getConsents(req, res) {
+    try {
+      const history = await ConsentService.getConsentHistory(req.query.email);
+
+      res.status(200).json({
+        success: true,
+        message: 'Consent records retrieved successfully',
+        data: history
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve consent records');
+    }
+  }
+
+  /**
+   * Record a withdrawal of consent made by email, phone or post
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async withdrawConsent(req, res) {
+    try {
+      const { email, purpose, note } = req.body;
+
+      const record = await ConsentService.withdrawConsent(email, purpose, req.user, note);
+
+      console.log(`✅ Withdrawal of ${purpose} consent recorded by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Consent withdrawal recorded',
+        data: record
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to record consent withdrawal');
+    }
+  }
+
+  /**
+   * Erase all applications and enquiries of a data subject
+   * Responds 500 with the certificate when some records could not be erased; repeating the
+   * request erases the rest and issues a further certificate.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async eraseDataSubject(req, res) {
+    try {
+      const { email, reason, reference } = req.body;
+
+      const certificate = await DataProtectionService.eraseDataSubject(email, {
+        requestedBy: req.user,
+        reason,
+        reference
+      });
+
+      console.log(`🗑️  Erasure ${certificate.certificateId} (${certificate.records.length} records) carried out by user ${req.user.id}`);
+
+      if (!certificate.complete) {
+        return res.status(500).json({
+          success: false,
+          message: 'Some records could not be erased; repeat the request to retry them',
+          data: certificate
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: certificate.records.length > 0
+          ? 'Personal data erased'
+          : 'No personal data held for this email address',
+        data: certificate
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to erase personal data');
+    }
+  }
+
+  /**
+   * List erasure certificates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCertificates(req, res) {
+    try {
+      const { email, kind, page = 1, limit = 20 } = req.query;
+
+      const result = await DataProtectionService.getCertificates({ email, kind, page, limit });
+
+      res.status(200).json({
+        success: true,
+        message: 'Erasure certificates retrieved successfully',
+        data: result.certificates,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve erasure certificates');
+    }
+  }
+
+  /**
+   * Get one erasure certificate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCertificate(req, res) {
+    try {
+      const certificate = await DataProtectionService.getCertificate(req.params.certificateId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Erasure certificate retrieved successfully',
+        data: certificate
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to retrieve erasure certificate');
+    }
+  }
+
+  /**
+   * Run the retention job now
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async runRetention(req, res) {
+    try {
+      const dryRun = req.body.dryRun === true;
+
+      const summary = await DataProtectionService.runRetention({ dryRun });
+
+      console.log(`🧹 Retention run${dryRun ? ' (dry run)' : ''} started by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: dryRun ? 'Retention dry run completed' : 'Retention run completed',
+        data: summary
+      });
+
+    } catch (error) {
+      sendPrivacyError(res, error, 'Failed to run data retention');
+    }
+  }
+}
+
+module.exports = PrivacyController;
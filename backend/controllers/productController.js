@@ -0,0 +1,190 @@
+const ProductService = require('../services/productService');
+const config = require('../config');
+
+/**
+ * Send an error response for product operations
+ */
+const sendProductError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const notFound = error.message === 'Product not found';
+  const isDevelopment = config.server.environment === 'development';
+
+  res.status(notFound ? 404 : 500).json({
+    success: false,
+    message: notFound ? error.message : fallbackMessage,
+    ...(isDevelopment && !notFound && { error: error.message })
+  });
+};
+
+/**
+ * Product Controller
+ * Handles HTTP requests for the product catalogue
+ */
+class ProductController {
+  /**
+   * List published products
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllProducts(req, res) {
+    try {
+      const { page = 1, limit = 20, category, search, sortBy } = req.query;
+
+      const result = await ProductService.getAllProducts({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        category: category || req.params.category,
+        search,
+        sortBy
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Products retrieved successfully',
+        data: result.products,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to retrieve products');
+    }
+  }
+
+  /**
+   * Search published products by name, generic name, strength or description
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async searchProducts(req, res) {
+    try {
+      const { q, page = 1, limit = 20, category } = req.query;
+
+      const result = await ProductService.getAllProducts({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        category,
+        search: q
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Products retrieved successfully',
+        data: result.products,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to search products');
+    }
+  }
+
+  /**
+   * List product categories with counts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getCategories(req, res) {
+    try {
+      const categories = await ProductService.getCategories();
+
+      res.status(200).json({
+        success: true,
+        message: 'Product categories retrieved successfully',
+        data: categories
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to retrieve product categories');
+    }
+  }
+
+  /**
+   * Get a published product by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getProductById(req, res) {
+    try {
+      const product = await ProductService.getProductById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product retrieved successfully',
+        data: product
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to retrieve product');
+    }
+  }
+
+  /**
+   * Create a product (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createProduct(req, res) {
+    try {
+      const product = await ProductService.createProduct(req.body);
+
+      console.log(`✅ Product ${product.id} created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Product created successfully',
+        data: product
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to create product');
+    }
+  }
+
+  /**
+   * Update a product (admin endpoint)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateProduct(req, res) {
+    try {
+      const product = await ProductService.updateProduct(req.params.id, req.body);
+
+      console.log(`✅ Product ${product.id} updated by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product updated successfully',
+        data: product
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to update product');
+    }
+  }
+
+  /**
+   * Unpublish a product (admin endpoint)
+   * Products are hidden rather than deleted so their history is kept.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async unpublishProduct(req, res) {
+    try {
+      const product = await ProductService.updateProduct(req.params.id, { isPublished: false });
+
+      console.log(`🗑️  Product ${product.id} unpublished by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Product unpublished successfully',
+        data: product
+      });
+
+    } catch (error) {
+      sendProductError(res, error, 'Failed to unpublish product');
+    }
+  }
+}
+
+module.exports = ProductController;
@@ -0,0 +1,182 @@
+const RegistrationService = require('../services/registrationService');
+const config = require('../config');
+
+/**
+ * Send an error response for registration operations
+ */
+const sendRegistrationError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  const isDevelopment = config.server.environment === 'development';
+  let statusCode = 500;
+  let message = fallbackMessage;
+
+  if (error.message === 'Registration not found' || error.message === 'Product not found') {
+    statusCode = 404;
+    message = error.message;
+  } else if (error.message.startsWith('Registration already exists')) {
+    statusCode = 409;
+    message = error.message;
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(isDevelopment && statusCode === 500 && { error: error.message })
+  });
+};
+
+/**
+ * Registration Controller
+ * Handles HTTP requests for product country registrations (admin only)
+ */
+class RegistrationController {
+  /**
+   * List registrations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAllRegistrations(req, res) {
+    try {
+      const { page = 1, limit = 20, productId, countryCode, status } = req.query;
+
+      const result = await RegistrationService.getAllRegistrations({
+        page: parseInt(page),
+        limit: parseInt(limit),
+        productId,
+        countryCode,
+        status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Registrations retrieved successfully',
+        data: result.registrations,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to retrieve registrations');
+    }
+  }
+
+  /**
+   * List active registrations expiring within the next N days
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getExpiringRegistrations(req, res) {
+    try {
+      const { days = 90, includeLapsed = false, countryCode } = req.query;
+
+      const registrations = await RegistrationService.getExpiringRegistrations({
+        days,
+        includeLapsed,
+        countryCode
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Registrations expiring within ${days} days retrieved successfully`,
+        data: registrations,
+        meta: {
+          days,
+          includeLapsed,
+          asOf: RegistrationService.today(),
+          count: registrations.length
+        }
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to retrieve expiring registrations');
+    }
+  }
+
+  /**
+   * Get a registration by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getRegistrationById(req, res) {
+    try {
+      const registration = await RegistrationService.getRegistrationById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Registration retrieved successfully',
+        data: registration
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to retrieve registration');
+    }
+  }
+
+  /**
+   * Register a product in a country
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async createRegistration(req, res) {
+    try {
+      const { productId, ...registrationData } = req.body;
+      const registration = await RegistrationService.createRegistration(productId, registrationData);
+
+      console.log(`✅ Registration ${registration.id} (${registration.countryCode}) added to product ${productId} by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Registration created successfully',
+        data: registration
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to create registration');
+    }
+  }
+
+  /**
+   * Update a registration (e.g. renewal with a new expiry date)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async updateRegistration(req, res) {
+    try {
+      const registration = await RegistrationService.updateRegistration(req.params.id, req.body);
+
+      console.log(`✅ Registration ${registration.id} updated by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Registration updated successfully',
+        data: registration
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to update registration');
+    }
+  }
+
+  /**
+   * Delete a registration entered in error
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async deleteRegistration(req, res) {
+    try {
+      await RegistrationService.deleteRegistration(req.params.id);
+
+      console.log(`🗑️  Registration ${req.params.id} deleted by user ${req.user.id}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Registration deleted successfully'
+      });
+
+    } catch (error) {
+      sendRegistrationError(res, error, 'Failed to delete registration');
+    }
+  }
+}
+
+module.exports = RegistrationController;
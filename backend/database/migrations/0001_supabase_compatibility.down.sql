@@ -0,0 +1,30 @@
+-- Remove the stand-ins created by 0001_supabase_compatibility.up.sql.
+-- Only objects carrying the stand-in comment are dropped, so Supabase's own are never touched.
+
+DO $$
+BEGIN
+    IF obj_description(to_regclass('storage.buckets'), 'pg_class') LIKE 'Local stand-in%' THEN
+        DROP TABLE storage.buckets;
+    END IF;
+
+    IF obj_description((SELECT oid FROM pg_namespace WHERE nspname = 'storage'), 'pg_namespace') LIKE 'Local stand-in%' THEN
+        DROP SCHEMA storage;
+    END IF;
+
+    IF obj_description(to_regprocedure('auth.role()'), 'pg_proc') LIKE 'Local stand-in%' THEN
+        DROP FUNCTION auth.role();
+    END IF;
+
+    IF obj_description((SELECT oid FROM pg_namespace WHERE nspname = 'auth'), 'pg_namespace') LIKE 'Local stand-in%' THEN
+        DROP SCHEMA auth;
+    END IF;
+
+    IF shobj_description((SELECT oid FROM pg_roles WHERE rolname = 'authenticated'), 'pg_authid') LIKE 'Local stand-in%' THEN
+        DROP ROLE authenticated;
+    END IF;
+
+    IF shobj_description((SELECT oid FROM pg_roles WHERE rolname = 'anon'), 'pg_authid') LIKE 'Local stand-in%' THEN
+        DROP ROLE anon;
+    END IF;
+END
+$$;
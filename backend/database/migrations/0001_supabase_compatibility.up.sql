@@ -0,0 +1,60 @@
+-- Supabase Roles and Schemas
+-- Later migrations grant to the anon and authenticated roles, check auth.role() in policies and
+-- register the resume bucket in storage.buckets. Supabase provides all of these; on a plain
+-- Postgres (local development, CI) this creates stand-ins so the same migrations apply.
+-- A Supabase database is left unchanged.
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        CREATE ROLE anon NOLOGIN NOINHERIT;
+        COMMENT ON ROLE anon IS 'Local stand-in for the Supabase anon role';
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+        CREATE ROLE authenticated NOLOGIN NOINHERIT;
+        COMMENT ON ROLE authenticated IS 'Local stand-in for the Supabase authenticated role';
+    END IF;
+END
+$$;
+
+-- auth.role() returns the role claim of the request's JWT, as in Supabase
+DO $$
+BEGIN
+    IF to_regprocedure('auth.role()') IS NULL THEN
+        IF NOT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'auth') THEN
+            CREATE SCHEMA auth;
+            COMMENT ON SCHEMA auth IS 'Local stand-in for the Supabase auth schema';
+        END IF;
+
+        CREATE FUNCTION auth.role()
+        RETURNS TEXT
+        LANGUAGE sql
+        STABLE
+        AS $role$
+            SELECT nullif(current_setting('request.jwt.claim.role', true), '')::text;
+        $role$;
+        COMMENT ON FUNCTION auth.role() IS 'Local stand-in for the Supabase auth.role() function';
+    END IF;
+END
+$$;
+
+-- Only the columns the migrations use; files themselves are not stored
+DO $$
+BEGIN
+    IF to_regclass('storage.buckets') IS NULL THEN
+        IF NOT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = 'storage') THEN
+            CREATE SCHEMA storage;
+            COMMENT ON SCHEMA storage IS 'Local stand-in for the Supabase storage schema';
+        END IF;
+
+        CREATE TABLE storage.buckets (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            public BOOLEAN DEFAULT false,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+        COMMENT ON TABLE storage.buckets IS 'Local stand-in for the Supabase storage.buckets table';
+    END IF;
+END
+$$;
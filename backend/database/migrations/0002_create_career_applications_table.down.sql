@@ -0,0 +1,5 @@
+-- Drops every career application. Resume files in storage are not removed.
+
+DROP FUNCTION IF EXISTS insert_career_application(jsonb);
+DROP TABLE IF EXISTS "Career_Applications";
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -94,7 +94,7 @@ RETURNS TABLE(
     id integer,
     full_name varchar(100),
     email varchar(255),
-    position varchar(50),
+    "position" varchar(50),
     application_status varchar(20),
     application_date timestamp with time zone
 )
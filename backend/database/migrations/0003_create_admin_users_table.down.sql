@@ -0,0 +1,3 @@
+-- Drops every staff account.
+
+DROP TABLE IF EXISTS "Admin_Users";
@@ -0,0 +1,36 @@
+-- Create Admin Users Table
+-- This table stores staff accounts that can sign in to the admin API
+
+CREATE TABLE IF NOT EXISTS "Admin_Users" (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    full_name VARCHAR(100) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'hr', 'viewer')),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_admin_users_email ON "Admin_Users"(email);
+
+-- Add comments for documentation
+COMMENT ON TABLE "Admin_Users" IS 'Staff accounts allowed to use the Africure Pharma admin API';
+COMMENT ON COLUMN "Admin_Users".email IS 'Login email address (stored lowercase)';
+COMMENT ON COLUMN "Admin_Users".full_name IS 'Staff member full name';
+COMMENT ON COLUMN "Admin_Users".password_hash IS 'bcrypt hash of the account password';
+COMMENT ON COLUMN "Admin_Users".role IS 'Access role: admin, hr, viewer';
+COMMENT ON COLUMN "Admin_Users".is_active IS 'Inactive accounts cannot sign in';
+COMMENT ON COLUMN "Admin_Users".last_login_at IS 'Timestamp of the last successful sign in';
+
+-- Reuse the updated_at trigger function from 0002_create_career_applications_table.up.sql
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON "Admin_Users"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Set up Row Level Security (RLS)
+-- No policies are created: only the service role key used by the backend can read or write this table
+ALTER TABLE "Admin_Users" ENABLE ROW LEVEL SECURITY;
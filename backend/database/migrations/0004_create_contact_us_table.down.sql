@@ -0,0 +1,3 @@
+-- Drops every contact enquiry.
+
+DROP TABLE IF EXISTS "Contact_Us";
@@ -0,0 +1,32 @@
+-- Create Contact Us Table
+-- This table stores enquiries sent through the website contact form.
+-- Column names match the original Supabase table the form was built against.
+
+CREATE TABLE IF NOT EXISTS "Contact_Us" (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    "Full_Name" VARCHAR(255) NOT NULL,
+    "Email_id" VARCHAR(255) NOT NULL,
+    "Contact" VARCHAR(20) NOT NULL,
+    "Enter_Message" TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_contact_us_email ON "Contact_Us"("Email_id");
+
+-- Add comments for documentation
+COMMENT ON TABLE "Contact_Us" IS 'Enquiries sent through the Africure Pharma website contact form';
+COMMENT ON COLUMN "Contact_Us"."Full_Name" IS 'Sender full name';
+COMMENT ON COLUMN "Contact_Us"."Email_id" IS 'Sender email address';
+COMMENT ON COLUMN "Contact_Us"."Contact" IS 'Sender phone number';
+COMMENT ON COLUMN "Contact_Us"."Enter_Message" IS 'Enquiry text';
+COMMENT ON COLUMN "Contact_Us".created_at IS 'When the enquiry was received';
+
+-- Set up Row Level Security (RLS) policies
+ALTER TABLE "Contact_Us" ENABLE ROW LEVEL SECURITY;
+
+-- Policy for public insert (anyone can send an enquiry); reads go through the service role
+CREATE POLICY "Anyone can send contact enquiries" ON "Contact_Us"
+    FOR INSERT WITH CHECK (true);
+
+GRANT SELECT, INSERT ON "Contact_Us" TO anon;
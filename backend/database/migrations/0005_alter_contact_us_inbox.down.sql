@@ -0,0 +1,18 @@
+-- Drops the inbox status, assignments and internal notes of every enquiry.
+
+DROP TABLE IF EXISTS "Contact_Notes";
+
+DROP TRIGGER IF EXISTS update_contact_us_updated_at ON "Contact_Us";
+
+DROP INDEX IF EXISTS idx_contact_us_status;
+DROP INDEX IF EXISTS idx_contact_us_assigned_to;
+DROP INDEX IF EXISTS idx_contact_us_created_at;
+
+ALTER TABLE "Contact_Us"
+    DROP CONSTRAINT IF EXISTS contact_us_status_check;
+
+ALTER TABLE "Contact_Us"
+    DROP COLUMN IF EXISTS status,
+    DROP COLUMN IF EXISTS assigned_to,
+    DROP COLUMN IF EXISTS assigned_at,
+    DROP COLUMN IF EXISTS updated_at;
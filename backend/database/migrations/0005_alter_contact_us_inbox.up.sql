@@ -0,0 +1,47 @@
+-- Contact Inbox Workflow
+-- Adds triage columns to "Contact_Us" and an internal notes table for the admin inbox.
+
+-- Status workflow: new -> assigned -> replied -> closed
+ALTER TABLE "Contact_Us"
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'new',
+    ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE "Contact_Us"
+    DROP CONSTRAINT IF EXISTS contact_us_status_check;
+ALTER TABLE "Contact_Us"
+    ADD CONSTRAINT contact_us_status_check CHECK (status IN ('new', 'assigned', 'replied', 'closed'));
+
+CREATE INDEX IF NOT EXISTS idx_contact_us_status ON "Contact_Us"(status);
+CREATE INDEX IF NOT EXISTS idx_contact_us_assigned_to ON "Contact_Us"(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_contact_us_created_at ON "Contact_Us"(created_at);
+
+COMMENT ON COLUMN "Contact_Us".status IS 'Inbox status: new, assigned, replied, closed';
+COMMENT ON COLUMN "Contact_Us".assigned_to IS 'Staff member (Admin_Users.id) handling the enquiry';
+COMMENT ON COLUMN "Contact_Us".assigned_at IS 'When the enquiry was last assigned';
+
+-- Internal notes on each enquiry (never shown to the sender)
+CREATE TABLE IF NOT EXISTS "Contact_Notes" (
+    id SERIAL PRIMARY KEY,
+    contact_id UUID NOT NULL REFERENCES "Contact_Us"(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    author_name VARCHAR(100),
+    note TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_notes_contact_id ON "Contact_Notes"(contact_id);
+
+COMMENT ON TABLE "Contact_Notes" IS 'Internal staff notes attached to contact enquiries';
+COMMENT ON COLUMN "Contact_Notes".author_name IS 'Author name at the time of writing, kept if the account is removed';
+
+-- Keep updated_at current (function defined in 0002_create_career_applications_table.up.sql)
+DROP TRIGGER IF EXISTS update_contact_us_updated_at ON "Contact_Us";
+CREATE TRIGGER update_contact_us_updated_at
+    BEFORE UPDATE ON "Contact_Us"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Notes are only accessed through the backend service role
+ALTER TABLE "Contact_Notes" ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,73 @@
+-- Keep Resumes Private
+-- Resumes are no longer linked by public URL. The storage path is kept server-side and
+-- staff download files through GET /api/careers/admin/applications/:id/resume(/url).
+
+ALTER TABLE "Career_Applications"
+    ADD COLUMN IF NOT EXISTS resume_storage_path TEXT,
+    ADD COLUMN IF NOT EXISTS resume_content_type VARCHAR(100);
+
+COMMENT ON COLUMN "Career_Applications".resume_storage_path IS 'Path of the resume in the private career-applications bucket (never sent to clients)';
+COMMENT ON COLUMN "Career_Applications".resume_content_type IS 'MIME type of the uploaded resume';
+COMMENT ON COLUMN "Career_Applications".resume_url IS 'Deprecated: public URLs are no longer stored; see resume_storage_path';
+
+-- Move existing public URLs (.../object/public/career-applications/resumes/x.pdf) to storage paths
+UPDATE "Career_Applications"
+SET resume_storage_path = regexp_replace(resume_url, '^.*/career-applications/', '')
+WHERE resume_url IS NOT NULL
+  AND resume_storage_path IS NULL;
+
+UPDATE "Career_Applications"
+SET resume_url = NULL
+WHERE resume_url IS NOT NULL;
+
+-- Make sure the bucket exists and is private
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('career-applications', 'career-applications', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+-- Insert function used when RLS blocks the standard insert: store the path instead of a URL
+CREATE OR REPLACE FUNCTION insert_career_application(application_data jsonb)
+RETURNS TABLE(
+    id integer,
+    full_name varchar(100),
+    email varchar(255),
+    "position" varchar(50),
+    application_status varchar(20),
+    application_date timestamp with time zone
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO "Career_Applications" (
+        full_name, email, phone, location, position, experience,
+        qualification, cover_letter, resume_storage_path, resume_file_name,
+        resume_content_type, consent_given, application_status, application_date
+    )
+    VALUES (
+        (application_data->>'full_name')::varchar(100),
+        (application_data->>'email')::varchar(255),
+        (application_data->>'phone')::varchar(20),
+        (application_data->>'location')::varchar(100),
+        (application_data->>'position')::varchar(50),
+        (application_data->>'experience')::varchar(10),
+        (application_data->>'qualification')::varchar(20),
+        (application_data->>'cover_letter')::text,
+        (application_data->>'resume_storage_path')::text,
+        (application_data->>'resume_file_name')::varchar(255),
+        (application_data->>'resume_content_type')::varchar(100),
+        (application_data->>'consent_given')::boolean,
+        (application_data->>'application_status')::varchar(20),
+        (application_data->>'application_date')::timestamp with time zone
+    )
+    RETURNING
+        "Career_Applications".id,
+        "Career_Applications".full_name,
+        "Career_Applications".email,
+        "Career_Applications".position,
+        "Career_Applications".application_status,
+        "Career_Applications".application_date;
+END;
+$$;
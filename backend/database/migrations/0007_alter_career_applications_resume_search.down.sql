@@ -0,0 +1,58 @@
+-- Drops the extracted resume text and the search index, and restores the insert function
+-- created by 0006_alter_career_applications_private_resumes.up.sql.
+
+DROP FUNCTION IF EXISTS search_career_applications(TEXT, TEXT, TEXT, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION insert_career_application(application_data jsonb)
+RETURNS TABLE(
+    id integer,
+    full_name varchar(100),
+    email varchar(255),
+    "position" varchar(50),
+    application_status varchar(20),
+    application_date timestamp with time zone
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO "Career_Applications" (
+        full_name, email, phone, location, position, experience,
+        qualification, cover_letter, resume_storage_path, resume_file_name,
+        resume_content_type, consent_given, application_status, application_date
+    )
+    VALUES (
+        (application_data->>'full_name')::varchar(100),
+        (application_data->>'email')::varchar(255),
+        (application_data->>'phone')::varchar(20),
+        (application_data->>'location')::varchar(100),
+        (application_data->>'position')::varchar(50),
+        (application_data->>'experience')::varchar(10),
+        (application_data->>'qualification')::varchar(20),
+        (application_data->>'cover_letter')::text,
+        (application_data->>'resume_storage_path')::text,
+        (application_data->>'resume_file_name')::varchar(255),
+        (application_data->>'resume_content_type')::varchar(100),
+        (application_data->>'consent_given')::boolean,
+        (application_data->>'application_status')::varchar(20),
+        (application_data->>'application_date')::timestamp with time zone
+    )
+    RETURNING
+        "Career_Applications".id,
+        "Career_Applications".full_name,
+        "Career_Applications".email,
+        "Career_Applications".position,
+        "Career_Applications".application_status,
+        "Career_Applications".application_date;
+END;
+$$;
+
+DROP INDEX IF EXISTS idx_career_applications_search;
+DROP INDEX IF EXISTS idx_career_applications_experience;
+DROP INDEX IF EXISTS idx_career_applications_qualification;
+
+ALTER TABLE "Career_Applications"
+    DROP COLUMN IF EXISTS search_vector,
+    DROP COLUMN IF EXISTS resume_text;
@@ -0,0 +1,139 @@
+-- Searchable Resumes
+-- Text extracted from PDF/DOCX resumes is stored with each application and indexed together
+-- with the applicant's name and cover letter for GET /api/careers/admin/applications/search.
+
+ALTER TABLE "Career_Applications"
+    ADD COLUMN IF NOT EXISTS resume_text TEXT;
+
+-- Name ranks above resume text, resume text above the cover letter
+ALTER TABLE "Career_Applications"
+    ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(full_name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(resume_text, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(cover_letter, '')), 'C')
+    ) STORED;
+
+COMMENT ON COLUMN "Career_Applications".resume_text IS 'Plain text extracted from the resume (PDF/DOCX) for search; NULL when it could not be extracted';
+COMMENT ON COLUMN "Career_Applications".search_vector IS 'Full-text index of full_name, resume_text and cover_letter';
+
+CREATE INDEX IF NOT EXISTS idx_career_applications_search ON "Career_Applications" USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_career_applications_experience ON "Career_Applications"(experience);
+CREATE INDEX IF NOT EXISTS idx_career_applications_qualification ON "Career_Applications"(qualification);
+
+-- Ranked search with highlighted excerpts.
+-- Matched words are wrapped in chr(2)/chr(3); the API escapes the text and turns them into <mark> tags.
+CREATE OR REPLACE FUNCTION search_career_applications(
+    search_query TEXT,
+    filter_position TEXT DEFAULT NULL,
+    filter_experience TEXT DEFAULT NULL,
+    filter_qualification TEXT DEFAULT NULL,
+    result_limit INTEGER DEFAULT 10,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(
+    id integer,
+    full_name varchar(100),
+    email varchar(255),
+    phone varchar(20),
+    location varchar(100),
+    "position" varchar(50),
+    experience varchar(10),
+    qualification varchar(20),
+    cover_letter text,
+    resume_storage_path text,
+    resume_file_name varchar(255),
+    resume_content_type varchar(100),
+    consent_given boolean,
+    application_status varchar(20),
+    admin_notes text,
+    application_date timestamp with time zone,
+    updated_at timestamp with time zone,
+    created_at timestamp with time zone,
+    rank real,
+    resume_headline text,
+    cover_letter_headline text,
+    total_count bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH search AS (
+        SELECT
+            websearch_to_tsquery('english', search_query) AS query,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=3, MinWords=5, MaxWords=20' AS options
+    ),
+    matches AS (
+        SELECT a.*, ts_rank(a.search_vector, search.query) AS rank, count(*) OVER () AS total_count
+        FROM "Career_Applications" a, search
+        WHERE a.search_vector @@ search.query
+          AND (filter_position IS NULL OR a.position = filter_position)
+          AND (filter_experience IS NULL OR a.experience = filter_experience)
+          AND (filter_qualification IS NULL OR a.qualification = filter_qualification)
+        ORDER BY rank DESC, a.application_date DESC
+        LIMIT result_limit
+        OFFSET result_offset
+    )
+    -- Headlines are only built for the page being returned
+    SELECT
+        m.id, m.full_name, m.email, m.phone, m.location, m.position, m.experience,
+        m.qualification, m.cover_letter, m.resume_storage_path, m.resume_file_name,
+        m.resume_content_type, m.consent_given, m.application_status, m.admin_notes,
+        m.application_date, m.updated_at, m.created_at,
+        m.rank,
+        ts_headline('english', coalesce(m.resume_text, ''), search.query, search.options),
+        ts_headline('english', coalesce(m.cover_letter, ''), search.query, search.options),
+        m.total_count
+    FROM matches m, search
+    ORDER BY m.rank DESC, m.application_date DESC;
+$$;
+
+-- Applicant data: only the API (service role) may search
+REVOKE EXECUTE ON FUNCTION search_career_applications(TEXT, TEXT, TEXT, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Insert function used when RLS blocks the standard insert: include the extracted resume text
+CREATE OR REPLACE FUNCTION insert_career_application(application_data jsonb)
+RETURNS TABLE(
+    id integer,
+    full_name varchar(100),
+    email varchar(255),
+    "position" varchar(50),
+    application_status varchar(20),
+    application_date timestamp with time zone
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    INSERT INTO "Career_Applications" (
+        full_name, email, phone, location, position, experience,
+        qualification, cover_letter, resume_storage_path, resume_file_name,
+        resume_content_type, resume_text, consent_given, application_status, application_date
+    )
+    VALUES (
+        (application_data->>'full_name')::varchar(100),
+        (application_data->>'email')::varchar(255),
+        (application_data->>'phone')::varchar(20),
+        (application_data->>'location')::varchar(100),
+        (application_data->>'position')::varchar(50),
+        (application_data->>'experience')::varchar(10),
+        (application_data->>'qualification')::varchar(20),
+        (application_data->>'cover_letter')::text,
+        (application_data->>'resume_storage_path')::text,
+        (application_data->>'resume_file_name')::varchar(255),
+        (application_data->>'resume_content_type')::varchar(100),
+        (application_data->>'resume_text')::text,
+        (application_data->>'consent_given')::boolean,
+        (application_data->>'application_status')::varchar(20),
+        (application_data->>'application_date')::timestamp with time zone
+    )
+    RETURNING
+        "Career_Applications".id,
+        "Career_Applications".full_name,
+        "Career_Applications".email,
+        "Career_Applications".position,
+        "Career_Applications".application_status,
+        "Career_Applications".application_date;
+END;
+$$;
@@ -0,0 +1,9 @@
+-- Drops the repeat submission counts. Merged repeat applications are not split out again.
+
+DROP INDEX IF EXISTS idx_career_applications_position_email;
+DROP INDEX IF EXISTS idx_career_applications_position_phone;
+
+ALTER TABLE "Career_Applications"
+    DROP COLUMN IF EXISTS phone_normalized,
+    DROP COLUMN IF EXISTS submission_count,
+    DROP COLUMN IF EXISTS last_submitted_at;
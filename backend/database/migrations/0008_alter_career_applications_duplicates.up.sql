@@ -0,0 +1,17 @@
+-- Duplicate Application Detection
+-- A repeat application for the same position from the same email or phone number within
+-- DUPLICATE_APPLICATION_WINDOW_DAYS is merged into the existing application instead of adding a row.
+
+-- Phone numbers are compared on their last 9 digits, so "+254 712 345 678" and "0712-345678" match
+ALTER TABLE "Career_Applications"
+    ADD COLUMN IF NOT EXISTS phone_normalized VARCHAR(9)
+        GENERATED ALWAYS AS (right(regexp_replace(phone, '\D', '', 'g'), 9)) STORED,
+    ADD COLUMN IF NOT EXISTS submission_count INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS last_submitted_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN "Career_Applications".phone_normalized IS 'Last 9 digits of phone, used to detect repeat applications';
+COMMENT ON COLUMN "Career_Applications".submission_count IS 'Number of times the applicant submitted this application (1 = no repeats)';
+COMMENT ON COLUMN "Career_Applications".last_submitted_at IS 'When the latest repeat submission was received (NULL if never repeated)';
+
+CREATE INDEX IF NOT EXISTS idx_career_applications_position_email ON "Career_Applications"(position, email, application_date);
+CREATE INDEX IF NOT EXISTS idx_career_applications_position_phone ON "Career_Applications"(position, phone_normalized, application_date);
@@ -0,0 +1,10 @@
+-- Drops the status history of every application. Each application keeps its current status.
+
+DROP FUNCTION IF EXISTS transition_career_application(INTEGER, VARCHAR, VARCHAR, INTEGER, VARCHAR, TEXT);
+DROP TABLE IF EXISTS "Career_Application_History";
+DROP FUNCTION IF EXISTS prevent_career_history_changes();
+
+COMMENT ON COLUMN "Career_Applications".admin_notes IS 'Internal notes for HR team';
+
+ALTER TABLE "Career_Applications"
+    DROP CONSTRAINT IF EXISTS career_applications_status_check;
@@ -0,0 +1,98 @@
+-- Hiring Pipeline and Status History
+-- Status changes go through transition_career_application(), which updates the application and
+-- appends to "Career_Application_History" in one transaction. The API enforces the allowed
+-- transitions (CareerService.APPLICATION_STATUS_TRANSITIONS):
+--   pending -> reviewing | rejected
+--   reviewing -> shortlisted | rejected
+--   shortlisted -> interviewed | rejected
+--   interviewed -> hired | rejected
+--   rejected -> reviewing (re-opened)
+
+ALTER TABLE "Career_Applications"
+    DROP CONSTRAINT IF EXISTS career_applications_status_check;
+ALTER TABLE "Career_Applications"
+    ADD CONSTRAINT career_applications_status_check
+    CHECK (application_status IN ('pending', 'reviewing', 'shortlisted', 'interviewed', 'hired', 'rejected'));
+
+COMMENT ON COLUMN "Career_Applications".admin_notes IS 'Deprecated: notes are kept per status change in Career_Application_History';
+
+-- One row per status change; rows are never updated or deleted
+CREATE TABLE IF NOT EXISTS "Career_Application_History" (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES "Career_Applications"(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    changed_by_name VARCHAR(100),
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_career_application_history_application ON "Career_Application_History"(application_id, created_at);
+
+COMMENT ON TABLE "Career_Application_History" IS 'Append-only log of career application status changes';
+COMMENT ON COLUMN "Career_Application_History".from_status IS 'Status before the change (NULL for entries migrated from admin_notes)';
+COMMENT ON COLUMN "Career_Application_History".changed_by_name IS 'Staff name at the time of the change, kept if the account is removed';
+COMMENT ON COLUMN "Career_Application_History".note IS 'Internal note recorded with the change';
+
+-- Append-only: refuse updates, and deletes except when the application itself is deleted
+CREATE OR REPLACE FUNCTION prevent_career_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (
+        SELECT 1 FROM "Career_Applications" WHERE id = OLD.application_id
+    ) THEN
+        RETURN OLD;
+    END IF;
+
+    RAISE EXCEPTION 'Career_Application_History is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS career_application_history_append_only ON "Career_Application_History";
+CREATE TRIGGER career_application_history_append_only
+    BEFORE UPDATE OR DELETE ON "Career_Application_History"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_career_history_changes();
+
+-- History is only accessed through the backend service role
+ALTER TABLE "Career_Application_History" ENABLE ROW LEVEL SECURITY;
+
+-- Keep existing notes: one migrated entry per application that has notes or has left "pending"
+INSERT INTO "Career_Application_History" (application_id, from_status, to_status, changed_by_name, note, created_at)
+SELECT id, NULL, application_status, 'Migrated', admin_notes, COALESCE(updated_at, application_date)
+FROM "Career_Applications" a
+WHERE (admin_notes IS NOT NULL OR application_status <> 'pending')
+  AND NOT EXISTS (SELECT 1 FROM "Career_Application_History" h WHERE h.application_id = a.id);
+
+-- Change the status and record it atomically. Fails if the status is no longer p_from_status,
+-- so two staff members cannot both move the same application from the same state.
+CREATE OR REPLACE FUNCTION transition_career_application(
+    p_application_id INTEGER,
+    p_from_status VARCHAR(20),
+    p_to_status VARCHAR(20),
+    p_changed_by INTEGER,
+    p_changed_by_name VARCHAR(100),
+    p_note TEXT DEFAULT NULL
+)
+RETURNS SETOF "Career_Applications"
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE "Career_Applications"
+    SET application_status = p_to_status
+    WHERE id = p_application_id
+      AND application_status = p_from_status;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Application status changed' USING ERRCODE = '40001';
+    END IF;
+
+    INSERT INTO "Career_Application_History" (application_id, from_status, to_status, changed_by, changed_by_name, note)
+    VALUES (p_application_id, p_from_status, p_to_status, p_changed_by, p_changed_by_name, p_note);
+
+    RETURN QUERY SELECT * FROM "Career_Applications" WHERE id = p_application_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION transition_career_application(INTEGER, VARCHAR, VARCHAR, INTEGER, VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
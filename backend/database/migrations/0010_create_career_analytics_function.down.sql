@@ -0,0 +1,3 @@
+-- Only a function; no data is lost.
+
+DROP FUNCTION IF EXISTS career_application_analytics(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT);
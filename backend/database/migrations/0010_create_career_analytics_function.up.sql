@@ -0,0 +1,107 @@
+-- Career Application Analytics
+-- Used by GET /api/careers/admin/analytics. Applications are counted in [p_from, p_to) and
+-- grouped by calendar day, week (starting Monday) or month in p_timezone, so an application
+-- sent at 23:30 in Nairobi counts on that day rather than the next UTC day.
+
+CREATE OR REPLACE FUNCTION career_application_analytics(
+    p_from TIMESTAMP WITH TIME ZONE,
+    p_to TIMESTAMP WITH TIME ZONE,
+    p_interval TEXT DEFAULT 'day',
+    p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+AS $$
+    WITH apps AS (
+        SELECT a.id, a.position, a.qualification, a.experience, a.location, a.application_status,
+               a.application_date AT TIME ZONE p_timezone AS local_date
+        FROM "Career_Applications" a
+        WHERE a.application_date >= p_from
+          AND a.application_date < p_to
+    ),
+    -- Every period in the range, so periods without applications are returned with 0
+    periods AS (
+        SELECT generate_series(
+            date_trunc(p_interval, p_from AT TIME ZONE p_timezone),
+            date_trunc(p_interval, (p_to - interval '1 microsecond') AT TIME ZONE p_timezone),
+            ('1 ' || p_interval)::interval
+        ) AS period
+    ),
+    series AS (
+        SELECT p.period, count(a.id) AS total
+        FROM periods p
+        LEFT JOIN apps a ON date_trunc(p_interval, a.local_date) = p.period
+        GROUP BY p.period
+    ),
+    -- Furthest pipeline stage each application reached, from its status history and current status
+    -- (0 submitted, 1 reviewing, 2 shortlisted, 3 interviewed, 4 hired; rejection does not count)
+    stages AS (
+        SELECT a.id, coalesce(max(
+            CASE s.status
+                WHEN 'reviewing' THEN 1
+                WHEN 'shortlisted' THEN 2
+                WHEN 'interviewed' THEN 3
+                WHEN 'hired' THEN 4
+            END
+        ), 0) AS reached
+        FROM apps a
+        CROSS JOIN LATERAL (
+            SELECT a.application_status AS status
+            UNION ALL
+            SELECT h.to_status FROM "Career_Application_History" h WHERE h.application_id = a.id
+        ) s
+        GROUP BY a.id
+    )
+    SELECT jsonb_build_object(
+        'total', (SELECT count(*) FROM apps),
+        'series', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('period', to_char(period, 'YYYY-MM-DD'), 'count', total) ORDER BY period), '[]'::jsonb)
+            FROM series
+        ),
+        'position', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY total DESC, value), '[]'::jsonb)
+            FROM (SELECT position AS value, count(*) AS total FROM apps GROUP BY position) g
+        ),
+        'qualification', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY total DESC, value), '[]'::jsonb)
+            FROM (SELECT qualification AS value, count(*) AS total FROM apps GROUP BY qualification) g
+        ),
+        'experience', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY total DESC, value), '[]'::jsonb)
+            FROM (SELECT experience AS value, count(*) AS total FROM apps GROUP BY experience) g
+        ),
+        -- Location is free text: group case- and whitespace-insensitively and keep the 20 largest
+        'location', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY total DESC, value), '[]'::jsonb)
+            FROM (
+                SELECT initcap(lower(btrim(location))) AS value, count(*) AS total
+                FROM apps
+                WHERE location IS NOT NULL AND btrim(location) <> ''
+                GROUP BY 1
+                ORDER BY total DESC, value
+                LIMIT 20
+            ) g
+        ),
+        'status', (
+            SELECT coalesce(jsonb_agg(jsonb_build_object('value', value, 'count', total) ORDER BY total DESC, value), '[]'::jsonb)
+            FROM (SELECT application_status AS value, count(*) AS total FROM apps GROUP BY application_status) g
+        ),
+        'reached', (
+            SELECT jsonb_build_object(
+                'submitted', count(*),
+                'reviewing', count(*) FILTER (WHERE reached >= 1),
+                'shortlisted', count(*) FILTER (WHERE reached >= 2),
+                'interviewed', count(*) FILTER (WHERE reached >= 3),
+                'hired', count(*) FILTER (WHERE reached >= 4)
+            )
+            FROM stages
+        )
+    );
+$$;
+
+COMMENT ON FUNCTION career_application_analytics(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT)
+    IS 'Application counts per period, breakdowns and pipeline funnel for the careers analytics API';
+
+-- Applicant data: only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION career_application_analytics(TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,4 @@
+-- Drops every scheduled interview and all panel feedback.
+
+DROP TABLE IF EXISTS "Career_Interview_Feedback";
+DROP TABLE IF EXISTS "Career_Interviews";
@@ -0,0 +1,68 @@
+-- Interview Scheduling
+-- Interviews are scheduled for shortlisted (or already interviewed) applications through
+-- /api/careers/admin/applications/:id/interviews. Candidate and panel receive .ics invitations.
+
+CREATE TABLE IF NOT EXISTS "Career_Interviews" (
+    id SERIAL PRIMARY KEY,
+    application_id INTEGER NOT NULL REFERENCES "Career_Applications"(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    mode VARCHAR(10) NOT NULL CHECK (mode IN ('onsite', 'video', 'phone')),
+    location VARCHAR(150),
+    meeting_url TEXT,
+    phone_number VARCHAR(20),
+    panel JSONB NOT NULL DEFAULT '[]'::jsonb,
+    instructions TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled', 'no_show')),
+    outcome VARCHAR(20) CHECK (outcome IN ('advance', 'hold', 'reject')),
+    cancel_reason TEXT,
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    created_by_name VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT career_interviews_time_check CHECK (ends_at > starts_at),
+    CONSTRAINT career_interviews_onsite_location_check CHECK (mode <> 'onsite' OR location IS NOT NULL),
+    CONSTRAINT career_interviews_video_url_check CHECK (mode <> 'video' OR meeting_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_career_interviews_application ON "Career_Interviews"(application_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_career_interviews_starts_at ON "Career_Interviews"(starts_at);
+
+COMMENT ON TABLE "Career_Interviews" IS 'Interviews scheduled for career applications';
+COMMENT ON COLUMN "Career_Interviews".mode IS 'onsite (at the plant in location), video (meeting_url) or phone';
+COMMENT ON COLUMN "Career_Interviews".location IS 'Plant or office where an on-site interview takes place';
+COMMENT ON COLUMN "Career_Interviews".phone_number IS 'Number the panel calls for a phone interview (defaults to the applicant phone)';
+COMMENT ON COLUMN "Career_Interviews".panel IS 'Panel members: [{ "name": "...", "email": "..." }]';
+COMMENT ON COLUMN "Career_Interviews".instructions IS 'Shown to the candidate in the invitation';
+COMMENT ON COLUMN "Career_Interviews".outcome IS 'Panel decision once completed: advance, hold or reject';
+COMMENT ON COLUMN "Career_Interviews".sequence IS 'iCalendar SEQUENCE; increased whenever the invitation is re-sent';
+
+-- Feedback from each panel member, kept against both the interview and the application
+CREATE TABLE IF NOT EXISTS "Career_Interview_Feedback" (
+    id SERIAL PRIMARY KEY,
+    interview_id INTEGER NOT NULL REFERENCES "Career_Interviews"(id) ON DELETE CASCADE,
+    application_id INTEGER NOT NULL REFERENCES "Career_Applications"(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    author_name VARCHAR(100),
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    recommendation VARCHAR(20) NOT NULL CHECK (recommendation IN ('strong_yes', 'yes', 'no', 'strong_no')),
+    comments TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_career_interview_feedback_interview ON "Career_Interview_Feedback"(interview_id);
+CREATE INDEX IF NOT EXISTS idx_career_interview_feedback_application ON "Career_Interview_Feedback"(application_id);
+
+COMMENT ON TABLE "Career_Interview_Feedback" IS 'Interview feedback from panel members';
+COMMENT ON COLUMN "Career_Interview_Feedback".author_name IS 'Author name at the time of writing, kept if the account is removed';
+
+DROP TRIGGER IF EXISTS update_career_interviews_updated_at ON "Career_Interviews";
+CREATE TRIGGER update_career_interviews_updated_at
+    BEFORE UPDATE ON "Career_Interviews"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Only accessed through the backend service role
+ALTER TABLE "Career_Interviews" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Career_Interview_Feedback" ENABLE ROW LEVEL SECURITY;
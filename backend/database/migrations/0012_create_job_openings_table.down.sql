@@ -0,0 +1,3 @@
+-- Drops every job opening. Applications keep the slug they were submitted with.
+
+DROP TABLE IF EXISTS "Job_Openings";
@@ -0,0 +1,67 @@
+-- Create Job Openings Table
+-- Roles shown on the careers page and accepted by the application form.
+-- Career_Applications.position stores the opening's slug.
+
+CREATE TABLE IF NOT EXISTS "Job_Openings" (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    title VARCHAR(150) NOT NULL,
+    department VARCHAR(100) NOT NULL,
+    location VARCHAR(150),
+    description TEXT,
+    requirements TEXT,
+    employment_type VARCHAR(20) NOT NULL DEFAULT 'full-time' CHECK (employment_type IN ('full-time', 'part-time', 'contract', 'internship', 'temporary')),
+    opens_at DATE,
+    closes_at DATE,
+    is_published BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT job_openings_slug_check CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    CONSTRAINT job_openings_dates_check CHECK (closes_at IS NULL OR opens_at IS NULL OR closes_at >= opens_at)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_job_openings_published ON "Job_Openings"(is_published);
+CREATE INDEX IF NOT EXISTS idx_job_openings_closes_at ON "Job_Openings"(closes_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE "Job_Openings" IS 'Open roles candidates can apply for through the careers page';
+COMMENT ON COLUMN "Job_Openings".slug IS 'Stable identifier stored in Career_Applications.position, e.g. manager-regulatory';
+COMMENT ON COLUMN "Job_Openings".location IS 'Site or city where the role is based';
+COMMENT ON COLUMN "Job_Openings".employment_type IS 'full-time, part-time, contract, internship or temporary';
+COMMENT ON COLUMN "Job_Openings".opens_at IS 'First day applications are accepted (NULL = immediately)';
+COMMENT ON COLUMN "Job_Openings".closes_at IS 'Last day applications are accepted (NULL = until unpublished)';
+COMMENT ON COLUMN "Job_Openings".is_published IS 'Unpublished openings are hidden from the careers page and reject applications';
+
+-- Keep updated_at current (function defined in 0002_create_career_applications_table.up.sql)
+CREATE TRIGGER update_job_openings_updated_at
+    BEFORE UPDATE ON "Job_Openings"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Set up Row Level Security (RLS) policies
+ALTER TABLE "Job_Openings" ENABLE ROW LEVEL SECURITY;
+
+-- Policy for public read (published openings only); writes go through the service role
+CREATE POLICY "Anyone can read published job openings" ON "Job_Openings"
+    FOR SELECT USING (is_published = true);
+
+GRANT SELECT ON "Job_Openings" TO anon;
+
+-- Positions previously hardcoded in the careers form, so existing applications keep their slugs
+INSERT INTO "Job_Openings" (slug, title, department, sort_order) VALUES
+    ('supply-chain', 'Supply Chain Dy. Managers', 'Supply Chain', 10),
+    ('executive-ceo', 'Executive Assistant to CEO', 'Management Office', 20),
+    ('executive-directors', 'Executive Assistant to Directors', 'Management Office', 30),
+    ('manager-ehs', 'Manager - EHS', 'Environment, Health & Safety', 40),
+    ('manager-hrd', 'Manager HRD', 'Human Resources', 50),
+    ('manager-accounts', 'Manager Accounts', 'Finance & Accounts', 60),
+    ('manager-regulatory', 'Manager Regulatory Affairs', 'Regulatory Affairs', 70),
+    ('manager-procurement', 'Manager – API Procurement', 'Procurement', 80),
+    ('trainee-procurement', 'Trainee- Procurement', 'Procurement', 90),
+    ('business-development', 'Business Development Manager', 'Business Development', 100),
+    ('manager-engineering', 'Manager-Engineering', 'Engineering', 110),
+    ('deputy-qa', 'Deputy Manager-QA Validation', 'Quality Assurance', 120),
+    ('other', 'Other', 'General', 1000)
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,3 @@
+-- Drops the product portfolio.
+
+DROP TABLE IF EXISTS "Products";
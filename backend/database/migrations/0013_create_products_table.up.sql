@@ -0,0 +1,59 @@
+-- Create Products Table
+-- This table stores the product portfolio shown on the website products page.
+-- Seed it with: npm run seed:products
+
+CREATE TABLE IF NOT EXISTS "Products" (
+    id SERIAL PRIMARY KEY,
+    brand_name VARCHAR(150) NOT NULL,
+    generic_name VARCHAR(150) NOT NULL,
+    category VARCHAR(50) NOT NULL DEFAULT 'other',
+    description TEXT,
+    strength VARCHAR(100) NOT NULL,
+    dosage_form VARCHAR(50) NOT NULL,
+    pack_size VARCHAR(50),
+    route VARCHAR(50),
+    license_number VARCHAR(50),
+    regulatory_authority VARCHAR(150),
+    license_status VARCHAR(20) NOT NULL DEFAULT 'Licensed',
+    approval_date DATE,
+    expiry_date DATE,
+    is_published BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_products_category ON "Products"(category);
+CREATE INDEX IF NOT EXISTS idx_products_generic_name ON "Products"(generic_name);
+CREATE INDEX IF NOT EXISTS idx_products_published ON "Products"(is_published);
+
+-- Add comments for documentation
+COMMENT ON TABLE "Products" IS 'Africure Pharma product portfolio';
+COMMENT ON COLUMN "Products".brand_name IS 'Brand (trade) name, e.g. AMOXICILLINE AFRICURE';
+COMMENT ON COLUMN "Products".generic_name IS 'International non-proprietary name, e.g. Amoxicillin';
+COMMENT ON COLUMN "Products".category IS 'Therapeutic category: antibiotics, analgesics, cardiovascular, respiratory, gastrointestinal, antimalarial, antifungal, corticosteroids, vitamins, other';
+COMMENT ON COLUMN "Products".strength IS 'Strength, e.g. 500mg or 125mg/5ml';
+COMMENT ON COLUMN "Products".dosage_form IS 'Dosage form, e.g. Tablets, Capsules, Suspension';
+COMMENT ON COLUMN "Products".pack_size IS 'Pack presentation, e.g. B/100';
+COMMENT ON COLUMN "Products".route IS 'Route of administration';
+COMMENT ON COLUMN "Products".license_number IS 'Marketing authorisation number';
+COMMENT ON COLUMN "Products".regulatory_authority IS 'Authority that issued the licence';
+COMMENT ON COLUMN "Products".license_status IS 'Licence status shown on the website';
+COMMENT ON COLUMN "Products".is_published IS 'Unpublished products are hidden from the public API';
+COMMENT ON COLUMN "Products".sort_order IS 'Display order on the products page';
+
+-- Keep updated_at current (function defined in 0002_create_career_applications_table.up.sql)
+CREATE TRIGGER update_products_updated_at
+    BEFORE UPDATE ON "Products"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Set up Row Level Security (RLS) policies
+ALTER TABLE "Products" ENABLE ROW LEVEL SECURITY;
+
+-- Policy for public read (published products only); writes go through the service role
+CREATE POLICY "Anyone can read published products" ON "Products"
+    FOR SELECT USING (is_published = true);
+
+GRANT SELECT ON "Products" TO anon;
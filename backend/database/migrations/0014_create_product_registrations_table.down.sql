@@ -0,0 +1,32 @@
+-- Moves one registration per product back onto "Products" (the Ivory Coast one if there is one,
+-- otherwise the latest) and drops the rest with the table.
+
+ALTER TABLE "Products"
+    ADD COLUMN IF NOT EXISTS license_number VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS regulatory_authority VARCHAR(150),
+    ADD COLUMN IF NOT EXISTS license_status VARCHAR(20) NOT NULL DEFAULT 'Licensed',
+    ADD COLUMN IF NOT EXISTS approval_date DATE,
+    ADD COLUMN IF NOT EXISTS expiry_date DATE;
+
+COMMENT ON COLUMN "Products".license_number IS 'Marketing authorisation number';
+COMMENT ON COLUMN "Products".regulatory_authority IS 'Authority that issued the licence';
+COMMENT ON COLUMN "Products".license_status IS 'Licence status shown on the website';
+
+UPDATE "Products" p
+SET license_number = r.visa_number,
+    regulatory_authority = r.regulatory_authority,
+    license_status = CASE
+        WHEN r.status = 'active' AND (r.expiry_date IS NULL OR r.expiry_date >= CURRENT_DATE) THEN 'Licensed'
+        WHEN r.status = 'pending' THEN 'Pending'
+        ELSE 'Expired'
+    END,
+    approval_date = r.approval_date,
+    expiry_date = r.expiry_date
+FROM (
+    SELECT DISTINCT ON (product_id) *
+    FROM "Product_Registrations"
+    ORDER BY product_id, (country_code = 'CI') DESC, created_at DESC, id DESC
+) r
+WHERE r.product_id = p.id;
+
+DROP TABLE IF EXISTS "Product_Registrations";
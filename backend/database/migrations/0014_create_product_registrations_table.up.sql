@@ -0,0 +1,74 @@
+-- Create Product Registrations Table
+-- One product can be registered (licensed) in several countries, each with its own
+-- authority, visa/registration number, status and validity dates.
+-- Moves the single licence stored on each product into this table and then drops the old
+-- licence columns from "Products".
+
+CREATE TABLE IF NOT EXISTS "Product_Registrations" (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES "Products"(id) ON DELETE CASCADE,
+    country_code CHAR(2) NOT NULL,
+    regulatory_authority VARCHAR(150) NOT NULL,
+    visa_number VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('pending', 'active', 'expired', 'suspended', 'withdrawn')),
+    approval_date DATE,
+    expiry_date DATE,
+    notes TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT product_registrations_country_code_check CHECK (country_code ~ '^[A-Z]{2}$'),
+    CONSTRAINT product_registrations_dates_check CHECK (expiry_date IS NULL OR approval_date IS NULL OR expiry_date > approval_date),
+    CONSTRAINT product_registrations_unique_visa UNIQUE (country_code, visa_number)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_product_registrations_product_id ON "Product_Registrations"(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_registrations_expiry_date ON "Product_Registrations"(expiry_date);
+CREATE INDEX IF NOT EXISTS idx_product_registrations_status ON "Product_Registrations"(status);
+
+-- Add comments for documentation
+COMMENT ON TABLE "Product_Registrations" IS 'Country marketing authorisations held for each product';
+COMMENT ON COLUMN "Product_Registrations".country_code IS 'ISO 3166-1 alpha-2 country code, e.g. CI, ET, LR, BF';
+COMMENT ON COLUMN "Product_Registrations".regulatory_authority IS 'National authority that issued the registration';
+COMMENT ON COLUMN "Product_Registrations".visa_number IS 'Registration / marketing authorisation (visa) number';
+COMMENT ON COLUMN "Product_Registrations".status IS 'Stored status: pending, active, expired, suspended, withdrawn. Active registrations past their expiry_date are reported as expired by the API';
+COMMENT ON COLUMN "Product_Registrations".approval_date IS 'Date the registration was granted';
+COMMENT ON COLUMN "Product_Registrations".expiry_date IS 'Date the registration lapses unless renewed';
+
+-- Keep updated_at current (function defined in 0002_create_career_applications_table.up.sql)
+CREATE TRIGGER update_product_registrations_updated_at
+    BEFORE UPDATE ON "Product_Registrations"
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Move existing single licences (all issued in Ivory Coast) into registrations
+INSERT INTO "Product_Registrations" (product_id, country_code, regulatory_authority, visa_number, status, approval_date, expiry_date)
+SELECT
+    id,
+    'CI',
+    COALESCE(regulatory_authority, 'Ivory Coast Health Authority'),
+    license_number,
+    CASE WHEN expiry_date < CURRENT_DATE THEN 'expired' ELSE 'active' END,
+    approval_date,
+    expiry_date
+FROM "Products"
+WHERE license_number IS NOT NULL
+ON CONFLICT (country_code, visa_number) DO NOTHING;
+
+ALTER TABLE "Products"
+    DROP COLUMN IF EXISTS license_number,
+    DROP COLUMN IF EXISTS regulatory_authority,
+    DROP COLUMN IF EXISTS license_status,
+    DROP COLUMN IF EXISTS approval_date,
+    DROP COLUMN IF EXISTS expiry_date;
+
+-- Set up Row Level Security (RLS) policies
+ALTER TABLE "Product_Registrations" ENABLE ROW LEVEL SECURITY;
+
+-- Registrations of published products are public (shown on the products page)
+CREATE POLICY "Anyone can read registrations of published products" ON "Product_Registrations"
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM "Products" p WHERE p.id = product_id AND p.is_published = true)
+    );
+
+GRANT SELECT ON "Product_Registrations" TO anon;
@@ -0,0 +1,7 @@
+-- Forgets which expiry alerts were sent, so the next job run may repeat them.
+
+DROP INDEX IF EXISTS idx_product_registrations_status_expiry;
+
+ALTER TABLE "Product_Registrations"
+    DROP COLUMN IF EXISTS last_expiry_alert_days,
+    DROP COLUMN IF EXISTS last_expiry_alert_at;
@@ -0,0 +1,12 @@
+-- Track Licence Expiry Alerts on Product Registrations
+-- The daily licence-expiry job records the smallest threshold (180/90/30 days) it has
+-- already alerted on, so each registration is reported once per threshold.
+
+ALTER TABLE "Product_Registrations"
+    ADD COLUMN IF NOT EXISTS last_expiry_alert_days INTEGER,
+    ADD COLUMN IF NOT EXISTS last_expiry_alert_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_product_registrations_status_expiry ON "Product_Registrations"(status, expiry_date);
+
+COMMENT ON COLUMN "Product_Registrations".last_expiry_alert_days IS 'Smallest expiry threshold (days) already included in a digest; cleared when the expiry date changes';
+COMMENT ON COLUMN "Product_Registrations".last_expiry_alert_at IS 'When the last expiry alert for this registration was sent';
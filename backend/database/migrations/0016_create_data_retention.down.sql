@@ -0,0 +1,30 @@
+-- Drops the erasure certificates and the record of which rows were anonymised.
+-- Anonymised applications and enquiries are not restored.
+
+DROP FUNCTION IF EXISTS anonymise_career_application(INTEGER);
+DROP FUNCTION IF EXISTS anonymise_contact_enquiry(UUID);
+
+DROP TABLE IF EXISTS "Data_Erasure_Log";
+DROP FUNCTION IF EXISTS prevent_erasure_log_changes();
+
+-- History trigger function as created by 0009_create_career_application_history_table.up.sql
+CREATE OR REPLACE FUNCTION prevent_career_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (
+        SELECT 1 FROM "Career_Applications" WHERE id = OLD.application_id
+    ) THEN
+        RETURN OLD;
+    END IF;
+
+    RAISE EXCEPTION 'Career_Application_History is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP INDEX IF EXISTS idx_career_applications_updated_at;
+DROP INDEX IF EXISTS idx_contact_us_updated_at;
+
+ALTER TABLE "Career_Applications"
+    DROP COLUMN IF EXISTS anonymised_at;
+ALTER TABLE "Contact_Us"
+    DROP COLUMN IF EXISTS anonymised_at;
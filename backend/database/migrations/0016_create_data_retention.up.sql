@@ -0,0 +1,138 @@
+-- Data Retention and Erasure
+-- The retention job (jobs/retentionJob.js) anonymises or deletes applications and enquiries
+-- with no activity for the configured period, and POST /api/privacy/admin/erasures erases
+-- everything held about an email address. Both are recorded in "Data_Erasure_Log".
+
+ALTER TABLE "Career_Applications"
+    ADD COLUMN IF NOT EXISTS anonymised_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE "Contact_Us"
+    ADD COLUMN IF NOT EXISTS anonymised_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN "Career_Applications".anonymised_at IS 'When personal data was removed by the retention job; position, experience, qualification, status and dates are kept for reporting';
+COMMENT ON COLUMN "Contact_Us".anonymised_at IS 'When personal data was removed by the retention job';
+
+CREATE INDEX IF NOT EXISTS idx_career_applications_updated_at ON "Career_Applications"(updated_at);
+CREATE INDEX IF NOT EXISTS idx_contact_us_updated_at ON "Contact_Us"(updated_at);
+
+-- Erasure certificates. Rows are never updated or deleted, and hold no personal data:
+-- the data subject is identified by an HMAC of their email address (PRIVACY_HASH_SECRET).
+CREATE TABLE IF NOT EXISTS "Data_Erasure_Log" (
+    id SERIAL PRIMARY KEY,
+    certificate_id UUID NOT NULL UNIQUE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('erasure', 'retention')),
+    subject_hash CHAR(64),
+    requested_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    requested_by_name VARCHAR(100),
+    reason TEXT,
+    request_reference VARCHAR(100),
+    records JSONB NOT NULL DEFAULT '[]'::jsonb,
+    certificate_digest CHAR(64) NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_erasure_log_subject ON "Data_Erasure_Log"(subject_hash);
+CREATE INDEX IF NOT EXISTS idx_data_erasure_log_completed_at ON "Data_Erasure_Log"(completed_at);
+
+COMMENT ON TABLE "Data_Erasure_Log" IS 'Append-only log of data subject erasures and retention runs';
+COMMENT ON COLUMN "Data_Erasure_Log".subject_hash IS 'HMAC-SHA256 of the normalised email address (erasures only)';
+COMMENT ON COLUMN "Data_Erasure_Log".records IS 'Records erased: [{ "table", "reference", "action", "resumeDeleted" }]';
+COMMENT ON COLUMN "Data_Erasure_Log".certificate_digest IS 'SHA-256 of the certificate as issued, to detect later changes';
+
+CREATE OR REPLACE FUNCTION prevent_erasure_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Removing a staff account clears requested_by (ON DELETE SET NULL)
+    IF TG_OP = 'UPDATE' AND NEW.requested_by IS NULL
+       AND (to_jsonb(NEW) - 'requested_by') = (to_jsonb(OLD) - 'requested_by') THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Data_Erasure_Log is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS data_erasure_log_append_only ON "Data_Erasure_Log";
+CREATE TRIGGER data_erasure_log_append_only
+    BEFORE UPDATE OR DELETE ON "Data_Erasure_Log"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_erasure_log_changes();
+
+ALTER TABLE "Data_Erasure_Log" ENABLE ROW LEVEL SECURITY;
+
+-- The status history stays append-only, except that a note may be cleared when the application
+-- is anonymised, and changed_by is cleared when a staff account is removed (ON DELETE SET NULL)
+CREATE OR REPLACE FUNCTION prevent_career_history_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (
+        SELECT 1 FROM "Career_Applications" WHERE id = OLD.application_id
+    ) THEN
+        RETURN OLD;
+    END IF;
+
+    IF TG_OP = 'UPDATE'
+       AND (NEW.note IS NULL OR NEW.note IS NOT DISTINCT FROM OLD.note)
+       AND (NEW.changed_by IS NULL OR NEW.changed_by IS NOT DISTINCT FROM OLD.changed_by)
+       AND (to_jsonb(NEW) - 'note' - 'changed_by') = (to_jsonb(OLD) - 'note' - 'changed_by') THEN
+        RETURN NEW;
+    END IF;
+
+    RAISE EXCEPTION 'Career_Application_History is append-only';
+END;
+$$ language 'plpgsql';
+
+-- Remove the personal data of an application and everything attached to it, in one transaction.
+-- The resume file must already have been deleted from storage by the caller.
+CREATE OR REPLACE FUNCTION anonymise_career_application(p_application_id INTEGER)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE "Career_Applications"
+    SET full_name = 'Erased applicant',
+        email = 'erased-' || id || '@erased.invalid',
+        phone = '0000000000',
+        location = 'Erased',
+        cover_letter = NULL,
+        resume_url = NULL,
+        resume_storage_path = NULL,
+        resume_file_name = NULL,
+        resume_content_type = NULL,
+        resume_text = NULL,
+        admin_notes = NULL,
+        anonymised_at = CURRENT_TIMESTAMP
+    WHERE id = p_application_id;
+
+    UPDATE "Career_Application_History" SET note = NULL
+    WHERE application_id = p_application_id AND note IS NOT NULL;
+
+    UPDATE "Career_Interviews"
+    SET phone_number = NULL, instructions = NULL, cancel_reason = NULL
+    WHERE application_id = p_application_id;
+
+    UPDATE "Career_Interview_Feedback" SET comments = NULL
+    WHERE application_id = p_application_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION anonymise_contact_enquiry(p_contact_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE "Contact_Us"
+    SET "Full_Name" = 'Erased',
+        "Email_id" = 'erased-' || left(id::text, 8) || '@erased.invalid',
+        "Contact" = '0000000000',
+        "Enter_Message" = '[erased]',
+        anonymised_at = CURRENT_TIMESTAMP
+    WHERE id = p_contact_id;
+
+    UPDATE "Contact_Notes" SET note = '[erased]'
+    WHERE contact_id = p_contact_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION anonymise_career_application(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION anonymise_contact_enquiry(UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,5 @@
+-- Drops the consent ledger and every published privacy notice.
+
+DROP TABLE IF EXISTS "Consent_Records";
+DROP TABLE IF EXISTS "Privacy_Notices";
+DROP FUNCTION IF EXISTS prevent_privacy_ledger_changes();
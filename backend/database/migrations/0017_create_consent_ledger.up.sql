@@ -0,0 +1,119 @@
+-- Consent Ledger and Privacy Notices
+-- The careers and contact forms show the current privacy notice (GET /api/privacy/notice) and
+-- send back the version shown; each consent given or withdrawn is appended to "Consent_Records".
+
+-- Published versions of the privacy notice. A new version is a new row; published rows are
+-- never changed, so the text a consent refers to can always be shown again.
+CREATE TABLE IF NOT EXISTS "Privacy_Notices" (
+    id SERIAL PRIMARY KEY,
+    version VARCHAR(20) NOT NULL UNIQUE,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    purposes JSONB NOT NULL,
+    effective_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    published_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    published_by_name VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_notices_effective_at ON "Privacy_Notices"(effective_at);
+
+COMMENT ON TABLE "Privacy_Notices" IS 'Versions of the privacy notice; the current one is the latest with effective_at in the past';
+COMMENT ON COLUMN "Privacy_Notices".purposes IS 'Consent statement shown next to each checkbox: { "recruitment", "enquiry_handling", "marketing" }';
+
+-- One row per consent given or withdrawn; the current state of a purpose is its latest row
+CREATE TABLE IF NOT EXISTS "Consent_Records" (
+    id SERIAL PRIMARY KEY,
+    subject_hash CHAR(64) NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('recruitment', 'enquiry_handling', 'marketing')),
+    action VARCHAR(10) NOT NULL CHECK (action IN ('granted', 'withdrawn')),
+    notice_version VARCHAR(20) REFERENCES "Privacy_Notices"(version),
+    source VARCHAR(30) NOT NULL CHECK (source IN ('careers_form', 'contact_form', 'staff')),
+    application_id INTEGER REFERENCES "Career_Applications"(id) ON DELETE SET NULL,
+    contact_id UUID REFERENCES "Contact_Us"(id) ON DELETE SET NULL,
+    ip_hash CHAR(64),
+    recorded_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    recorded_by_name VARCHAR(100),
+    note TEXT,
+    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT consent_records_granted_version CHECK (action = 'withdrawn' OR notice_version IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_records_subject ON "Consent_Records"(subject_hash, purpose, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_consent_records_application_id ON "Consent_Records"(application_id);
+CREATE INDEX IF NOT EXISTS idx_consent_records_contact_id ON "Consent_Records"(contact_id);
+
+COMMENT ON TABLE "Consent_Records" IS 'Append-only ledger of consents given and withdrawn';
+COMMENT ON COLUMN "Consent_Records".subject_hash IS 'HMAC-SHA256 of the normalised email address (PRIVACY_HASH_SECRET)';
+COMMENT ON COLUMN "Consent_Records".ip_hash IS 'HMAC-SHA256 of the IP address the consent came from';
+COMMENT ON COLUMN "Consent_Records".notice_version IS 'Privacy notice version agreed to (granted) or current at the time (withdrawn)';
+COMMENT ON COLUMN "Consent_Records".source IS 'careers_form, contact_form, or staff recording a request received by email or phone';
+
+-- Both tables are append-only; only the ON DELETE SET NULL references may be cleared
+CREATE OR REPLACE FUNCTION prevent_privacy_ledger_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    nullable_columns TEXT[] := TG_ARGV;
+    new_row JSONB := to_jsonb(NEW);
+    old_row JSONB := to_jsonb(OLD);
+    column_name TEXT;
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        FOREACH column_name IN ARRAY nullable_columns LOOP
+            IF new_row->>column_name IS NOT NULL AND new_row->>column_name IS DISTINCT FROM old_row->>column_name THEN
+                RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+            END IF;
+            new_row := new_row - column_name;
+            old_row := old_row - column_name;
+        END LOOP;
+
+        IF new_row = old_row THEN
+            RETURN NEW;
+        END IF;
+    END IF;
+
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS privacy_notices_append_only ON "Privacy_Notices";
+CREATE TRIGGER privacy_notices_append_only
+    BEFORE UPDATE OR DELETE ON "Privacy_Notices"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_privacy_ledger_changes('published_by');
+
+DROP TRIGGER IF EXISTS consent_records_append_only ON "Consent_Records";
+CREATE TRIGGER consent_records_append_only
+    BEFORE UPDATE OR DELETE ON "Consent_Records"
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_privacy_ledger_changes('application_id', 'contact_id', 'recorded_by');
+
+ALTER TABLE "Privacy_Notices" ENABLE ROW LEVEL SECURITY;
+ALTER TABLE "Consent_Records" ENABLE ROW LEVEL SECURITY;
+
+-- The notice is public
+DROP POLICY IF EXISTS "Anyone can read privacy notices" ON "Privacy_Notices";
+CREATE POLICY "Anyone can read privacy notices" ON "Privacy_Notices"
+    FOR SELECT
+    TO anon, authenticated
+    USING (true);
+
+-- First version, matching the wording the forms used before the ledger
+INSERT INTO "Privacy_Notices" (version, title, body, purposes, effective_at, published_by_name)
+VALUES (
+    '1.0',
+    'Africure Pharma Privacy Notice',
+    E'Africure Pharma collects the details you give us through this website to respond to you and, if you apply for a position, to assess your application.\n\n'
+    || E'Career applications: we use your name, contact details, experience, qualifications, resume and cover letter to assess your suitability for the position, contact you about it and arrange interviews. Only our HR staff and the interview panel see them.\n\n'
+    || E'Contact enquiries: we use your name, contact details and message to answer your enquiry and pass it to the team that can help.\n\n'
+    || E'Marketing: only if you tick the box, we may send you news about our products and events. You can withdraw at any time.\n\n'
+    || E'We keep applications and enquiries for two years after our last contact with you, then remove your personal details. You can ask for a copy of your data, ask us to correct or erase it, or withdraw your consent by writing to info@africurepharma.com.',
+    '{
+        "recruitment": "I consent to the processing of my personal data for recruitment purposes and agree to Africure Pharma''s privacy policy.",
+        "enquiry_handling": "I consent to Africure Pharma using my details to respond to this enquiry, as described in the privacy notice.",
+        "marketing": "I would like to receive news about Africure Pharma products and events. I can withdraw this at any time."
+    }'::jsonb,
+    '2024-01-01T00:00:00Z',
+    'System'
+)
+ON CONFLICT (version) DO NOTHING;
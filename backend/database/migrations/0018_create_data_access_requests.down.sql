@@ -0,0 +1,4 @@
+-- Drops every access request, so links already emailed stop working.
+
+DROP FUNCTION IF EXISTS redeem_data_access_request(CHAR);
+DROP TABLE IF EXISTS "Data_Access_Requests";
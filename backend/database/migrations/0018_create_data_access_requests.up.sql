@@ -0,0 +1,52 @@
+-- Data Subject Access Requests
+-- POST /api/privacy/access-requests emails a one-time link to the address given; opening the
+-- link downloads everything held about that address. Only a hash of the link's token is stored.
+
+CREATE TABLE IF NOT EXISTS "Data_Access_Requests" (
+    id SERIAL PRIMARY KEY,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    email VARCHAR(255),
+    subject_hash CHAR(64) NOT NULL,
+    ip_hash CHAR(64),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    records JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_access_requests_subject ON "Data_Access_Requests"(subject_hash, requested_at);
+CREATE INDEX IF NOT EXISTS idx_data_access_requests_expires_at ON "Data_Access_Requests"(expires_at) WHERE email IS NOT NULL;
+
+COMMENT ON TABLE "Data_Access_Requests" IS 'Requests for a copy of personal data, confirmed through an emailed one-time link';
+COMMENT ON COLUMN "Data_Access_Requests".token_hash IS 'SHA-256 of the token in the emailed link';
+COMMENT ON COLUMN "Data_Access_Requests".email IS 'Address to export; cleared when the link is used or by the retention job once it expires';
+COMMENT ON COLUMN "Data_Access_Requests".records IS 'Number of records of each kind in the export';
+
+ALTER TABLE "Data_Access_Requests" ENABLE ROW LEVEL SECURITY;
+
+-- Use a link: returns the address to export once, and only before the link expires.
+-- Two clicks at the same moment cannot both succeed (the row is locked).
+CREATE OR REPLACE FUNCTION redeem_data_access_request(p_token_hash CHAR(64))
+RETURNS TABLE (request_id INTEGER, email VARCHAR)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH target AS (
+        SELECT r.id, r.email
+        FROM "Data_Access_Requests" r
+        WHERE r.token_hash = p_token_hash
+          AND r.completed_at IS NULL
+          AND r.email IS NOT NULL
+          AND r.expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE
+    )
+    UPDATE "Data_Access_Requests" r
+    SET completed_at = CURRENT_TIMESTAMP, email = NULL
+    FROM target
+    WHERE r.id = target.id
+    RETURNING r.id, target.email;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION redeem_data_access_request(CHAR) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,3 @@
+-- Drops every held submission. Quarantined resumes stay in storage under quarantine/.
+
+DROP TABLE IF EXISTS "Form_Quarantine";
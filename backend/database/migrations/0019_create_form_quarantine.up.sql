@@ -0,0 +1,37 @@
+-- Form Quarantine
+-- Contact form and careers submissions that look automated are held here instead of being
+-- added to "Contact_Us" or "Career_Applications". Staff release genuine ones (which then go
+-- through as if just submitted) or discard them; the retention job deletes held rows after
+-- SPAM_QUARANTINE_DAYS.
+
+CREATE TABLE IF NOT EXISTS "Form_Quarantine" (
+    id SERIAL PRIMARY KEY,
+    form VARCHAR(20) NOT NULL CHECK (form IN ('contact', 'careers')),
+    status VARCHAR(20) NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'discarded')),
+    score INTEGER NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]'::jsonb,
+    payload JSONB,
+    email VARCHAR(255),
+    resume_storage_path TEXT,
+    resume_file_name VARCHAR(255),
+    resume_content_type VARCHAR(100),
+    resume_size INTEGER,
+    ip_hash CHAR(64),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INTEGER REFERENCES "Admin_Users"(id) ON DELETE SET NULL,
+    reviewed_by_name VARCHAR(100),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    released_reference VARCHAR(20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_form_quarantine_form_status ON "Form_Quarantine"(form, status, received_at);
+CREATE INDEX IF NOT EXISTS idx_form_quarantine_email ON "Form_Quarantine"(email);
+
+COMMENT ON TABLE "Form_Quarantine" IS 'Public form submissions held as suspected spam until staff release or discard them';
+COMMENT ON COLUMN "Form_Quarantine".signals IS 'Why the submission was held: [{ "signal", "weight", "detail" }]';
+COMMENT ON COLUMN "Form_Quarantine".payload IS 'Submitted form fields, replayed when the submission is released';
+COMMENT ON COLUMN "Form_Quarantine".resume_storage_path IS 'Held resume in the resume bucket (careers); screened only if released';
+COMMENT ON COLUMN "Form_Quarantine".released_reference IS 'AF- reference or AC- application number created on release';
+
+-- Only accessed through the backend service role
+ALTER TABLE "Form_Quarantine" ENABLE ROW LEVEL SECURITY;
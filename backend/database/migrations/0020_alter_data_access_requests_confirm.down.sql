@@ -0,0 +1,31 @@
+-- Goes back to using a link up as soon as it is opened.
+
+DROP FUNCTION IF EXISTS claim_data_access_request(CHAR, INTEGER);
+
+CREATE OR REPLACE FUNCTION redeem_data_access_request(p_token_hash CHAR(64))
+RETURNS TABLE (request_id INTEGER, email VARCHAR)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH target AS (
+        SELECT r.id, r.email
+        FROM "Data_Access_Requests" r
+        WHERE r.token_hash = p_token_hash
+          AND r.completed_at IS NULL
+          AND r.email IS NOT NULL
+          AND r.expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE
+    )
+    UPDATE "Data_Access_Requests" r
+    SET completed_at = CURRENT_TIMESTAMP, email = NULL
+    FROM target
+    WHERE r.id = target.id
+    RETURNING r.id, target.email;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION redeem_data_access_request(CHAR) FROM PUBLIC, anon, authenticated;
+
+ALTER TABLE "Data_Access_Requests"
+    DROP COLUMN IF EXISTS claimed_until;
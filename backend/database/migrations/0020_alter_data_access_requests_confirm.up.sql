@@ -0,0 +1,34 @@
+-- Confirm Data Access Downloads
+-- Opening the emailed link only shows a confirmation page; the download starts when it is
+-- submitted. A download holds the link while the bundle is sent, and the link is used up
+-- only once the bundle has been delivered, so a link scanner cannot use it and a failed
+-- download can be retried.
+
+ALTER TABLE "Data_Access_Requests"
+    ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN "Data_Access_Requests".claimed_until IS 'A download in progress holds the link until then';
+
+DROP FUNCTION IF EXISTS redeem_data_access_request(CHAR);
+
+-- Hold a link for a download: returns the address to export, only before the link expires
+-- and while no other download holds it. The UPDATE locks the row, so two submissions at the
+-- same moment cannot both succeed.
+CREATE OR REPLACE FUNCTION claim_data_access_request(p_token_hash CHAR(64), p_hold_seconds INTEGER)
+RETURNS TABLE (request_id INTEGER, email VARCHAR)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE "Data_Access_Requests" r
+    SET claimed_until = CURRENT_TIMESTAMP + make_interval(secs => p_hold_seconds)
+    WHERE r.token_hash = p_token_hash
+      AND r.completed_at IS NULL
+      AND r.email IS NOT NULL
+      AND r.expires_at > CURRENT_TIMESTAMP
+      AND (r.claimed_until IS NULL OR r.claimed_until <= CURRENT_TIMESTAMP)
+    RETURNING r.id, r.email;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_data_access_request(CHAR, INTEGER) FROM PUBLIC, anon, authenticated;
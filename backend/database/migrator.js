@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// NNNN_name.up.sql / NNNN_name.down.sql
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// pg_advisory_lock key, so two deploys cannot migrate the same database at once
+const LOCK_KEY = 7340122;
+
+/**
+ * Database Migrator
+ * Applies the SQL migrations in database/migrations in version order and records each one,
+ * with a checksum of its up script, in "Schema_Migrations".
+ * Each migration runs in its own transaction together with its Schema_Migrations row.
+ */
+class Migrator {
+  /**
+   * @param {Object} client - Connected pg Client
+   * @param {Object} options - { directory, log }
+   */
+  constructor(client, { directory = MIGRATIONS_DIR, log = () => {} } = {}) {
+    this.client = client;
+    this.directory = directory;
+    this.log = log;
+    this.table = 'Schema_Migrations';
+  }
+
+  /**
+   * Read the migrations on disk
+   * @param {string} directory - Migrations directory
+   * @returns {Array<Object>} [{ version, name, up, down, checksum }] in version order
+   */
+  static loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(directory)) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) {
+        if (file.endsWith('.sql')) {
+          throw new Error(`Invalid migration file name: ${file} (expected NNNN_name.up.sql or NNNN_name.down.sql)`);
+        }
+        continue;
+      }
+
+      const [, digits, name, direction] = match;
+      const version = Number(digits);
+      const migration = migrations.get(version) || { version, name };
+      if (migration.name !== name) {
+        throw new Error(`Migration ${digits} has two names: ${migration.name} and ${name}`);
+      }
+
+      migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .sort((a, b) => a.version - b.version)
+      .map(migration => {
+        const label = Migrator.label(migration);
+        if (!migration.up) {
+          throw new Error(`Migration ${label} has no up script`);
+        }
+        if (!migration.down) {
+          throw new Error(`Migration ${label} has no down script`);
+        }
+        return { ...migration, checksum: Migrator.checksum(migration.up) };
+      });
+  }
+
+  /**
+   * SHA-256 of a script, ignoring line ending differences between checkouts
+   * @param {string} sql - Script text
+   * @returns {string} Hex digest
+   */
+  static checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+  }
+
+  /**
+   * @returns {string} e.g. 0004_create_contact_us_table
+   */
+  static label({ version, name }) {
+    return `${String(version).padStart(4, '0')}_${name}`;
+  }
+
+  /**
+   * Every migration on disk or in Schema_Migrations, with its state
+   * - applied: recorded and unchanged
+   * - pending: not applied yet
+   * - changed: applied, but the up script has been edited since
+   * - missing: applied, but no longer on disk
+   * @returns {Promise<Array<Object>>} [{ version, name, state, appliedAt, baseline }] in version order
+   */
+  async status() {
+    await this.ensureTable();
+    return this.compare(Migrator.loadMigrations(this.directory), await this.applied());
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - { to }: last version to apply (default all)
+   * @returns {Promise<Array<Object>>} Migrations applied
+   */
+  async up({ to = Infinity } = {}) {
+    return this.withLock(async () => {
+      const migrations = Migrator.loadMigrations(this.directory);
+      const applied = await this.verify(migrations);
+      const appliedVersions = new Set(applied.map(row => row.version));
+      const latest = Math.max(0, ...appliedVersions);
+
+      const pending = migrations.filter(migration => !appliedVersions.has(migration.version) && migration.version <= to);
+      const outOfOrder = pending.find(migration => migration.version < latest);
+      if (outOfOrder) {
+        throw new Error(`Migration ${Migrator.label(outOfOrder)} is older than the latest applied migration (${latest}); renumber it after ${latest}`);
+      }
+
+      for (const migration of pending) {
+        await this.apply(migration, 'up');
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Roll back applied migrations, newest first
+   * @param {Object} options - { to }: roll back every migration after this version, or
+   *   { steps }: number of migrations to roll back (default 1)
+   * @returns {Promise<Array<Object>>} Migrations rolled back
+   */
+  async down({ to = null, steps = 1 } = {}) {
+    return this.withLock(async () => {
+      const migrations = Migrator.loadMigrations(this.directory);
+      const applied = await this.verify(migrations);
+
+      const newestFirst = applied
+        .map(row => migrations.find(migration => migration.version === row.version))
+        .reverse();
+      const targets = to === null
+        ? newestFirst.slice(0, steps)
+        : newestFirst.filter(migration => migration.version > to);
+
+      for (const migration of targets) {
+        await this.apply(migration, 'down');
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Record migrations as applied without running them, for a database whose schema was
+   * created by hand before migrations were introduced
+   * @param {Object} options - { to }: last version already in the database
+   * @returns {Promise<Array<Object>>} Migrations recorded
+   */
+  async baseline({ to }) {
+    return this.withLock(async () => {
+      const migrations = Migrator.loadMigrations(this.directory);
+      const applied = await this.verify(migrations);
+      if (applied.length > 0) {
+        throw new Error('Migrations have already been applied to this database; baseline is only for databases with none');
+      }
+
+      const targets = migrations.filter(migration => migration.version <= to);
+      if (!targets.some(migration => migration.version === to)) {
+        throw new Error(`No migration with version ${to}`);
+      }
+
+      await this.client.query('BEGIN');
+      try {
+        for (const migration of targets) {
+          await this.record(migration, 0, true);
+        }
+        await this.client.query('COMMIT');
+      } catch (error) {
+        await this.client.query('ROLLBACK');
+        throw error;
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Run one migration script and add or remove its Schema_Migrations row in one transaction
+   * @param {Object} migration - Loaded migration
+   * @param {string} direction - 'up' or 'down'
+   */
+  async apply(migration, direction) {
+    const label = Migrator.label(migration);
+    const started = Date.now();
+    this.log(`${direction === 'up' ? 'Applying' : 'Rolling back'} ${label}...`);
+
+    await this.client.query('BEGIN');
+    try {
+      await this.client.query(migration[direction]);
+      if (direction === 'up') {
+        await this.record(migration, Date.now() - started, false);
+      } else {
+        await this.client.query(`DELETE FROM "${this.table}" WHERE version = $1`, [migration.version]);
+      }
+      await this.client.query('COMMIT');
+    } catch (error) {
+      await this.client.query('ROLLBACK');
+      throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+    }
+
+    this.log(`${direction === 'up' ? 'Applied' : 'Rolled back'} ${label} in ${Date.now() - started}ms`);
+  }
+
+  async record(migration, executionMs, baseline) {
+    await this.client.query(
+      `INSERT INTO "${this.table}" (version, name, checksum, execution_ms, baseline) VALUES ($1, $2, $3, $4, $5)`,
+      [migration.version, migration.name, migration.checksum, executionMs, baseline]
+    );
+  }
+
+  /**
+   * Applied migrations, refusing to continue if any was edited or removed after it was applied
+   * @param {Array<Object>} migrations - Loaded migrations
+   * @returns {Promise<Array<Object>>} Schema_Migrations rows in version order
+   */
+  async verify(migrations) {
+    const applied = await this.applied();
+    const problems = this.compare(migrations, applied)
+      .filter(entry => entry.state === 'changed' || entry.state === 'missing')
+      .map(entry => `${Migrator.label(entry)} is ${entry.state === 'changed' ? 'changed since it was applied' : 'applied but missing from disk'}`);
+
+    if (problems.length > 0) {
+      throw new Error(`Applied migrations do not match the files: ${problems.join('; ')}. Add a new migration instead of editing one that has been applied.`);
+    }
+
+    return applied;
+  }
+
+  compare(migrations, applied) {
+    const byVersion = new Map(applied.map(row => [row.version, row]));
+    const versions = [...new Set([...migrations.map(m => m.version), ...byVersion.keys()])].sort((a, b) => a - b);
+
+    return versions.map(version => {
+      const migration = migrations.find(m => m.version === version);
+      const row = byVersion.get(version);
+      let state = 'pending';
+      if (row) {
+        state = !migration ? 'missing' : row.checksum === migration.checksum ? 'applied' : 'changed';
+      }
+
+      return {
+        version,
+        name: migration ? migration.name : row.name,
+        state,
+        appliedAt: row ? row.applied_at : null,
+        baseline: row ? row.baseline : false
+      };
+    });
+  }
+
+  async applied() {
+    const { rows } = await this.client.query(
+      `SELECT version, name, checksum, applied_at, execution_ms, baseline FROM "${this.table}" ORDER BY version`
+    );
+    return rows;
+  }
+
+  async ensureTable() {
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS "${this.table}" (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        execution_ms INTEGER NOT NULL,
+        baseline BOOLEAN NOT NULL DEFAULT false
+      );
+      ALTER TABLE "${this.table}" ENABLE ROW LEVEL SECURITY;
+    `);
+  }
+
+  /**
+   * Hold the migration lock while running a function
+   */
+  async withLock(fn) {
+    await this.client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await this.ensureTable();
+      return await fn();
+    } finally {
+      await this.client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,165 @@
+const config = require('../config');
+const RegistrationService = require('../services/registrationService');
+const MailService = require('../services/mailService');
+
+/**
+ * Pick the alert threshold a registration has reached
+ * @param {number} daysToExpiry - Days until the registration expires
+ * @param {Array<number>} thresholds - Alert thresholds in days, e.g. [180, 90, 30]
+ * @returns {number|null} Smallest threshold the registration is within, or null
+ */
+const getThreshold = (daysToExpiry, thresholds) => {
+  const reached = thresholds.filter(days => daysToExpiry <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+const describeRegistration = (registration) => {
+  const product = registration.product
+    ? `${registration.product.name} (${registration.product.genericName} ${registration.product.strength || ''})`.replace(/\s+\)/, ')')
+    : `Product ${registration.productId}`;
+  return `${product} - ${registration.country}, ${registration.regulatoryAuthority}, visa ${registration.visaNumber}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the digest email for the regulatory affairs mailbox
+ * @param {Object} summary - { runDate, expired, alerts: [{ threshold, registrations }] }
+ * @returns {Object} { subject, text, html }
+ */
+const buildDigest = ({ runDate, expired, alerts }) => {
+  const alertCount = alerts.reduce((total, group) => total + group.registrations.length, 0);
+  const subject = `Licence expiry digest ${runDate}: ${expired.length} expired, ${alertCount} expiring`;
+
+  const sections = [];
+
+  if (expired.length > 0) {
+    sections.push({
+      title: 'Lapsed and now marked as Expired',
+      lines: expired.map(r => `${describeRegistration(r)} - expired ${r.expiryDate}`)
+    });
+  }
+
+  alerts.forEach(({ threshold, registrations }) => {
+    sections.push({
+      title: `Expiring within ${threshold} days`,
+      lines: registrations.map(r => `${describeRegistration(r)} - expires ${r.expiryDate} (${r.daysToExpiry} days)`)
+    });
+  });
+
+  const text = [
+    `Licence expiry digest for ${runDate}`,
+    '',
+    ...sections.flatMap(section => [
+      `${section.title} (${section.lines.length})`,
+      ...section.lines.map(line => `  - ${line}`),
+      ''
+    ]),
+    'Update renewed registrations through PUT /api/registrations/:id so the alerts restart from the new expiry date.'
+  ].join('\n');
+
+  const html = [
+    `<h2>Licence expiry digest for ${escapeHtml(runDate)}</h2>`,
+    ...sections.map(section => [
+      `<h3>${escapeHtml(section.title)} (${section.lines.length})</h3>`,
+      '<ul>',
+      ...section.lines.map(line => `<li>${escapeHtml(line)}</li>`),
+      '</ul>'
+    ].join('\n')),
+    '<p>Update renewed registrations through PUT /api/registrations/:id so the alerts restart from the new expiry date.</p>'
+  ].join('\n');
+
+  return { subject, text, html };
+};
+
+/**
+ * Licence expiry job
+ * 1. Changes active registrations past their expiry date to "expired"
+ * 2. Flags active registrations that have crossed a 180/90/30 day threshold since the last run
+ * 3. Sends one digest to the regulatory affairs mailbox (nothing is sent when there is nothing to report)
+ *
+ * Each registration is reported once per threshold; the threshold reached is stored on the
+ * registration after the digest is sent, so a failed send is retried on the next run.
+ *
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report what would happen without changing data or sending mail
+ * @param {string} options.today - ISO date to run as (defaults to today, UTC)
+ * @returns {Promise<Object>} Run summary
+ */
+const runLicenceExpiryJob = async (options = {}) => {
+  const { dryRun = false, today = RegistrationService.today() } = options;
+  const thresholds = config.jobs.licenceExpiry.alertDays;
+  const maxDays = Math.max(...thresholds);
+
+  let expired;
+  if (dryRun) {
+    // Active registrations with an expiry date before today are the ones that would be changed
+    expired = await RegistrationService.getExpiringRegistrations({ days: -1, includeLapsed: true, today });
+  } else {
+    expired = await RegistrationService.expireLapsedRegistrations(today);
+  }
+
+  const due = await RegistrationService.getRegistrationsDueForAlert(maxDays, today);
+  const byThreshold = new Map();
+
+  due.forEach(registration => {
+    const threshold = getThreshold(registration.daysToExpiry, thresholds);
+    const lastAlert = registration.lastExpiryAlertDays;
+
+    if (threshold !== null && (lastAlert === null || lastAlert > threshold)) {
+      if (!byThreshold.has(threshold)) {
+        byThreshold.set(threshold, []);
+      }
+      byThreshold.get(threshold).push(registration);
+    }
+  });
+
+  const alerts = [...byThreshold.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([threshold, registrations]) => ({ threshold, registrations }));
+
+  const summary = {
+    runDate: today,
+    dryRun,
+    expired,
+    alerts,
+    recipient: config.mail.mailboxes.regulatoryAffairs,
+    digestSent: false
+  };
+
+  if (expired.length === 0 && alerts.length === 0) {
+    return summary;
+  }
+
+  const digest = buildDigest(summary);
+  summary.digest = digest;
+
+  if (dryRun) {
+    return summary;
+  }
+
+  const info = await MailService.send({
+    to: summary.recipient,
+    subject: digest.subject,
+    text: digest.text,
+    html: digest.html
+  });
+  summary.digestSent = true;
+  summary.messageId = info.messageId;
+
+  for (const { threshold, registrations } of alerts) {
+    await RegistrationService.recordExpiryAlert(registrations.map(r => r.id), threshold);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  runLicenceExpiryJob,
+  buildDigest,
+  getThreshold
+};
@@ -0,0 +1,58 @@
+const DataProtectionService = require('../services/dataProtectionService');
+const DataAccessService = require('../services/dataAccessService');
+const SpamProtectionService = require('../services/spamProtectionService');
+const ResumeScreeningService = require('../services/resumeScreeningService');
+
+/**
+ * One line per dataset, e.g. "applications: 12 anonymised, 0 failed (not updated since 2024-10-19)"
+ * @param {Object} summary - Result of runRetentionJob()
+ * @returns {Array<string>} Lines
+ */
+const describeRun = (summary) => [
+  ...Object.entries(summary.datasets).map(([dataset, result]) => {
+    const done = summary.dryRun
+      ? `${result.matched} would be ${summary.action === 'delete' ? 'deleted' : 'anonymised'}`
+      : `${result.removed} ${summary.action === 'delete' ? 'deleted' : 'anonymised'}, ${result.failed} failed`;
+    return `${dataset}: ${done} (not updated since ${result.cutoff.slice(0, 10)})`;
+  }),
+  ...(summary.accessRequestsCleared !== undefined
+    ? [`access requests: ${summary.accessRequestsCleared} expired links cleared`]
+    : []),
+  ...(summary.quarantinePurged !== undefined
+    ? [`quarantine: ${summary.quarantinePurged} submissions deleted`]
+    : []),
+  ...(summary.rejectedResumesPurged !== undefined
+    ? [`rejected resumes: ${summary.rejectedResumesPurged} deleted`]
+    : [])
+];
+
+/**
+ * Data retention job
+ * Anonymises (or deletes, see config.retention.action) career applications and contact
+ * enquiries older than their retention period, deleting stored resume files first.
+ * Records that fail are left as they are and retried on the next run. Also clears the
+ * address from data access requests whose link expired unused, deletes quarantined form
+ * submissions older than config.spamProtection.quarantineDays and rejected resumes older
+ * than config.uploads.quarantineDays.
+ *
+ * @param {Object} options - Run options
+ * @param {boolean} options.dryRun - Report what would be removed without changing anything
+ * @param {Date} options.now - Time to run as (defaults to now)
+ * @returns {Promise<Object>} Run summary (see DataProtectionService.runRetention)
+ */
+const runRetentionJob = async (options = {}) => {
+  const summary = await DataProtectionService.runRetention(options);
+
+  if (!options.dryRun) {
+    summary.accessRequestsCleared = await DataAccessService.purgeExpiredRequests(options.now);
+    summary.quarantinePurged = await SpamProtectionService.purgeQuarantine(options.now);
+    summary.rejectedResumesPurged = await ResumeScreeningService.purgeQuarantine(options.now);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  runRetentionJob,
+  describeRun
+};
@@ -0,0 +1,82 @@
+const cron = require('node-cron');
+const config = require('../config');
+const { checkConfig } = require('../config/bootstrap');
+const { runLicenceExpiryJob } = require('./licenceExpiryJob');
+const { runRetentionJob, describeRun } = require('./retentionJob');
+
+const tasks = [];
+
+/**
+ * Run a job, skipping the tick if the previous run is still in progress
+ * @param {string} name - Job name for logging
+ * @param {Function} job - Async job function
+ * @returns {Function} Cron tick handler
+ */
+const guarded = (name, job) => {
+  let running = false;
+
+  return async () => {
+    if (running) {
+      console.warn(`⏭️  ${name} is still running, skipping this run`);
+      return;
+    }
+
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`❌ ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+};
+
+/**
+ * Schedule background jobs that are enabled in config.jobs
+ * @throws {Error} When the configuration in use is invalid
+ */
+const startScheduler = () => {
+  checkConfig();
+
+  const { timezone, licenceExpiry, dataRetention } = config.jobs;
+
+  if (licenceExpiry.enabled) {
+    if (!cron.validate(licenceExpiry.schedule)) {
+      throw new Error(`Invalid LICENCE_EXPIRY_JOB_CRON expression: ${licenceExpiry.schedule}`);
+    }
+
+    tasks.push(cron.schedule(licenceExpiry.schedule, guarded('Licence expiry job', async () => {
+      const summary = await runLicenceExpiryJob();
+      const alertCount = summary.alerts.reduce((total, group) => total + group.registrations.length, 0);
+      console.log(`📅 Licence expiry job: ${summary.expired.length} expired, ${alertCount} alerts, digest ${summary.digestSent ? 'sent' : 'not needed'}`);
+    }), { timezone }));
+
+    console.log(`⏰ Licence expiry job scheduled (${licenceExpiry.schedule}, ${timezone})`);
+  }
+
+  if (dataRetention.enabled) {
+    if (!cron.validate(dataRetention.schedule)) {
+      throw new Error(`Invalid RETENTION_JOB_CRON expression: ${dataRetention.schedule}`);
+    }
+
+    tasks.push(cron.schedule(dataRetention.schedule, guarded('Data retention job', async () => {
+      const summary = await runRetentionJob();
+      console.log(`🧹 Data retention job: ${describeRun(summary).join('; ')}`);
+    }), { timezone }));
+
+    console.log(`⏰ Data retention job scheduled (${dataRetention.schedule}, ${timezone})`);
+  }
+};
+
+/**
+ * Stop all scheduled jobs
+ */
+const stopScheduler = () => {
+  tasks.splice(0).forEach(task => task.stop());
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
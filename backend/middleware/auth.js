@@ -0,0 +1,74 @@
+const AuthService = require('../services/authService');
+
+/**
+ * Authentication Middleware
+ * Protects admin routes with a Bearer token and role checks
+ */
+
+const { ROLES } = AuthService;
+
+// Role groups used by the admin routes
+const ALL_STAFF = [ROLES.ADMIN, ROLES.HR, ROLES.VIEWER];
+const HR_STAFF = [ROLES.ADMIN, ROLES.HR];
+
+/**
+ * Require a valid access token and attach the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const payload = AuthService.verifyToken(token);
+    const user = await AuthService.getActiveUser(payload);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is no longer active',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    // JsonWebTokenError / TokenExpiredError are mapped to 401 by errorHandler
+    next(error);
+  }
+};
+
+/**
+ * Restrict a route to the given roles (use after authenticate)
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => {
+  const allowed = roles.flat();
+
+  return (req, res, next) => {
+    if (!req.user || !allowed.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  ROLES,
+  ALL_STAFF,
+  HR_STAFF
+};
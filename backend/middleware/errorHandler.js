@@ -1,3 +1,5 @@
+const config = require('../config');
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
@@ -70,6 +72,10 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  if (err.code === 'INVALID_FILE_TYPE') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   // Default to 500 server error
   const statusCode = error.statusCode || 500;
   const message = error.message || 'Internal Server Error';
@@ -77,7 +83,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message: message,
-    ...(process.env.NODE_ENV === 'development' && { 
+    ...(config.server.environment === 'development' && { 
       stack: err.stack,
       error: err 
     })
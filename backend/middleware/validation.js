@@ -1,4 +1,24 @@
 const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { isValidTimeZone } = require('../utils/timezone');
+const ConsentService = require('../services/consentService');
+const clock = require('../utils/clock');
+const { canonicalEmail } = require('../utils/email');
+const { scoped } = require('../utils/scope');
+const config = require('../config');
+
+// Privacy notice version shown with a public form; must be the one in force
+const validatePrivacyNoticeVersion = [
+  body('privacyNoticeVersion')
+    .trim()
+    .notEmpty()
+    .withMessage('privacyNoticeVersion is required')
+    .bail()
+    .custom(async (version) => {
+      await ConsentService.assertCurrentNotice(version);
+      return true;
+    })
+];
 
 // Contact form validation rules
 const validateContactForm = [
@@ -17,7 +37,7 @@ const validateContactForm = [
     .withMessage('Email is required')
     .isEmail()
     .withMessage('Please provide a valid email address')
-    .normalizeEmail()
+    .customSanitizer(canonicalEmail)
     .isLength({ max: 255 })
     .withMessage('Email must not exceed 255 characters'),
 
@@ -35,8 +55,36 @@ const validateContactForm = [
     .notEmpty()
     .withMessage('Message is required')
     .isLength({ min: 10, max: 2000 })
-    .withMessage('Message must be between 10 and 2000 characters')
-    .escape() // Sanitize HTML entities
+    // Stored as typed; emails and exports escape it for their own format
+    .withMessage('Message must be between 10 and 2000 characters'),
+
+  body('consent')
+    .custom(value => value === true || value === 'true' || value === 'on')
+    .withMessage('You must agree to the privacy notice'),
+
+  body('marketingConsent')
+    .optional()
+    .isBoolean()
+    .withMessage('marketingConsent must be true or false')
+    .toBoolean(),
+
+  ...validatePrivacyNoticeVersion
+];
+
+// Staff login validation rules
+const validateLogin = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ max: 128 })
+    .withMessage('Password must not exceed 128 characters')
 ];
 
 // Pagination validation
@@ -54,14 +102,643 @@ const validatePagination = [
     .toInt()
 ];
 
-// ID parameter validation
-const validateId = [
+// Contact inbox list filters
+const validateContactFilters = [
+  query('sortBy')
+    .optional()
+    .isIn(['created_at', 'updated_at', 'Full_Name', 'Email_id', 'status'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+
+  query('status')
+    .optional()
+    .isIn(['new', 'assigned', 'replied', 'closed'])
+    .withMessage('Status must be one of: new, assigned, replied, closed'),
+
+  query('assignedTo')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('assignedTo must be a staff user ID')
+    .toInt(),
+
+  query('unassigned')
+    .optional()
+    .isBoolean()
+    .withMessage('unassigned must be true or false')
+    .toBoolean(),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term must not exceed 100 characters'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format (YYYY-MM-DD)')
+];
+
+// Contact inbox status update
+const validateContactStatus = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(['new', 'assigned', 'replied', 'closed'])
+    .withMessage('Status must be one of: new, assigned, replied, closed')
+];
+
+// Contact inbox assignment
+const validateContactAssignment = [
+  body('assigneeId')
+    .notEmpty()
+    .withMessage('assigneeId is required')
+    .isInt({ min: 1 })
+    .withMessage('assigneeId must be a staff user ID')
+    .toInt()
+];
+
+// Internal note on an enquiry
+const validateNote = [
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('Note is required')
+    .isLength({ max: 2000 })
+    .withMessage('Note must not exceed 2000 characters')
+];
+
+// Product catalogue query parameters
+const PRODUCT_CATEGORY_VALUES = [
+  'antibiotics', 'analgesics', 'cardiovascular', 'respiratory', 'gastrointestinal',
+  'antimalarial', 'antifungal', 'corticosteroids', 'vitamins', 'other'
+];
+
+const validateProductQuery = [
+  query('category')
+    .optional()
+    .isIn(PRODUCT_CATEGORY_VALUES)
+    .withMessage('Invalid product category'),
+
+  query(['search', 'q'])
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term must not exceed 100 characters'),
+
+  query('sortBy')
+    .optional()
+    .isIn(['sort_order', 'brand_name', 'generic_name'])
+    .withMessage('Invalid sort field')
+];
+
+const validateProductCategory = [
+  param('category')
+    .isIn(PRODUCT_CATEGORY_VALUES)
+    .withMessage('Invalid product category')
+];
+
+const validateProductSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search term must be between 2 and 100 characters')
+];
+
+// Product create/update (admin); fields are optional on update
+const validateProduct = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Brand name is required')
+      .isLength({ max: 150 }).withMessage('Brand name must not exceed 150 characters'),
+    field('genericName').trim().notEmpty().withMessage('Generic name is required')
+      .isLength({ max: 150 }).withMessage('Generic name must not exceed 150 characters'),
+    field('category').isIn(PRODUCT_CATEGORY_VALUES).withMessage('Invalid product category'),
+    field('strength').trim().notEmpty().withMessage('Strength is required')
+      .isLength({ max: 100 }).withMessage('Strength must not exceed 100 characters'),
+    field('dosageForm').trim().notEmpty().withMessage('Dosage form is required')
+      .isLength({ max: 50 }).withMessage('Dosage form must not exceed 50 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must not exceed 1000 characters'),
+    body('packSize').optional().trim().isLength({ max: 50 }).withMessage('Pack size must not exceed 50 characters'),
+    body('route').optional().trim().isLength({ max: 50 }).withMessage('Route must not exceed 50 characters'),
+    body('isPublished').optional().isBoolean().withMessage('isPublished must be true or false').toBoolean(),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('sortOrder must be a non-negative integer').toInt()
+  ];
+};
+
+// Product registration (country licence) create/update (admin); fields are optional on update
+const REGISTRATION_STATUS_VALUES = ['pending', 'active', 'expired', 'suspended', 'withdrawn'];
+
+const validateRegistration = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    ...(isUpdate ? [] : [
+      body('productId').isInt({ min: 1 }).withMessage('productId must be a positive integer').toInt()
+    ]),
+    field('countryCode').trim().toUpperCase().matches(/^[A-Z]{2}$/)
+      .withMessage('countryCode must be an ISO 3166-1 alpha-2 code (e.g. CI, ET, LR, BF)'),
+    field('regulatoryAuthority').trim().notEmpty().withMessage('Regulatory authority is required')
+      .isLength({ max: 150 }).withMessage('Regulatory authority must not exceed 150 characters'),
+    field('visaNumber').trim().notEmpty().withMessage('Visa number is required')
+      .isLength({ max: 50 }).withMessage('Visa number must not exceed 50 characters'),
+    body('status').optional().isIn(REGISTRATION_STATUS_VALUES)
+      .withMessage(`Status must be one of: ${REGISTRATION_STATUS_VALUES.join(', ')}`),
+    body(['approvalDate', 'expiryDate']).optional({ values: 'null' }).isISO8601({ strict: true })
+      .withMessage('Dates must be in ISO 8601 format (YYYY-MM-DD)'),
+    body('expiryDate').optional({ values: 'null' }).custom((expiryDate, { req }) => {
+      if (req.body.approvalDate && expiryDate <= req.body.approvalDate) {
+        throw new Error('Expiry date must be after the approval date');
+      }
+      return true;
+    }),
+    body('notes').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('Notes must not exceed 1000 characters')
+  ];
+};
+
+// Registration list / expiry report filters
+const validateRegistrationQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('days must be between 1 and 3650')
+    .toInt(),
+
+  query('includeLapsed')
+    .optional()
+    .isBoolean()
+    .withMessage('includeLapsed must be true or false')
+    .toBoolean(),
+
+  query('countryCode')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{2}$/)
+    .withMessage('countryCode must be an ISO 3166-1 alpha-2 code'),
+
+  query('productId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('productId must be a positive integer')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(REGISTRATION_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${REGISTRATION_STATUS_VALUES.join(', ')}`)
+];
+
+// Job opening create/update (admin); fields are optional on update and the slug cannot change
+const EMPLOYMENT_TYPE_VALUES = ['full-time', 'part-time', 'contract', 'internship', 'temporary'];
+
+const validateJobOpening = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    ...(isUpdate ? [
+      body('slug').not().exists().withMessage('The slug of an opening cannot be changed')
+    ] : [
+      body('slug').trim().toLowerCase().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+        .withMessage('Slug may only contain lowercase letters, numbers and single hyphens (e.g. manager-regulatory)')
+        .isLength({ max: 50 }).withMessage('Slug must not exceed 50 characters')
+    ]),
+    field('title').trim().notEmpty().withMessage('Title is required')
+      .isLength({ max: 150 }).withMessage('Title must not exceed 150 characters'),
+    field('department').trim().notEmpty().withMessage('Department is required')
+      .isLength({ max: 100 }).withMessage('Department must not exceed 100 characters'),
+    body('location').optional({ values: 'null' }).trim().isLength({ max: 150 }).withMessage('Location must not exceed 150 characters'),
+    body('description').optional({ values: 'null' }).trim().isLength({ max: 5000 }).withMessage('Description must not exceed 5000 characters'),
+    body('requirements').optional({ values: 'null' }).trim().isLength({ max: 5000 }).withMessage('Requirements must not exceed 5000 characters'),
+    body('employmentType').optional().isIn(EMPLOYMENT_TYPE_VALUES)
+      .withMessage(`Employment type must be one of: ${EMPLOYMENT_TYPE_VALUES.join(', ')}`),
+    body(['opensAt', 'closesAt']).optional({ values: 'null' }).isISO8601({ strict: true })
+      .withMessage('Dates must be in ISO 8601 format (YYYY-MM-DD)'),
+    body('closesAt').optional({ values: 'null' }).custom((closesAt, { req }) => {
+      if (req.body.opensAt && closesAt < req.body.opensAt) {
+        throw new Error('Closing date must not be before the opening date');
+      }
+      return true;
+    }),
+    body('isPublished').optional().isBoolean().withMessage('isPublished must be true or false').toBoolean(),
+    body('sortOrder').optional().isInt({ min: 0 }).withMessage('sortOrder must be a non-negative integer').toInt()
+  ];
+};
+
+// Job opening list filters (admin)
+const JOB_OPENING_STATE_VALUES = ['open', 'scheduled', 'closed', 'unpublished'];
+
+const validateJobOpeningQuery = [
+  query('state')
+    .optional()
+    .isIn(JOB_OPENING_STATE_VALUES)
+    .withMessage(`state must be one of: ${JOB_OPENING_STATE_VALUES.join(', ')}`),
+
+  query('department')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('department must not exceed 100 characters')
+];
+
+// Career applicant search (GET /api/careers/admin/applications/search)
+const EXPERIENCE_VALUES = ['0-1', '2-3', '4-5', '6-7', '8-10', '10+'];
+const QUALIFICATION_VALUES = ['bpharm', 'mpharm', 'mba', 'bsc', 'msc', 'bcom', 'mcom', 'ca', 'engineering', 'other'];
+
+const validateApplicationSearch = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search terms (q) are required')
+    .isLength({ max: 200 })
+    .withMessage('Search terms must not exceed 200 characters'),
+
+  query('position')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('position must not exceed 50 characters'),
+
+  query('experience')
+    .optional()
+    .isIn(EXPERIENCE_VALUES)
+    .withMessage(`experience must be one of: ${EXPERIENCE_VALUES.join(', ')}`),
+
+  query('qualification')
+    .optional()
+    .isIn(QUALIFICATION_VALUES)
+    .withMessage(`qualification must be one of: ${QUALIFICATION_VALUES.join(', ')}`),
+
+  ...validatePagination
+];
+
+// Career application analytics
+const ANALYTICS_INTERVAL_VALUES = ['day', 'week', 'month'];
+
+const validateApplicationAnalytics = [
+  query(['from', 'to'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Dates must be in YYYY-MM-DD format')
+    .isISO8601({ strict: true })
+    .withMessage('Dates must be valid calendar dates'),
+
+  query('interval')
+    .optional()
+    .isIn(ANALYTICS_INTERVAL_VALUES)
+    .withMessage(`interval must be one of: ${ANALYTICS_INTERVAL_VALUES.join(', ')}`),
+
+  query('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be an IANA time zone name (e.g. Asia/Kolkata, Africa/Nairobi)'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv')
+];
+
+// Career application status change
+const APPLICATION_STATUS_VALUES = ['pending', 'reviewing', 'shortlisted', 'interviewed', 'hired', 'rejected'];
+
+const validateApplicationStatus = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(APPLICATION_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUS_VALUES.join(', ')}`),
+
+  body('notes')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Notes must be text')
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes must not exceed 2000 characters')
+];
+
+const INTERVIEW_MODE_VALUES = ['onsite', 'video', 'phone'];
+const INTERVIEW_RESULT_VALUES = ['completed', 'no_show'];
+const INTERVIEW_OUTCOME_VALUES = ['advance', 'hold', 'reject'];
+const RECOMMENDATION_VALUES = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+const validateInterviewId = [
+  param('interviewId')
+    .isInt({ min: 1 })
+    .withMessage('Interview ID must be a positive integer')
+    .toInt()
+];
+
+const validateInterview = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('startsAt').isISO8601({ strict: true, strictSeparator: true })
+      .withMessage('startsAt must be an ISO 8601 date-time (e.g. 2025-03-03T09:00:00+03:00)')
+      .custom(value => {
+        if (new Date(value) <= clock.now()) {
+          throw new Error('startsAt must be in the future');
+        }
+        return true;
+      }),
+    body('durationMinutes').optional().isInt({ min: 15, max: 480 })
+      .withMessage('durationMinutes must be between 15 and 480').toInt(),
+    field('mode').isIn(INTERVIEW_MODE_VALUES)
+      .withMessage(`Mode must be one of: ${INTERVIEW_MODE_VALUES.join(', ')}`)
+      // On update the service checks the details against the merged interview instead
+      .custom((mode, { req }) => {
+        if (!isUpdate && mode === 'onsite' && !req.body.location) {
+          throw new Error('An on-site interview needs a location');
+        }
+        if (!isUpdate && mode === 'video' && !req.body.meetingUrl) {
+          throw new Error('A video interview needs a meetingUrl');
+        }
+        return true;
+      }),
+    body('location').optional({ values: 'null' }).trim()
+      .isLength({ max: 150 }).withMessage('Location must not exceed 150 characters'),
+    body('meetingUrl').optional({ values: 'null' }).trim()
+      .isURL({ protocols: ['https'], require_protocol: true }).withMessage('meetingUrl must be an https URL'),
+    body('phoneNumber').optional({ values: 'null' }).trim()
+      .matches(/^\+?[0-9\s\-()]{7,20}$/).withMessage('Please provide a valid phone number'),
+    field('panel').isArray({ min: 1, max: 10 }).withMessage('panel must list between 1 and 10 members'),
+    body('panel.*.name').trim().notEmpty().withMessage('Each panel member needs a name')
+      .isLength({ max: 100 }).withMessage('Panel member names must not exceed 100 characters'),
+    body('panel.*.email').trim().isEmail().withMessage('Each panel member needs a valid email address')
+      .normalizeEmail({ gmail_remove_dots: false }),
+    body('instructions').optional({ values: 'null' }).trim()
+      .isLength({ max: 2000 }).withMessage('Instructions must not exceed 2000 characters')
+  ];
+};
+
+const validateInterviewCancellation = [
+  body('reason').optional({ values: 'null' }).isString().withMessage('Reason must be text').trim()
+    .isLength({ max: 500 }).withMessage('Reason must not exceed 500 characters')
+];
+
+const validateInterviewOutcome = [
+  body('status').isIn(INTERVIEW_RESULT_VALUES)
+    .withMessage(`Status must be one of: ${INTERVIEW_RESULT_VALUES.join(', ')}`),
+  body('outcome').optional({ values: 'null' }).isIn(INTERVIEW_OUTCOME_VALUES)
+    .withMessage(`Outcome must be one of: ${INTERVIEW_OUTCOME_VALUES.join(', ')}`)
+];
+
+const validateInterviewFeedback = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5').toInt(),
+  body('recommendation').isIn(RECOMMENDATION_VALUES)
+    .withMessage(`Recommendation must be one of: ${RECOMMENDATION_VALUES.join(', ')}`),
+  body('comments').optional({ values: 'null' }).isString().withMessage('Comments must be text').trim()
+    .isLength({ max: 2000 }).withMessage('Comments must not exceed 2000 characters')
+];
+
+const validateInvitationQuery = [
+  query('for').optional().isIn(['candidate', 'panel']).withMessage('for must be candidate or panel')
+];
+
+// CSV/XLSX export options (filters are validated with the matching list rules)
+const validateExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx'])
+    .withMessage('format must be csv or xlsx'),
+
+  query('columns')
+    .optional()
+    .matches(/^[a-z_]+(\s*,\s*[a-z_]+)*$/)
+    .withMessage('columns must be a comma-separated list of column names'),
+
+  query('redact')
+    .optional()
+    .isBoolean()
+    .withMessage('redact must be true or false')
+    .toBoolean()
+];
+
+const validateApplicationFilters = [
+  query('status')
+    .optional()
+    .isIn(APPLICATION_STATUS_VALUES)
+    .withMessage(`Status must be one of: ${APPLICATION_STATUS_VALUES.join(', ')}`),
+
+  query('position')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('position must not exceed 50 characters')
+];
+
+// Application list sorting
+const validateApplicationSort = [
+  query('sortBy')
+    .optional()
+    .isIn(['application_date', 'last_submitted_at', 'updated_at', 'full_name', 'position', 'application_status'])
+    .withMessage('Invalid sort field'),
+
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+// New version of the privacy notice
+const validatePrivacyNotice = [
+  body('version')
+    .trim()
+    .matches(ConsentService.NOTICE_VERSION_PATTERN)
+    .withMessage('version must be up to 20 letters, digits, dots and hyphens, e.g. 2.1'),
+
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('title is required')
+    .isLength({ max: 200 })
+    .withMessage('title must not exceed 200 characters'),
+
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('body is required')
+    .isLength({ max: 50000 })
+    .withMessage('body must not exceed 50000 characters'),
+
+  body('purposes')
+    .isObject()
+    .withMessage(`purposes must give the consent statement for each of: ${ConsentService.CONSENT_PURPOSES.join(', ')}`),
+
+  ...ConsentService.CONSENT_PURPOSES.map(purpose => body(`purposes.${purpose}`)
+    .isString()
+    .withMessage(`purposes.${purpose} is required`)
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage(`purposes.${purpose} must be between 1 and 1000 characters`)),
+
+  body('effectiveAt')
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('effectiveAt must be an ISO 8601 date-time')
+];
+
+const validateNoticeVersion = [
+  param('version')
+    .matches(ConsentService.NOTICE_VERSION_PATTERN)
+    .withMessage('Invalid privacy notice version')
+];
+
+// Consent ledger lookups and withdrawals
+const validateConsentQuery = [
+  query('email')
+    .trim()
+    .notEmpty()
+    .withMessage('email is required')
+    .isEmail()
+    .withMessage('email must be a valid email address')
+    .customSanitizer(canonicalEmail)
+];
+
+const validateConsentWithdrawal = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('email is required')
+    .isEmail()
+    .withMessage('email must be a valid email address')
+    .customSanitizer(canonicalEmail),
+
+  body('purpose')
+    .isIn(ConsentService.CONSENT_PURPOSES)
+    .withMessage(`purpose must be one of: ${ConsentService.CONSENT_PURPOSES.join(', ')}`),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note must not exceed 1000 characters')
+];
+
+// Erasure of a data subject's personal data
+const validateErasureRequest = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('email is required')
+    .isEmail()
+    .withMessage('email must be a valid email address')
+    .customSanitizer(canonicalEmail),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('reason must not exceed 1000 characters'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('reference must not exceed 100 characters')
+];
+
+// Erasure log filters
+const validateErasureLogQuery = [
+  query('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('email must be a valid email address')
+    .customSanitizer(canonicalEmail),
+
+  query('kind')
+    .optional()
+    .isIn(['erasure', 'retention'])
+    .withMessage('kind must be erasure or retention')
+];
+
+const validateCertificateId = [
+  param('certificateId')
+    .isUUID()
+    .withMessage('Invalid certificate ID format')
+];
+
+const validateRetentionRun = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean()
+];
+
+// Quarantined form submissions
+const validateQuarantineQuery = [
+  query('status')
+    .optional()
+    .isIn(['held', 'released', 'discarded'])
+    .withMessage('status must be held, released or discarded')
+];
+
+const validateQuarantineId = [
+  param('quarantineId')
+    .isInt({ min: 1 })
+    .withMessage('Quarantine ID must be a positive integer')
+    .toInt()
+];
+
+// Request for a copy of one's own personal data
+const validateAccessRequest = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('email is required')
+    .isEmail()
+    .withMessage('email must be a valid email address')
+    .isLength({ max: 255 })
+    .withMessage('email must not exceed 255 characters')
+    .customSanitizer(canonicalEmail)
+];
+
+const ACCESS_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const ACCESS_TOKEN_MESSAGE = 'The download link is incomplete. Please open the link from the email again.';
+
+// One-time download link from the access request email
+const validateAccessDownloadLink = [
+  query('token')
+    .matches(ACCESS_TOKEN_PATTERN)
+    .withMessage(ACCESS_TOKEN_MESSAGE)
+];
+
+// Confirmation submitted from the download page
+const validateAccessDownload = [
+  body('token')
+    .matches(ACCESS_TOKEN_PATTERN)
+    .withMessage(ACCESS_TOKEN_MESSAGE),
+
+  body('format')
+    .optional()
+    .isIn(['zip', 'json'])
+    .withMessage('format must be zip or json')
+];
+
+// Numeric ID parameter validation (SERIAL primary keys)
+const validateNumericId = [
   param('id')
     .isInt({ min: 1 })
     .withMessage('ID must be a positive integer')
     .toInt()
 ];
 
+// ID parameter validation (Contact_Us uses UUID primary keys)
+const validateId = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid ID format')
+];
+
 // Sanitization middleware
 const sanitizeInput = (req, res, next) => {
   // Remove any potential XSS attempts
@@ -80,27 +757,188 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
-// Rate limiting for contact form (more restrictive)
-const contactRateLimit = require('express-rate-limit')({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 3, // limit each IP to 3 contact form submissions per windowMs
-  message: {
-    success: false,
-    message: 'Too many contact form submissions from this IP, please try again after 15 minutes.',
-    retryAfter: 900 // 15 minutes in seconds
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  skip: (req, res) => {
-    // Skip rate limiting in development
-    return process.env.NODE_ENV === 'development';
+// Per-IP rate limits. Each app counts on its own (see utils/scope.js): createApp() creates
+// them with createRateLimits(), and anything outside an app on first use.
+const rateLimits = scoped(() => ({
+  // Rate limiting for contact form (more restrictive)
+  contact: rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 3, // limit each IP to 3 contact form submissions per windowMs
+    message: {
+      success: false,
+      message: 'Too many contact form submissions from this IP, please try again after 15 minutes.',
+      retryAfter: 900 // 15 minutes in seconds
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req, res) => {
+      // Skip rate limiting in development
+      return config.server.environment === 'development';
+    }
+  }),
+
+  // Rate limiting for career applications
+  careerApplication: rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 3, // Limit each IP to 3 applications per hour
+    message: {
+      success: false,
+      error: 'Too many career applications from this IP. Please try again later.',
+      retryAfter: 60 * 60 // 1 hour in seconds
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res.status(429).json({
+        success: false,
+        message: 'Too many career applications from this IP. Please try again later.',
+        retryAfter: 60 * 60, // 1 hour in seconds
+        timestamp: new Date().toISOString()
+      });
+    }
+  }),
+
+  // Rate limiting for application status lookups (limits guessing of application numbers)
+  statusLookup: rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // Limit each IP to 10 lookups per 15 minutes
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+      res.status(429).json({
+        success: false,
+        message: 'Too many status checks from this IP. Please try again later.',
+        retryAfter: 15 * 60, // 15 minutes in seconds
+        timestamp: new Date().toISOString()
+      });
+    }
+  }),
+
+  // Rate limiting for staff login (brute-force protection, applies in every environment)
+  login: rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 login attempts per windowMs
+    message: {
+      success: false,
+      message: 'Too many login attempts from this IP, please try again after 15 minutes.',
+      retryAfter: 900 // 15 minutes in seconds
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  }),
+
+  // Rate limiting for personal data access requests (each one sends an email)
+  accessRequest: rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 access requests per windowMs
+    message: {
+      success: false,
+      message: 'Too many data access requests from this IP, please try again after an hour.',
+      retryAfter: 3600 // 1 hour in seconds
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  })
+}));
+
+/**
+ * Create the rate limits of the app being built, so they exist before its first request
+ */
+const createRateLimits = () => {
+  rateLimits.get();
+};
+
+/**
+ * Middleware applying one of the rate limits of the app handling the request
+ * @param {string} name - e.g. 'contact'
+ * @returns {Function} Express middleware, with resetKey(key) to clear the count of one IP
+ */
+const appRateLimit = (name) => {
+  const middleware = (req, res, next) => rateLimits.get()[name](req, res, next);
+  middleware.resetKey = (key) => rateLimits.get()[name].resetKey(key);
+  return middleware;
+};
+
+const contactRateLimit = appRateLimit('contact');
+const careerApplicationRateLimit = appRateLimit('careerApplication');
+const statusLookupRateLimit = appRateLimit('statusLookup');
+const loginRateLimit = appRateLimit('login');
+const accessRequestRateLimit = appRateLimit('accessRequest');
+
+/**
+ * Validation error handler
+ * Place after the validation rules of a route to reply 400 with the collected errors.
+ */
+const handleValidationErrors = (req, res, next) => {
+  const { validationResult } = require('express-validator');
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path || error.param,
+        message: error.msg,
+        value: error.value
+      })),
+      timestamp: new Date().toISOString()
+    });
   }
-});
+
+  next();
+};
 
 module.exports = {
   validateContactForm,
+  validateLogin,
   validatePagination,
+  validateContactFilters,
+  validateContactStatus,
+  validateContactAssignment,
+  validateNote,
+  validateProductQuery,
+  validateProductCategory,
+  validateProductSearch,
+  validateProduct,
+  validateRegistration,
+  validateRegistrationQuery,
+  validateJobOpening,
+  validateJobOpeningQuery,
+  validateApplicationSearch,
+  validateApplicationAnalytics,
+  validateApplicationStatus,
+  validateApplicationFilters,
+  validateApplicationSort,
+  validateExport,
+  validateInterview,
+  validateInterviewId,
+  validateInterviewCancellation,
+  validateInterviewOutcome,
+  validateInterviewFeedback,
+  validateInvitationQuery,
+  validatePrivacyNoticeVersion,
+  validatePrivacyNotice,
+  validateNoticeVersion,
+  validateConsentQuery,
+  validateConsentWithdrawal,
+  validateErasureRequest,
+  validateErasureLogQuery,
+  validateCertificateId,
+  validateRetentionRun,
+  validateAccessRequest,
+  validateAccessDownloadLink,
+  validateAccessDownload,
+  validateQuarantineQuery,
+  validateQuarantineId,
+  validateNumericId,
   validateId,
   sanitizeInput,
-  contactRateLimit
+  contactRateLimit,
+  careerApplicationRateLimit,
+  statusLookupRateLimit,
+  loginRateLimit,
+  accessRequestRateLimit,
+  createRateLimits,
+  handleValidationErrors
 };
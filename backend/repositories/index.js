@@ -0,0 +1,61 @@
+const config = require('../config');
+
+/**
+ * Repositories for each data store, by driver
+ * - supabase: the Supabase tables (service role client; public reads use the anon client)
+ * - memory:   kept in this process and lost on restart (local development and tests)
+ */
+const DRIVERS = {
+  supabase: {
+    users: () => require('./supabaseUserRepository'),
+    contacts: () => require('./supabaseContactRepository'),
+    careers: () => require('./supabaseCareerRepository'),
+    consents: () => require('./supabaseConsentRepository'),
+    openings: () => require('./supabaseJobOpeningRepository'),
+    products: () => require('./supabaseProductRepository'),
+    quarantine: () => require('./supabaseQuarantineRepository'),
+    erasures: () => require('./supabaseErasureLogRepository'),
+    accessRequests: () => require('./supabaseAccessRequestRepository')
+  },
+  memory: {
+    users: () => require('./memoryUserRepository'),
+    contacts: () => require('./memoryContactRepository'),
+    careers: () => require('./memoryCareerRepository'),
+    consents: () => require('./memoryConsentRepository'),
+    openings: () => require('./memoryJobOpeningRepository'),
+    products: () => require('./memoryProductRepository'),
+    quarantine: () => require('./memoryQuarantineRepository'),
+    erasures: () => require('./memoryErasureLogRepository'),
+    accessRequests: () => require('./memoryAccessRequestRepository')
+  }
+};
+
+/**
+ * Create the repository for a data store
+ * @param {string} name - Data store, a key of DRIVERS.supabase (e.g. 'careers')
+ * @param {string} driver - 'supabase' or 'memory', default config.database.driver
+ * @returns {Object} Repository
+ */
+function createRepository(name, driver = config.database.driver) {
+  const repositories = DRIVERS[driver];
+  if (!repositories) {
+    throw new Error(`Unknown database driver: ${driver}`);
+  }
+  if (!repositories[name]) {
+    throw new Error(`Unknown repository: ${name}`);
+  }
+
+  const Repository = repositories[name]();
+
+  if (driver === 'supabase') {
+    const { supabaseConfig } = require('../config/supabase');
+    return new Repository(supabaseConfig.getServiceClient(), supabaseConfig.getClient());
+  }
+
+  return new Repository();
+}
+
+module.exports = {
+  createRepository,
+  DATABASE_DRIVERS: Object.keys(DRIVERS)
+};
@@ -0,0 +1,74 @@
+const { inRange } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory Access Request Repository
+ * Same interface as SupabaseAccessRequestRepository, for local development and tests
+ */
+class MemoryAccessRequestRepository {
+  /**
+   * @param {Array<Object>} requests - Seed Data_Access_Requests rows
+   */
+  constructor(requests = []) {
+    this.requests = [];
+    this.nextId = 1;
+    requests.forEach(request => this.insert(request));
+  }
+
+  insert(request) {
+    const record = {
+      id: this.nextId++,
+      ip_hash: null,
+      requested_at: clock.now().toISOString(),
+      completed_at: null,
+      claimed_until: null,
+      records: null,
+      ...request
+    };
+
+    this.requests.push(record);
+    return { ...record };
+  }
+
+  async countSince(subjectHash, since) {
+    return this.requests.filter(r => r.subject_hash === subjectHash && inRange(r.requested_at, { gte: since })).length;
+  }
+
+  async create(request) {
+    this.insert(request);
+  }
+
+  // As claim_data_access_request() in migration 0020
+  async claim(tokenHash, holdSeconds) {
+    const now = clock.now().getTime();
+    const request = this.requests.find(r => r.token_hash === tokenHash
+      && !r.completed_at
+      && r.email
+      && new Date(r.expires_at).getTime() > now
+      && (!r.claimed_until || new Date(r.claimed_until).getTime() <= now));
+
+    if (!request) {
+      return null;
+    }
+
+    request.claimed_until = new Date(now + holdSeconds * 1000).toISOString();
+    return { request_id: request.id, email: request.email };
+  }
+
+  async update(id, changes, { pendingOnly = false } = {}) {
+    const request = this.requests.find(r => String(r.id) === String(id));
+    if (request && !(pendingOnly && request.completed_at)) {
+      Object.assign(request, changes);
+    }
+  }
+
+  async clearExpiredEmails(before) {
+    const expired = this.requests.filter(r => r.email && inRange(r.expires_at, { lt: before }));
+    expired.forEach(request => {
+      request.email = null;
+    });
+    return expired.length;
+  }
+}
+
+module.exports = MemoryAccessRequestRepository;
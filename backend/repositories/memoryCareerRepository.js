@@ -0,0 +1,487 @@
+const { pickColumns, sortRows, inRange, sameEmail } = require('./memoryRows');
+const { toLocalDate, addDays } = require('../utils/timezone');
+const clock = require('../utils/clock');
+
+// Columns returned by search(), as by search_career_applications()
+const SEARCH_COLUMNS = [
+  'id', 'full_name', 'email', 'phone', 'location', 'position', 'experience', 'qualification',
+  'cover_letter', 'resume_storage_path', 'resume_file_name', 'resume_content_type', 'consent_given',
+  'application_status', 'admin_notes', 'application_date', 'updated_at', 'created_at'
+].join(', ');
+
+// Pipeline stage reached for each status, as in career_application_analytics()
+const STAGE_RANKS = { reviewing: 1, shortlisted: 2, interviewed: 3, hired: 4 };
+
+// Headline markers, as used by search_career_applications()
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-9);
+
+/**
+ * In-Memory Career Repository
+ * Same interface as SupabaseCareerRepository, for local development and tests.
+ * Search matches words and word prefixes rather than English stems, so results and ranks
+ * can differ slightly from the Postgres full-text search.
+ */
+class MemoryCareerRepository {
+  /**
+   * @param {Array<Object>} applications - Seed Career_Applications rows
+   */
+  constructor(applications = []) {
+    this.applications = [];
+    this.history = [];
+    this.interviews = [];
+    this.feedback = [];
+    this.nextId = 1;
+    this.nextHistoryId = 1;
+    this.nextInterviewId = 1;
+    this.nextFeedbackId = 1;
+    applications.forEach(application => this.insert(application));
+  }
+
+  insert(application) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextId++,
+      cover_letter: null,
+      resume_storage_path: null,
+      resume_file_name: null,
+      resume_content_type: null,
+      resume_text: null,
+      consent_given: false,
+      application_status: 'pending',
+      admin_notes: null,
+      anonymised_at: null,
+      submission_count: 1,
+      last_submitted_at: null,
+      application_date: now,
+      updated_at: now,
+      created_at: now,
+      ...application
+    };
+    record.phone_normalized = normalizePhone(record.phone);
+
+    this.applications.push(record);
+    return { ...record };
+  }
+
+  async create(application) {
+    return this.insert(application);
+  }
+
+  async update(id, changes, columns = '*') {
+    const application = this.find(id);
+    if (!application) {
+      return null;
+    }
+
+    Object.assign(application, changes, { updated_at: clock.now().toISOString() });
+    application.phone_normalized = normalizePhone(application.phone);
+    return pickColumns(application, columns);
+  }
+
+  async delete(id) {
+    this.applications = this.applications.filter(a => String(a.id) !== String(id));
+    this.history = this.history.filter(h => String(h.application_id) !== String(id));
+    this.interviews = this.interviews.filter(i => String(i.application_id) !== String(id));
+    this.feedback = this.feedback.filter(f => String(f.application_id) !== String(id));
+  }
+
+  async findById(id, columns = '*') {
+    const application = this.find(id);
+    return application ? pickColumns(application, columns) : null;
+  }
+
+  async findByIdAndEmail(id, email, columns = '*') {
+    const application = this.find(id);
+    return application && application.email === email ? pickColumns(application, columns) : null;
+  }
+
+  async listByEmail(email) {
+    return sortRows(this.applications.filter(application => sameEmail(application.email, email)), [{ column: 'application_date', ascending: true }])
+      .map(application => ({ ...application }));
+  }
+
+  async listErasable({ email = null, updatedBefore = null, notAnonymised = false, offset = 0, limit }) {
+    return this.applications
+      .filter(application =>
+        (!email || sameEmail(application.email, email))
+        && (!updatedBefore || inRange(application.updated_at, { lt: updatedBefore }))
+        && (!notAnonymised || !application.anonymised_at))
+      .sort((a, b) => a.id - b.id)
+      .slice(offset, offset + limit)
+      .map(({ id, resume_storage_path }) => ({ id, resume_storage_path }));
+  }
+
+  // As anonymise_career_application() in migration 0016
+  async anonymise(id) {
+    const application = this.find(id);
+    if (!application) {
+      return;
+    }
+
+    Object.assign(application, {
+      full_name: 'Erased applicant',
+      email: `erased-${application.id}@erased.invalid`,
+      phone: '0000000000',
+      location: 'Erased',
+      cover_letter: null,
+      resume_url: null,
+      resume_storage_path: null,
+      resume_file_name: null,
+      resume_content_type: null,
+      resume_text: null,
+      admin_notes: null,
+      anonymised_at: clock.now().toISOString()
+    });
+    application.phone_normalized = normalizePhone(application.phone);
+
+    const belongs = (row) => row.application_id === application.id;
+    this.history.filter(belongs).forEach(entry => {
+      entry.note = null;
+    });
+    this.interviews.filter(belongs).forEach(interview => {
+      Object.assign(interview, { phone_number: null, instructions: null, cancel_reason: null });
+    });
+    this.feedback.filter(belongs).forEach(entry => {
+      entry.comments = null;
+    });
+  }
+
+  async findRecentByApplicant({ position, email, phoneNormalized, since }, columns = '*') {
+    const matches = this.applications.filter(application =>
+      application.position === position
+      && application.email === email
+      && application.phone_normalized === phoneNormalized
+      && inRange(application.application_date, { gte: since }));
+
+    return sortRows(matches, [{ column: 'application_date', ascending: false }])
+      .map(application => pickColumns(application, columns));
+  }
+
+  async list({ filters = {}, columns = '*', sort = [], offset = 0, limit = 10, count = true } = {}) {
+    const { status = null, position = null } = filters;
+    const matches = sortRows(this.applications.filter(application =>
+      (!status || application.application_status === status)
+      && (!position || application.position === position)), sort);
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(application => pickColumns(application, columns)),
+      total: count ? matches.length : null
+    };
+  }
+
+  async listUnindexedResumeIds(limit, afterId) {
+    return this.applications
+      .filter(application => application.resume_storage_path && !application.resume_text && application.id > afterId)
+      .map(application => application.id)
+      .sort((a, b) => a - b)
+      .slice(0, limit);
+  }
+
+  async search({ q, position = null, experience = null, qualification = null, limit = 10, offset = 0 }) {
+    const groups = parseSearchQuery(q);
+
+    const matches = this.applications
+      .filter(application =>
+        (!position || application.position === position)
+        && (!experience || application.experience === experience)
+        && (!qualification || application.qualification === qualification))
+      .map(application => {
+        const document = [application.full_name, application.cover_letter, application.resume_text]
+          .filter(Boolean)
+          .join(' ');
+        const group = groups.find(candidate => candidate.include.length > 0
+          && candidate.include.every(term => term.test(document))
+          && !candidate.exclude.some(term => term.test(document)));
+
+        return group ? { application, terms: group.include, rank: countMatches(document, group.include) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.rank - a.rank
+        || new Date(b.application.application_date) - new Date(a.application.application_date));
+
+    return matches.slice(offset, offset + limit).map(({ application, terms, rank }) => ({
+      ...pickColumns(application, SEARCH_COLUMNS),
+      rank,
+      resume_headline: headline(application.resume_text, terms),
+      cover_letter_headline: headline(application.cover_letter, terms),
+      total_count: matches.length
+    }));
+  }
+
+  async transitionStatus({ id, fromStatus, toStatus, changedBy, changedByName, note }, columns = '*') {
+    const application = this.find(id);
+    if (!application || application.application_status !== fromStatus) {
+      throw new Error('Failed to update application status: Application status changed');
+    }
+
+    const now = clock.now().toISOString();
+    Object.assign(application, { application_status: toStatus, updated_at: now });
+    this.history.push({
+      id: this.nextHistoryId++,
+      application_id: application.id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: changedBy,
+      changed_by_name: changedByName,
+      note,
+      created_at: now
+    });
+
+    return pickColumns(application, columns);
+  }
+
+  async listHistory(applicationId) {
+    return this.history
+      .filter(entry => String(entry.application_id) === String(applicationId))
+      .map(({ application_id, ...entry }) => entry);
+  }
+
+  async listInterviews(applicationId) {
+    return sortRows(
+      this.interviews.filter(interview => String(interview.application_id) === String(applicationId)),
+      [{ column: 'starts_at', ascending: true }]
+    ).map(interview => ({ ...interview }));
+  }
+
+  async listFeedback(applicationId) {
+    return this.feedback
+      .filter(entry => String(entry.application_id) === String(applicationId))
+      .map(entry => ({ ...entry }));
+  }
+
+  async findInterview(applicationId, interviewId) {
+    const interview = this.findInterviewRow(interviewId);
+    return interview && String(interview.application_id) === String(applicationId) ? { ...interview } : null;
+  }
+
+  async createInterview(interview) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextInterviewId++,
+      location: null,
+      meeting_url: null,
+      phone_number: null,
+      panel: [],
+      instructions: null,
+      status: 'scheduled',
+      outcome: null,
+      cancel_reason: null,
+      sequence: 0,
+      created_by: null,
+      created_by_name: null,
+      created_at: now,
+      updated_at: now,
+      ...interview
+    };
+    // IDs from route parameters arrive as strings; the columns are integers
+    record.application_id = Number(record.application_id);
+
+    this.interviews.push(record);
+    return { ...record };
+  }
+
+  async updateInterview(id, changes) {
+    const interview = this.findInterviewRow(id);
+    if (!interview) {
+      throw new Error('Failed to update interview: Interview not found');
+    }
+
+    Object.assign(interview, changes);
+    return { ...interview };
+  }
+
+  async addFeedback(feedback) {
+    const record = {
+      id: this.nextFeedbackId++,
+      comments: null,
+      created_at: clock.now().toISOString(),
+      ...feedback
+    };
+    record.application_id = Number(record.application_id);
+    record.interview_id = Number(record.interview_id);
+
+    this.feedback.push(record);
+    return { ...record };
+  }
+
+  async count({ from = null, to = null } = {}) {
+    return this.applications.filter(application => inRange(application.application_date, { gte: from, lt: to })).length;
+  }
+
+  async listStatuses() {
+    return this.applications
+      .map(application => application.application_status)
+      .filter(status => status !== null && status !== undefined);
+  }
+
+  async analytics({ from, to, interval, timezone }) {
+    const apps = this.applications
+      .filter(application => inRange(application.application_date, { gte: from, lt: to }))
+      .map(application => ({
+        ...application,
+        period: truncate(toLocalDate(new Date(application.application_date), timezone), interval)
+      }));
+
+    const series = [];
+    const last = truncate(toLocalDate(new Date(new Date(to).getTime() - 1), timezone), interval);
+    for (let period = truncate(toLocalDate(new Date(from), timezone), interval); period <= last; period = nextPeriod(period, interval)) {
+      series.push({ period, count: apps.filter(application => application.period === period).length });
+    }
+
+    const reached = apps.map(application => Math.max(
+      STAGE_RANKS[application.application_status] || 0,
+      ...this.history
+        .filter(entry => entry.application_id === application.id)
+        .map(entry => STAGE_RANKS[entry.to_status] || 0)
+    ));
+
+    const locations = apps
+      .map(application => (application.location || '').trim())
+      .filter(Boolean)
+      .map(location => location.toLowerCase().replace(/(^|[^\p{L}\p{N}])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase()));
+
+    return {
+      total: apps.length,
+      series,
+      position: breakdown(apps.map(application => application.position)),
+      qualification: breakdown(apps.map(application => application.qualification)),
+      experience: breakdown(apps.map(application => application.experience)),
+      location: breakdown(locations).slice(0, 20),
+      status: breakdown(apps.map(application => application.application_status)),
+      reached: {
+        submitted: reached.length,
+        reviewing: reached.filter(stage => stage >= 1).length,
+        shortlisted: reached.filter(stage => stage >= 2).length,
+        interviewed: reached.filter(stage => stage >= 3).length,
+        hired: reached.filter(stage => stage >= 4).length
+      }
+    };
+  }
+
+  find(id) {
+    return this.applications.find(application => String(application.id) === String(id));
+  }
+
+  findInterviewRow(id) {
+    return this.interviews.find(interview => String(interview.id) === String(id));
+  }
+}
+
+/**
+ * Parse web search syntax ("exact phrase", or, -exclude) into alternative groups of terms
+ * @param {string} q - Search terms
+ * @returns {Array<Object>} [{ include: [RegExp], exclude: [RegExp] }]
+ */
+function parseSearchQuery(q) {
+  const groups = [{ include: [], exclude: [] }];
+
+  for (const [, phrase, word] of String(q || '').matchAll(/(-?"[^"]*")|(\S+)/g)) {
+    const token = phrase || word;
+    if (!phrase && token.toLowerCase() === 'or') {
+      groups.push({ include: [], exclude: [] });
+      continue;
+    }
+
+    const excluded = token.startsWith('-');
+    const words = token.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+    if (words) {
+      // Words match at the start of a word, so "pharmac" finds "pharmacist"
+      const term = new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}]+')}`, 'iu');
+      groups[groups.length - 1][excluded ? 'exclude' : 'include'].push(term);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Number of matches of all terms in a document
+ */
+function countMatches(document, terms) {
+  return terms.reduce((total, term) => total + (document.match(new RegExp(term.source, 'giu')) || []).length, 0);
+}
+
+/**
+ * Up to three excerpts around matches, with matches wrapped in the headline markers
+ * @param {string|null} text - Resume text or cover letter
+ * @param {Array<RegExp>} terms - Search terms
+ * @returns {string} Excerpts joined by ' ... ', or '' when nothing matches
+ */
+function headline(text, terms) {
+  if (!text) {
+    return '';
+  }
+
+  const ranges = terms
+    .flatMap(term => [...text.matchAll(new RegExp(term.source, 'giu'))].map(match => [match.index, match.index + match[0].length]))
+    .sort((a, b) => a[0] - b[0]);
+
+  const excerpts = [];
+  let covered = -1;
+  for (const [start] of ranges) {
+    if (excerpts.length === 3 || start < covered) {
+      continue;
+    }
+
+    const from = Math.max(0, text.lastIndexOf(' ', Math.max(0, start - 60)) + 1);
+    const toSpace = text.indexOf(' ', start + 60);
+    const to = toSpace === -1 ? text.length : toSpace;
+    covered = to;
+
+    let excerpt = '';
+    let position = from;
+    ranges
+      .filter(([matchStart, matchEnd]) => matchStart >= from && matchEnd <= to && matchStart >= position)
+      .forEach(([matchStart, matchEnd]) => {
+        excerpt += `${text.slice(position, matchStart)}${HIGHLIGHT_START}${text.slice(matchStart, matchEnd)}${HIGHLIGHT_STOP}`;
+        position = matchEnd;
+      });
+    excerpts.push(excerpt + text.slice(position, to));
+  }
+
+  return excerpts.join(' ... ');
+}
+
+/**
+ * Value counts, largest first then by value
+ */
+function breakdown(values) {
+  const counts = values.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+}
+
+/**
+ * First day of the day, week (starting Monday) or month containing a date
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {string} YYYY-MM-DD
+ */
+function truncate(localDate, interval) {
+  if (interval === 'month') {
+    return `${localDate.slice(0, 7)}-01`;
+  }
+  if (interval === 'week') {
+    const weekday = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+    return addDays(localDate, -((weekday + 6) % 7));
+  }
+  return localDate;
+}
+
+/**
+ * Start of the period after the one starting on a date
+ */
+function nextPeriod(period, interval) {
+  if (interval === 'month') {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  }
+  return addDays(period, interval === 'week' ? 7 : 1);
+}
+
+module.exports = MemoryCareerRepository;
@@ -0,0 +1,86 @@
+const { sortRows } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory Consent Repository
+ * Same interface as SupabaseConsentRepository, for local development and tests
+ */
+class MemoryConsentRepository {
+  /**
+   * @param {Array<Object>} notices - Seed Privacy_Notices rows
+   */
+  constructor(notices = []) {
+    this.notices = [];
+    this.records = [];
+    this.nextNoticeId = 1;
+    this.nextRecordId = 1;
+    notices.forEach(notice => this.insertNotice(notice));
+  }
+
+  insertNotice(notice) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextNoticeId++,
+      effective_at: now,
+      published_by: null,
+      published_by_name: null,
+      created_at: now,
+      ...notice
+    };
+
+    this.notices.push(record);
+    return { ...record };
+  }
+
+  async findCurrentNotice(at) {
+    const [notice] = sortRows(
+      this.notices.filter(n => new Date(n.effective_at).getTime() <= new Date(at).getTime()),
+      [{ column: 'effective_at', ascending: false }]
+    );
+    return notice ? { ...notice } : null;
+  }
+
+  async findNotice(version) {
+    const notice = this.notices.find(n => n.version === version);
+    return notice ? { ...notice } : null;
+  }
+
+  async listNotices() {
+    return sortRows([...this.notices], [{ column: 'effective_at', ascending: false }]).map(notice => ({ ...notice }));
+  }
+
+  async createNotice(notice) {
+    if (this.notices.some(n => n.version === notice.version)) {
+      throw new Error(`Privacy notice version ${notice.version} already exists`);
+    }
+    return this.insertNotice(notice);
+  }
+
+  async addRecords(records) {
+    return records.map(record => {
+      const stored = {
+        id: this.nextRecordId++,
+        application_id: null,
+        contact_id: null,
+        ip_hash: null,
+        recorded_by: null,
+        recorded_by_name: null,
+        note: null,
+        recorded_at: clock.now().toISOString(),
+        ...record
+      };
+
+      this.records.push(stored);
+      return { ...stored };
+    });
+  }
+
+  async listRecords(subjectHash) {
+    return sortRows(
+      this.records.filter(r => r.subject_hash === subjectHash),
+      [{ column: 'recorded_at', ascending: true }, { column: 'id', ascending: true }]
+    ).map(record => ({ ...record }));
+  }
+}
+
+module.exports = MemoryConsentRepository;
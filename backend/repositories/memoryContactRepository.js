@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { pickColumns, sortRows, inRange, sameEmail } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory Contact Repository
+ * Same interface as SupabaseContactRepository, for local development and tests
+ */
+class MemoryContactRepository {
+  /**
+   * @param {Array<Object>} contacts - Seed Contact_Us rows
+   */
+  constructor(contacts = []) {
+    this.contacts = [];
+    this.notes = [];
+    this.nextNoteId = 1;
+    contacts.forEach(contact => this.insert(contact));
+  }
+
+  insert(contact) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      status: 'new',
+      assigned_to: null,
+      assigned_at: null,
+      anonymised_at: null,
+      created_at: now,
+      updated_at: now,
+      ...contact
+    };
+
+    this.contacts.push(record);
+    return { ...record };
+  }
+
+  async create(contact) {
+    return this.insert(contact);
+  }
+
+  async list({ filters = {}, columns = '*', sort = [], offset = 0, limit = 10, count = true } = {}) {
+    const matches = sortRows(this.contacts.filter(contact => matchesFilters(contact, filters)), sort);
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(contact => pickColumns(contact, columns)),
+      total: count ? matches.length : null
+    };
+  }
+
+  async findById(id) {
+    const contact = this.contacts.find(c => String(c.id) === String(id));
+    return contact ? { ...contact } : null;
+  }
+
+  async update(id, changes) {
+    const contact = this.contacts.find(c => String(c.id) === String(id));
+    if (!contact) {
+      return null;
+    }
+
+    Object.assign(contact, changes, { updated_at: clock.now().toISOString() });
+    return { ...contact };
+  }
+
+  async delete(id) {
+    this.contacts = this.contacts.filter(c => String(c.id) !== String(id));
+    this.notes = this.notes.filter(n => String(n.contact_id) !== String(id));
+  }
+
+  async listByEmail(email) {
+    return sortRows(this.contacts.filter(c => sameEmail(c.Email_id, email)), [{ column: 'created_at', ascending: true }])
+      .map(contact => ({ ...contact }));
+  }
+
+  async listErasable({ email = null, updatedBefore = null, notAnonymised = false, offset = 0, limit }) {
+    return sortRows(
+      this.contacts.filter(contact =>
+        (!email || sameEmail(contact.Email_id, email))
+        && (!updatedBefore || inRange(contact.updated_at, { lt: updatedBefore }))
+        && (!notAnonymised || !contact.anonymised_at)),
+      [{ column: 'id', ascending: true }]
+    )
+      .slice(offset, offset + limit)
+      .map(({ id }) => ({ id }));
+  }
+
+  // As anonymise_contact_enquiry() in migration 0016
+  async anonymise(id) {
+    const contact = this.contacts.find(c => String(c.id) === String(id));
+    if (!contact) {
+      return;
+    }
+
+    Object.assign(contact, {
+      Full_Name: 'Erased',
+      Email_id: `erased-${String(contact.id).slice(0, 8)}@erased.invalid`,
+      Contact: '0000000000',
+      Enter_Message: '[erased]',
+      anonymised_at: clock.now().toISOString()
+    });
+    this.notes.filter(n => n.contact_id === contact.id).forEach(note => {
+      note.note = '[erased]';
+    });
+  }
+
+  async count({ from = null, to = null } = {}) {
+    return this.contacts.filter(contact => inRange(contact.created_at, { gte: from, lt: to })).length;
+  }
+
+  async listStatuses() {
+    return this.contacts.map(({ status, assigned_to }) => ({ status, assigned_to }));
+  }
+
+  async addNote(note) {
+    const record = {
+      id: this.nextNoteId++,
+      created_at: clock.now().toISOString(),
+      ...note
+    };
+
+    this.notes.push(record);
+    return { ...record };
+  }
+
+  async listNotes(contactId) {
+    return sortRows(
+      this.notes.filter(n => String(n.contact_id) === String(contactId)),
+      [{ column: 'created_at', ascending: true }, { column: 'id', ascending: true }]
+    ).map(note => ({ ...note }));
+  }
+}
+
+/**
+ * Same rules as the inbox filters in SupabaseContactRepository
+ */
+function matchesFilters(contact, filters) {
+  const {
+    status = null,
+    assignedTo = null,
+    unassigned = false,
+    search = null,
+    from = null,
+    to = null
+  } = filters;
+
+  if (status && contact.status !== status) {
+    return false;
+  }
+
+  if (assignedTo) {
+    if (String(contact.assigned_to) !== String(assignedTo)) {
+      return false;
+    }
+  } else if (unassigned && contact.assigned_to !== null) {
+    return false;
+  }
+
+  if (search) {
+    const term = search.replace(/[,()*%]/g, ' ').trim().toLowerCase();
+    if (term && ![contact.Full_Name, contact.Email_id, contact.Enter_Message]
+      .some(value => (value || '').toLowerCase().includes(term))) {
+      return false;
+    }
+  }
+
+  return inRange(contact.created_at, { gte: from, lte: to });
+}
+
+module.exports = MemoryContactRepository;
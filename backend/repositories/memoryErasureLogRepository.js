@@ -0,0 +1,57 @@
+const { sortRows } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory Erasure Log Repository
+ * Same interface as SupabaseErasureLogRepository, for local development and tests
+ */
+class MemoryErasureLogRepository {
+  /**
+   * @param {Array<Object>} entries - Seed Data_Erasure_Log rows
+   */
+  constructor(entries = []) {
+    this.entries = [];
+    this.nextId = 1;
+    entries.forEach(entry => this.insert(entry));
+  }
+
+  insert(entry) {
+    const record = {
+      id: this.nextId++,
+      subject_hash: null,
+      requested_by: null,
+      requested_by_name: null,
+      reason: null,
+      request_reference: null,
+      records: [],
+      created_at: clock.now().toISOString(),
+      ...entry
+    };
+
+    this.entries.push(record);
+    return { ...record };
+  }
+
+  async create(entry) {
+    return this.insert(entry);
+  }
+
+  async list({ subjectHash = null, kind = null, offset = 0, limit = 20 } = {}) {
+    const matches = sortRows(
+      this.entries.filter(e => (!subjectHash || e.subject_hash === subjectHash) && (!kind || e.kind === kind)),
+      [{ column: 'completed_at', ascending: false }]
+    );
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(entry => ({ ...entry })),
+      total: matches.length
+    };
+  }
+
+  async findByCertificateId(certificateId) {
+    const entry = this.entries.find(e => e.certificate_id === certificateId);
+    return entry ? { ...entry } : null;
+  }
+}
+
+module.exports = MemoryErasureLogRepository;
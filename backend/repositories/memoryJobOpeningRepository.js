@@ -0,0 +1,97 @@
+const { pickColumns, sortRows } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+const DISPLAY_ORDER = [{ column: 'sort_order', ascending: true }, { column: 'title', ascending: true }];
+
+/**
+ * In-Memory Job Opening Repository
+ * Same interface as SupabaseJobOpeningRepository, for local development and tests
+ */
+class MemoryJobOpeningRepository {
+  /**
+   * @param {Array<Object>} openings - Seed Job_Openings rows
+   */
+  constructor(openings = []) {
+    this.openings = [];
+    this.nextId = 1;
+    openings.forEach(opening => this.insert(opening));
+  }
+
+  insert(opening) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextId++,
+      location: null,
+      description: null,
+      requirements: null,
+      employment_type: 'full-time',
+      opens_at: null,
+      closes_at: null,
+      is_published: true,
+      sort_order: 0,
+      updated_at: now,
+      created_at: now,
+      ...opening
+    };
+
+    this.openings.push(record);
+    return { ...record };
+  }
+
+  async listOpen(today) {
+    return sortRows(this.openings.filter(opening => isOpen(opening, today)), DISPLAY_ORDER)
+      .map(opening => ({ ...opening }));
+  }
+
+  async findOpen(slug, today) {
+    const opening = this.openings.find(o => o.slug === slug && isOpen(o, today));
+    return opening ? { ...opening } : null;
+  }
+
+  async findBySlug(slug, columns = '*') {
+    const opening = this.openings.find(o => o.slug === slug);
+    return opening ? pickColumns(opening, columns) : null;
+  }
+
+  async list({ department = null } = {}) {
+    return sortRows(this.openings.filter(opening => !department || opening.department === department), DISPLAY_ORDER)
+      .map(opening => ({ ...opening }));
+  }
+
+  async findById(id) {
+    const opening = this.find(id);
+    return opening ? { ...opening } : null;
+  }
+
+  async create(opening) {
+    if (this.openings.some(o => o.slug === opening.slug)) {
+      throw new Error('A job opening with this slug already exists');
+    }
+    return this.insert(opening);
+  }
+
+  async update(id, changes) {
+    const opening = this.find(id);
+    if (!opening) {
+      return null;
+    }
+
+    Object.assign(opening, changes);
+    return { ...opening };
+  }
+
+  find(id) {
+    return this.openings.find(opening => String(opening.id) === String(id));
+  }
+}
+
+/**
+ * Same rule as the open filter in SupabaseJobOpeningRepository
+ */
+function isOpen(opening, today) {
+  return opening.is_published === true
+    && (!opening.opens_at || opening.opens_at <= today)
+    && (!opening.closes_at || opening.closes_at >= today);
+}
+
+module.exports = MemoryJobOpeningRepository;
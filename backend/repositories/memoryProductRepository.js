@@ -0,0 +1,201 @@
+const { pickColumns, sortRows } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+// Product columns embedded in registrations, as selected by SupabaseProductRepository
+const EMBEDDED_PRODUCT_COLUMNS = 'id, brand_name, generic_name, strength, dosage_form';
+
+/**
+ * In-Memory Product Repository
+ * Same interface as SupabaseProductRepository, for local development and tests
+ */
+class MemoryProductRepository {
+  /**
+   * @param {Array<Object>} products - Seed Products rows
+   */
+  constructor(products = []) {
+    this.products = [];
+    this.registrations = [];
+    this.nextId = 1;
+    this.nextRegistrationId = 1;
+    products.forEach(product => this.insert(product));
+  }
+
+  insert(product) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextId++,
+      category: 'other',
+      description: null,
+      pack_size: null,
+      route: null,
+      is_published: true,
+      sort_order: 0,
+      updated_at: now,
+      created_at: now,
+      ...product
+    };
+
+    this.products.push(record);
+    return this.withRegistrations(record);
+  }
+
+  insertRegistration(registration) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextRegistrationId++,
+      status: 'active',
+      approval_date: null,
+      expiry_date: null,
+      notes: null,
+      last_expiry_alert_days: null,
+      last_expiry_alert_at: null,
+      updated_at: now,
+      created_at: now,
+      ...registration
+    };
+
+    this.registrations.push(record);
+    return { ...record };
+  }
+
+  async listPublished({ category = null, search = null, sortBy = 'sort_order', offset = 0, limit = 20 } = {}) {
+    const term = search ? search.toLowerCase() : null;
+    const matches = sortRows(this.products.filter(product =>
+      product.is_published === true
+      && (!category || product.category === category)
+      && (!term || [product.brand_name, product.generic_name, product.strength, product.description]
+        .some(value => (value || '').toLowerCase().includes(term)))),
+    [{ column: sortBy, ascending: true }, { column: 'id', ascending: true }]);
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(product => this.withRegistrations(product)),
+      total: matches.length
+    };
+  }
+
+  async findPublished(id) {
+    const product = this.find(id);
+    return product && product.is_published === true ? this.withRegistrations(product) : null;
+  }
+
+  async listPublishedCategories() {
+    return this.products.filter(product => product.is_published === true).map(product => product.category);
+  }
+
+  async create(product) {
+    return this.insert(product);
+  }
+
+  async update(id, changes) {
+    const product = this.find(id);
+    if (!product) {
+      return null;
+    }
+
+    Object.assign(product, changes);
+    return this.withRegistrations(product);
+  }
+
+  async listRegistrations({ filters = {}, offset = 0, limit = 20 } = {}) {
+    const { productId = null, countryCode = null, status = null } = filters;
+    const matches = sortRows(this.registrations.filter(registration =>
+      (!productId || String(registration.product_id) === String(productId))
+      && (!countryCode || registration.country_code === countryCode)
+      && (!status || registration.status === status)),
+    [{ column: 'expiry_date', ascending: true }]);
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(registration => this.withProduct(registration)),
+      total: matches.length
+    };
+  }
+
+  async findRegistration(id) {
+    const registration = this.findRegistrationRow(id);
+    return registration ? this.withProduct(registration) : null;
+  }
+
+  async listActiveRegistrations({ from = null, until, countryCode = null }) {
+    return sortRows(this.registrations.filter(registration =>
+      registration.status === 'active'
+      && registration.expiry_date
+      && registration.expiry_date <= until
+      && (!from || registration.expiry_date >= from)
+      && (!countryCode || registration.country_code === countryCode)),
+    [{ column: 'expiry_date', ascending: true }])
+      .map(registration => this.withProduct(registration));
+  }
+
+  async updateLapsedRegistrations(before, changes) {
+    return this.registrations
+      .filter(registration => registration.status === 'active' && registration.expiry_date && registration.expiry_date < before)
+      .map(registration => this.withProduct(Object.assign(registration, changes)));
+  }
+
+  async updateRegistrations(ids, changes) {
+    this.registrations
+      .filter(registration => ids.some(id => String(id) === String(registration.id)))
+      .forEach(registration => Object.assign(registration, changes));
+  }
+
+  async createRegistration(registration) {
+    if (!this.find(registration.product_id)) {
+      throw new Error('Product not found');
+    }
+    if (this.isDuplicateVisa(registration)) {
+      throw new Error('Registration already exists for this country and visa number');
+    }
+    return this.insertRegistration(registration);
+  }
+
+  async updateRegistration(id, changes) {
+    const registration = this.findRegistrationRow(id);
+    if (!registration) {
+      return null;
+    }
+    if (this.isDuplicateVisa({ ...registration, ...changes })) {
+      throw new Error('Registration already exists for this country and visa number');
+    }
+
+    Object.assign(registration, changes);
+    return { ...registration };
+  }
+
+  async deleteRegistration(id) {
+    const count = this.registrations.length;
+    this.registrations = this.registrations.filter(r => String(r.id) !== String(id));
+    return this.registrations.length < count;
+  }
+
+  find(id) {
+    return this.products.find(product => String(product.id) === String(id));
+  }
+
+  findRegistrationRow(id) {
+    return this.registrations.find(registration => String(registration.id) === String(id));
+  }
+
+  // Country and visa number are unique, as product_registrations_unique_visa
+  isDuplicateVisa({ id = null, country_code: countryCode, visa_number: visaNumber }) {
+    return this.registrations.some(r => r.id !== id && r.country_code === countryCode && r.visa_number === visaNumber);
+  }
+
+  withRegistrations(product) {
+    return {
+      ...product,
+      registrations: this.registrations
+        .filter(registration => String(registration.product_id) === String(product.id))
+        .map(registration => ({ ...registration }))
+    };
+  }
+
+  withProduct(registration) {
+    const product = this.find(registration.product_id);
+    return {
+      ...registration,
+      product: product ? pickColumns(product, EMBEDDED_PRODUCT_COLUMNS) : null
+    };
+  }
+}
+
+module.exports = MemoryProductRepository;
@@ -0,0 +1,108 @@
+const { sortRows, inRange, sameEmail } = require('./memoryRows');
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory Quarantine Repository
+ * Same interface as SupabaseQuarantineRepository, for local development and tests
+ */
+class MemoryQuarantineRepository {
+  /**
+   * @param {Array<Object>} submissions - Seed Form_Quarantine rows
+   */
+  constructor(submissions = []) {
+    this.submissions = [];
+    this.nextId = 1;
+    submissions.forEach(submission => this.insert(submission));
+  }
+
+  insert(submission) {
+    const record = {
+      id: this.nextId++,
+      status: 'held',
+      signals: [],
+      payload: null,
+      email: null,
+      resume_storage_path: null,
+      resume_file_name: null,
+      resume_content_type: null,
+      resume_size: null,
+      ip_hash: null,
+      received_at: clock.now().toISOString(),
+      reviewed_by: null,
+      reviewed_by_name: null,
+      reviewed_at: null,
+      released_reference: null,
+      ...submission
+    };
+
+    this.submissions.push(record);
+    return { ...record };
+  }
+
+  async create(submission) {
+    return this.insert(submission);
+  }
+
+  async list({ form, status, offset = 0, limit = 20 }) {
+    const matches = sortRows(
+      this.submissions.filter(s => s.form === form && s.status === status),
+      [{ column: 'received_at', ascending: false }]
+    );
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(submission => ({ ...submission })),
+      total: matches.length
+    };
+  }
+
+  async findById(id, form) {
+    const submission = this.find(id);
+    return submission && submission.form === form ? { ...submission } : null;
+  }
+
+  async updateHeld(id, changes) {
+    const submission = this.find(id);
+    if (!submission || submission.status !== 'held') {
+      return null;
+    }
+
+    Object.assign(submission, changes);
+    return { ...submission };
+  }
+
+  async listResumesReceivedBefore(before) {
+    return this.submissions
+      .filter(s => s.resume_storage_path && inRange(s.received_at, { lt: before }))
+      .map(({ id, resume_storage_path }) => ({ id, resume_storage_path }));
+  }
+
+  async deleteReceivedBefore(before, keepIds = []) {
+    const count = this.submissions.length;
+    this.submissions = this.submissions.filter(s =>
+      !inRange(s.received_at, { lt: before }) || keepIds.some(id => String(id) === String(s.id)));
+    return count - this.submissions.length;
+  }
+
+  async delete(id) {
+    this.submissions = this.submissions.filter(s => String(s.id) !== String(id));
+  }
+
+  async listByEmail(email) {
+    return sortRows(this.submissions.filter(s => sameEmail(s.email, email)), [{ column: 'received_at', ascending: true }])
+      .map(submission => ({ ...submission }));
+  }
+
+  async listErasable({ email, offset = 0, limit }) {
+    return this.submissions
+      .filter(s => sameEmail(s.email, email))
+      .sort((a, b) => a.id - b.id)
+      .slice(offset, offset + limit)
+      .map(({ id, resume_storage_path }) => ({ id, resume_storage_path }));
+  }
+
+  find(id) {
+    return this.submissions.find(submission => String(submission.id) === String(id));
+  }
+}
+
+module.exports = MemoryQuarantineRepository;
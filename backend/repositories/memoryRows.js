@@ -0,0 +1,78 @@
+// Row helpers shared by the in-memory repositories
+
+/**
+ * Copy of a row with only the given columns
+ * @param {Object} row - Stored row
+ * @param {string} columns - Comma-separated column names, or '*'
+ * @returns {Object} Row copy
+ */
+const pickColumns = (row, columns = '*') => {
+  if (columns === '*') {
+    return { ...row };
+  }
+
+  return columns.split(',').map(column => column.trim()).reduce((picked, column) => {
+    picked[column] = row[column] === undefined ? null : row[column];
+    return picked;
+  }, {});
+};
+
+/**
+ * Compare two column values the way Postgres orders them (nulls last when ascending)
+ */
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Sort rows in place
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<Object>} sort - [{ column, ascending }]
+ * @returns {Array<Object>} The same array
+ */
+const sortRows = (rows, sort = []) => rows.sort((a, b) => {
+  for (const { column, ascending } of sort) {
+    const result = compareValues(a[column], b[column]);
+    if (result !== 0) {
+      return ascending ? result : -result;
+    }
+  }
+  return 0;
+});
+
+/**
+ * Whether a timestamp column falls in a range (either end optional)
+ * @param {string} value - ISO timestamp
+ * @param {Object} range - { gte, lt, lte } as ISO timestamps or dates
+ * @returns {boolean} True if inside the range
+ */
+const inRange = (value, { gte = null, lt = null, lte = null }) => {
+  const time = new Date(value).getTime();
+  return (!gte || time >= new Date(gte).getTime())
+    && (!lt || time < new Date(lt).getTime())
+    && (!lte || time <= new Date(lte).getTime());
+};
+
+/**
+ * Whether a stored email address is the given one in any case, as an ilike match without wildcards
+ * @param {string|null} value - Stored address
+ * @param {string} email - Address looked for
+ * @returns {boolean} True if they match
+ */
+const sameEmail = (value, email) => Boolean(value) && value.toLowerCase() === email.toLowerCase();
+
+module.exports = {
+  pickColumns,
+  sortRows,
+  inRange,
+  sameEmail
+};
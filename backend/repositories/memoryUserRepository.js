@@ -0,0 +1,60 @@
+const clock = require('../utils/clock');
+
+/**
+ * In-Memory User Repository
+ * Same interface as SupabaseUserRepository, for local development and tests
+ */
+class MemoryUserRepository {
+  /**
+   * @param {Array<Object>} users - Seed users (must already contain password_hash)
+   */
+  constructor(users = []) {
+    this.users = [];
+    this.nextId = 1;
+    users.forEach(user => this.insert(user));
+  }
+
+  insert(user) {
+    const now = clock.now().toISOString();
+    const record = {
+      id: this.nextId++,
+      role: 'viewer',
+      is_active: true,
+      last_login_at: null,
+      created_at: now,
+      updated_at: now,
+      ...user,
+      email: user.email.toLowerCase().trim()
+    };
+
+    this.users.push(record);
+    return { ...record };
+  }
+
+  async findByEmail(email) {
+    const normalized = email.toLowerCase().trim();
+    const user = this.users.find(u => u.email === normalized);
+    return user ? { ...user } : null;
+  }
+
+  async findById(id) {
+    const user = this.users.find(u => String(u.id) === String(id));
+    return user ? { ...user } : null;
+  }
+
+  async create(user) {
+    if (this.users.some(u => u.email === user.email.toLowerCase().trim())) {
+      throw new Error('Failed to create user: email already exists');
+    }
+    return this.insert(user);
+  }
+
+  async touchLastLogin(id) {
+    const user = this.users.find(u => String(u.id) === String(id));
+    if (user) {
+      user.last_login_at = clock.now().toISOString();
+    }
+  }
+}
+
+module.exports = MemoryUserRepository;
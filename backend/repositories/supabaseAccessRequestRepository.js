@@ -0,0 +1,111 @@
+/**
+ * Supabase Access Request Repository
+ * Records data subject access requests and their one-time links in the Data_Access_Requests table
+ */
+class SupabaseAccessRequestRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Data_Access_Requests';
+  }
+
+  /**
+   * Count the requests made for a data subject since a time
+   * @param {string} subjectHash - Keyed hash of the email address
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<number>} Number of requests
+   */
+  async countSince(subjectHash, since) {
+    const { count, error } = await this.client
+      .from(this.table)
+      .select('id', { count: 'exact', head: true })
+      .eq('subject_hash', subjectHash)
+      .gte('requested_at', since);
+
+    if (error) {
+      throw new Error(`Failed to record access request: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Insert a request
+   * @param {Object} request - Data_Access_Requests row to insert
+   * @returns {Promise<void>}
+   */
+  async create(request) {
+    const { error } = await this.client
+      .from(this.table)
+      .insert([request]);
+
+    if (error) {
+      throw new Error(`Failed to record access request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Hold the unused, unexpired and unclaimed request with a token (claim_data_access_request())
+   * @param {string} tokenHash - SHA-256 of the token
+   * @param {number} holdSeconds - How long the claim holds the request
+   * @returns {Promise<Object|null>} { request_id, email }, or null if no request can be claimed
+   */
+  async claim(tokenHash, holdSeconds) {
+    const { data, error } = await this.client
+      .rpc('claim_data_access_request', { p_token_hash: tokenHash, p_hold_seconds: holdSeconds });
+
+    if (error) {
+      throw new Error(`Failed to check access link: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Update a request
+   * @param {number} id - Request ID
+   * @param {Object} changes - Columns to set
+   * @param {Object} options - { pendingOnly }: only if the request is not completed
+   * @returns {Promise<void>}
+   */
+  async update(id, changes, { pendingOnly = false } = {}) {
+    let query = this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id);
+
+    if (pendingOnly) {
+      query = query.is('completed_at', null);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to update access request: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the address of requests that expired before a time
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Requests cleared
+   */
+  async clearExpiredEmails(before) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update({ email: null })
+      .lt('expires_at', before)
+      .not('email', 'is', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to clear expired access requests: ${error.message}`);
+    }
+
+    return data.length;
+  }
+}
+
+module.exports = SupabaseAccessRequestRepository;
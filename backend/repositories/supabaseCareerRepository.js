@@ -0,0 +1,549 @@
+// Escape LIKE wildcards so an email address only matches itself
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Supabase Career Repository
+ * Reads and updates career applications in the Career_Applications table, their status
+ * history in Career_Application_History, their interviews in Career_Interviews and
+ * Career_Interview_Feedback, and the search and analytics functions over them
+ */
+class SupabaseCareerRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Career_Applications';
+    this.historyTable = 'Career_Application_History';
+    this.interviewsTable = 'Career_Interviews';
+    this.feedbackTable = 'Career_Interview_Feedback';
+  }
+
+  /**
+   * Insert an application
+   * Falls back to the insert_career_application() function when row level security blocks the insert.
+   * @param {Object} application - Career_Applications row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async create(application) {
+    let { data, error } = await this.client
+      .from(this.table)
+      .insert([application])
+      .select()
+      .single();
+
+    // 42501: insufficient privilege, i.e. the row level security policy rejected the insert
+    if (error && error.code === '42501') {
+      console.log('Standard insert blocked by row level security, using insert_career_application()...');
+
+      ({ data, error } = await this.client
+        .rpc('insert_career_application', { application_data: application })
+        .single());
+    }
+
+    if (error) {
+      throw new Error(`Database insertion failed: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update an application
+   * @param {number} id - Application ID
+   * @param {Object} changes - Columns to set
+   * @param {string} columns - Columns to return, comma-separated
+   * @returns {Promise<Object|null>} Updated row, or null if there is no such application
+   */
+  async update(id, changes, columns = '*') {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id)
+      .select(columns)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Database update failed: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete an application (its status history, interviews and feedback go with it)
+   * @param {number} id - Application ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const { error } = await this.client
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to delete application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find an application by ID
+   * @param {number} id - Application ID
+   * @param {string} columns - Columns to read, comma-separated
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findById(id, columns = '*') {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select(columns)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch application: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find an application by ID, only if it was submitted with the given email address
+   * @param {number} id - Application ID
+   * @param {string} email - Normalised email address
+   * @param {string} columns - Columns to read, comma-separated
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findByIdAndEmail(id, email, columns = '*') {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select(columns)
+      .eq('id', id)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up application: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Applications sent with an email address (any case), oldest first
+   * @param {string} email - Canonical email address
+   * @returns {Promise<Array<Object>>} Career_Applications rows
+   */
+  async listByEmail(email) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .ilike('email', escapeLike(email))
+      .order('application_date', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to read ${this.table}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Applications for a position since a date with the same email and phone number, newest first
+   * @param {Object} applicant - { position, email, phoneNormalized, since }
+   * @param {string} columns - Columns to read, comma-separated
+   * @returns {Promise<Array<Object>>} Matching rows
+   */
+  async findRecentByApplicant({ position, email, phoneNormalized, since }, columns = '*') {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select(columns)
+      .eq('position', position)
+      .eq('email', email)
+      .eq('phone_normalized', phoneNormalized)
+      .gte('application_date', since)
+      .order('application_date', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Database lookup failed: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * List applications matching the admin list filters
+   * @param {Object} options - List options
+   * @param {Object} options.filters - { status, position }
+   * @param {string} options.columns - Columns to read, comma-separated
+   * @param {Array<Object>} options.sort - [{ column, ascending }]
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @param {boolean} options.count - Whether to count all matching rows
+   * @returns {Promise<Object>} { rows, total } (total is null when not counted)
+   */
+  async list({ filters = {}, columns = '*', sort = [], offset = 0, limit = 10, count = true } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select(columns, count ? { count: 'exact' } : undefined);
+
+    sort.forEach(({ column, ascending }) => {
+      query = query.order(column, { ascending });
+    });
+
+    const { data, error, count: total } = await applyFilters(query.range(offset, offset + limit - 1), filters);
+
+    if (error) {
+      throw new Error(`Failed to fetch applications: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count ? total || 0 : null };
+  }
+
+  /**
+   * IDs of applications with a resume but no extracted text, in ascending order
+   * @param {number} limit - Maximum number of IDs
+   * @param {number} afterId - Only return IDs greater than this
+   * @returns {Promise<Array<number>>} Application IDs
+   */
+  async listUnindexedResumeIds(limit, afterId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('id')
+      .not('resume_storage_path', 'is', null)
+      .is('resume_text', null)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw new Error(`Failed to fetch applications: ${error.message}`);
+    }
+
+    return (data || []).map(row => row.id);
+  }
+
+  /**
+   * Ranked full-text search (search_career_applications())
+   * @param {Object} options - { q, position, experience, qualification, limit, offset }
+   * @returns {Promise<Array<Object>>} Rows with rank, resume_headline, cover_letter_headline and total_count
+   */
+  async search({ q, position = null, experience = null, qualification = null, limit = 10, offset = 0 }) {
+    const { data, error } = await this.client.rpc('search_career_applications', {
+      search_query: q,
+      filter_position: position,
+      filter_experience: experience,
+      filter_qualification: qualification,
+      result_limit: limit,
+      result_offset: offset
+    });
+
+    if (error) {
+      throw new Error(`Failed to search applications: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Change the status and append the history entry in one transaction
+   * (transition_career_application()); fails with "Application status changed" if the
+   * status is no longer fromStatus
+   * @param {Object} transition - { id, fromStatus, toStatus, changedBy, changedByName, note }
+   * @param {string} columns - Columns to return, comma-separated
+   * @returns {Promise<Object>} Updated row
+   */
+  async transitionStatus({ id, fromStatus, toStatus, changedBy, changedByName, note }, columns = '*') {
+    const { data, error } = await this.client
+      .rpc('transition_career_application', {
+        p_application_id: id,
+        p_from_status: fromStatus,
+        p_to_status: toStatus,
+        p_changed_by: changedBy,
+        p_changed_by_name: changedByName,
+        p_note: note
+      })
+      .select(columns)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update application status: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Status history of an application, oldest first
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Array<Object>>} Career_Application_History rows
+   */
+  async listHistory(applicationId) {
+    const { data, error } = await this.client
+      .from(this.historyTable)
+      .select('id, from_status, to_status, changed_by, changed_by_name, note, created_at')
+      .eq('application_id', applicationId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch application history: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * A page of the applications to erase, in ID order
+   * @param {Object} options - List options
+   * @param {string} options.email - Only those sent with this address (any case)
+   * @param {string} options.updatedBefore - Only those last updated before this ISO timestamp
+   * @param {boolean} options.notAnonymised - Leave out applications already anonymised
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @returns {Promise<Array<Object>>} Rows with id and resume_storage_path
+   */
+  async listErasable({ email = null, updatedBefore = null, notAnonymised = false, offset = 0, limit }) {
+    let query = this.client
+      .from(this.table)
+      .select('id, resume_storage_path')
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (email) {
+      query = query.ilike('email', escapeLike(email));
+    }
+    if (updatedBefore) {
+      query = query.lt('updated_at', updatedBefore);
+    }
+    if (notAnonymised) {
+      query = query.is('anonymised_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to find applications to erase: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Remove the personal data of an application, its history notes, interviews and feedback,
+   * keeping what reporting needs (anonymise_career_application())
+   * @param {number} id - Application ID
+   * @returns {Promise<void>}
+   */
+  async anonymise(id) {
+    const { error } = await this.client.rpc('anonymise_career_application', { p_application_id: id });
+
+    if (error) {
+      throw new Error(`Failed to anonymise application: ${error.message}`);
+    }
+  }
+
+  /**
+   * Interviews of an application, earliest first
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Array<Object>>} Career_Interviews rows
+   */
+  async listInterviews(applicationId) {
+    const { data, error } = await this.client
+      .from(this.interviewsTable)
+      .select('*')
+      .eq('application_id', applicationId)
+      .order('starts_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch interviews: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Interview feedback of an application, oldest first
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Array<Object>>} Career_Interview_Feedback rows
+   */
+  async listFeedback(applicationId) {
+    const { data, error } = await this.client
+      .from(this.feedbackTable)
+      .select('*')
+      .eq('application_id', applicationId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch interviews: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Find an interview of an application
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @returns {Promise<Object|null>} Career_Interviews row or null
+   */
+  async findInterview(applicationId, interviewId) {
+    const { data, error } = await this.client
+      .from(this.interviewsTable)
+      .select('*')
+      .eq('id', interviewId)
+      .eq('application_id', applicationId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch interview: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Insert an interview
+   * @param {Object} interview - Career_Interviews row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async createInterview(interview) {
+    const { data, error } = await this.client
+      .from(this.interviewsTable)
+      .insert([interview])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to schedule interview: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update an interview
+   * @param {number} id - Interview ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object>} Updated row
+   */
+  async updateInterview(id, changes) {
+    const { data, error } = await this.client
+      .from(this.interviewsTable)
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update interview: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Insert interview feedback
+   * @param {Object} feedback - Career_Interview_Feedback row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async addFeedback(feedback) {
+    const { data, error } = await this.client
+      .from(this.feedbackTable)
+      .insert([feedback])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to add feedback: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Count applications, optionally only those submitted in [from, to)
+   * @param {Object} range - { from, to } as ISO timestamps
+   * @returns {Promise<number>} Number of applications
+   */
+  async count({ from = null, to = null } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('*', { count: 'exact', head: true });
+
+    if (from) {
+      query = query.gte('application_date', from);
+    }
+    if (to) {
+      query = query.lt('application_date', to);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to count applications: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Status of every application that has one
+   * @returns {Promise<Array<string>>} application_status values
+   */
+  async listStatuses() {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('application_status')
+      .not('application_status', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to get status breakdown: ${error.message}`);
+    }
+
+    return (data || []).map(row => row.application_status);
+  }
+
+  /**
+   * Counts, breakdowns and funnel for applications submitted in [from, to)
+   * (career_application_analytics())
+   * @param {Object} options - { from, to, interval, timezone }; from and to are ISO timestamps
+   * @returns {Promise<Object>} { total, series, position, qualification, experience, location, status, reached }
+   */
+  async analytics({ from, to, interval, timezone }) {
+    const { data, error } = await this.client.rpc('career_application_analytics', {
+      p_from: from,
+      p_to: to,
+      p_interval: interval,
+      p_timezone: timezone
+    });
+
+    if (error) {
+      throw new Error(`Failed to get application analytics: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Add the admin list filters to a query on Career_Applications
+ * @param {Object} query - Supabase query
+ * @param {Object} filters - { status, position }
+ * @returns {Object} Filtered query
+ */
+function applyFilters(query, { status = null, position = null } = {}) {
+  let filtered = query;
+
+  if (status) {
+    filtered = filtered.eq('application_status', status);
+  }
+
+  if (position) {
+    filtered = filtered.eq('position', position);
+  }
+
+  return filtered;
+}
+
+module.exports = SupabaseCareerRepository;
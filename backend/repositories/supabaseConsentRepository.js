@@ -0,0 +1,136 @@
+/**
+ * Supabase Consent Repository
+ * Reads and publishes privacy notices in the Privacy_Notices table and appends to the consent
+ * ledger in Consent_Records
+ */
+class SupabaseConsentRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   * @param {Object} publicClient - Supabase client with the anon key, for reading the public notices
+   */
+  constructor(client, publicClient = client) {
+    this.client = client;
+    this.publicClient = publicClient;
+    this.noticesTable = 'Privacy_Notices';
+    this.recordsTable = 'Consent_Records';
+  }
+
+  /**
+   * The latest notice in force at a time
+   * @param {string} at - ISO timestamp
+   * @returns {Promise<Object|null>} Privacy_Notices row or null
+   */
+  async findCurrentNotice(at) {
+    const { data, error } = await this.publicClient
+      .from(this.noticesTable)
+      .select('*')
+      .lte('effective_at', at)
+      .order('effective_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch privacy notice: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a notice by version
+   * @param {string} version - Notice version
+   * @returns {Promise<Object|null>} Privacy_Notices row or null
+   */
+  async findNotice(version) {
+    const { data, error } = await this.publicClient
+      .from(this.noticesTable)
+      .select('*')
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch privacy notice: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Every notice, newest first
+   * @returns {Promise<Array<Object>>} Privacy_Notices rows
+   */
+  async listNotices() {
+    const { data, error } = await this.client
+      .from(this.noticesTable)
+      .select('*')
+      .order('effective_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to fetch privacy notices: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Insert a notice; versions are unique
+   * @param {Object} notice - Privacy_Notices row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async createNotice(notice) {
+    const { data, error } = await this.client
+      .from(this.noticesTable)
+      .insert([notice])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`Privacy notice version ${notice.version} already exists`);
+      }
+      throw new Error(`Failed to publish privacy notice: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Append ledger rows
+   * @param {Array<Object>} records - Consent_Records rows to insert
+   * @returns {Promise<Array<Object>>} Inserted rows
+   */
+  async addRecords(records) {
+    const { data, error } = await this.client
+      .from(this.recordsTable)
+      .insert(records)
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to record consent: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Ledger rows of a data subject, oldest first
+   * @param {string} subjectHash - Keyed hash of the email address
+   * @returns {Promise<Array<Object>>} Consent_Records rows
+   */
+  async listRecords(subjectHash) {
+    const { data, error } = await this.client
+      .from(this.recordsTable)
+      .select('*')
+      .eq('subject_hash', subjectHash)
+      .order('recorded_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch consent records: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = SupabaseConsentRepository;
@@ -0,0 +1,317 @@
+// Escape LIKE wildcards so an email address only matches itself
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Supabase Contact Repository
+ * Reads and updates contact enquiries in the Contact_Us table and their internal notes in Contact_Notes
+ */
+class SupabaseContactRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Contact_Us';
+    this.notesTable = 'Contact_Notes';
+  }
+
+  /**
+   * Insert an enquiry
+   * @param {Object} contact - { Full_Name, Email_id, Contact, Enter_Message }
+   * @returns {Promise<Object>} Created Contact_Us row
+   */
+  async create(contact) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([contact])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Database insertion failed: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List enquiries matching the inbox filters
+   * @param {Object} options - List options
+   * @param {Object} options.filters - { status, assignedTo, unassigned, search, from, to }
+   * @param {string} options.columns - Columns to read, comma-separated
+   * @param {Array<Object>} options.sort - [{ column, ascending }]
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @param {boolean} options.count - Whether to count all matching rows
+   * @returns {Promise<Object>} { rows, total } (total is null when not counted)
+   */
+  async list({ filters = {}, columns = '*', sort = [], offset = 0, limit = 10, count = true } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select(columns, count ? { count: 'exact' } : undefined);
+
+    sort.forEach(({ column, ascending }) => {
+      query = query.order(column, { ascending });
+    });
+
+    const { data, error, count: total } = await applyFilters(query.range(offset, offset + limit - 1), filters);
+
+    if (error) {
+      throw new Error(`Failed to fetch contacts: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count ? total || 0 : null };
+  }
+
+  /**
+   * Find an enquiry by ID
+   * @param {string} id - Contact ID
+   * @returns {Promise<Object|null>} Contact_Us row or null
+   */
+  async findById(id) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch contact: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update an enquiry
+   * @param {string} id - Contact ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object|null>} Updated row, or null if there is no such enquiry
+   */
+  async update(id, changes) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update contact: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete an enquiry (its notes go with it)
+   * @param {string} id - Contact ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const { error } = await this.client
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to delete contact: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enquiries sent from an email address (any case), oldest first
+   * @param {string} email - Canonical email address
+   * @returns {Promise<Array<Object>>} Contact_Us rows
+   */
+  async listByEmail(email) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .ilike('Email_id', escapeLike(email))
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to read ${this.table}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * A page of the enquiries to erase, in ID order
+   * @param {Object} options - List options
+   * @param {string} options.email - Only those sent from this address (any case)
+   * @param {string} options.updatedBefore - Only those last updated before this ISO timestamp
+   * @param {boolean} options.notAnonymised - Leave out enquiries already anonymised
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @returns {Promise<Array<Object>>} Rows with id
+   */
+  async listErasable({ email = null, updatedBefore = null, notAnonymised = false, offset = 0, limit }) {
+    let query = this.client
+      .from(this.table)
+      .select('id')
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (email) {
+      query = query.ilike('Email_id', escapeLike(email));
+    }
+    if (updatedBefore) {
+      query = query.lt('updated_at', updatedBefore);
+    }
+    if (notAnonymised) {
+      query = query.is('anonymised_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to find contacts to erase: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Remove the personal data of an enquiry and its notes (anonymise_contact_enquiry())
+   * @param {string} id - Contact ID
+   * @returns {Promise<void>}
+   */
+  async anonymise(id) {
+    const { error } = await this.client.rpc('anonymise_contact_enquiry', { p_contact_id: id });
+
+    if (error) {
+      throw new Error(`Failed to anonymise contact: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count enquiries, optionally only those received in [from, to)
+   * @param {Object} range - { from, to } as ISO timestamps
+   * @returns {Promise<number>} Number of enquiries
+   */
+  async count({ from = null, to = null } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('*', { count: 'exact', head: true });
+
+    if (from) {
+      query = query.gte('created_at', from);
+    }
+    if (to) {
+      query = query.lt('created_at', to);
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to count contacts: ${error.message}`);
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Status and assignee of every enquiry, for the inbox statistics
+   * @returns {Promise<Array<Object>>} [{ status, assigned_to }]
+   */
+  async listStatuses() {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('status, assigned_to');
+
+    if (error) {
+      throw new Error(`Failed to get status breakdown: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Add an internal note
+   * @param {Object} note - { contact_id, author_id, author_name, note }
+   * @returns {Promise<Object>} Created Contact_Notes row
+   */
+  async addNote(note) {
+    const { data, error } = await this.client
+      .from(this.notesTable)
+      .insert([note])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to add note: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Internal notes on an enquiry, oldest first
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<Array<Object>>} Contact_Notes rows
+   */
+  async listNotes(contactId) {
+    const { data, error } = await this.client
+      .from(this.notesTable)
+      .select('*')
+      .eq('contact_id', contactId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch notes: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+/**
+ * Add the inbox list filters to a query on Contact_Us
+ * @param {Object} query - Supabase query
+ * @param {Object} filters - { status, assignedTo, unassigned, search, from, to }
+ * @returns {Object} Filtered query
+ */
+function applyFilters(query, filters = {}) {
+  const {
+    status = null,
+    assignedTo = null,
+    unassigned = false,
+    search = null,
+    from = null,
+    to = null
+  } = filters;
+  let filtered = query;
+
+  if (status) {
+    filtered = filtered.eq('status', status);
+  }
+
+  if (assignedTo) {
+    filtered = filtered.eq('assigned_to', assignedTo);
+  } else if (unassigned) {
+    filtered = filtered.is('assigned_to', null);
+  }
+
+  if (search) {
+    // Strip characters that have meaning in PostgREST filter syntax
+    const term = search.replace(/[,()*%]/g, ' ').trim();
+    if (term) {
+      filtered = filtered.or(`Full_Name.ilike.%${term}%,Email_id.ilike.%${term}%,Enter_Message.ilike.%${term}%`);
+    }
+  }
+
+  if (from) {
+    filtered = filtered.gte('created_at', from);
+  }
+
+  if (to) {
+    filtered = filtered.lte('created_at', to);
+  }
+
+  return filtered;
+}
+
+module.exports = SupabaseContactRepository;
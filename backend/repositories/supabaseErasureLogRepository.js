@@ -0,0 +1,81 @@
+/**
+ * Supabase Erasure Log Repository
+ * Appends to and reads the erasure and retention certificates in the Data_Erasure_Log table
+ */
+class SupabaseErasureLogRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Data_Erasure_Log';
+  }
+
+  /**
+   * Record a certificate
+   * @param {Object} entry - Data_Erasure_Log row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async create(entry) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([entry])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record erasure certificate: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List certificates, newest first
+   * @param {Object} options - { subjectHash, kind, offset, limit }
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async list({ subjectHash = null, kind = null, offset = 0, limit = 20 } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('*', { count: 'exact' })
+      .order('completed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (subjectHash) {
+      query = query.eq('subject_hash', subjectHash);
+    }
+    if (kind) {
+      query = query.eq('kind', kind);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch erasure certificates: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count || 0 };
+  }
+
+  /**
+   * Find a certificate
+   * @param {string} certificateId - Certificate UUID
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findByCertificateId(certificateId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('certificate_id', certificateId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch erasure certificate: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = SupabaseErasureLogRepository;
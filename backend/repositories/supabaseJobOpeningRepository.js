@@ -0,0 +1,173 @@
+/**
+ * Supabase Job Opening Repository
+ * Reads and updates the roles on the careers page in the Job_Openings table
+ */
+class SupabaseJobOpeningRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   * @param {Object} publicClient - Supabase client with the anon key, for reading open roles as the careers page does
+   */
+  constructor(client, publicClient = client) {
+    this.client = client;
+    this.publicClient = publicClient;
+    this.table = 'Job_Openings';
+  }
+
+  /**
+   * Openings accepting applications on a day, in display order
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Promise<Array<Object>>} Job_Openings rows
+   */
+  async listOpen(today) {
+    const { data, error } = await openOn(this.publicClient.from(this.table).select('*'), today)
+      .order('sort_order', { ascending: true })
+      .order('title', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch job openings: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * The opening with a slug, if it accepts applications on a day
+   * @param {string} slug - Opening slug
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} Job_Openings row or null
+   */
+  async findOpen(slug, today) {
+    const { data, error } = await openOn(this.publicClient.from(this.table).select('*'), today)
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch job opening: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find an opening by slug, including closed and unpublished openings
+   * @param {string} slug - Opening slug
+   * @param {string} columns - Columns to read, comma-separated
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findBySlug(slug, columns = '*') {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select(columns)
+      .eq('slug', slug)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch job opening: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * All openings, in display order
+   * @param {Object} filters - { department }
+   * @returns {Promise<Array<Object>>} Job_Openings rows
+   */
+  async list({ department = null } = {}) {
+    let query = this.client
+      .from(this.table)
+      .select('*')
+      .order('sort_order', { ascending: true })
+      .order('title', { ascending: true });
+
+    if (department) {
+      query = query.eq('department', department);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch job openings: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Find an opening by ID
+   * @param {number} id - Opening ID
+   * @returns {Promise<Object|null>} Job_Openings row or null
+   */
+  async findById(id) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch job opening: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Insert an opening; slugs are unique
+   * @param {Object} opening - Job_Openings row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async create(opening) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([opening])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A job opening with this slug already exists');
+      }
+      throw new Error(`Failed to create job opening: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update an opening
+   * @param {number} id - Opening ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object|null>} Updated row, or null if there is no such opening
+   */
+  async update(id, changes) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update job opening: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Restrict a Job_Openings query to openings accepting applications on a day: published, and
+ * the day between opens_at and closes_at (either may be empty)
+ * @param {Object} query - Supabase query
+ * @param {string} today - ISO date (YYYY-MM-DD)
+ * @returns {Object} Filtered query
+ */
+function openOn(query, today) {
+  return query
+    .eq('is_published', true)
+    .or(`opens_at.is.null,opens_at.lte.${today}`)
+    .or(`closes_at.is.null,closes_at.gte.${today}`);
+}
+
+module.exports = SupabaseJobOpeningRepository;
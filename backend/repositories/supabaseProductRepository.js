@@ -0,0 +1,333 @@
+// Products are always read with their country registrations
+const PRODUCT_SELECT = '*, registrations:Product_Registrations(*)';
+
+// Registrations listed for staff are read with the product they belong to
+const REGISTRATION_SELECT = '*, product:Products(id, brand_name, generic_name, strength, dosage_form)';
+
+/**
+ * Supabase Product Repository
+ * Reads and updates the product catalogue in the Products table and the country registrations
+ * of each product in Product_Registrations
+ */
+class SupabaseProductRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   * @param {Object} publicClient - Supabase client with the anon key, for reading the public catalogue
+   */
+  constructor(client, publicClient = client) {
+    this.client = client;
+    this.publicClient = publicClient;
+    this.table = 'Products';
+    this.registrationsTable = 'Product_Registrations';
+  }
+
+  /**
+   * List published products, with their registrations
+   * @param {Object} options - List options
+   * @param {string} options.category - Filter by category
+   * @param {string} options.search - Match against brand, generic name, strength or description
+   *   (already free of PostgREST filter characters)
+   * @param {string} options.sortBy - Column to sort by (then id)
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async listPublished({ category = null, search = null, sortBy = 'sort_order', offset = 0, limit = 20 } = {}) {
+    let query = this.publicClient
+      .from(this.table)
+      .select(PRODUCT_SELECT, { count: 'exact' })
+      .eq('is_published', true)
+      .order(sortBy, { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    if (search) {
+      query = query.or(`brand_name.ilike.%${search}%,generic_name.ilike.%${search}%,strength.ilike.%${search}%,description.ilike.%${search}%`);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch products: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count || 0 };
+  }
+
+  /**
+   * Find a published product by ID, with its registrations
+   * @param {number} id - Product ID
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findPublished(id) {
+    const { data, error } = await this.publicClient
+      .from(this.table)
+      .select(PRODUCT_SELECT)
+      .eq('id', id)
+      .eq('is_published', true)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch product: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Category of every published product
+   * @returns {Promise<Array<string>>} category values
+   */
+  async listPublishedCategories() {
+    const { data, error } = await this.publicClient
+      .from(this.table)
+      .select('category')
+      .eq('is_published', true);
+
+    if (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+
+    return (data || []).map(row => row.category);
+  }
+
+  /**
+   * Insert a product
+   * @param {Object} product - Products row to insert
+   * @returns {Promise<Object>} Inserted row, with its (no) registrations
+   */
+  async create(product) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([product])
+      .select(PRODUCT_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create product: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a product
+   * @param {number} id - Product ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object|null>} Updated row with its registrations, or null if there is no such product
+   */
+  async update(id, changes) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id)
+      .select(PRODUCT_SELECT)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update product: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List registrations, with their product, soonest expiry first
+   * @param {Object} options - List options
+   * @param {Object} options.filters - { productId, countryCode, status }
+   * @param {number} options.offset - Rows to skip
+   * @param {number} options.limit - Maximum rows
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async listRegistrations({ filters = {}, offset = 0, limit = 20 } = {}) {
+    const { productId = null, countryCode = null, status = null } = filters;
+
+    let query = this.client
+      .from(this.registrationsTable)
+      .select(REGISTRATION_SELECT, { count: 'exact' })
+      .order('expiry_date', { ascending: true, nullsFirst: false })
+      .range(offset, offset + limit - 1);
+
+    if (productId) {
+      query = query.eq('product_id', productId);
+    }
+
+    if (countryCode) {
+      query = query.eq('country_code', countryCode);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch registrations: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count || 0 };
+  }
+
+  /**
+   * Find a registration by ID, with its product
+   * @param {number} id - Registration ID
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findRegistration(id) {
+    const { data, error } = await this.client
+      .from(this.registrationsTable)
+      .select(REGISTRATION_SELECT)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch registration: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Active registrations with an expiry date in a range, with their product, soonest expiry first
+   * @param {Object} range - { from, until, countryCode }: ISO dates (from optional, both inclusive)
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async listActiveRegistrations({ from = null, until, countryCode = null }) {
+    let query = this.client
+      .from(this.registrationsTable)
+      .select(REGISTRATION_SELECT)
+      .eq('status', 'active')
+      .not('expiry_date', 'is', null)
+      .lte('expiry_date', until)
+      .order('expiry_date', { ascending: true });
+
+    if (from) {
+      query = query.gte('expiry_date', from);
+    }
+
+    if (countryCode) {
+      query = query.eq('country_code', countryCode);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch expiring registrations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update the active registrations whose expiry date is before a date
+   * @param {string} before - ISO date (YYYY-MM-DD)
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Array<Object>>} Updated rows, with their product
+   */
+  async updateLapsedRegistrations(before, changes) {
+    const { data, error } = await this.client
+      .from(this.registrationsTable)
+      .update(changes)
+      .eq('status', 'active')
+      .lt('expiry_date', before)
+      .select(REGISTRATION_SELECT);
+
+    if (error) {
+      throw new Error(`Failed to expire lapsed registrations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update several registrations
+   * @param {Array<number>} ids - Registration IDs
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<void>}
+   */
+  async updateRegistrations(ids, changes) {
+    const { error } = await this.client
+      .from(this.registrationsTable)
+      .update(changes)
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(`Failed to update registrations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Insert a registration; the product must exist and the country and visa number be unique
+   * @param {Object} registration - Product_Registrations row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async createRegistration(registration) {
+    const { data, error } = await this.client
+      .from(this.registrationsTable)
+      .insert([registration])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23503') {
+        throw new Error('Product not found');
+      }
+      if (error.code === '23505') {
+        throw new Error('Registration already exists for this country and visa number');
+      }
+      throw new Error(`Failed to create registration: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a registration
+   * @param {number} id - Registration ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object|null>} Updated row, or null if there is no such registration
+   */
+  async updateRegistration(id, changes) {
+    const { data, error } = await this.client
+      .from(this.registrationsTable)
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('Registration already exists for this country and visa number');
+      }
+      throw new Error(`Failed to update registration: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a registration
+   * @param {number} id - Registration ID
+   * @returns {Promise<boolean>} false if there is no such registration
+   */
+  async deleteRegistration(id) {
+    const { data, error } = await this.client
+      .from(this.registrationsTable)
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to delete registration: ${error.message}`);
+    }
+
+    return Boolean(data && data.length > 0);
+  }
+}
+
+module.exports = SupabaseProductRepository;
@@ -0,0 +1,199 @@
+// Escape LIKE wildcards so an email address only matches itself
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Supabase Quarantine Repository
+ * Reads and updates form submissions held for spam review in the Form_Quarantine table
+ */
+class SupabaseQuarantineRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Form_Quarantine';
+  }
+
+  /**
+   * Hold a submission
+   * @param {Object} submission - Form_Quarantine row to insert
+   * @returns {Promise<Object>} Inserted row
+   */
+  async create(submission) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([submission])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to quarantine submission: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * List the submissions of a form with a status, newest first
+   * @param {Object} options - { form, status, offset, limit }
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async list({ form, status, offset = 0, limit = 20 }) {
+    const { data, error, count } = await this.client
+      .from(this.table)
+      .select('*', { count: 'exact' })
+      .eq('form', form)
+      .eq('status', status)
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch quarantined submissions: ${error.message}`);
+    }
+
+    return { rows: data || [], total: count || 0 };
+  }
+
+  /**
+   * Find a submission of a form by ID
+   * @param {number} id - Quarantine ID
+   * @param {string} form - 'contact' or 'careers'
+   * @returns {Promise<Object|null>} Row or null
+   */
+  async findById(id, form) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .eq('form', form)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch quarantined submission: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a submission only while it is still held
+   * @param {number} id - Quarantine ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object|null>} Updated row, or null if it is no longer held
+   */
+  async updateHeld(id, changes) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .update(changes)
+      .eq('id', id)
+      .eq('status', 'held')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to update quarantined submission: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Submissions received before a time that still have a held resume
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<Array<Object>>} Rows with id and resume_storage_path
+   */
+  async listResumesReceivedBefore(before) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('id, resume_storage_path')
+      .lt('received_at', before)
+      .not('resume_storage_path', 'is', null);
+
+    if (error) {
+      throw new Error(`Failed to purge quarantine: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Delete the submissions received before a time
+   * @param {string} before - ISO timestamp
+   * @param {Array<number>} keepIds - Submissions to leave in place
+   * @returns {Promise<number>} Submissions deleted
+   */
+  async deleteReceivedBefore(before, keepIds = []) {
+    let query = this.client
+      .from(this.table)
+      .delete()
+      .lt('received_at', before);
+    if (keepIds.length > 0) {
+      query = query.not('id', 'in', `(${keepIds.join(',')})`);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw new Error(`Failed to purge quarantine: ${error.message}`);
+    }
+
+    return data.length;
+  }
+
+  /**
+   * Delete a submission
+   * @param {number} id - Quarantine ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    const { error } = await this.client
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to delete quarantined submission: ${error.message}`);
+    }
+  }
+
+  /**
+   * Submissions sent with an email address (any case), oldest first
+   * @param {string} email - Canonical email address
+   * @returns {Promise<Array<Object>>} Form_Quarantine rows
+   */
+  async listByEmail(email) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .ilike('email', escapeLike(email))
+      .order('received_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to read ${this.table}: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * A page of the submissions to erase, in ID order
+   * @param {Object} options - { email, offset, limit }; email matches in any case
+   * @returns {Promise<Array<Object>>} Rows with id and resume_storage_path
+   */
+  async listErasable({ email, offset = 0, limit }) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('id, resume_storage_path')
+      .ilike('email', escapeLike(email))
+      .order('id', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to find quarantined submissions to erase: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = SupabaseQuarantineRepository;
@@ -0,0 +1,90 @@
+const clock = require('../utils/clock');
+
+/**
+ * Supabase User Repository
+ * Reads and updates staff accounts stored in the Admin_Users table
+ */
+class SupabaseUserRepository {
+  /**
+   * @param {Object} client - Supabase client (should use the service role key)
+   */
+  constructor(client) {
+    this.client = client;
+    this.table = 'Admin_Users';
+  }
+
+  /**
+   * Find a user by email address
+   * @param {string} email - Login email
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async findByEmail(email) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('email', email.toLowerCase().trim())
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a user by ID
+   * @param {number|string} id - User ID
+   * @returns {Promise<Object|null>} User record or null
+   */
+  async findById(id) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch user: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Create a new user
+   * @param {Object} user - { email, full_name, password_hash, role }
+   * @returns {Promise<Object>} Created user record
+   */
+  async create(user) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .insert([user])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create user: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Record a successful sign in
+   * @param {number|string} id - User ID
+   * @returns {Promise<void>}
+   */
+  async touchLastLogin(id) {
+    const { error } = await this.client
+      .from(this.table)
+      .update({ last_login_at: clock.now().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      throw new Error(`Failed to update last login: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SupabaseUserRepository;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const ConfigController = require('../controllers/configController');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/admin/config
+ * @desc    Get the running configuration with secrets redacted, its sources and validation warnings
+ * @access  Staff (admin)
+ */
+router.get('/config',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  asyncHandler(ConfigController.getConfig)
+);
+
+module.exports = router;
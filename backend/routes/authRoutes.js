@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/authController');
+const { validateLogin, loginRateLimit } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Sign in as a staff member and receive an access token
+ * @access  Public
+ * @body    { email, password }
+ */
+router.post('/login',
+  loginRateLimit,
+  validateLogin,
+  asyncHandler(AuthController.login)
+);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed in staff member
+ * @access  Staff
+ */
+router.get('/me',
+  authenticate,
+  asyncHandler(AuthController.me)
+);
+
+module.exports = router;
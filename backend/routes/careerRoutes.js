@@ -2,8 +2,40 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const CareerController = require('../controllers/careerController');
+const JobOpeningController = require('../controllers/jobOpeningController');
+const InterviewController = require('../controllers/interviewController');
+const ExportController = require('../controllers/exportController');
+const CareerService = require('../services/careerService');
+const JobOpeningService = require('../services/jobOpeningService');
 const { asyncHandler } = require('../middleware/errorHandler');
-const rateLimit = require('express-rate-limit');
+const { canonicalEmail } = require('../utils/email');
+const { bindNext } = require('../utils/scope');
+const { authenticate, authorize, ALL_STAFF, HR_STAFF } = require('../middleware/auth');
+const {
+  validateApplicationSearch,
+  validateApplicationAnalytics,
+  validateApplicationStatus,
+  validateApplicationFilters,
+  validateApplicationSort,
+  validateExport,
+  validateInterview,
+  validateInterviewId,
+  validateInterviewCancellation,
+  validateInterviewOutcome,
+  validateInterviewFeedback,
+  validateInvitationQuery,
+  validateJobOpening,
+  validateJobOpeningQuery,
+  validateNumericId,
+  validatePagination,
+  validateQuarantineQuery,
+  validateQuarantineId,
+  validatePrivacyNoticeVersion,
+  sanitizeInput,
+  careerApplicationRateLimit,
+  statusLookupRateLimit,
+  handleValidationErrors
+} = require('../middleware/validation');
 
 /**
  * Career Application Routes
@@ -29,32 +61,13 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Please upload PDF, DOC, or DOCX files only.'), false);
+      const error = new Error('Invalid file type. Please upload PDF, DOC, or DOCX files only.');
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
     }
   }
 });
 
-// Rate limiting for career applications
-const careerApplicationRateLimit = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // Limit each IP to 3 applications per hour
-  message: {
-    success: false,
-    error: 'Too many career applications from this IP. Please try again later.',
-    retryAfter: 60 * 60 // 1 hour in seconds
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      success: false,
-      message: 'Too many career applications from this IP. Please try again later.',
-      retryAfter: 60 * 60, // 1 hour in seconds
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
 // Input sanitization middleware
 const sanitizeCareerInput = (req, res, next) => {
   if (req.body) {
@@ -90,7 +103,7 @@ const validateCareerApplication = [
     .withMessage('Email is required')
     .isEmail()
     .withMessage('Please provide a valid email address')
-    .normalizeEmail(),
+    .customSanitizer(canonicalEmail),
   
   body('phone')
     .trim()
@@ -111,12 +124,16 @@ const validateCareerApplication = [
   body('position')
     .notEmpty()
     .withMessage('Position is required')
-    .isIn([
-      'supply-chain', 'executive-ceo', 'executive-directors', 'manager-ehs',
-      'manager-hrd', 'manager-accounts', 'manager-regulatory', 'manager-procurement',
-      'trainee-procurement', 'business-development', 'manager-engineering', 'deputy-qa', 'other'
-    ])
-    .withMessage('Please select a valid position'),
+    .bail()
+    .custom(async (position, { req }) => {
+      // Same source as GET /positions: only open roles accept applications
+      const opening = await JobOpeningService.findOpenPosition(position);
+      if (!opening) {
+        throw new Error('Please select a valid position');
+      }
+      req.jobOpening = opening;
+      return true;
+    }),
   
   body('experience')
     .notEmpty()
@@ -138,51 +155,439 @@ const validateCareerApplication = [
   
   body('consent')
     .notEmpty()
-    .withMessage('You must agree to the terms and conditions')
+    .withMessage('You must agree to the terms and conditions'),
+
+  ...validatePrivacyNoticeVersion
+];
+
+// Validation middleware for application status lookups
+const validateStatusLookup = [
+  body('applicationNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Application number is required')
+    .matches(CareerService.APPLICATION_NUMBER_PATTERN)
+    .withMessage('Application number must look like AC-000123'),
+
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .customSanitizer(canonicalEmail)
 ];
 
 /**
  * @route   POST /api/careers/apply
- * @desc    Submit a new career application
+ * @desc    Submit a new career application; suspected spam is held in quarantine (202)
  * @access  Public
+ * @body    multipart: application fields, resume, privacyNoticeVersion, formToken, website, challengeToken?
  */
 router.post('/apply',
   careerApplicationRateLimit,
-  upload.single('resume'),
+  bindNext(upload.single('resume')),
   sanitizeCareerInput,
   validateCareerApplication,
   asyncHandler(CareerController.submitApplication)
 );
 
+/**
+ * @route   GET /api/careers/form-token
+ * @desc    Issue the form token (and challenge settings) the careers page sends back with the application
+ * @access  Public
+ */
+router.get('/form-token', asyncHandler(CareerController.getFormToken));
+
 /**
  * @route   GET /api/careers/positions
- * @desc    Get available positions
+ * @desc    Get positions currently open for applications
  * @access  Public
  */
 router.get('/positions', asyncHandler(CareerController.getAvailablePositions));
 
-// Admin routes (commented out for now - implement authentication when needed)
-/*
+/**
+ * @route   POST /api/careers/status
+ * @desc    Check the status of an application by application number and email
+ * @access  Public (rate limited)
+ * @body    { applicationNumber, email }
+ */
+router.post('/status',
+  statusLookupRateLimit,
+  validateStatusLookup,
+  handleValidationErrors,
+  asyncHandler(CareerController.lookupApplicationStatus)
+);
+
+// Admin routes
+
+/**
+ * @route   GET /api/careers/admin/applications
+ * @desc    List career applications with pagination and filters
+ * @access  Staff (admin, hr, viewer)
+ * @query   page, limit, sortBy, sortOrder, status, position
+ */
 router.get('/admin/applications',
-  // Add authentication middleware here
+  authenticate,
+  authorize(ALL_STAFF),
+  validatePagination,
+  validateApplicationSort,
+  validateApplicationFilters,
+  handleValidationErrors,
   asyncHandler(CareerController.getAllApplications)
 );
 
+/**
+ * @route   GET /api/careers/admin/applications/search
+ * @desc    Full-text search of resumes and cover letters, with highlighted matches
+ * @access  Staff (admin, hr, viewer)
+ * @query   q, position, experience, qualification, page, limit
+ */
+router.get('/admin/applications/search',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateApplicationSearch,
+  handleValidationErrors,
+  asyncHandler(CareerController.searchApplications)
+);
+
+/**
+ * @route   GET /api/careers/admin/applications/export
+ * @desc    Download applications as CSV or XLSX (streamed), with the list filters
+ * @access  Staff (admin, hr, viewer) - viewers always get redacted exports
+ * @query   format (csv|xlsx), columns, redact, status, position
+ */
+router.get('/admin/applications/export',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateExport,
+  validateApplicationFilters,
+  handleValidationErrors,
+  asyncHandler(ExportController.exportApplications)
+);
+
+/**
+ * @route   GET /api/careers/admin/applications/:id
+ * @desc    Get a single career application
+ * @access  Staff (admin, hr, viewer)
+ */
 router.get('/admin/applications/:id',
-  // Add authentication middleware here
+  authenticate,
+  authorize(ALL_STAFF),
+  validateNumericId,
+  handleValidationErrors,
   asyncHandler(CareerController.getApplicationById)
 );
 
+/**
+ * @route   GET /api/careers/admin/applications/:id/resume
+ * @desc    Download (stream) the resume of an application
+ * @access  Staff (admin, hr)
+ */
+router.get('/admin/applications/:id/resume',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(CareerController.downloadResume)
+);
+
+/**
+ * @route   GET /api/careers/admin/applications/:id/resume/url
+ * @desc    Get a short-lived signed download URL for the resume of an application
+ * @access  Staff (admin, hr)
+ */
+router.get('/admin/applications/:id/resume/url',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(CareerController.getResumeDownloadUrl)
+);
+
+/**
+ * @route   PUT /api/careers/admin/applications/:id/status
+ * @desc    Move a career application through the hiring pipeline
+ * @access  Staff (admin, hr)
+ * @body    { status, notes }
+ */
 router.put('/admin/applications/:id/status',
-  // Add authentication middleware here
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateApplicationStatus,
+  handleValidationErrors,
   asyncHandler(CareerController.updateApplicationStatus)
 );
 
+/**
+ * @route   GET /api/careers/admin/applications/:id/timeline
+ * @desc    Get the submission and status history of a career application
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/applications/:id/timeline',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(CareerController.getApplicationTimeline)
+);
+
+/**
+ * @route   GET /api/careers/admin/applications/:id/interviews
+ * @desc    List the interviews of a career application, with panel feedback
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/applications/:id/interviews',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(InterviewController.getInterviews)
+);
+
+/**
+ * @route   POST /api/careers/admin/applications/:id/interviews
+ * @desc    Schedule an interview for a shortlisted application and email .ics invitations
+ * @access  Staff (admin, hr)
+ * @body    { startsAt, durationMinutes, mode, location, meetingUrl, phoneNumber, panel: [{ name, email }], instructions }
+ */
+router.post('/admin/applications/:id/interviews',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateInterview(),
+  handleValidationErrors,
+  asyncHandler(InterviewController.scheduleInterview)
+);
+
+/**
+ * @route   PUT /api/careers/admin/applications/:id/interviews/:interviewId
+ * @desc    Reschedule or change a scheduled interview; updated invitations are sent
+ * @access  Staff (admin, hr)
+ */
+router.put('/admin/applications/:id/interviews/:interviewId',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateInterviewId,
+  validateInterview(true),
+  handleValidationErrors,
+  asyncHandler(InterviewController.updateInterview)
+);
+
+/**
+ * @route   POST /api/careers/admin/applications/:id/interviews/:interviewId/cancel
+ * @desc    Cancel a scheduled interview; candidate and panel receive cancellations
+ * @access  Staff (admin, hr)
+ * @body    { reason }
+ */
+router.post('/admin/applications/:id/interviews/:interviewId/cancel',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateInterviewId,
+  validateInterviewCancellation,
+  handleValidationErrors,
+  asyncHandler(InterviewController.cancelInterview)
+);
+
+/**
+ * @route   PUT /api/careers/admin/applications/:id/interviews/:interviewId/outcome
+ * @desc    Record that an interview took place (or the candidate did not attend) and its outcome
+ * @access  Staff (admin, hr)
+ * @body    { status: completed | no_show, outcome: advance | hold | reject }
+ */
+router.put('/admin/applications/:id/interviews/:interviewId/outcome',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateInterviewId,
+  validateInterviewOutcome,
+  handleValidationErrors,
+  asyncHandler(InterviewController.recordOutcome)
+);
+
+/**
+ * @route   POST /api/careers/admin/applications/:id/interviews/:interviewId/feedback
+ * @desc    Record interview feedback from the signed-in staff member
+ * @access  Staff (admin, hr, viewer) - panel members may have viewer accounts
+ * @body    { rating, recommendation, comments }
+ */
+router.post('/admin/applications/:id/interviews/:interviewId/feedback',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateNumericId,
+  validateInterviewId,
+  validateInterviewFeedback,
+  handleValidationErrors,
+  asyncHandler(InterviewController.addFeedback)
+);
+
+/**
+ * @route   GET /api/careers/admin/applications/:id/interviews/:interviewId/invite.ics
+ * @desc    Download the current calendar invitation
+ * @access  Staff (admin, hr)
+ * @query   for=candidate|panel
+ */
+router.get('/admin/applications/:id/interviews/:interviewId/invite.ics',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  validateInterviewId,
+  validateInvitationQuery,
+  handleValidationErrors,
+  asyncHandler(InterviewController.downloadInvitation)
+);
+
+/**
+ * @route   GET /api/careers/admin/quarantine
+ * @desc    List applications held as suspected spam
+ * @access  Staff (admin, hr, viewer)
+ * @query   page, limit, status (held, released, discarded; default held)
+ */
+router.get('/admin/quarantine',
+  authenticate,
+  authorize(ALL_STAFF),
+  validatePagination,
+  validateQuarantineQuery,
+  handleValidationErrors,
+  asyncHandler(CareerController.getQuarantined)
+);
+
+/**
+ * @route   GET /api/careers/admin/quarantine/:quarantineId
+ * @desc    Get a quarantined application with its fields and the signals it was held for
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/quarantine/:quarantineId',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(CareerController.getQuarantinedById)
+);
+
+/**
+ * @route   POST /api/careers/admin/quarantine/:quarantineId/release
+ * @desc    Release a quarantined application to the hiring pipeline (its resume is screened and the applicant acknowledged then)
+ * @access  Staff (admin, hr)
+ */
+router.post('/admin/quarantine/:quarantineId/release',
+  authenticate,
+  authorize(HR_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(CareerController.releaseQuarantined)
+);
+
+/**
+ * @route   POST /api/careers/admin/quarantine/:quarantineId/discard
+ * @desc    Discard a quarantined application as spam
+ * @access  Staff (admin, hr)
+ */
+router.post('/admin/quarantine/:quarantineId/discard',
+  authenticate,
+  authorize(HR_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(CareerController.discardQuarantined)
+);
+
+/**
+ * @route   GET /api/careers/admin/stats
+ * @desc    Get career application statistics
+ * @access  Staff (admin, hr, viewer)
+ */
 router.get('/admin/stats',
-  // Add authentication middleware here
+  authenticate,
+  authorize(ALL_STAFF),
   asyncHandler(CareerController.getApplicationStats)
 );
-*/
+
+/**
+ * @route   GET /api/careers/admin/analytics
+ * @desc    Applications per day/week/month, breakdowns and pipeline conversion; CSV with format=csv
+ * @access  Staff (admin, hr, viewer)
+ * @query   from, to (YYYY-MM-DD), interval (day|week|month), timezone, format (json|csv)
+ */
+router.get('/admin/analytics',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateApplicationAnalytics,
+  handleValidationErrors,
+  asyncHandler(CareerController.getApplicationAnalytics)
+);
+
+/**
+ * @route   GET /api/careers/admin/openings
+ * @desc    List job openings, including scheduled, closed and unpublished ones
+ * @access  Staff (admin, hr, viewer)
+ * @query   state (open, scheduled, closed, unpublished), department
+ */
+router.get('/admin/openings',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateJobOpeningQuery,
+  handleValidationErrors,
+  asyncHandler(JobOpeningController.getAllOpenings)
+);
+
+/**
+ * @route   GET /api/careers/admin/openings/:id
+ * @desc    Get a job opening
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/openings/:id',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(JobOpeningController.getOpeningById)
+);
+
+/**
+ * @route   POST /api/careers/admin/openings
+ * @desc    Create a job opening
+ * @access  Staff (admin, hr)
+ * @body    { slug, title, department, location?, description?, requirements?, employmentType?, opensAt?, closesAt?, isPublished?, sortOrder? }
+ */
+router.post('/admin/openings',
+  authenticate,
+  authorize(HR_STAFF),
+  sanitizeInput,
+  validateJobOpening(),
+  handleValidationErrors,
+  asyncHandler(JobOpeningController.createOpening)
+);
+
+/**
+ * @route   PUT /api/careers/admin/openings/:id
+ * @desc    Update a job opening (the slug cannot be changed)
+ * @access  Staff (admin, hr)
+ */
+router.put('/admin/openings/:id',
+  authenticate,
+  authorize(HR_STAFF),
+  sanitizeInput,
+  validateNumericId,
+  validateJobOpening(true),
+  handleValidationErrors,
+  asyncHandler(JobOpeningController.updateOpening)
+);
+
+/**
+ * @route   DELETE /api/careers/admin/openings/:id
+ * @desc    Unpublish a job opening (kept so existing applications still resolve)
+ * @access  Staff (admin, hr)
+ */
+router.delete('/admin/openings/:id',
+  authenticate,
+  authorize(HR_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(JobOpeningController.unpublishOpening)
+);
 
 // Error handling for multer
 router.use((error, req, res, next) => {
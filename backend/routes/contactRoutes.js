@@ -1,22 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const ContactController = require('../controllers/contact.controller');
+const ExportController = require('../controllers/exportController');
 const {
   validateContactForm,
   validatePagination,
+  validateContactFilters,
+  validateExport,
+  validateContactStatus,
+  validateContactAssignment,
+  validateNote,
+  validateQuarantineQuery,
+  validateQuarantineId,
   validateId,
   sanitizeInput,
-  contactRateLimit
+  contactRateLimit,
+  handleValidationErrors
 } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize, ROLES, ALL_STAFF, HR_STAFF } = require('../middleware/auth');
 
 // Public routes
 
 /**
  * @route   POST /api/contact
- * @desc    Submit contact form
+ * @desc    Submit contact form; suspected spam is held in quarantine (202)
  * @access  Public
- * @body    { fullName, email, contact, message }
+ * @body    { fullName, email, contact, message, consent, marketingConsent?, privacyNoticeVersion, formToken, website, challengeToken? }
  */
 router.post('/',
   contactRateLimit,
@@ -25,6 +35,13 @@ router.post('/',
   asyncHandler(ContactController.createContact)
 );
 
+/**
+ * @route   GET /api/contact/form-token
+ * @desc    Issue the form token (and challenge settings) the contact page sends back with the enquiry
+ * @access  Public
+ */
+router.get('/form-token', asyncHandler(ContactController.getFormToken));
+
 /**
  * @route   GET /api/contact/health
  * @desc    Health check for contact service
@@ -39,25 +56,185 @@ router.get('/health', asyncHandler(ContactController.healthCheck));
  */
 router.get('/test', asyncHandler(ContactController.testConnection));
 
-// Admin routes (you can add authentication middleware here later)
-
-// Note: Admin routes are commented out for now
-// Uncomment and implement authentication middleware when needed
+// Admin routes (staff only)
 
-/*
+/**
+ * @route   GET /api/contact/admin/all
+ * @desc    List contact enquiries with pagination and filters
+ * @access  Staff (admin, hr, viewer)
+ * @query   page, limit, sortBy, sortOrder, status, assignedTo, unassigned, search, from, to
+ */
 router.get('/admin/all',
+  authenticate,
+  authorize(ALL_STAFF),
   validatePagination,
+  validateContactFilters,
+  handleValidationErrors,
   asyncHandler(ContactController.getAllContacts)
 );
 
+/**
+ * @route   GET /api/contact/admin/export
+ * @desc    Download contact enquiries as CSV or XLSX (streamed), with the inbox filters
+ * @access  Staff (admin, hr, viewer) - viewers always get redacted exports
+ * @query   format (csv|xlsx), columns, redact, status, assignedTo, unassigned, search, from, to
+ */
+router.get('/admin/export',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateExport,
+  validateContactFilters,
+  handleValidationErrors,
+  asyncHandler(ExportController.exportContacts)
+);
+
+/**
+ * @route   GET /api/contact/admin/stats
+ * @desc    Get inbox statistics
+ * @access  Staff (admin, hr, viewer)
+ */
 router.get('/admin/stats',
+  authenticate,
+  authorize(ALL_STAFF),
   asyncHandler(ContactController.getContactStats)
 );
 
+/**
+ * @route   GET /api/contact/admin/quarantine
+ * @desc    List contact form submissions held as suspected spam
+ * @access  Staff (admin, hr, viewer)
+ * @query   page, limit, status (held, released, discarded; default held)
+ */
+router.get('/admin/quarantine',
+  authenticate,
+  authorize(ALL_STAFF),
+  validatePagination,
+  validateQuarantineQuery,
+  handleValidationErrors,
+  asyncHandler(ContactController.getQuarantined)
+);
+
+/**
+ * @route   GET /api/contact/admin/quarantine/:quarantineId
+ * @desc    Get a quarantined submission with its fields and the signals it was held for
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/quarantine/:quarantineId',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(ContactController.getQuarantinedById)
+);
+
+/**
+ * @route   POST /api/contact/admin/quarantine/:quarantineId/release
+ * @desc    Release a quarantined submission to the inbox (the sender is acknowledged then)
+ * @access  Staff (admin, hr)
+ */
+router.post('/admin/quarantine/:quarantineId/release',
+  authenticate,
+  authorize(HR_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(ContactController.releaseQuarantined)
+);
+
+/**
+ * @route   POST /api/contact/admin/quarantine/:quarantineId/discard
+ * @desc    Discard a quarantined submission as spam
+ * @access  Staff (admin, hr)
+ */
+router.post('/admin/quarantine/:quarantineId/discard',
+  authenticate,
+  authorize(HR_STAFF),
+  validateQuarantineId,
+  handleValidationErrors,
+  asyncHandler(ContactController.discardQuarantined)
+);
+
+/**
+ * @route   GET /api/contact/admin/:id
+ * @desc    Get a contact enquiry with its internal notes
+ * @access  Staff (admin, hr, viewer)
+ */
 router.get('/admin/:id',
+  authenticate,
+  authorize(ALL_STAFF),
   validateId,
+  handleValidationErrors,
   asyncHandler(ContactController.getContactById)
 );
-*/
+
+/**
+ * @route   PUT /api/contact/admin/:id/status
+ * @desc    Move an enquiry through the inbox workflow (new -> assigned -> replied -> closed)
+ * @access  Staff (admin, hr)
+ * @body    { status, note? }
+ */
+router.put('/admin/:id/status',
+  authenticate,
+  authorize(HR_STAFF),
+  validateId,
+  validateContactStatus,
+  handleValidationErrors,
+  asyncHandler(ContactController.updateContactStatus)
+);
+
+/**
+ * @route   PUT /api/contact/admin/:id/assign
+ * @desc    Assign an enquiry to a staff member
+ * @access  Staff (admin, hr)
+ * @body    { assigneeId }
+ */
+router.put('/admin/:id/assign',
+  authenticate,
+  authorize(HR_STAFF),
+  validateId,
+  validateContactAssignment,
+  handleValidationErrors,
+  asyncHandler(ContactController.assignContact)
+);
+
+/**
+ * @route   GET /api/contact/admin/:id/notes
+ * @desc    Get internal notes for an enquiry
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/admin/:id/notes',
+  authenticate,
+  authorize(ALL_STAFF),
+  validateId,
+  handleValidationErrors,
+  asyncHandler(ContactController.getContactNotes)
+);
+
+/**
+ * @route   POST /api/contact/admin/:id/notes
+ * @desc    Add an internal note to an enquiry
+ * @access  Staff (admin, hr)
+ * @body    { note }
+ */
+router.post('/admin/:id/notes',
+  authenticate,
+  authorize(HR_STAFF),
+  validateId,
+  validateNote,
+  handleValidationErrors,
+  asyncHandler(ContactController.addContactNote)
+);
+
+/**
+ * @route   DELETE /api/contact/admin/:id
+ * @desc    Delete an enquiry
+ * @access  Staff (admin)
+ */
+router.delete('/admin/:id',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validateId,
+  handleValidationErrors,
+  asyncHandler(ContactController.deleteContact)
+);
 
 module.exports = router;
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const PrivacyController = require('../controllers/privacyController');
+const {
+  validatePagination,
+  validatePrivacyNotice,
+  validateNoticeVersion,
+  validateConsentQuery,
+  validateConsentWithdrawal,
+  validateErasureRequest,
+  validateErasureLogQuery,
+  validateCertificateId,
+  validateRetentionRun,
+  validateAccessRequest,
+  validateAccessDownloadLink,
+  validateAccessDownload,
+  accessRequestRateLimit,
+  sanitizeInput,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize, ROLES, HR_STAFF } = require('../middleware/auth');
+
+// Public routes
+
+/**
+ * @route   GET /api/privacy/notice
+ * @desc    Get the privacy notice in force; forms send its version back with the submission
+ * @access  Public
+ */
+router.get('/notice', asyncHandler(PrivacyController.getCurrentNotice));
+
+/**
+ * @route   GET /api/privacy/notice/:version
+ * @desc    Get a version of the privacy notice
+ * @access  Public
+ */
+router.get('/notice/:version',
+  validateNoticeVersion,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.getNotice)
+);
+
+/**
+ * @route   POST /api/privacy/access-requests
+ * @desc    Request a copy of one's personal data; a one-time download link is emailed to the address
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/access-requests',
+  accessRequestRateLimit,
+  sanitizeInput,
+  validateAccessRequest,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.requestAccess)
+);
+
+/**
+ * @route   GET /api/privacy/access-requests/download
+ * @desc    Confirmation page of the link from the email; opening it does not use the link up
+ * @access  Public (token)
+ * @query   token
+ */
+router.get('/access-requests/download',
+  validateAccessDownloadLink,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.showAccessDownload)
+);
+
+/**
+ * @route   POST /api/privacy/access-requests/download
+ * @desc    Download the personal data of a confirmed request (works once)
+ * @access  Public (token)
+ * @body    { token, format (zip, json; default zip) }
+ */
+router.post('/access-requests/download',
+  validateAccessDownload,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.downloadAccessBundle)
+);
+
+// Admin routes (notices, erasure and retention are restricted to administrators)
+
+/**
+ * @route   GET /api/privacy/admin/notices
+ * @desc    List every version of the privacy notice
+ * @access  Staff (admin)
+ */
+router.get('/admin/notices',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  asyncHandler(PrivacyController.getNotices)
+);
+
+/**
+ * @route   POST /api/privacy/admin/notices
+ * @desc    Publish a new version of the privacy notice
+ * @access  Staff (admin)
+ * @body    { version, title, body, purposes: { recruitment, enquiry_handling, marketing }, effectiveAt? }
+ */
+router.post('/admin/notices',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validatePrivacyNotice,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.publishNotice)
+);
+
+/**
+ * @route   GET /api/privacy/admin/consents
+ * @desc    Get the consents given and withdrawn by a data subject
+ * @access  Staff (admin, hr)
+ * @query   email
+ */
+router.get('/admin/consents',
+  authenticate,
+  authorize(HR_STAFF),
+  validateConsentQuery,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.getConsents)
+);
+
+/**
+ * @route   POST /api/privacy/admin/consents/withdrawals
+ * @desc    Record a withdrawal of consent received by email, phone or post
+ * @access  Staff (admin, hr)
+ * @body    { email, purpose, note? }
+ */
+router.post('/admin/consents/withdrawals',
+  authenticate,
+  authorize(HR_STAFF),
+  sanitizeInput,
+  validateConsentWithdrawal,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.withdrawConsent)
+);
+
+/**
+ * @route   POST /api/privacy/admin/erasures
+ * @desc    Erase all applications and enquiries of a data subject and issue a certificate
+ * @access  Staff (admin)
+ * @body    { email, reason, reference }
+ */
+router.post('/admin/erasures',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  sanitizeInput,
+  validateErasureRequest,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.eraseDataSubject)
+);
+
+/**
+ * @route   GET /api/privacy/admin/erasures
+ * @desc    List erasure certificates, newest first
+ * @access  Staff (admin)
+ * @query   page, limit, email (certificates of one data subject), kind (erasure, retention)
+ */
+router.get('/admin/erasures',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validatePagination,
+  validateErasureLogQuery,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.getCertificates)
+);
+
+/**
+ * @route   GET /api/privacy/admin/erasures/:certificateId
+ * @desc    Get an erasure certificate
+ * @access  Staff (admin)
+ */
+router.get('/admin/erasures/:certificateId',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validateCertificateId,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.getCertificate)
+);
+
+/**
+ * @route   POST /api/privacy/admin/retention/run
+ * @desc    Apply the retention periods now instead of waiting for the scheduled job
+ * @access  Staff (admin)
+ * @body    { dryRun }
+ */
+router.post('/admin/retention/run',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validateRetentionRun,
+  handleValidationErrors,
+  asyncHandler(PrivacyController.runRetention)
+);
+
+module.exports = router;
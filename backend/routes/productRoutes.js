@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const ProductController = require('../controllers/productController');
+const {
+  validatePagination,
+  validateProductQuery,
+  validateProductCategory,
+  validateProductSearch,
+  validateProduct,
+  validateNumericId,
+  sanitizeInput,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize, ROLES } = require('../middleware/auth');
+
+// Public routes
+
+/**
+ * @route   GET /api/products
+ * @desc    List published products
+ * @access  Public
+ * @query   page, limit, category, search, sortBy
+ */
+router.get('/',
+  validatePagination,
+  validateProductQuery,
+  handleValidationErrors,
+  asyncHandler(ProductController.getAllProducts)
+);
+
+/**
+ * @route   GET /api/products/search
+ * @desc    Search products by brand, generic name, strength or description
+ * @access  Public
+ * @query   q, page, limit, category
+ */
+router.get('/search',
+  validatePagination,
+  validateProductQuery,
+  validateProductSearch,
+  handleValidationErrors,
+  asyncHandler(ProductController.searchProducts)
+);
+
+/**
+ * @route   GET /api/products/categories
+ * @desc    List product categories with product counts
+ * @access  Public
+ */
+router.get('/categories', asyncHandler(ProductController.getCategories));
+
+/**
+ * @route   GET /api/products/categories/:category
+ * @desc    List published products in a category
+ * @access  Public
+ * @query   page, limit, search, sortBy
+ */
+router.get('/categories/:category',
+  validatePagination,
+  validateProductCategory,
+  validateProductQuery,
+  handleValidationErrors,
+  asyncHandler(ProductController.getAllProducts)
+);
+
+/**
+ * @route   GET /api/products/:id
+ * @desc    Get a published product
+ * @access  Public
+ */
+router.get('/:id',
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(ProductController.getProductById)
+);
+
+// Admin routes
+
+/**
+ * @route   POST /api/products/admin
+ * @desc    Add a product to the catalogue
+ * @access  Staff (admin)
+ */
+router.post('/admin',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  sanitizeInput,
+  validateProduct(),
+  handleValidationErrors,
+  asyncHandler(ProductController.createProduct)
+);
+
+/**
+ * @route   PUT /api/products/admin/:id
+ * @desc    Update a product
+ * @access  Staff (admin)
+ */
+router.put('/admin/:id',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  sanitizeInput,
+  validateNumericId,
+  validateProduct(true),
+  handleValidationErrors,
+  asyncHandler(ProductController.updateProduct)
+);
+
+/**
+ * @route   DELETE /api/products/admin/:id
+ * @desc    Unpublish a product (hidden from the website, kept in the database)
+ * @access  Staff (admin)
+ */
+router.delete('/admin/:id',
+  authenticate,
+  authorize(ROLES.ADMIN),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(ProductController.unpublishProduct)
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const RegistrationController = require('../controllers/registrationController');
+const {
+  validatePagination,
+  validateRegistration,
+  validateRegistrationQuery,
+  validateNumericId,
+  sanitizeInput,
+  handleValidationErrors
+} = require('../middleware/validation');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticate, authorize, ROLES, ALL_STAFF } = require('../middleware/auth');
+
+// All registration routes are staff only; the public products API embeds registrations
+router.use(authenticate);
+
+/**
+ * @route   GET /api/registrations/expiring
+ * @desc    List active registrations expiring within the next N days
+ * @access  Staff (admin, hr, viewer)
+ * @query   days (default 90), includeLapsed, countryCode
+ */
+router.get('/expiring',
+  authorize(ALL_STAFF),
+  validateRegistrationQuery,
+  handleValidationErrors,
+  asyncHandler(RegistrationController.getExpiringRegistrations)
+);
+
+/**
+ * @route   GET /api/registrations
+ * @desc    List registrations
+ * @access  Staff (admin, hr, viewer)
+ * @query   page, limit, productId, countryCode, status
+ */
+router.get('/',
+  authorize(ALL_STAFF),
+  validatePagination,
+  validateRegistrationQuery,
+  handleValidationErrors,
+  asyncHandler(RegistrationController.getAllRegistrations)
+);
+
+/**
+ * @route   GET /api/registrations/:id
+ * @desc    Get a registration
+ * @access  Staff (admin, hr, viewer)
+ */
+router.get('/:id',
+  authorize(ALL_STAFF),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(RegistrationController.getRegistrationById)
+);
+
+/**
+ * @route   POST /api/registrations
+ * @desc    Register a product in a country
+ * @access  Staff (admin)
+ * @body    { productId, countryCode, regulatoryAuthority, visaNumber, status?, approvalDate?, expiryDate?, notes? }
+ */
+router.post('/',
+  authorize(ROLES.ADMIN),
+  sanitizeInput,
+  validateRegistration(),
+  handleValidationErrors,
+  asyncHandler(RegistrationController.createRegistration)
+);
+
+/**
+ * @route   PUT /api/registrations/:id
+ * @desc    Update a registration (renewal, status change)
+ * @access  Staff (admin)
+ */
+router.put('/:id',
+  authorize(ROLES.ADMIN),
+  sanitizeInput,
+  validateNumericId,
+  validateRegistration(true),
+  handleValidationErrors,
+  asyncHandler(RegistrationController.updateRegistration)
+);
+
+/**
+ * @route   DELETE /api/registrations/:id
+ * @desc    Delete a registration entered in error
+ * @access  Staff (admin)
+ */
+router.delete('/:id',
+  authorize(ROLES.ADMIN),
+  validateNumericId,
+  handleValidationErrors,
+  asyncHandler(RegistrationController.deleteRegistration)
+);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV Scanner
+ * Streams files to a clamd daemon with the INSTREAM command.
+ *
+ * Scanner interface, shared with StubScanner:
+ *   scan(buffer, { fileName }) -> { clean: boolean, signature: string|null }
+ * Throws when the file could not be scanned (daemon down, timeout, size limit).
+ */
+class ClamavScanner {
+  /**
+   * @param {Object} options - { host, port, timeoutMs }
+   */
+  constructor({ host = '127.0.0.1', port = 3310, timeoutMs = 30000 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+  }
+
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const response = [];
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(new Error(`Virus scanner unavailable: ${error.message}`));
+        } else {
+          resolve(result);
+        }
+      };
+
+      socket.setTimeout(this.timeoutMs, () => finish(new Error(`no response from clamd within ${this.timeoutMs}ms`)));
+      socket.on('error', error => finish(error));
+      socket.on('data', data => response.push(data));
+      socket.on('end', () => {
+        // Replies look like "stream: OK", "stream: Eicar-Signature FOUND" or "... ERROR"
+        const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+
+        if (reply === 'stream: OK') {
+          finish(null, { clean: true, signature: null });
+        } else if (found) {
+          finish(null, { clean: false, signature: found[1] });
+        } else {
+          finish(new Error(`unexpected clamd reply "${reply}"`));
+        }
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length, 0);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4)); // zero-length chunk ends the stream
+      });
+    });
+  }
+}
+
+module.exports = ClamavScanner;
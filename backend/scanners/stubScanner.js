@@ -0,0 +1,18 @@
+// Standard antivirus test string (https://www.eicar.org); harmless, but every scanner reports it
+const EICAR_SIGNATURE = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+/**
+ * Stub Scanner
+ * Same interface as ClamavScanner without a daemon, for local development and tests.
+ * Reports files containing the EICAR test string as infected and everything else as clean.
+ */
+class StubScanner {
+  async scan(buffer) {
+    if (buffer.includes(EICAR_SIGNATURE)) {
+      return { clean: false, signature: 'Eicar-Test-Signature' };
+    }
+    return { clean: true, signature: null };
+  }
+}
+
+module.exports = StubScanner;
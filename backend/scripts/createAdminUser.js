@@ -0,0 +1,50 @@
+const AuthService = require('../services/authService');
+const { bootstrap } = require('../config/bootstrap');
+
+/**
+ * Create a staff account for the admin API
+ *
+ * Usage:
+ *   ADMIN_PASSWORD='...' node scripts/createAdminUser.js <email> "<full name>" [admin|hr|viewer]
+ *
+ * The password is read from the environment so it does not end up in shell history.
+ */
+async function createAdminUser() {
+  bootstrap();
+
+  const [email, fullName, role = AuthService.ROLES.VIEWER] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+  const roles = Object.values(AuthService.ROLES);
+
+  if (!email || !fullName || !password) {
+    console.log('Usage: ADMIN_PASSWORD=<password> node scripts/createAdminUser.js <email> "<full name>" [admin|hr|viewer]');
+    process.exit(1);
+  }
+
+  if (!roles.includes(role)) {
+    console.error(`❌ Invalid role "${role}". Use one of: ${roles.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 12) {
+    console.error('❌ Password must be at least 12 characters long');
+    process.exit(1);
+  }
+
+  try {
+    const user = await AuthService.getUserRepository().create({
+      email: email.toLowerCase().trim(),
+      full_name: fullName.trim(),
+      password_hash: await AuthService.hashPassword(password),
+      role
+    });
+
+    console.log(`✅ Created ${user.role} account for ${user.email} (ID: ${user.id})`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to create user:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdminUser();
@@ -0,0 +1,53 @@
+const CareerService = require('../services/careerService');
+const { bootstrap } = require('../config/bootstrap');
+
+/**
+ * Extract text from resumes that are not in the search index yet
+ *
+ * New applications are indexed when they are submitted; run this once after
+ * migration 0007_alter_career_applications_resume_search to backfill older ones.
+ * Resumes with no extractable text (legacy .doc, scanned PDFs) are skipped.
+ *
+ * Usage:
+ *   node scripts/indexResumes.js
+ */
+async function indexResumes() {
+  bootstrap();
+
+  console.log('🔎 Indexing resume text...\n');
+
+  let indexed = 0;
+  let skipped = 0;
+  let failed = 0;
+  let lastId = 0;
+
+  try {
+    let ids = await CareerService.getUnindexedResumeIds(50, lastId);
+
+    while (ids.length > 0) {
+      for (const id of ids) {
+        try {
+          if (await CareerService.indexResumeText(id)) {
+            indexed++;
+          } else {
+            skipped++;
+          }
+        } catch (error) {
+          failed++;
+          console.error(`❌ Application ${id}: ${error.message}`);
+        }
+        lastId = id;
+      }
+
+      ids = await CareerService.getUnindexedResumeIds(50, lastId);
+    }
+
+    console.log(`\n✅ Indexed: ${indexed}, no text: ${skipped}, failed: ${failed}`);
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Resume indexing failed:', error.message);
+    process.exit(1);
+  }
+}
+
+indexResumes();
@@ -0,0 +1,110 @@
+const { Client } = require('pg');
+const config = require('../config');
+const Migrator = require('../database/migrator');
+const { bootstrap } = require('../config/bootstrap');
+
+const USAGE = `Usage: node scripts/migrate.js <command>
+
+  status                 List migrations and whether each is applied
+  up [--to <version>]    Apply pending migrations (up to and including <version>)
+  down [--steps <n>]     Roll back the last <n> migrations (default 1)
+  down --to <version>    Roll back every migration after <version> (0 rolls back all)
+  baseline --to <version>
+                         Record migrations up to <version> as applied without running them,
+                         for a database created by hand from the old scripts
+
+Connects to DATABASE_URL.`;
+
+/**
+ * Apply, roll back and list database migrations (database/migrations)
+ *
+ * Usage:
+ *   npm run migrate -- status
+ *   npm run migrate -- up
+ *   npm run migrate -- down --steps 1
+ */
+async function migrate() {
+  bootstrap();
+
+  const [command, ...args] = process.argv.slice(2);
+  const options = parseOptions(args);
+
+  if (!['status', 'up', 'down', 'baseline'].includes(command) || !options
+    || (command === 'baseline' && options.to === undefined)
+    || (command !== 'down' && options.steps !== undefined)) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (!config.database.url) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: config.database.url });
+
+  try {
+    await client.connect();
+    const migrator = new Migrator(client, { log: message => console.log(`   ${message}`) });
+
+    if (command === 'status') {
+      const entries = await migrator.status();
+      entries.forEach(entry => {
+        const applied = entry.appliedAt ? ` (${entry.baseline ? 'baseline' : 'applied'} ${entry.appliedAt.toISOString()})` : '';
+        console.log(`${entry.state.padEnd(8)} ${Migrator.label(entry)}${applied}`);
+      });
+
+      const pending = entries.filter(entry => entry.state === 'pending').length;
+      const problems = entries.filter(entry => entry.state === 'changed' || entry.state === 'missing').length;
+      console.log(`\n${entries.length - pending - problems} applied, ${pending} pending${problems ? `, ${problems} changed or missing` : ''}`);
+      await client.end();
+      process.exit(problems > 0 ? 1 : 0);
+    }
+
+    let done;
+    if (command === 'up') {
+      console.log('🔄 Applying migrations...');
+      done = await migrator.up(options);
+    } else if (command === 'down') {
+      console.log('🔄 Rolling back migrations...');
+      done = await migrator.down(options);
+    } else {
+      console.log(`🔄 Recording migrations up to ${options.to} as applied...`);
+      done = await migrator.baseline(options);
+    }
+
+    console.log(done.length > 0
+      ? `✅ ${command === 'down' ? 'Rolled back' : command === 'up' ? 'Applied' : 'Recorded'} ${done.length} migration(s)`
+      : '✅ Nothing to do, the database is up to date');
+    await client.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    await client.end().catch(() => {});
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse --to <version> and --steps <n>
+ * @returns {Object|null} { to, steps }, or null if an option is invalid
+ */
+function parseOptions(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const [flag, value] = [args[i], args[i + 1]];
+    if (!['--to', '--steps'].includes(flag) || !/^\d+$/.test(value || '')) {
+      return null;
+    }
+    options[flag.slice(2)] = Number(value);
+  }
+
+  if (options.steps !== undefined && (options.to !== undefined || options.steps < 1)) {
+    return null;
+  }
+
+  return options;
+}
+
+migrate();
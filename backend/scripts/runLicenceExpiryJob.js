@@ -0,0 +1,56 @@
+const { runLicenceExpiryJob } = require('../jobs/licenceExpiryJob');
+const { bootstrap } = require('../config/bootstrap');
+
+/**
+ * Run the licence expiry job once, outside the server's daily schedule
+ *
+ * Usage:
+ *   node scripts/runLicenceExpiryJob.js              Expire lapsed registrations and send the digest
+ *   node scripts/runLicenceExpiryJob.js --dry-run    Print the digest without changing data or sending mail
+ *   node scripts/runLicenceExpiryJob.js --date=2025-01-31   Run as if today were the given date
+ *
+ * To check the email locally, point SMTP_HOST/SMTP_PORT at an SMTP stand-in such as MailHog
+ * (SMTP_HOST=localhost SMTP_PORT=1025) and open its web UI.
+ */
+async function runJob() {
+  bootstrap();
+
+  const dryRun = process.argv.includes('--dry-run');
+  const dateArg = process.argv.find(arg => arg.startsWith('--date='));
+  const today = dateArg ? dateArg.split('=')[1] : undefined;
+
+  if (today && !/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+    console.error('❌ --date must be an ISO date (YYYY-MM-DD)');
+    process.exit(1);
+  }
+
+  console.log(`📅 Running licence expiry job${dryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    const summary = await runLicenceExpiryJob({ dryRun, today });
+    const alertCount = summary.alerts.reduce((total, group) => total + group.registrations.length, 0);
+
+    console.log(`Run date: ${summary.runDate}`);
+    console.log(`${dryRun ? 'Would expire' : 'Expired'}: ${summary.expired.length}`);
+    summary.alerts.forEach(({ threshold, registrations }) => {
+      console.log(`Within ${threshold} days: ${registrations.length}`);
+    });
+
+    if (!summary.digest) {
+      console.log('\nℹ️  Nothing to report, no digest sent.');
+    } else if (dryRun) {
+      console.log(`\nDigest for ${summary.recipient}:\n`);
+      console.log(`Subject: ${summary.digest.subject}\n`);
+      console.log(summary.digest.text);
+    } else {
+      console.log(`\n✅ Digest with ${alertCount} alerts sent to ${summary.recipient} (${summary.messageId})`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Licence expiry job failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runJob();
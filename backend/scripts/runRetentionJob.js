@@ -0,0 +1,41 @@
+const { runRetentionJob, describeRun } = require('../jobs/retentionJob');
+const { bootstrap } = require('../config/bootstrap');
+
+/**
+ * Run the data retention job once, outside the server's daily schedule
+ *
+ * Usage:
+ *   node scripts/runRetentionJob.js              Anonymise or delete records past their retention period
+ *   node scripts/runRetentionJob.js --dry-run    Count what would be removed without changing anything
+ *
+ * Retention periods and the action are set by CAREER_APPLICATION_RETENTION_DAYS,
+ * CONTACT_ENQUIRY_RETENTION_DAYS and RETENTION_ACTION.
+ */
+async function runJob() {
+  bootstrap();
+
+  const dryRun = process.argv.includes('--dry-run');
+
+  console.log(`🧹 Running data retention job${dryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    const summary = await runRetentionJob({ dryRun });
+
+    console.log(`Action: ${summary.action}`);
+    describeRun(summary).forEach(line => console.log(line));
+
+    if (summary.certificate) {
+      console.log(`\n✅ Recorded in the erasure log as certificate ${summary.certificate.certificateId}`);
+    } else if (!dryRun) {
+      console.log('\nℹ️  Nothing to remove.');
+    }
+
+    const failed = Object.values(summary.datasets).reduce((total, result) => total + result.failed, 0);
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Data retention job failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runJob();
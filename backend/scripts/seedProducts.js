@@ -0,0 +1,68 @@
+const { supabaseConfig } = require('../config/supabase');
+const products = require('../database/seeds/products.json');
+const { bootstrap } = require('../config/bootstrap');
+
+/**
+ * Seed the Products and Product_Registrations tables from database/seeds/products.json
+ *
+ * Only runs against an empty table, so products maintained through the admin API
+ * are never overwritten. Pass --force to insert the seed rows anyway.
+ */
+async function seedProducts() {
+  bootstrap();
+
+  const force = process.argv.includes('--force');
+  const db = supabaseConfig.getServiceClient();
+
+  try {
+    const { count, error: countError } = await db
+      .from('Products')
+      .select('*', { count: 'exact', head: true });
+
+    if (countError) {
+      throw new Error(countError.message);
+    }
+
+    if (count > 0 && !force) {
+      console.log(`ℹ️  Products table already has ${count} rows, skipping seed (use --force to insert anyway).`);
+      process.exit(0);
+    }
+
+    console.log(`🌱 Seeding ${products.length} products...`);
+
+    const productRows = products.map(({ registrations, ...product }) => product);
+    const { data, error } = await db
+      .from('Products')
+      .insert(productRows)
+      .select('id, sort_order');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    // sort_order is unique within the seed file, so use it to match rows back to their registrations
+    const idsBySortOrder = new Map(data.map(row => [row.sort_order, row.id]));
+    const registrationRows = products.flatMap(product =>
+      (product.registrations || []).map(registration => ({
+        ...registration,
+        product_id: idsBySortOrder.get(product.sort_order)
+      }))
+    );
+
+    const { error: registrationError } = await db
+      .from('Product_Registrations')
+      .insert(registrationRows);
+
+    if (registrationError) {
+      throw new Error(registrationError.message);
+    }
+
+    console.log(`✅ Seeded ${data.length} products with ${registrationRows.length} registrations`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Product seeding failed:', error.message);
+    process.exit(1);
+  }
+}
+
+seedProducts();
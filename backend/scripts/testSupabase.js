@@ -1,6 +1,9 @@
 const { supabase, testSupabaseConnection } = require('../config/supabase');
+const { bootstrap } = require('../config/bootstrap');
 
 async function runSupabaseTests() {
+  bootstrap();
+
   console.log('🔍 Testing Supabase Connection...\n');
 
   try {
@@ -1,130 +1,37 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
-
 const config = require('./config');
+const { bootstrap } = require('./config/bootstrap');
 const { testSupabaseConnection } = require('./config/supabase');
-const contactRoutes = require('./routes/contactRoutes');
-const careerRoutes = require('./routes/careerRoutes');
-const { errorHandler } = require('./middleware/errorHandler');
+const createApp = require('./app');
+const { startScheduler, stopScheduler } = require('./jobs/scheduler');
+const MailQueue = require('./services/mailQueue');
 
 /**
  * Africure Pharma API Server
- * Clean, organized backend for contact form and future features
+ * Entrypoint: builds the app (app.js), listens, starts the scheduled jobs and shuts down on
+ * SIGTERM/SIGINT. Use createApp() from app.js to build the app without any of this.
  */
 class Server {
-  constructor() {
-    this.app = express();
-    this.port = config.server.port;
-    this.setupMiddleware();
-    this.setupRoutes();
-    this.setupErrorHandling();
-  }
-
-  /**
-   * Setup middleware
-   */
-  setupMiddleware() {
-    // Security middleware
-    this.app.use(helmet({
-      crossOriginEmbedderPolicy: false,
-      contentSecurityPolicy: config.security.helmet.contentSecurityPolicy
-    }));
-
-    // CORS configuration
-    const corsOptions = {
-      origin: (origin, callback) => {
-        if (config.server.environment === 'development') {
-          callback(null, true);
-          return;
-        }
-
-        if (!origin || config.security.cors.origins.includes(origin)) {
-          callback(null, true);
-        } else {
-          callback(new Error('Not allowed by CORS'));
-        }
-      },
-      credentials: config.security.cors.credentials,
-      optionsSuccessStatus: 200
-    };
-
-    this.app.use(cors(corsOptions));
-
-    // Rate limiting
-    const limiter = rateLimit({
-      windowMs: config.security.rateLimit.windowMs,
-      max: config.security.rateLimit.maxRequests,
-      message: {
-        error: 'Too many requests from this IP, please try again later.',
-        retryAfter: Math.ceil(config.security.rateLimit.windowMs / 1000)
-      },
-      standardHeaders: true,
-      legacyHeaders: false,
-    });
-
-    this.app.use(limiter);
-
-    // Logging
-    if (config.logging.enabled) {
-      this.app.use(morgan(config.logging.level));
-    }
-
-    // Body parsing middleware
-    this.app.use(express.json({ limit: config.api.bodyLimit }));
-    this.app.use(express.urlencoded({ extended: true, limit: config.api.bodyLimit }));
-  }
-
-  /**
-   * Setup routes
-   */
-  setupRoutes() {
-    // Health check endpoint
-    this.app.get('/health', (req, res) => {
-      res.status(200).json({
-        status: 'OK',
-        message: 'Africure Pharma API is running',
-        timestamp: new Date().toISOString(),
-        environment: config.server.environment,
-        version: '1.0.0'
-      });
-    });
-
-    // API routes
-    this.app.use(`${config.api.prefix}/contact`, contactRoutes);
-    this.app.use(`${config.api.prefix}/careers`, careerRoutes);
-
-    // 404 handler
-    this.app.use('*', (req, res) => {
-      res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `The requested route ${req.originalUrl} does not exist.`,
-        timestamp: new Date().toISOString()
-      });
-    });
-  }
-
-  /**
-   * Setup error handling
-   */
-  setupErrorHandling() {
-    this.app.use(errorHandler);
-  }
-
   /**
    * Start the server
    */
   async start() {
+    // Exits listing every problem when the configuration is invalid or unsafe
+    bootstrap();
+
     try {
-      // Test database connection
-      const isConnected = await testSupabaseConnection();
-      if (isConnected) {
-        console.log('✅ Supabase connection established successfully.');
+      this.app = createApp();
+      this.port = config.server.port;
+
+      // Test database connection (the app's own clients, like the jobs below)
+      if (config.database.driver === 'memory') {
+        console.log('⚠️  Using the in-memory database; data is lost when the server stops.');
       } else {
-        console.log('⚠️  Supabase connection failed, but server will start anyway.');
+        const isConnected = await this.app.locals.run(() => testSupabaseConnection());
+        if (isConnected) {
+          console.log('✅ Supabase connection established successfully.');
+        } else {
+          console.log('⚠️  Supabase connection failed, but server will start anyway.');
+        }
       }
 
       // Start server
@@ -136,6 +43,9 @@ class Server {
         console.log(`🔗 Contact API: http://localhost:${this.port}${config.api.prefix}/contact`);
       });
 
+      // Start scheduled jobs (licence expiry alerts, data retention)
+      this.app.locals.run(() => startScheduler());
+
       // Setup graceful shutdown
       this.setupGracefulShutdown();
 
@@ -151,6 +61,8 @@ class Server {
   setupGracefulShutdown() {
     const shutdown = async (signal) => {
       console.log(`🔄 ${signal} received, shutting down gracefully...`);
+      stopScheduler();
+      this.app.locals.run(() => MailQueue.stop());
 
       if (this.server) {
         this.server.close(() => {
@@ -165,23 +77,12 @@ class Server {
     process.on('SIGTERM', () => shutdown('SIGTERM'));
     process.on('SIGINT', () => shutdown('SIGINT'));
   }
-
-  /**
-   * Get Express app instance
-   */
-  getApp() {
-    return this.app;
-  }
 }
 
 // Create and start server instance
 const server = new Server();
 
-// Start the server
 server.start().catch(error => {
   console.error('❌ Failed to start server:', error);
   process.exit(1);
 });
-
-// Export the Express app for testing
-module.exports = server.getApp();
@@ -0,0 +1,156 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { createRepository } = require('../repositories');
+const { scoped } = require('../utils/scope');
+
+/**
+ * Staff roles, from most to least privileged
+ * - admin:  full access to every admin endpoint
+ * - hr:     can read and update career applications
+ * - viewer: read-only access
+ */
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  HR: 'hr',
+  VIEWER: 'viewer'
+});
+
+// Compared against when the email is unknown so failed logins take the same time
+const DUMMY_HASH = bcrypt.hashSync('africure-dummy-password', 10);
+
+const userRepository = scoped(() => null);
+
+/**
+ * Auth Service
+ * Handles staff sign in, password hashing and token signing/verification
+ */
+class AuthService {
+  /**
+   * Replace the user store (e.g. with MemoryUserRepository in tests)
+   * @param {Object} repository - Object implementing the user repository interface
+   */
+  static setUserRepository(repository) {
+    userRepository.set(repository);
+  }
+
+  /**
+   * Get the active user store, creating it from config.database.driver on first use
+   * @returns {Object} User repository
+   */
+  static getUserRepository() {
+    if (!userRepository.get()) {
+      userRepository.set(createRepository('users'));
+    }
+    return userRepository.get();
+  }
+
+  /**
+   * Hash a plain text password
+   * @param {string} password - Plain text password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  static async hashPassword(password) {
+    return bcrypt.hash(password, config.auth.bcryptRounds);
+  }
+
+  /**
+   * Authenticate a staff member with email and password
+   * @param {string} email - Login email
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} Signed token and public user profile
+   */
+  static async login(email, password) {
+    try {
+      const repository = this.getUserRepository();
+      const user = await repository.findByEmail(email);
+
+      const passwordMatches = await bcrypt.compare(password, user ? user.password_hash : DUMMY_HASH);
+
+      if (!user || !passwordMatches || !user.is_active) {
+        throw new Error('Invalid email or password');
+      }
+
+      await repository.touchLastLogin(user.id);
+
+      return {
+        token: this.issueToken(user),
+        tokenType: 'Bearer',
+        expiresIn: config.auth.tokenExpiresIn,
+        user: this.toPublicUser(user)
+      };
+    } catch (error) {
+      // Wrong passwords are routine (and repeated by brute-force attempts); log only real failures
+      if (error.message !== 'Invalid email or password') {
+        console.error('AuthService.login error:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - User record
+   * @returns {string} Signed JWT
+   */
+  static issueToken(user) {
+    return jwt.sign(
+      { email: user.email, role: user.role },
+      this.getSecret(),
+      {
+        subject: String(user.id),
+        issuer: config.auth.issuer,
+        expiresIn: config.auth.tokenExpiresIn
+      }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - Signed JWT
+   * @returns {Object} Decoded payload ({ sub, email, role, ... })
+   * @throws {JsonWebTokenError|TokenExpiredError} When the token is invalid or expired
+   */
+  static verifyToken(token) {
+    return jwt.verify(token, this.getSecret(), { issuer: config.auth.issuer });
+  }
+
+  /**
+   * Load the user behind a verified token, rejecting deactivated accounts
+   * @param {Object} payload - Decoded token payload
+   * @returns {Promise<Object|null>} Public user profile or null
+   */
+  static async getActiveUser(payload) {
+    const user = await this.getUserRepository().findById(payload.sub);
+    if (!user || !user.is_active) {
+      return null;
+    }
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Strip sensitive fields from a user record
+   * @param {Object} user - User record
+   * @returns {Object} Public user profile
+   */
+  static toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      fullName: user.full_name,
+      role: user.role,
+      lastLoginAt: user.last_login_at || null
+    };
+  }
+
+  static getSecret() {
+    if (!config.auth.jwtSecret) {
+      throw new Error('Authentication is not configured: JWT_SECRET is missing');
+    }
+    return config.auth.jwtSecret;
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -1,39 +1,162 @@
-const { createClient } = require('@supabase/supabase-js');
 const config = require('../config');
+const { supabaseConfig } = require('../config/supabase');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
+const JobOpeningService = require('./jobOpeningService');
+const ResumeScreeningService = require('./resumeScreeningService');
+const ResumeTextService = require('./resumeTextService');
+const SupabaseFileStorage = require('../storage/supabaseFileStorage');
+const LocalFileStorage = require('../storage/localFileStorage');
+const { createRepository } = require('../repositories');
+const { toLocalDate, startOfLocalDay, addDays } = require('../utils/timezone');
+const { toCsv } = require('../utils/csv');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+const { canonicalEmail } = require('../utils/email');
+
+// What a candidate sees for each application_status when checking their application
+const CANDIDATE_STATUSES = {
+  pending: {
+    label: 'Received',
+    description: 'Your application has been received and is waiting to be reviewed.'
+  },
+  reviewing: {
+    label: 'Under review',
+    description: 'Our HR team is reviewing your application.'
+  },
+  shortlisted: {
+    label: 'Shortlisted',
+    description: 'You have been shortlisted. Our HR team will contact you about the next steps.'
+  },
+  interviewed: {
+    label: 'Interview completed',
+    description: 'Thank you for attending the interview. We will let you know the outcome.'
+  },
+  hired: {
+    label: 'Successful',
+    description: 'Congratulations! Our HR team will be in touch about your offer and onboarding.'
+  },
+  rejected: {
+    label: 'Not progressed',
+    description: 'Thank you for your interest. We will not be taking your application further for this position.'
+  }
+};
 
-// Create a Supabase client - try service key first, fallback to anon
-let supabaseKey = config.database.supabase.anonKey;
-if (process.env.SUPABASE_SERVICE_ROLE_KEY && process.env.SUPABASE_SERVICE_ROLE_KEY !== 'SUPABASE_SERVICE_KEY') {
-  supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-}
+const APPLICATION_NUMBER_PATTERN = /^AC-(\d{1,10})$/i;
 
-const supabase = createClient(
-  config.database.supabase.url,
-  supabaseKey,
-  {
-    auth: {
-      autoRefreshToken: false,
-      persistSession: false
-    },
-    db: {
-      schema: 'public'
-    }
-  }
-);
+/**
+ * Hiring pipeline: pending -> reviewing -> shortlisted -> interviewed -> hired
+ * An application can be rejected at any stage before hiring, and a rejected one re-opened for review.
+ */
+const APPLICATION_STATUSES = Object.keys(CANDIDATE_STATUSES);
+
+const APPLICATION_STATUS_TRANSITIONS = {
+  pending: ['reviewing', 'rejected'],
+  reviewing: ['shortlisted', 'rejected'],
+  shortlisted: ['interviewed', 'rejected'],
+  interviewed: ['hired', 'rejected'],
+  hired: [],
+  rejected: ['reviewing']
+};
+
+// Columns that locate the resume in storage; never sent to clients
+const PRIVATE_COLUMNS = ['resume_storage_path', 'resume_url'];
+
+// Applications still waiting for review take a repeat submission's details and resume (never
+// its email or phone number, which identify the applicant)
+const RESUBMITTABLE_STATUSES = ['pending'];
+
+// Search index columns; too large to include in API responses
+const INDEX_COLUMNS = ['resume_text', 'search_vector'];
+
+// Columns read when checking for a repeat application
+const DUPLICATE_COLUMNS = 'id, full_name, email, position, application_status, application_date, resume_storage_path, submission_count';
+
+// Columns read for admin views (everything except the search index)
+const ADMIN_COLUMNS = [
+  'id', 'full_name', 'email', 'phone', 'location', 'position', 'experience', 'qualification',
+  'cover_letter', 'resume_storage_path', 'resume_file_name', 'resume_content_type',
+  'consent_given', 'application_status', 'admin_notes', 'submission_count', 'last_submitted_at',
+  'application_date', 'updated_at', 'created_at'
+].join(', ');
+
+// Pipeline stages in order, for the analytics funnel
+const FUNNEL_STAGES = ['submitted', 'reviewing', 'shortlisted', 'interviewed', 'hired'];
+
+// Experience bands in display order (the application form's options)
+const EXPERIENCE_BANDS = ['0-1', '2-3', '4-5', '6-7', '8-10', '10+'];
+
+// Longest analytics range, in days, and the default when no range is given
+const ANALYTICS_MAX_DAYS = 731;
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Markers search_career_applications() puts around matched words in headlines
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const resumeStorage = scoped(() => null);
+const careerRepository = scoped(() => null);
 
 /**
  * Career Service
  * Handles all career application-related business logic and database operations
  */
 class CareerService {
+  /**
+   * Replace the application store (e.g. with MemoryCareerRepository in tests)
+   * @param {Object} repository - Object implementing the career repository interface
+   */
+  static setRepository(repository) {
+    careerRepository.set(repository);
+  }
+
+  /**
+   * Get the active application store, creating it from config.database.driver on first use
+   * @returns {Object} Career repository
+   */
+  static getRepository() {
+    if (!careerRepository.get()) {
+      careerRepository.set(createRepository('careers'));
+    }
+    return careerRepository.get();
+  }
+
+  /**
+   * Replace the resume store (e.g. with LocalFileStorage in tests)
+   * @param {Object} storage - File storage implementing upload/download/createSignedUrl/remove
+   */
+  static setResumeStorage(storage) {
+    resumeStorage.set(storage);
+  }
+
+  /**
+   * Get the resume store, creating it from config.storage on first use
+   * @returns {Object} File storage
+   */
+  static getResumeStorage() {
+    if (!resumeStorage.get()) {
+      const { driver, localDir, resumeBucket } = config.storage;
+      resumeStorage.set(driver === 'local'
+        ? new LocalFileStorage(path.join(localDir, resumeBucket))
+        : new SupabaseFileStorage(supabaseConfig.getServiceClient(), resumeBucket));
+    }
+    return resumeStorage.get();
+  }
+
   /**
    * Create a new career application
+   * A repeat of an application made within config.careers.duplicateWindowDays is merged
+   * into that application instead (see resubmitApplication); the result then has duplicate: true.
    * @param {Object} applicationData - Career application form data
    * @param {Object} resumeFile - Uploaded resume file
-   * @returns {Promise<Object>} Created application record
+   * @returns {Promise<Object>} Created (or existing) application record
    */
   static async createApplication(applicationData, resumeFile = null) {
     try {
@@ -49,73 +172,52 @@ class CareerService {
         consent
       } = applicationData;
 
-      // Handle resume file upload if provided
-      let resumeUrl = null;
-      let resumeFileName = null;
-      
-      if (resumeFile) {
-        const uploadResult = await this.uploadResume(resumeFile);
-        resumeUrl = uploadResult.url;
-        resumeFileName = uploadResult.fileName;
+      const existing = await this.findDuplicateApplication(email, phone, position);
+      if (existing) {
+        return await this.resubmitApplication(existing, applicationData, resumeFile);
       }
 
+      // Handle resume file upload if provided
+      const resume = resumeFile ? await this.storeResume(resumeFile) : {};
+
       // Prepare data for database insertion
       const insertData = {
         full_name: fullName.trim(),
-        email: email.toLowerCase().trim(),
+        email: this.normalizeEmail(email),
         phone: phone.trim(),
         location: location.trim(),
         position: position,
         experience: experience,
         qualification: qualification,
         cover_letter: coverLetter ? coverLetter.trim() : null,
-        resume_url: resumeUrl,
-        resume_file_name: resumeFileName,
+        resume_storage_path: resume.resume_storage_path || null,
+        resume_file_name: resume.resume_file_name || null,
+        resume_content_type: resume.resume_content_type || null,
+        resume_text: resume.resume_text || null,
         consent_given: consent === 'on' || consent === true,
         application_status: 'pending',
-        application_date: new Date().toISOString()
+        application_date: clock.now().toISOString()
       };
 
-      // Insert application record into Supabase
-      let data, error;
+      let data;
 
       try {
-        const result = await supabase
-          .from('Career_Applications')
-          .insert([insertData])
-          .select()
-          .single();
-
-        data = result.data;
-        error = result.error;
+        data = await this.getRepository().create(insertData);
       } catch (insertError) {
-        // If RLS is blocking, try with raw SQL
-        console.log('Standard insert failed, trying raw SQL approach...');
-
-        const { data: rawData, error: rawError } = await supabase.rpc('insert_career_application', {
-          application_data: insertData
-        });
-
-        if (rawError) {
-          throw new Error(`Database insertion failed: ${rawError.message}`);
-        }
-
-        data = rawData;
-        error = null;
-      }
-
-      if (error) {
-        throw new Error(`Database insertion failed: ${error.message}`);
+        // Don't leave an orphaned resume behind when the record could not be saved
+        await this.removeResume(resume.resume_storage_path);
+        throw insertError;
       }
 
       return {
         id: data.id,
-        applicationNumber: `AC-${data.id.toString().padStart(6, '0')}`,
+        applicationNumber: this.formatApplicationNumber(data.id),
         submittedAt: data.application_date,
         fullName: data.full_name,
         email: data.email,
         position: data.position,
-        status: data.application_status
+        status: data.application_status,
+        duplicate: false
       };
     } catch (error) {
       console.error('CareerService.createApplication error:', error);
@@ -124,40 +226,172 @@ class CareerService {
   }
 
   /**
-   * Upload resume file to storage
+   * Find an earlier application for the same position from the same applicant
+   * The applicant matches on normalised email and phone number together, within
+   * config.careers.duplicateWindowDays; either one alone is not enough to claim an application.
+   * @param {string} email - Applicant email
+   * @param {string} phone - Applicant phone number
+   * @param {string} position - Position slug
+   * @returns {Promise<Object|null>} Most recent matching Career_Applications row, or null
+   */
+  static async findDuplicateApplication(email, phone, position) {
+    const since = new Date(clock.now().getTime() - config.careers.duplicateWindowDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const matches = await this.getRepository().findRecentByApplicant({
+      position,
+      email: this.normalizeEmail(email),
+      phoneNormalized: this.normalizePhone(phone),
+      since
+    }, DUPLICATE_COLUMNS);
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Merge a repeat submission into an existing application
+   * While the application is still pending, its details and resume are replaced with the new
+   * submission (the email and phone number stay as they are); once HR has started on it, only
+   * the repeat is recorded.
+   * @param {Object} existing - Career_Applications row from findDuplicateApplication
+   * @param {Object} applicationData - Career application form data
+   * @param {Object} resumeFile - Uploaded resume file
+   * @returns {Promise<Object>} Existing application, with duplicate: true and updated
+   */
+  static async resubmitApplication(existing, applicationData, resumeFile = null) {
+    const updated = RESUBMITTABLE_STATUSES.includes(existing.application_status);
+    const now = clock.now().toISOString();
+
+    const updateData = {
+      submission_count: (existing.submission_count || 1) + 1,
+      last_submitted_at: now,
+      updated_at: now
+    };
+
+    let resume = {};
+
+    if (updated) {
+      const { fullName, location, experience, qualification, coverLetter } = applicationData;
+
+      resume = resumeFile ? await this.storeResume(resumeFile) : {};
+
+      Object.assign(updateData, {
+        full_name: fullName.trim(),
+        location: location.trim(),
+        experience,
+        qualification,
+        cover_letter: coverLetter ? coverLetter.trim() : null,
+        ...resume
+      });
+    }
+
+    let data;
+
+    try {
+      data = await this.getRepository().update(
+        existing.id,
+        updateData,
+        'id, full_name, email, position, application_status, application_date'
+      );
+      if (!data) {
+        throw new Error('Database update failed: application no longer exists');
+      }
+    } catch (updateError) {
+      await this.removeResume(resume.resume_storage_path);
+      throw updateError;
+    }
+
+    // The replaced resume is no longer referenced
+    if (resume.resume_storage_path && existing.resume_storage_path) {
+      await this.removeResume(existing.resume_storage_path);
+    }
+
+    console.log(`ℹ️  Repeat application merged into ${this.formatApplicationNumber(existing.id)} (submission ${updateData.submission_count}${updated ? ', details updated' : ''})`);
+
+    return {
+      id: data.id,
+      applicationNumber: this.formatApplicationNumber(data.id),
+      submittedAt: now,
+      fullName: data.full_name,
+      email: data.email,
+      position: data.position,
+      status: data.application_status,
+      duplicate: true,
+      updated
+    };
+  }
+
+  /**
+   * Delete an application and its resume
+   * Undoes a new application whose submission could not be completed.
+   * @param {number} id - Application ID
+   * @returns {Promise<void>}
+   */
+  static async deleteApplication(id) {
+    const row = await this.getRepository().findById(id, 'id, resume_storage_path');
+    if (!row) {
+      return;
+    }
+
+    await this.getRepository().delete(id);
+    await this.removeResume(row.resume_storage_path);
+  }
+
+  /**
+   * Screen, upload and extract the text of a resume
+   * @param {Object} file - Multer file object
+   * @returns {Promise<Object>} Career_Applications resume columns
+   */
+  static async storeResume(file) {
+    const uploadResult = await this.uploadResume(file);
+
+    return {
+      resume_storage_path: uploadResult.storagePath,
+      resume_file_name: uploadResult.fileName,
+      resume_content_type: uploadResult.contentType,
+      resume_text: await this.extractResumeText(file.buffer, uploadResult.type)
+    };
+  }
+
+  /**
+   * Delete a stored resume, logging rather than throwing on failure
+   * @param {string|undefined} storagePath - Path in the resume store
+   */
+  static async removeResume(storagePath) {
+    if (!storagePath) {
+      return;
+    }
+
+    await this.getResumeStorage().remove(storagePath).catch(removeError => {
+      console.error(`Failed to remove resume ${storagePath}:`, removeError.message);
+    });
+  }
+
+  /**
+   * Screen a resume and upload it to private storage
+   * Only the storage path is kept; staff download the file through the admin API.
+   * The stored type comes from the file contents, not the client-supplied mimetype.
    * @param {Object} file - Multer file object
-   * @returns {Promise<Object>} Upload result with URL and filename
+   * @returns {Promise<Object>} { storagePath, fileName, contentType, type }
    */
   static async uploadResume(file) {
     try {
+      const screened = await ResumeScreeningService.screenResume(file);
+
       // Generate unique filename
-      const timestamp = Date.now();
-      const randomString = Math.random().toString(36).substring(2, 15);
-      const fileExtension = path.extname(file.originalname);
-      const fileName = `resume_${timestamp}_${randomString}${fileExtension}`;
-      const filePath = `resumes/${fileName}`;
-
-      // Upload to Supabase Storage
-      const { data, error } = await supabase.storage
-        .from('career-applications')
-        .upload(filePath, file.buffer, {
-          contentType: file.mimetype,
-          upsert: false
-        });
-
-      if (error) {
-        throw new Error(`File upload failed: ${error.message}`);
-      }
+      const timestamp = clock.now().getTime();
+      const randomString = crypto.randomBytes(8).toString('hex');
+      const fileName = `resume_${timestamp}_${randomString}${screened.extension}`;
+      const storagePath = `resumes/${fileName}`;
 
-      // Get public URL
-      const { data: urlData } = supabase.storage
-        .from('career-applications')
-        .getPublicUrl(filePath);
+      await this.getResumeStorage().upload(storagePath, file.buffer, {
+        contentType: screened.contentType
+      });
 
       return {
-        url: urlData.publicUrl,
+        storagePath,
         fileName: file.originalname,
-        storagePath: filePath
+        contentType: screened.contentType,
+        type: screened.type
       };
     } catch (error) {
       console.error('CareerService.uploadResume error:', error);
@@ -165,6 +399,126 @@ class CareerService {
     }
   }
 
+  /**
+   * Extract resume text for the search index
+   * A resume that cannot be parsed is still accepted; it is just not searchable by content.
+   * @param {Buffer} buffer - File contents
+   * @param {string} type - 'pdf', 'doc' or 'docx'
+   * @returns {Promise<string|null>} Text, or null
+   */
+  static async extractResumeText(buffer, type) {
+    try {
+      return await ResumeTextService.extractText(buffer, type);
+    } catch (error) {
+      console.error('CareerService.extractResumeText error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * IDs of applications with a resume but no extracted text (for backfilling the search index)
+   * @param {number} limit - Maximum number of IDs
+   * @param {number} afterId - Only return IDs greater than this
+   * @returns {Promise<Array<number>>} Application IDs in ascending order
+   */
+  static async getUnindexedResumeIds(limit = 50, afterId = 0) {
+    return this.getRepository().listUnindexedResumeIds(limit, afterId);
+  }
+
+  /**
+   * Extract and store the text of an application's stored resume
+   * @param {number} id - Application ID
+   * @returns {Promise<boolean>} Whether any text was extracted
+   */
+  static async indexResumeText(id) {
+    try {
+      const file = await this.getResumeFile(id);
+
+      const chunks = [];
+      for await (const chunk of file.stream) {
+        chunks.push(chunk);
+      }
+      const buffer = Buffer.concat(chunks);
+
+      const resumeText = await this.extractResumeText(buffer, ResumeScreeningService.detectType(buffer));
+      if (!resumeText) {
+        return false;
+      }
+
+      await this.getRepository().update(id, { resume_text: resumeText }, 'id');
+
+      return true;
+    } catch (error) {
+      console.error('CareerService.indexResumeText error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a short-lived signed download URL for an application's resume (admin use)
+   * @param {number} id - Application ID
+   * @returns {Promise<Object|null>} { url, expiresIn, fileName }, or null if the storage cannot sign URLs
+   */
+  static async getResumeDownloadUrl(id) {
+    try {
+      const resume = await this.getResumeLocation(id);
+      const expiresIn = config.storage.signedUrlExpiresIn;
+
+      const url = await this.getResumeStorage().createSignedUrl(resume.storagePath, expiresIn, {
+        downloadName: resume.fileName
+      });
+
+      return url ? { url, expiresIn, fileName: resume.fileName } : null;
+    } catch (error) {
+      console.error('CareerService.getResumeDownloadUrl error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open an application's resume for streaming (admin use)
+   * @param {number} id - Application ID
+   * @returns {Promise<Object>} { stream, contentType, size, fileName }
+   */
+  static async getResumeFile(id) {
+    try {
+      const resume = await this.getResumeLocation(id);
+      const file = await this.getResumeStorage().download(resume.storagePath);
+
+      return {
+        ...file,
+        contentType: resume.contentType || file.contentType,
+        fileName: resume.fileName
+      };
+    } catch (error) {
+      console.error('CareerService.getResumeFile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Where an application's resume is stored
+   * @param {number} id - Application ID
+   * @returns {Promise<Object>} { storagePath, fileName, contentType }
+   */
+  static async getResumeLocation(id) {
+    const data = await this.getRepository().findById(id, 'id, resume_storage_path, resume_file_name, resume_content_type');
+
+    if (!data) {
+      throw new Error('Application not found');
+    }
+
+    if (!data.resume_storage_path) {
+      throw new Error('Resume not found');
+    }
+
+    return {
+      storagePath: data.resume_storage_path,
+      fileName: data.resume_file_name || path.basename(data.resume_storage_path),
+      contentType: data.resume_content_type
+    };
+  }
+
   /**
    * Get all career applications (admin use)
    * @param {Object} options - Query options
@@ -183,42 +537,102 @@ class CareerService {
       
       const offset = (page - 1) * limit;
 
-      let query = supabase
-        .from('Career_Applications')
-        .select('*')
-        .order(sortBy, { ascending: sortOrder === 'asc' })
-        .range(offset, offset + limit - 1);
+      const { rows, total } = await this.getRepository().list({
+        filters: { status, position },
+        columns: ADMIN_COLUMNS,
+        sort: [{ column: sortBy, ascending: sortOrder === 'asc' }],
+        offset,
+        limit
+      });
 
-      // Add filters
-      if (status) {
-        query = query.eq('application_status', status);
-      }
-      
-      if (position) {
-        query = query.eq('position', position);
-      }
+      return {
+        applications: rows.map(row => this.toAdminApplication(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('CareerService.getAllApplications error:', error);
+      throw error;
+    }
+  }
 
-      const { data, error, count } = await query;
+  /**
+   * Full-text search over resumes, cover letters and names (admin use)
+   * @param {Object} options - Search options
+   * @param {string} options.q - Search terms (web search syntax: "exact phrase", or, -exclude)
+   * @param {string} options.position - Filter by position
+   * @param {string} options.experience - Filter by experience range
+   * @param {string} options.qualification - Filter by qualification
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<Object>} Matching applications, best match first, with highlights and pagination
+   */
+  static async searchApplications(options = {}) {
+    try {
+      const {
+        q,
+        position = null,
+        experience = null,
+        qualification = null,
+        page = 1,
+        limit = 10
+      } = options;
 
-      if (error) {
-        throw new Error(`Failed to fetch applications: ${error.message}`);
-      }
+      const rows = await this.getRepository().search({
+        q,
+        position,
+        experience,
+        qualification,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
 
       return {
-        applications: data || [],
+        applications: rows.map(({ rank, resume_headline, cover_letter_headline, total_count, ...row }) => ({
+          ...this.toAdminApplication(row),
+          rank,
+          highlights: {
+            resume: this.formatHighlights(resume_headline),
+            coverLetter: this.formatHighlights(cover_letter_headline)
+          }
+        })),
         pagination: {
           page,
           limit,
-          total: count,
-          totalPages: Math.ceil(count / limit)
+          total,
+          totalPages: Math.ceil(total / limit)
         }
       };
     } catch (error) {
-      console.error('CareerService.getAllApplications error:', error);
+      console.error('CareerService.searchApplications error:', error);
       throw error;
     }
   }
 
+  /**
+   * Turn a ts_headline result into HTML-safe fragments with matches wrapped in <mark>
+   * @param {string|null} headline - Headline from search_career_applications()
+   * @returns {Array<string>} Fragments containing at least one match
+   */
+  static formatHighlights(headline) {
+    if (!headline) {
+      return [];
+    }
+
+    return headline
+      .split(' ... ')
+      .filter(fragment => fragment.includes(HIGHLIGHT_START))
+      .map(fragment => escapeHtml(fragment.trim())
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>'));
+  }
+
   /**
    * Get application by ID
    * @param {string} id - Application ID
@@ -226,20 +640,13 @@ class CareerService {
    */
   static async getApplicationById(id) {
     try {
-      const { data, error } = await supabase
-        .from('Career_Applications')
-        .select('*')
-        .eq('id', id)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          throw new Error('Application not found');
-        }
-        throw new Error(`Failed to fetch application: ${error.message}`);
+      const data = await this.getRepository().findById(id, ADMIN_COLUMNS);
+
+      if (!data) {
+        throw new Error('Application not found');
       }
 
-      return data;
+      return this.toAdminApplication(data);
     } catch (error) {
       console.error('CareerService.getApplicationById error:', error);
       throw error;
@@ -247,88 +654,132 @@ class CareerService {
   }
 
   /**
-   * Update application status
-   * @param {string} id - Application ID
+   * Move an application through the hiring pipeline (admin use)
+   * Enforces APPLICATION_STATUS_TRANSITIONS and records the change in Career_Application_History.
+   * @param {number} id - Application ID
    * @param {string} status - New status
-   * @param {string} notes - Optional notes
-   * @returns {Promise<Object>} Updated application record
+   * @param {string} notes - Optional note recorded with the change
+   * @param {Object} changedBy - Public staff profile ({ id, fullName })
+   * @returns {Promise<Object>} Updated application
    */
-  static async updateApplicationStatus(id, status, notes = null) {
+  static async updateApplicationStatus(id, status, notes, changedBy) {
     try {
-      const updateData = {
-        application_status: status,
-        updated_at: new Date().toISOString()
-      };
+      const current = await this.getApplicationById(id);
+      this.assertTransition(current.application_status, status);
 
-      if (notes) {
-        updateData.admin_notes = notes;
+      // Updates the application and appends the history entry in one transaction
+      let data;
+      try {
+        data = await this.getRepository().transitionStatus({
+          id,
+          fromStatus: current.application_status,
+          toStatus: status,
+          changedBy: changedBy.id,
+          changedByName: changedBy.fullName,
+          note: notes && notes.trim() ? notes.trim() : null
+        }, ADMIN_COLUMNS);
+      } catch (transitionError) {
+        if (transitionError.message.includes('Application status changed')) {
+          throw new Error('Invalid status transition: the application was updated by someone else, reload and try again');
+        }
+        throw transitionError;
       }
 
-      const { data, error } = await supabase
-        .from('Career_Applications')
-        .update(updateData)
-        .eq('id', id)
-        .select()
-        .single();
+      return this.toAdminApplication(data);
+    } catch (error) {
+      console.error('CareerService.updateApplicationStatus error:', error);
+      throw error;
+    }
+  }
 
-      if (error) {
-        throw new Error(`Failed to update application status: ${error.message}`);
-      }
+  /**
+   * Full history of an application, oldest first (admin use)
+   * @param {number} id - Application ID
+   * @returns {Promise<Object>} { applicationNumber, status, events }
+   */
+  static async getApplicationTimeline(id) {
+    try {
+      const application = await this.getApplicationById(id);
+
+      const history = await this.getRepository().listHistory(id);
+
+      const events = [
+        {
+          type: 'submitted',
+          status: 'pending',
+          at: application.application_date
+        },
+        ...history.map(entry => ({
+          type: entry.from_status ? 'status_changed' : 'migrated',
+          from: entry.from_status,
+          status: entry.to_status,
+          changedBy: entry.changed_by || entry.changed_by_name
+            ? { id: entry.changed_by, name: entry.changed_by_name }
+            : null,
+          note: entry.note,
+          at: entry.created_at
+        }))
+      ];
 
-      return data;
+      return {
+        id: application.id,
+        applicationNumber: this.formatApplicationNumber(application.id),
+        status: application.application_status,
+        allowedTransitions: APPLICATION_STATUS_TRANSITIONS[application.application_status] || [],
+        events
+      };
     } catch (error) {
-      console.error('CareerService.updateApplicationStatus error:', error);
+      console.error('CareerService.getApplicationTimeline error:', error);
       throw error;
     }
   }
 
+  /**
+   * Check a status change against the hiring pipeline
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @throws {Error} When the transition is not allowed
+   */
+  static assertTransition(from, to) {
+    const allowed = APPLICATION_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+      throw new Error(`Invalid status transition: ${from} -> ${to}`);
+    }
+  }
+
   /**
    * Get application statistics
    * @returns {Promise<Object>} Application statistics
    */
   static async getApplicationStats() {
     try {
-      // Get total count
-      const { count: totalCount, error: countError } = await supabase
-        .from('Career_Applications')
-        .select('*', { count: 'exact', head: true });
+      const repository = this.getRepository();
 
-      if (countError) {
-        throw new Error(`Failed to get total count: ${countError.message}`);
-      }
+      // Get total count
+      const totalCount = await repository.count();
 
       // Get status breakdown
-      const { data: statusData, error: statusError } = await supabase
-        .from('Career_Applications')
-        .select('application_status')
-        .not('application_status', 'is', null);
-
-      if (statusError) {
-        throw new Error(`Failed to get status breakdown: ${statusError.message}`);
-      }
+      const statuses = await repository.listStatuses();
 
-      const statusBreakdown = statusData.reduce((acc, app) => {
-        acc[app.application_status] = (acc[app.application_status] || 0) + 1;
+      const statusBreakdown = statuses.reduce((acc, status) => {
+        acc[status] = (acc[status] || 0) + 1;
         return acc;
       }, {});
 
-      // Get today's count
-      const today = new Date().toISOString().split('T')[0];
-      const { count: todayCount, error: todayError } = await supabase
-        .from('Career_Applications')
-        .select('*', { count: 'exact', head: true })
-        .gte('application_date', `${today}T00:00:00.000Z`)
-        .lt('application_date', `${today}T23:59:59.999Z`);
-
-      if (todayError) {
-        throw new Error(`Failed to get today's count: ${todayError.message}`);
-      }
+      // Get today's count; "today" is the calendar day in the reporting time zone
+      const timeZone = config.careers.reportingTimezone;
+      const today = toLocalDate(clock.now(), timeZone);
+      const todayCount = await repository.count({
+        from: startOfLocalDay(today, timeZone).toISOString(),
+        to: startOfLocalDay(addDays(today, 1), timeZone).toISOString()
+      });
 
       return {
-        total: totalCount || 0,
-        today: todayCount || 0,
+        total: totalCount,
+        today: todayCount,
+        timezone: timeZone,
         statusBreakdown,
-        lastUpdated: new Date().toISOString()
+        lastUpdated: clock.now().toISOString()
       };
     } catch (error) {
       console.error('CareerService.getApplicationStats error:', error);
@@ -336,6 +787,188 @@ class CareerService {
     }
   }
 
+  /**
+   * Application analytics over a date range
+   * Dates are calendar days in the given time zone; both ends are included.
+   * @param {Object} options - Analytics options
+   * @param {string} options.from - First day (YYYY-MM-DD), default 29 days before `to`
+   * @param {string} options.to - Last day (YYYY-MM-DD), default today
+   * @param {string} options.interval - 'day', 'week' (starting Monday) or 'month'
+   * @param {string} options.timezone - IANA time zone, default config.careers.reportingTimezone
+   * @returns {Promise<Object>} { range, total, series, breakdowns, funnel, generatedAt }
+   */
+  static async getApplicationAnalytics(options = {}) {
+    try {
+      const {
+        interval = 'day',
+        timezone = config.careers.reportingTimezone
+      } = options;
+
+      const to = options.to || toLocalDate(clock.now(), timezone);
+      const from = options.from || addDays(to, 1 - ANALYTICS_DEFAULT_DAYS);
+
+      if (from > to) {
+        throw new Error('Invalid analytics range: from must not be after to');
+      }
+      if (addDays(from, ANALYTICS_MAX_DAYS) <= to) {
+        throw new Error(`Invalid analytics range: at most ${ANALYTICS_MAX_DAYS} days`);
+      }
+
+      const data = await this.getRepository().analytics({
+        from: startOfLocalDay(from, timezone).toISOString(),
+        to: startOfLocalDay(addDays(to, 1), timezone).toISOString(),
+        interval,
+        timezone
+      });
+
+      const positionTitles = await Promise.all(
+        data.position.map(entry => JobOpeningService.getTitle(entry.value))
+      );
+
+      return {
+        range: { from, to, interval, timezone },
+        total: data.total,
+        series: data.series,
+        breakdowns: {
+          position: data.position.map((entry, index) => ({ ...entry, label: positionTitles[index] })),
+          qualification: data.qualification,
+          experience: [...data.experience].sort((a, b) =>
+            EXPERIENCE_BANDS.indexOf(a.value) - EXPERIENCE_BANDS.indexOf(b.value)),
+          location: data.location,
+          status: data.status
+        },
+        funnel: this.buildFunnel(data.reached),
+        generatedAt: clock.now().toISOString()
+      };
+    } catch (error) {
+      console.error('CareerService.getApplicationAnalytics error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stage-to-stage conversion from the number of applications that reached each stage
+   * @param {Object} reached - { submitted, reviewing, shortlisted, interviewed, hired }
+   * @returns {Array<Object>} [{ stage, count, conversionRate, overallRate }], rates between 0 and 1 (null when undefined)
+   */
+  static buildFunnel(reached) {
+    const rate = (count, base) => (base > 0 ? Math.round((count / base) * 10000) / 10000 : null);
+
+    return FUNNEL_STAGES.map((stage, index) => ({
+      stage,
+      count: reached[stage] || 0,
+      conversionRate: index === 0 ? null : rate(reached[stage] || 0, reached[FUNNEL_STAGES[index - 1]] || 0),
+      overallRate: index === 0 ? null : rate(reached[stage] || 0, reached.submitted || 0)
+    }));
+  }
+
+  /**
+   * Flatten analytics into one CSV table
+   * @param {Object} analytics - Result of getApplicationAnalytics
+   * @returns {string} CSV with section, key, label, count, conversion_rate and overall_rate columns
+   */
+  static analyticsToCsv(analytics) {
+    const rows = [
+      ...analytics.series.map(entry => ['series', entry.period, analytics.range.interval, entry.count, null, null]),
+      ...Object.entries(analytics.breakdowns).flatMap(([section, entries]) =>
+        entries.map(entry => [section, entry.value, entry.label || entry.value, entry.count, null, null])),
+      ...analytics.funnel.map(entry => ['funnel', entry.stage, entry.stage, entry.count, entry.conversionRate, entry.overallRate])
+    ];
+
+    return toCsv(['section', 'key', 'label', 'count', 'conversion_rate', 'overall_rate'], rows);
+  }
+
+  /**
+   * Look up the status of an application for the candidate who submitted it.
+   * Both the application number and the email it was submitted with must match;
+   * a wrong number and a wrong email give the same result, so the lookup cannot be
+   * used to find out which application numbers exist.
+   * @param {string} applicationNumber - e.g. AC-000123
+   * @param {string} email - Email address used on the application (normalized)
+   * @returns {Promise<Object|null>} Candidate-facing status, or null if nothing matches
+   */
+  static async lookupApplicationStatus(applicationNumber, email) {
+    try {
+      const id = this.parseApplicationNumber(applicationNumber);
+      if (id === null) {
+        return null;
+      }
+
+      const data = await this.getRepository().findByIdAndEmail(
+        id,
+        this.normalizeEmail(email),
+        'id, position, application_status, application_date, updated_at'
+      );
+
+      if (!data) {
+        return null;
+      }
+
+      const status = CANDIDATE_STATUSES[data.application_status] || CANDIDATE_STATUSES.pending;
+
+      return {
+        applicationNumber: this.formatApplicationNumber(data.id),
+        position: await JobOpeningService.getTitle(data.position),
+        status: data.application_status,
+        statusLabel: status.label,
+        description: status.description,
+        submittedAt: data.application_date,
+        lastUpdated: data.updated_at || data.application_date
+      };
+    } catch (error) {
+      console.error('CareerService.lookupApplicationStatus error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Application number shown to candidates, e.g. AC-000123
+   * @param {number} id - Application ID
+   * @returns {string} Application number
+   */
+  static formatApplicationNumber(id) {
+    return `AC-${id.toString().padStart(6, '0')}`;
+  }
+
+  /**
+   * Application ID from an application number
+   * @param {string} applicationNumber - e.g. AC-000123 (case-insensitive)
+   * @returns {number|null} Application ID, or null if the number is malformed
+   */
+  static parseApplicationNumber(applicationNumber) {
+    const match = APPLICATION_NUMBER_PATTERN.exec(String(applicationNumber || '').trim());
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Normalise an email address for storage and duplicate detection
+   * @param {string} email - Email address
+   * @returns {string} Canonical address, see utils/email.js
+   */
+  static normalizeEmail(email) {
+    return canonicalEmail(email);
+  }
+
+  /**
+   * Normalise a phone number for duplicate detection (same rule as phone_normalized in SQL)
+   * @param {string} phone - Phone number as entered
+   * @returns {string} Last 9 digits
+   */
+  static normalizePhone(phone) {
+    return phone.replace(/\D/g, '').slice(-9);
+  }
+
+  /**
+   * Application row as returned to staff: storage locations are replaced by has_resume
+   * @param {Object} row - Career_Applications row
+   * @returns {Object} Application
+   */
+  static toAdminApplication(row) {
+    const application = { ...row, has_resume: Boolean(row.resume_storage_path) };
+    [...PRIVATE_COLUMNS, ...INDEX_COLUMNS].forEach(column => delete application[column]);
+    return application;
+  }
+
   /**
    * Validate career application data
    * @param {Object} applicationData - Career application form data
@@ -380,4 +1013,9 @@ class CareerService {
   }
 }
 
+CareerService.APPLICATION_NUMBER_PATTERN = APPLICATION_NUMBER_PATTERN;
+CareerService.APPLICATION_STATUSES = APPLICATION_STATUSES;
+CareerService.APPLICATION_STATUS_TRANSITIONS = APPLICATION_STATUS_TRANSITIONS;
+CareerService.FUNNEL_STAGES = FUNNEL_STAGES;
+
 module.exports = CareerService;
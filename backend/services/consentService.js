@@ -0,0 +1,269 @@
+const { createRepository } = require('../repositories');
+const DataProtectionService = require('./dataProtectionService');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+
+/**
+ * What a consent is given for
+ * recruitment: assessing a career application; enquiry_handling: answering a contact enquiry;
+ * marketing: news about products and events (optional, contact form only)
+ */
+const CONSENT_PURPOSES = ['recruitment', 'enquiry_handling', 'marketing'];
+
+const CONSENT_SOURCES = ['careers_form', 'contact_form', 'staff'];
+
+const NOTICE_VERSION_PATTERN = /^[0-9A-Za-z][0-9A-Za-z.\-]{0,19}$/;
+
+const consentRepository = scoped(() => null);
+
+/**
+ * Consent Service
+ * Versioned privacy notices and the append-only consent ledger
+ *
+ * Forms show the current notice and send back the version shown; submissions quoting any
+ * other version are refused so that nobody agrees to text they were not shown. Each consent
+ * given or withdrawn is a new "Consent_Records" row identified by a keyed hash of the email
+ * address, so the ledger itself holds no contact details.
+ */
+class ConsentService {
+  /**
+   * Replace the notice and consent store (e.g. with MemoryConsentRepository in tests)
+   * @param {Object} repository - Object implementing the consent repository interface
+   */
+  static setRepository(repository) {
+    consentRepository.set(repository);
+  }
+
+  /**
+   * Get the active notice and consent store, creating it from config.database.driver on first use
+   * @returns {Object} Consent repository
+   */
+  static getRepository() {
+    if (!consentRepository.get()) {
+      consentRepository.set(createRepository('consents'));
+    }
+    return consentRepository.get();
+  }
+
+  /**
+   * Get the privacy notice in force
+   * @param {Date} now - Time to check (defaults to now)
+   * @returns {Promise<Object>} Notice
+   */
+  static async getCurrentNotice(now = clock.now()) {
+    const data = await this.getRepository().findCurrentNotice(now.toISOString());
+
+    if (!data) {
+      throw new Error('Privacy notice not found');
+    }
+
+    return this.formatNotice(data);
+  }
+
+  /**
+   * Get one version of the privacy notice, including versions no longer (or not yet) in force
+   * @param {string} version - Notice version
+   * @returns {Promise<Object>} Notice
+   */
+  static async getNotice(version) {
+    const data = await this.getRepository().findNotice(version);
+
+    if (!data) {
+      throw new Error('Privacy notice not found');
+    }
+
+    return this.formatNotice(data);
+  }
+
+  /**
+   * List every version of the privacy notice, newest first (for admin use)
+   * @returns {Promise<Array>} Notices, with `current` set on the one in force
+   */
+  static async getNotices() {
+    const data = await this.getRepository().listNotices();
+
+    const now = clock.now().getTime();
+    const current = data.find(row => new Date(row.effective_at).getTime() <= now);
+
+    return data.map(row => ({ ...this.formatNotice(row), current: row === current }));
+  }
+
+  /**
+   * Publish a new version of the privacy notice
+   * Published versions cannot be changed; correct a mistake by publishing another version.
+   * @param {Object} notice - { version, title, body, purposes, effectiveAt }
+   * @param {Object} publishedBy - Staff user publishing the notice
+   * @returns {Promise<Object>} Published notice
+   */
+  static async publishNotice({ version, title, body, purposes, effectiveAt = null }, publishedBy) {
+    if (!NOTICE_VERSION_PATTERN.test(version)) {
+      throw new Error('Invalid privacy notice: version may only contain letters, digits, dots and hyphens');
+    }
+
+    const missing = CONSENT_PURPOSES.filter(purpose => typeof purposes[purpose] !== 'string' || !purposes[purpose].trim());
+    if (missing.length > 0) {
+      throw new Error(`Invalid privacy notice: a consent statement is required for ${missing.join(', ')}`);
+    }
+
+    // Throws 'Privacy notice version ... already exists' for a version already published
+    const data = await this.getRepository().createNotice({
+      version,
+      title: title.trim(),
+      body: body.trim(),
+      purposes: Object.fromEntries(CONSENT_PURPOSES.map(purpose => [purpose, purposes[purpose].trim()])),
+      effective_at: effectiveAt || clock.now().toISOString(),
+      published_by: publishedBy.id,
+      published_by_name: publishedBy.fullName
+    });
+
+    return this.formatNotice(data);
+  }
+
+  /**
+   * Check that a form was submitted against the notice in force
+   * @param {string} version - Version the form was shown
+   * @returns {Promise<Object>} Current notice
+   */
+  static async assertCurrentNotice(version) {
+    const notice = await this.getCurrentNotice();
+
+    if (version !== notice.version) {
+      throw new Error(`The privacy notice has been updated to version ${notice.version}. Please read it and agree again.`);
+    }
+
+    return notice;
+  }
+
+  /**
+   * Record the consents given with a form submission
+   * @param {Object} consent - Consent details
+   * @param {string} consent.email - Email address given on the form
+   * @param {Array<string>} consent.purposes - Purposes agreed to
+   * @param {string} consent.noticeVersion - Privacy notice version agreed to
+   * @param {string} consent.source - 'careers_form' or 'contact_form'
+   * @param {number} consent.applicationId - Career application submitted with it
+   * @param {string} consent.contactId - Contact enquiry submitted with it
+   * @param {string} consent.ip - IP address of the request
+   * @returns {Promise<Array>} Recorded consents
+   */
+  static async recordFormConsent({ email, purposes, noticeVersion, source, applicationId = null, contactId = null, ip = null }) {
+    const subjectHash = DataProtectionService.hashSubject(email);
+    const ipHash = ip ? DataProtectionService.keyedHash(ip) : null;
+
+    return this.insertRecords(purposes.map(purpose => ({
+      subject_hash: subjectHash,
+      purpose,
+      action: 'granted',
+      notice_version: noticeVersion,
+      source,
+      application_id: applicationId,
+      contact_id: contactId,
+      ip_hash: ipHash
+    })));
+  }
+
+  /**
+   * Record a withdrawal of consent received by email, phone or post (for staff use)
+   * Withdrawing does not erase anything already held; use the erasure endpoint for that.
+   * @param {string} email - Email address of the data subject
+   * @param {string} purpose - Purpose withdrawn
+   * @param {Object} recordedBy - Staff user recording the withdrawal
+   * @param {string} note - How the withdrawal was received
+   * @returns {Promise<Object>} Recorded withdrawal
+   */
+  static async withdrawConsent(email, purpose, recordedBy, note = null) {
+    if (!CONSENT_PURPOSES.includes(purpose)) {
+      throw new Error(`Invalid consent purpose: ${purpose}`);
+    }
+
+    const notice = await this.getCurrentNotice();
+
+    const [record] = await this.insertRecords([{
+      subject_hash: DataProtectionService.hashSubject(email),
+      purpose,
+      action: 'withdrawn',
+      notice_version: notice.version,
+      source: 'staff',
+      recorded_by: recordedBy.id,
+      recorded_by_name: recordedBy.fullName,
+      note: note ? note.trim() : null
+    }]);
+
+    return record;
+  }
+
+  /**
+   * Get the consent ledger of a data subject
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} { current: { purpose: { status, noticeVersion, since } }, records }
+   */
+  static async getConsentHistory(email) {
+    const data = await this.getRepository().listRecords(DataProtectionService.hashSubject(email));
+
+    const records = data.map(row => this.formatRecord(row));
+    const current = {};
+
+    CONSENT_PURPOSES.forEach(purpose => {
+      const latest = records.filter(record => record.purpose === purpose).pop();
+      current[purpose] = latest
+        ? { status: latest.action, noticeVersion: latest.noticeVersion, since: latest.recordedAt }
+        : { status: 'none', noticeVersion: null, since: null };
+    });
+
+    return { current, records };
+  }
+
+  /**
+   * Insert ledger rows
+   * @param {Array<Object>} rows - Consent_Records rows
+   * @returns {Promise<Array>} Inserted records
+   */
+  static async insertRecords(rows) {
+    const data = await this.getRepository().addRecords(rows);
+
+    return data.map(row => this.formatRecord(row));
+  }
+
+  /**
+   * Format a notice row for the API
+   * @param {Object} row - Privacy_Notices row
+   * @returns {Object} Notice
+   */
+  static formatNotice(row) {
+    return {
+      version: row.version,
+      title: row.title,
+      body: row.body,
+      purposes: row.purposes,
+      effectiveAt: row.effective_at,
+      publishedByName: row.published_by_name
+    };
+  }
+
+  /**
+   * Format a ledger row for the API
+   * @param {Object} row - Consent_Records row
+   * @returns {Object} Consent record
+   */
+  static formatRecord(row) {
+    return {
+      id: row.id,
+      purpose: row.purpose,
+      action: row.action,
+      noticeVersion: row.notice_version,
+      source: row.source,
+      applicationId: row.application_id,
+      contactId: row.contact_id,
+      ipHash: row.ip_hash,
+      recordedByName: row.recorded_by_name,
+      note: row.note,
+      recordedAt: row.recorded_at
+    };
+  }
+}
+
+ConsentService.CONSENT_PURPOSES = CONSENT_PURPOSES;
+ConsentService.CONSENT_SOURCES = CONSENT_SOURCES;
+ConsentService.NOTICE_VERSION_PATTERN = NOTICE_VERSION_PATTERN;
+
+module.exports = ConsentService;
@@ -1,11 +1,48 @@
-const { supabase } = require('../config/supabase');
 const config = require('../config');
+const { createRepository } = require('../repositories');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+const { canonicalEmail } = require('../utils/email');
+
+/**
+ * Inbox status workflow: new -> assigned -> replied -> closed
+ * Assigned/replied enquiries can be re-assigned, and closed ones re-opened by assigning them again.
+ */
+const CONTACT_STATUSES = ['new', 'assigned', 'replied', 'closed'];
+
+const CONTACT_STATUS_TRANSITIONS = {
+  new: ['assigned', 'closed'],
+  assigned: ['assigned', 'replied', 'closed'],
+  replied: ['assigned', 'closed'],
+  closed: ['assigned']
+};
+
+const contactRepository = scoped(() => null);
 
 /**
  * Contact Service
  * Handles all contact-related business logic and database operations
  */
 class ContactService {
+  /**
+   * Replace the enquiry store (e.g. with MemoryContactRepository in tests)
+   * @param {Object} repository - Object implementing the contact repository interface
+   */
+  static setRepository(repository) {
+    contactRepository.set(repository);
+  }
+
+  /**
+   * Get the active enquiry store, creating it from config.database.driver on first use
+   * @returns {Object} Contact repository
+   */
+  static getRepository() {
+    if (!contactRepository.get()) {
+      contactRepository.set(createRepository('contacts'));
+    }
+    return contactRepository.get();
+  }
+
   /**
    * Create a new contact submission
    * @param {Object} contactData - Contact form data
@@ -18,25 +55,16 @@ class ContactService {
       // Prepare data for database insertion
       const insertData = {
         Full_Name: fullName.trim(),
-        Email_id: email.toLowerCase().trim(),
+        Email_id: canonicalEmail(email),
         Contact: contact.trim(),
         Enter_Message: message.trim()
       };
 
-      // Insert contact record into Supabase
-      const { data, error } = await supabase
-        .from('Contact_Us')
-        .insert([insertData])
-        .select()
-        .single();
-
-      if (error) {
-        throw new Error(`Database insertion failed: ${error.message}`);
-      }
+      const data = await this.getRepository().create(insertData);
 
       return {
         id: data.id,
-        submittedAt: data.created_at || new Date().toISOString(),
+        submittedAt: data.created_at || clock.now().toISOString(),
         fullName: data.Full_Name,
         email: data.Email_id
       };
@@ -49,32 +77,48 @@ class ContactService {
   /**
    * Get all contact submissions (admin use)
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} List of contact submissions
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Page size
+   * @param {string} options.sortBy - Column to sort by
+   * @param {string} options.sortOrder - 'asc' or 'desc'
+   * @param {string} options.status - Filter by inbox status
+   * @param {number} options.assignedTo - Filter by assignee (Admin_Users.id)
+   * @param {boolean} options.unassigned - Only enquiries without an assignee
+   * @param {string} options.search - Match against name, email or message
+   * @param {string} options.from - Submitted on or after (ISO date)
+   * @param {string} options.to - Submitted on or before (ISO date)
+   * @returns {Promise<Object>} Contacts and pagination info
    */
   static async getAllContacts(options = {}) {
     try {
-      const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = options;
+      const {
+        page = 1,
+        limit = 10,
+        sortBy = 'created_at',
+        sortOrder = 'desc',
+        status = null,
+        assignedTo = null,
+        unassigned = false,
+        search = null,
+        from = null,
+        to = null
+      } = options;
       const offset = (page - 1) * limit;
 
-      let query = supabase
-        .from('Contact_Us')
-        .select('*')
-        .order(sortBy, { ascending: sortOrder === 'asc' })
-        .range(offset, offset + limit - 1);
-
-      const { data, error, count } = await query;
-
-      if (error) {
-        throw new Error(`Failed to fetch contacts: ${error.message}`);
-      }
+      const { rows, total } = await this.getRepository().list({
+        filters: { status, assignedTo, unassigned, search, from, to },
+        sort: [{ column: sortBy, ascending: sortOrder === 'asc' }],
+        offset,
+        limit
+      });
 
       return {
-        contacts: data || [],
+        contacts: rows,
         pagination: {
           page,
           limit,
-          total: count,
-          totalPages: Math.ceil(count / limit)
+          total,
+          totalPages: Math.ceil(total / limit)
         }
       };
     } catch (error) {
@@ -90,20 +134,13 @@ class ContactService {
    */
   static async getContactById(id) {
     try {
-      const { data, error } = await supabase
-        .from('Contact_Us')
-        .select('*')
-        .eq('id', id)
-        .single();
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          throw new Error('Contact not found');
-        }
-        throw new Error(`Failed to fetch contact: ${error.message}`);
+      const contact = await this.getRepository().findById(id);
+
+      if (!contact) {
+        throw new Error('Contact not found');
       }
 
-      return data;
+      return contact;
     } catch (error) {
       console.error('ContactService.getContactById error:', error);
       throw error;
@@ -112,33 +149,125 @@ class ContactService {
 
   /**
    * Update contact status (for admin use)
+   * Enforces the inbox workflow defined in CONTACT_STATUS_TRANSITIONS.
    * @param {string} id - Contact ID
    * @param {string} status - New status
    * @returns {Promise<Object>} Updated contact record
    */
   static async updateContactStatus(id, status) {
     try {
-      const { data, error } = await supabase
-        .from('Contact_Us')
-        .update({ 
-          status,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', id)
-        .select()
-        .single();
-
-      if (error) {
-        throw new Error(`Failed to update contact status: ${error.message}`);
+      const current = await this.getContactById(id);
+      const currentStatus = current.status || 'new';
+
+      this.assertTransition(currentStatus, status);
+
+      if (status === 'assigned' && !current.assigned_to) {
+        throw new Error('Invalid status transition: assign the enquiry to a staff member instead');
       }
 
-      return data;
+      return await this.updateContact(id, {
+        status,
+        updated_at: clock.now().toISOString()
+      });
     } catch (error) {
       console.error('ContactService.updateContactStatus error:', error);
       throw error;
     }
   }
 
+  /**
+   * Assign a contact to a staff member (for admin use)
+   * Moves new, replied and closed enquiries to "assigned".
+   * @param {string} id - Contact ID
+   * @param {Object} assignee - Public staff profile ({ id, fullName })
+   * @returns {Promise<Object>} Updated contact record
+   */
+  static async assignContact(id, assignee) {
+    try {
+      const current = await this.getContactById(id);
+      this.assertTransition(current.status || 'new', 'assigned');
+
+      const now = clock.now().toISOString();
+      return await this.updateContact(id, {
+        status: 'assigned',
+        assigned_to: assignee.id,
+        assigned_at: now,
+        updated_at: now
+      });
+    } catch (error) {
+      console.error('ContactService.assignContact error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an internal note to a contact (for admin use)
+   * @param {string} id - Contact ID
+   * @param {Object} author - Public staff profile ({ id, fullName })
+   * @param {string} note - Note text
+   * @returns {Promise<Object>} Created note
+   */
+  static async addContactNote(id, author, note) {
+    try {
+      // Throws 'Contact not found' for unknown IDs
+      await this.getContactById(id);
+
+      return await this.getRepository().addNote({
+        contact_id: id,
+        author_id: author.id,
+        author_name: author.fullName,
+        note: note.trim()
+      });
+    } catch (error) {
+      console.error('ContactService.addContactNote error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get internal notes for a contact, oldest first (for admin use)
+   * @param {string} id - Contact ID
+   * @returns {Promise<Array>} Notes
+   */
+  static async getContactNotes(id) {
+    try {
+      return await this.getRepository().listNotes(id);
+    } catch (error) {
+      console.error('ContactService.getContactNotes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an enquiry that is known to exist
+   * @param {string} id - Contact ID
+   * @param {Object} changes - Columns to set
+   * @returns {Promise<Object>} Updated contact record
+   */
+  static async updateContact(id, changes) {
+    const contact = await this.getRepository().update(id, changes);
+
+    // Deleted since it was read
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    return contact;
+  }
+
+  /**
+   * Check a status change against the inbox workflow
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @throws {Error} When the transition is not allowed
+   */
+  static assertTransition(from, to) {
+    const allowed = CONTACT_STATUS_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+      throw new Error(`Invalid status transition: ${from} -> ${to}`);
+    }
+  }
+
   /**
    * Delete contact (for admin use)
    * @param {string} id - Contact ID
@@ -146,14 +275,7 @@ class ContactService {
    */
   static async deleteContact(id) {
     try {
-      const { error } = await supabase
-        .from('Contact_Us')
-        .delete()
-        .eq('id', id);
-
-      if (error) {
-        throw new Error(`Failed to delete contact: ${error.message}`);
-      }
+      await this.getRepository().delete(id);
 
       return true;
     } catch (error) {
@@ -168,31 +290,37 @@ class ContactService {
    */
   static async getContactStats() {
     try {
-      // Get total count
-      const { count: totalCount, error: countError } = await supabase
-        .from('Contact_Us')
-        .select('*', { count: 'exact', head: true });
+      const repository = this.getRepository();
 
-      if (countError) {
-        throw new Error(`Failed to get total count: ${countError.message}`);
-      }
+      // Get total count
+      const totalCount = await repository.count();
+
+      // Get status breakdown (rows from before the inbox workflow have no status yet)
+      const statusData = await repository.listStatuses();
+
+      const statusBreakdown = CONTACT_STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+      let unassigned = 0;
+      statusData.forEach(row => {
+        const status = row.status || 'new';
+        statusBreakdown[status] = (statusBreakdown[status] || 0) + 1;
+        if (!row.assigned_to && status !== 'closed') {
+          unassigned++;
+        }
+      });
 
       // Get today's count
-      const today = new Date().toISOString().split('T')[0];
-      const { count: todayCount, error: todayError } = await supabase
-        .from('Contact_Us')
-        .select('*', { count: 'exact', head: true })
-        .gte('created_at', `${today}T00:00:00.000Z`)
-        .lt('created_at', `${today}T23:59:59.999Z`);
-
-      if (todayError) {
-        throw new Error(`Failed to get today's count: ${todayError.message}`);
-      }
+      const today = clock.now().toISOString().split('T')[0];
+      const todayCount = await repository.count({
+        from: `${today}T00:00:00.000Z`,
+        to: `${today}T23:59:59.999Z`
+      });
 
       return {
-        total: totalCount || 0,
-        today: todayCount || 0,
-        lastUpdated: new Date().toISOString()
+        total: totalCount,
+        today: todayCount,
+        statusBreakdown,
+        unassigned,
+        lastUpdated: clock.now().toISOString()
       };
     } catch (error) {
       console.error('ContactService.getContactStats error:', error);
@@ -200,6 +328,15 @@ class ContactService {
     }
   }
 
+  /**
+   * Public reference quoted to the sender, e.g. AF-1A2B3C4D
+   * @param {string} id - Contact ID
+   * @returns {string} Reference
+   */
+  static getReference(id) {
+    return `AF-${String(id).slice(-8).toUpperCase()}`;
+  }
+
   /**
    * Validate contact data
    * @param {Object} contactData - Contact form data
@@ -252,4 +389,7 @@ class ContactService {
   }
 }
 
+ContactService.CONTACT_STATUSES = CONTACT_STATUSES;
+ContactService.CONTACT_STATUS_TRANSITIONS = CONTACT_STATUS_TRANSITIONS;
+
 module.exports = ContactService;
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createRepository } = require('../repositories');
+const CareerService = require('./careerService');
+const ContactService = require('./contactService');
+const ConsentService = require('./consentService');
+const DataProtectionService = require('./dataProtectionService');
+const SpamProtectionService = require('./spamProtectionService');
+const NotificationService = require('./notificationService');
+const { ZipStreamWriter } = require('../utils/zipWriter');
+const { writeChunk } = require('../utils/streams');
+const clock = require('../utils/clock');
+const { canonicalEmail } = require('../utils/email');
+const { scoped } = require('../utils/scope');
+
+const BUNDLE_FORMATS = {
+  zip: { contentType: 'application/zip', extension: 'zip' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Internal columns left out of the export: storage locations and the search index
+const APPLICATION_EXPORT_EXCLUDED = ['resume_storage_path', 'resume_url', 'resume_text', 'search_vector', 'phone_normalized'];
+
+// How long a download holds its link; one that fails without letting go frees it after this
+const CLAIM_HOLD_SECONDS = 15 * 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Keep resume names safe as paths inside the ZIP
+const safeFileName = (name) => (name || 'resume').replace(/[^\w.\-]+/g, '_').slice(-100);
+
+const accessRequestRepository = scoped(() => null);
+
+/**
+ * Data Access Service
+ * Copies of personal data for the people it is about (data subject access requests)
+ *
+ * A request only sends a one-time link to the address given, so nobody can obtain
+ * someone else's data by knowing their email address. The link is valid for
+ * config.privacy.accessRequests.linkExpiresInHours and is used up once a bundle has been
+ * delivered through it (opening it only shows a confirmation page); the bundle lists every
+ * career application (with its status history and resume), contact enquiry and submission
+ * held for spam review (with its held resume) sent with the address, and the consents
+ * recorded for it.
+ */
+class DataAccessService {
+  /**
+   * Replace the access request store (e.g. with MemoryAccessRequestRepository in tests)
+   * @param {Object} repository - Object implementing the access request repository interface
+   */
+  static setRepository(repository) {
+    accessRequestRepository.set(repository);
+  }
+
+  /**
+   * Get the active access request store, creating it from config.database.driver on first use
+   * @returns {Object} Access request repository
+   */
+  static getRepository() {
+    if (!accessRequestRepository.get()) {
+      accessRequestRepository.set(createRepository('accessRequests'));
+    }
+    return accessRequestRepository.get();
+  }
+
+  /**
+   * Record a request and email the confirmation link
+   * Responds the same way whether or not any data is held, so the response does not
+   * reveal who has applied or written to us.
+   * @param {string} email - Address to send the link to and export
+   * @param {string} ip - IP address of the request
+   * @returns {Promise<Object>} { emailed } - false when the address has reached the daily limit
+   */
+  static async requestAccess(email, ip = null) {
+    const { linkBaseUrl, linkExpiresInHours, maxPerDay } = config.privacy.accessRequests;
+    const normalizedEmail = canonicalEmail(email);
+    const subjectHash = DataProtectionService.hashSubject(normalizedEmail);
+
+    const since = new Date(clock.now().getTime() - 24 * 60 * 60 * 1000).toISOString();
+    const count = await this.getRepository().countSince(subjectHash, since);
+
+    if (count >= maxPerDay) {
+      console.warn(`⚠️  Access request limit reached for subject ${subjectHash.slice(0, 12)}; no link sent`);
+      return { emailed: false };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(clock.now().getTime() + linkExpiresInHours * 60 * 60 * 1000);
+
+    await this.getRepository().create({
+      token_hash: hashToken(token),
+      email: normalizedEmail,
+      subject_hash: subjectHash,
+      ip_hash: ip ? DataProtectionService.keyedHash(ip) : null,
+      expires_at: expiresAt.toISOString()
+    });
+
+    NotificationService.dataAccessLink({
+      email: normalizedEmail,
+      link: `${linkBaseUrl.replace(/\/+$/, '')}${config.api.prefix}/privacy/access-requests/download?token=${token}`,
+      expiresAt,
+      expiresInHours: linkExpiresInHours
+    });
+
+    return { emailed: true };
+  }
+
+  /**
+   * Hold a link for a download, so that no other download can use it at the same time
+   * Follow with complete() once the bundle is delivered, or release() if it was not.
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<Object>} { requestId, email }
+   */
+  static async claim(token) {
+    const claimed = await this.getRepository().claim(hashToken(token), CLAIM_HOLD_SECONDS);
+
+    if (!claimed) {
+      throw new Error('Access link is invalid, expired or already used');
+    }
+
+    return { requestId: claimed.request_id, email: claimed.email };
+  }
+
+  /**
+   * Use up a link whose bundle was delivered, clearing its address and recording what was exported
+   * @param {number} requestId - Request ID
+   * @param {Object} bundle - Result of collect()
+   */
+  static async complete(requestId, bundle) {
+    try {
+      await this.getRepository().update(requestId, {
+        completed_at: clock.now().toISOString(),
+        email: null,
+        claimed_until: null,
+        records: {
+          careerApplications: bundle.careerApplications.length,
+          contactEnquiries: bundle.contactEnquiries.length,
+          heldSubmissions: bundle.heldSubmissions.length,
+          consents: bundle.consents.length
+        }
+      });
+    } catch (error) {
+      // The link stays usable until it expires and the retention job clears the address
+      console.error(`DataAccessService: failed to complete request ${requestId}:`, error.message);
+    }
+  }
+
+  /**
+   * Let go of a link whose download failed, so it can be used again
+   * @param {number} requestId - Request ID
+   */
+  static async release(requestId) {
+    try {
+      await this.getRepository().update(requestId, { claimed_until: null }, { pendingOnly: true });
+    } catch (error) {
+      console.error(`DataAccessService: failed to release request ${requestId}:`, error.message);
+    }
+  }
+
+  /**
+   * Collect everything held about an address
+   * Resume contents are not read here; writeBundle() streams them from storage.
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} Bundle
+   */
+  static async collect(email) {
+    const address = canonicalEmail(email);
+    const careers = CareerService.getRepository();
+
+    const [applications, contacts, held, consents] = await Promise.all([
+      careers.listByEmail(address),
+      ContactService.getRepository().listByEmail(address),
+      SpamProtectionService.getRepository().listByEmail(address),
+      ConsentService.getConsentHistory(address)
+    ]);
+
+    const history = await Promise.all(applications.map(application => careers.listHistory(application.id)));
+
+    return {
+      generatedAt: clock.now().toISOString(),
+      email: address,
+      careerApplications: applications.map((row, index) => ({
+        applicationNumber: CareerService.formatApplicationNumber(row.id),
+        ...Object.fromEntries(Object.entries(row).filter(([key]) => !APPLICATION_EXPORT_EXCLUDED.includes(key))),
+        // Staff who made each change are left out; they are not part of the requester's data
+        statusHistory: history[index].map(entry => ({ from: entry.from_status, to: entry.to_status, note: entry.note, at: entry.created_at })),
+        resume: row.resume_storage_path
+          ? {
+            fileName: row.resume_file_name,
+            contentType: row.resume_content_type,
+            storagePath: row.resume_storage_path
+          }
+          : null
+      })),
+      contactEnquiries: contacts.map(row => ({ reference: ContactService.getReference(row.id), ...row })),
+      // Submissions held for spam review; the review scoring and hashed IP address are left out
+      heldSubmissions: held.map(row => ({
+        id: row.id,
+        form: row.form,
+        status: row.status,
+        receivedAt: row.received_at,
+        submitted: row.payload,
+        resume: row.resume_storage_path
+          ? {
+            fileName: row.resume_file_name,
+            contentType: row.resume_content_type,
+            storagePath: row.resume_storage_path
+          }
+          : null
+      })),
+      consents: consents.records.map(({ ipHash, ...record }) => record)
+    };
+  }
+
+  /**
+   * Write a bundle to a stream
+   * zip: data.json plus the resumes under resumes/; json: data.json with resumes inlined as base64
+   * @param {Object} bundle - Result of collect()
+   * @param {string} format - 'zip' or 'json'
+   * @param {stream.Writable} output - Destination; not ended
+   */
+  static async writeBundle(bundle, format, output) {
+    const storage = CareerService.getResumeStorage();
+    // Held resumes are named after their submission, as they have no application number
+    const label = (item) => item.applicationNumber || `held-${item.id}`;
+    const resumes = [...bundle.careerApplications, ...bundle.heldSubmissions].filter(item => item.resume);
+    const entryName = (item) => `resumes/${label(item)}-${safeFileName(item.resume.fileName)}`;
+
+    const readResume = async (item) => {
+      try {
+        return await storage.download(item.resume.storagePath);
+      } catch (error) {
+        // The row is still exported; note the file is missing rather than fail
+        console.error(`DataAccessService: resume of ${label(item)} unavailable:`, error.message);
+        return null;
+      }
+    };
+
+    // data.json, with resume details from resumeFields(item)
+    const describe = (resumeFields) => {
+      const withResume = (item) => ({
+        ...item,
+        resume: item.resume
+          ? { fileName: item.resume.fileName, contentType: item.resume.contentType, ...resumeFields(item) }
+          : null
+      });
+      return {
+        ...bundle,
+        careerApplications: bundle.careerApplications.map(withResume),
+        heldSubmissions: bundle.heldSubmissions.map(withResume)
+      };
+    };
+
+    if (format === 'json') {
+      const contents = new Map();
+      for (const item of resumes) {
+        const file = await readResume(item);
+        contents.set(item, file ? await this.readAll(file.stream) : null);
+      }
+
+      const document = describe(item => {
+        const content = contents.get(item);
+        return content ? { contentBase64: content.toString('base64') } : { missing: true };
+      });
+      await writeChunk(output, JSON.stringify(document, null, 2));
+      return;
+    }
+
+    const zip = new ZipStreamWriter(output);
+    const missing = new Set();
+
+    for (const item of resumes) {
+      const file = await readResume(item);
+      if (file) {
+        await zip.addEntry(entryName(item), file.stream);
+      } else {
+        missing.add(item);
+      }
+    }
+
+    const document = describe(item => (missing.has(item) ? { missing: true } : { path: entryName(item) }));
+    await zip.addEntry('data.json', JSON.stringify(document, null, 2));
+    await zip.finish();
+  }
+
+  /**
+   * Clear the address of requests whose link expired unused (run by the retention job)
+   * @param {Date} now - Time to run as
+   * @returns {Promise<number>} Requests cleared
+   */
+  static async purgeExpiredRequests(now = clock.now()) {
+    return this.getRepository().clearExpiredEmails(now.toISOString());
+  }
+
+  /**
+   * File name and content type of a bundle download
+   * @param {string} format - 'zip' or 'json'
+   * @returns {Object} { contentType, fileName }
+   */
+  static describeFormat(format) {
+    if (!BUNDLE_FORMATS[format]) {
+      throw new Error(`Invalid format: ${format}`);
+    }
+    const date = clock.now().toISOString().slice(0, 10);
+    return {
+      contentType: BUNDLE_FORMATS[format].contentType,
+      fileName: `africure-personal-data-${date}.${BUNDLE_FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Read a stream into a buffer
+   * @param {stream.Readable} stream - File stream
+   * @returns {Promise<Buffer>} Contents
+   */
+  static async readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+DataAccessService.BUNDLE_FORMATS = Object.keys(BUNDLE_FORMATS);
+
+module.exports = DataAccessService;
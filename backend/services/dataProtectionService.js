@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createRepository } = require('../repositories');
+const CareerService = require('./careerService');
+const ContactService = require('./contactService');
+const clock = require('../utils/clock');
+const { canonicalEmail } = require('../utils/email');
+const { scoped } = require('../utils/scope');
+
+const RETENTION_ACTIONS = ['anonymise', 'delete'];
+const CERTIFICATE_KINDS = ['erasure', 'retention'];
+
+// Rows read per request when collecting records to erase
+const BATCH_SIZE = 500;
+
+/**
+ * Stores holding personal data of applicants and enquirers
+ * Each has its repository (whose listErasable() finds rows by email address or age, and whose
+ * anonymise() also clears the personal data of related rows), the table named in certificates
+ * and its retention period. Quarantined submissions have no retention period here:
+ * SpamProtectionService.purgeQuarantine() deletes them after config.spamProtection.quarantineDays.
+ */
+const DATASETS = {
+  applications: {
+    table: 'Career_Applications',
+    repository: () => CareerService.getRepository(),
+    retentionDays: () => config.retention.careerApplicationsDays,
+    reference: (row) => CareerService.formatApplicationNumber(row.id)
+  },
+  contacts: {
+    table: 'Contact_Us',
+    repository: () => ContactService.getRepository(),
+    retentionDays: () => config.retention.contactEnquiriesDays,
+    reference: (row) => ContactService.getReference(row.id)
+  },
+  quarantine: {
+    table: 'Form_Quarantine',
+    // Required here as SpamProtectionService itself requires this module
+    repository: () => require('./spamProtectionService').getRepository(),
+    retentionDays: null,
+    reference: (row) => `Quarantined submission ${row.id}`
+  }
+};
+
+const erasureLogRepository = scoped(() => null);
+
+/**
+ * JSON with object keys sorted, so a certificate read back from JSONB gives the same digest
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Data Protection Service
+ * Retention of applicant and enquirer personal data, and erasure on request
+ *
+ * Stored resume files are deleted before the row that points to them; when a file cannot be
+ * deleted the row is left alone, so the next run (or a repeated request) tries again.
+ * Every erasure and retention run is recorded in the append-only "Data_Erasure_Log" as a
+ * certificate, which lists the records removed but holds no personal data itself.
+ */
+class DataProtectionService {
+  /**
+   * Replace the certificate store (e.g. with MemoryErasureLogRepository in tests)
+   * @param {Object} repository - Object implementing the erasure log repository interface
+   */
+  static setRepository(repository) {
+    erasureLogRepository.set(repository);
+  }
+
+  /**
+   * Get the active certificate store, creating it from config.database.driver on first use
+   * @returns {Object} Erasure log repository
+   */
+  static getRepository() {
+    if (!erasureLogRepository.get()) {
+      erasureLogRepository.set(createRepository('erasures'));
+    }
+    return erasureLogRepository.get();
+  }
+
+  /**
+   * Erase everything held about a data subject, identified by email address
+   * Matching applications (with their resumes, history, interviews and feedback), contact
+   * enquiries (with their notes) and submissions held for spam review (with their held resumes)
+   * are deleted. A certificate is recorded even when nothing
+   * matched, as evidence that the request was carried out.
+   * @param {string} email - Email address of the data subject
+   * @param {Object} request - Request details
+   * @param {Object} request.requestedBy - Staff user carrying out the erasure
+   * @param {string} request.reason - Why the data is erased (e.g. the data subject's request)
+   * @param {string} request.reference - Reference of the request, e.g. a ticket number
+   * @returns {Promise<Object>} Certificate; `complete` is false if some records could not be erased
+   */
+  static async eraseDataSubject(email, { requestedBy, reason = null, reference = null }) {
+    const subjectHash = this.hashSubject(email);
+    const records = [];
+
+    for (const dataset of Object.keys(DATASETS)) {
+      const rows = await this.collectRows(dataset, { email: canonicalEmail(email) });
+
+      for (const row of rows) {
+        records.push(await this.eraseRecord(dataset, row, 'delete'));
+      }
+    }
+
+    return this.recordCertificate({
+      kind: 'erasure',
+      subjectHash,
+      requestedBy,
+      reason,
+      reference,
+      records
+    });
+  }
+
+  /**
+   * Apply the retention periods in config.retention
+   * Applications and enquiries not updated within their retention period are anonymised or
+   * deleted (config.retention.action). Rows already anonymised are skipped when anonymising.
+   * @param {Object} options - Run options
+   * @param {boolean} options.dryRun - Report what would be removed without changing anything
+   * @param {Date} options.now - Time to run as (defaults to now)
+   * @returns {Promise<Object>} Run summary, with the certificate of a run that removed records
+   */
+  static async runRetention({ dryRun = false, now = clock.now() } = {}) {
+    const { action } = config.retention;
+    if (!RETENTION_ACTIONS.includes(action)) {
+      throw new Error(`Invalid RETENTION_ACTION: ${action} (expected ${RETENTION_ACTIONS.join(' or ')})`);
+    }
+
+    const summary = { runAt: now.toISOString(), dryRun, action, datasets: {}, certificate: null };
+    const records = [];
+
+    for (const dataset of Object.keys(DATASETS).filter(name => DATASETS[name].retentionDays)) {
+      const days = DATASETS[dataset].retentionDays();
+      const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      const rows = await this.collectRows(dataset, {
+        updatedBefore: cutoff,
+        notAnonymised: action === 'anonymise'
+      });
+
+      const result = { retentionDays: days, cutoff, matched: rows.length, removed: 0, failed: 0 };
+
+      if (!dryRun) {
+        for (const row of rows) {
+          const record = await this.eraseRecord(dataset, row, action);
+          records.push(record);
+          result[record.action === 'failed' ? 'failed' : 'removed'] += 1;
+        }
+      }
+
+      summary.datasets[dataset] = result;
+    }
+
+    if (records.length > 0) {
+      summary.certificate = await this.recordCertificate({
+        kind: 'retention',
+        reason: `Retention periods: applications ${config.retention.careerApplicationsDays} days, contact enquiries ${config.retention.contactEnquiriesDays} days`,
+        records
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Collect the ID (and resume path) of every row of a dataset matching a filter
+   * All rows are read before any are changed, so erasing them does not shift the pages.
+   * @param {string} dataset - Dataset name
+   * @param {Object} filter - { email } or { updatedBefore, notAnonymised }, as for listErasable()
+   * @returns {Promise<Array>} Rows
+   */
+  static async collectRows(dataset, filter) {
+    const repository = DATASETS[dataset].repository();
+    const rows = [];
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const data = await repository.listErasable({ ...filter, offset, limit: BATCH_SIZE });
+
+      rows.push(...data);
+
+      if (data.length < BATCH_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  /**
+   * Erase one record: delete its resume file, then delete or anonymise the row
+   * @param {string} dataset - Dataset name
+   * @param {Object} row - Row from collectRows()
+   * @param {string} action - 'delete' or 'anonymise'
+   * @returns {Promise<Object>} Certificate entry { table, reference, action, resumeDeleted }
+   */
+  static async eraseRecord(dataset, row, action) {
+    const definition = DATASETS[dataset];
+    const record = {
+      table: definition.table,
+      reference: definition.reference(row),
+      action: action === 'delete' ? 'deleted' : 'anonymised',
+      resumeDeleted: false
+    };
+
+    try {
+      if (row.resume_storage_path) {
+        // Throws if the file is still there, leaving the row for the next attempt
+        await CareerService.getResumeStorage().remove(row.resume_storage_path);
+        record.resumeDeleted = true;
+      }
+
+      const repository = definition.repository();
+      if (action === 'delete') {
+        await repository.delete(row.id);
+      } else {
+        await repository.anonymise(row.id);
+      }
+    } catch (error) {
+      console.error(`DataProtectionService: failed to erase ${record.reference}:`, error.message);
+      record.action = 'failed';
+      record.error = error.message;
+    }
+
+    return record;
+  }
+
+  /**
+   * Record a certificate in the erasure log
+   * @param {Object} certificate - { kind, subjectHash, requestedBy, reason, reference, records }
+   * @returns {Promise<Object>} Stored certificate
+   */
+  static async recordCertificate({ kind, subjectHash = null, requestedBy = null, reason = null, reference = null, records }) {
+    const certificate = {
+      certificateId: crypto.randomUUID(),
+      kind,
+      subjectHash,
+      requestedByName: requestedBy ? requestedBy.fullName : null,
+      reason,
+      reference,
+      records,
+      completedAt: clock.now().toISOString()
+    };
+
+    let data;
+    try {
+      data = await this.getRepository().create({
+        certificate_id: certificate.certificateId,
+        kind,
+        subject_hash: subjectHash,
+        requested_by: requestedBy ? requestedBy.id : null,
+        requested_by_name: certificate.requestedByName,
+        reason,
+        request_reference: reference,
+        records,
+        certificate_digest: this.digest(certificate),
+        completed_at: certificate.completedAt
+      });
+    } catch (error) {
+      // The records are already erased; log the certificate so it can be recorded by hand
+      console.error('DataProtectionService: failed to record certificate', JSON.stringify(certificate));
+      throw error;
+    }
+
+    return this.formatCertificate(data);
+  }
+
+  /**
+   * List certificates, newest first
+   * @param {Object} options - { email, kind, page, limit }; email finds the erasures of one data subject
+   * @returns {Promise<Object>} { certificates, pagination }
+   */
+  static async getCertificates({ email = null, kind = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { rows, total } = await this.getRepository().list({
+      subjectHash: email ? this.hashSubject(email) : null,
+      kind,
+      offset,
+      limit
+    });
+
+    return {
+      certificates: rows.map(row => this.formatCertificate(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one certificate
+   * @param {string} certificateId - Certificate UUID
+   * @returns {Promise<Object>} Certificate
+   */
+  static async getCertificate(certificateId) {
+    const data = await this.getRepository().findByCertificateId(certificateId);
+
+    if (!data) {
+      throw new Error('Certificate not found');
+    }
+
+    return this.formatCertificate(data);
+  }
+
+  /**
+   * Keyed hash identifying a data subject without storing their email address
+   * @param {string} email - Email address
+   * @returns {string} Hex HMAC-SHA256 of the canonical address (utils/email.js), so every spelling
+   *   the forms store under one address hashes the same
+   */
+  static hashSubject(email) {
+    return this.keyedHash(canonicalEmail(email));
+  }
+
+  /**
+   * HMAC-SHA256 keyed with config.privacy.hashSecret, for values that must be matched
+   * later but not stored (email and IP addresses)
+   * @param {string} value - Value to hash
+   * @returns {string} Hex digest
+   */
+  static keyedHash(value) {
+    if (!config.privacy.hashSecret) {
+      throw new Error('PRIVACY_HASH_SECRET (or JWT_SECRET) must be set to record personal data');
+    }
+
+    return crypto.createHmac('sha256', config.privacy.hashSecret).update(value).digest('hex');
+  }
+
+  /**
+   * SHA-256 of a certificate's contents
+   * @param {Object} certificate - Certificate fields (see recordCertificate)
+   * @returns {string} Hex digest
+   */
+  static digest(certificate) {
+    return crypto.createHash('sha256').update(canonicalJson(certificate)).digest('hex');
+  }
+
+  /**
+   * Format a log row for the API
+   * `verified` is false if the row no longer matches the digest it was recorded with.
+   * @param {Object} row - Data_Erasure_Log row
+   * @returns {Object} Certificate
+   */
+  static formatCertificate(row) {
+    const certificate = {
+      certificateId: row.certificate_id,
+      kind: row.kind,
+      subjectHash: row.subject_hash,
+      requestedByName: row.requested_by_name,
+      reason: row.reason,
+      reference: row.request_reference,
+      records: row.records,
+      completedAt: new Date(row.completed_at).toISOString()
+    };
+
+    return {
+      ...certificate,
+      requestedBy: row.requested_by,
+      complete: row.records.every(record => record.action !== 'failed'),
+      counts: row.records.reduce((counts, record) => {
+        counts[record.action] = (counts[record.action] || 0) + 1;
+        return counts;
+      }, {}),
+      digest: row.certificate_digest,
+      verified: this.digest(certificate) === row.certificate_digest
+    };
+  }
+}
+
+DataProtectionService.RETENTION_ACTIONS = RETENTION_ACTIONS;
+DataProtectionService.CERTIFICATE_KINDS = CERTIFICATE_KINDS;
+
+module.exports = DataProtectionService;
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+// Subject line of each template; the body lives in templates/email/<name>.html and <name>.txt
+const SUBJECTS = {
+  contactAcknowledgement: 'We received your message ({{reference}})',
+  contactAlert: 'New website enquiry {{reference}} from {{fullName}}',
+  careerAcknowledgement: 'Your application {{applicationNumber}} for {{positionTitle}}',
+  careerAlert: 'New application {{applicationNumber}}: {{positionTitle}} - {{fullName}}',
+  careerRepeatAcknowledgement: 'Your application {{applicationNumber}} for {{positionTitle}}',
+  interviewInvitation: '{{changeLabel}}Interview invitation: {{positionTitle}} ({{applicationNumber}})',
+  interviewPanelInvitation: '{{changeLabel}}Interview panel: {{fullName}} for {{positionTitle}} ({{applicationNumber}})',
+  interviewCancellation: 'Interview cancelled: {{positionTitle}} ({{applicationNumber}})',
+  dataAccessRequest: 'Confirm your request for a copy of your personal data'
+};
+
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Email Template Service
+ * Renders the HTML and plain-text versions of notification emails
+ *
+ * Templates use {{placeholder}} markers. Values are HTML-escaped in the HTML version,
+ * and missing values render as an empty string. Every HTML body is wrapped in
+ * templates/email/layout.html.
+ */
+class EmailTemplateService {
+  /**
+   * Render an email
+   * @param {string} name - Template name, e.g. 'contactAcknowledgement'
+   * @param {Object} data - Placeholder values
+   * @returns {Object} { subject, text, html }
+   */
+  static render(name, data) {
+    if (!SUBJECTS[name]) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const subject = this.fill(SUBJECTS[name], data).replace(/\s+/g, ' ').trim();
+    const text = this.fill(this.load(`${name}.txt`), data);
+    const content = this.fill(this.load(`${name}.html`), data, escapeHtml);
+    const html = this.fill(this.load('layout.html'), { subject: escapeHtml(subject), content });
+
+    return { subject, text, html };
+  }
+
+  /**
+   * Replace {{placeholder}} markers
+   * @param {string} template - Template source
+   * @param {Object} data - Placeholder values
+   * @param {Function} encode - Applied to each value (identity by default)
+   * @returns {string} Rendered template
+   */
+  static fill(template, data, encode = value => value) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      const value = data[key];
+      return value === undefined || value === null ? '' : encode(String(value));
+    });
+  }
+
+  static load(fileName) {
+    if (!cache.has(fileName)) {
+      cache.set(fileName, fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8'));
+    }
+    return cache.get(fileName);
+  }
+}
+
+EmailTemplateService.TEMPLATES = Object.keys(SUBJECTS);
+
+module.exports = EmailTemplateService;
@@ -0,0 +1,225 @@
+const CareerService = require('./careerService');
+const ContactService = require('./contactService');
+const JobOpeningService = require('./jobOpeningService');
+const { formatRow } = require('../utils/csv');
+const { writeChunk } = require('../utils/streams');
+const { writeXlsx } = require('../utils/xlsxWriter');
+const clock = require('../utils/clock');
+
+// Rows fetched per request while streaming
+const BATCH_SIZE = 500;
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const REDACTED = '[redacted]';
+
+/**
+ * How each kind of personal data is redacted: enough stays to tell rows apart, not to contact anyone
+ */
+const REDACTORS = {
+  name: (value) => value.trim().split(/\s+/).map(part => `${part.charAt(0).toUpperCase()}.`).join(' '),
+  email: (value) => {
+    const [local, domain] = value.split('@');
+    return domain ? `${local.charAt(0)}***@${domain}` : REDACTED;
+  },
+  phone: (value) => {
+    const digits = value.replace(/\D/g, '');
+    return digits.length > 3 ? `***${digits.slice(-3)}` : REDACTED;
+  },
+  text: () => REDACTED
+};
+
+/**
+ * Exportable datasets
+ * Each column has a header, the database column(s) it reads, an optional value function
+ * and, for personal data, the kind of redaction applied when `redact` is set.
+ * Columns marked `optional` are only exported when asked for.
+ */
+const DATASETS = {
+  applications: {
+    sheetName: 'Applications',
+    orderBy: 'application_date',
+    repository: () => CareerService.getRepository(),
+    // Opening titles are looked up once per export rather than per row
+    prepare: async () => {
+      const openings = await JobOpeningService.getAllOpenings();
+      return { titles: new Map(openings.map(opening => [opening.slug, opening.title])) };
+    },
+    columns: {
+      application_number: { header: 'Application number', select: ['id'], value: row => CareerService.formatApplicationNumber(row.id) },
+      full_name: { header: 'Full name', pii: 'name' },
+      email: { header: 'Email', pii: 'email' },
+      phone: { header: 'Phone', pii: 'phone' },
+      location: { header: 'Location' },
+      position: { header: 'Position' },
+      position_title: { header: 'Position title', select: ['position'], value: (row, context) => context.titles.get(row.position) || row.position },
+      experience: { header: 'Experience (years)' },
+      qualification: { header: 'Qualification' },
+      application_status: { header: 'Status' },
+      submission_count: { header: 'Submissions' },
+      resume_file_name: { header: 'Resume file', pii: 'text' },
+      cover_letter: { header: 'Cover letter', pii: 'text', optional: true },
+      application_date: { header: 'Applied at' },
+      last_submitted_at: { header: 'Last submitted at' },
+      updated_at: { header: 'Updated at' }
+    }
+  },
+  contacts: {
+    sheetName: 'Contact enquiries',
+    orderBy: 'created_at',
+    repository: () => ContactService.getRepository(),
+    prepare: async () => ({}),
+    columns: {
+      reference: { header: 'Reference', select: ['id'], value: row => ContactService.getReference(row.id) },
+      full_name: { header: 'Full name', select: ['Full_Name'], value: row => row.Full_Name, pii: 'name' },
+      email: { header: 'Email', select: ['Email_id'], value: row => row.Email_id, pii: 'email' },
+      contact: { header: 'Contact number', select: ['Contact'], value: row => row.Contact, pii: 'phone' },
+      message: { header: 'Message', select: ['Enter_Message'], value: row => row.Enter_Message, pii: 'text' },
+      status: { header: 'Status' },
+      assigned_to: { header: 'Assigned to (staff ID)' },
+      assigned_at: { header: 'Assigned at' },
+      created_at: { header: 'Received at' },
+      updated_at: { header: 'Updated at' }
+    }
+  }
+};
+
+/**
+ * Export Service
+ * Streams admin exports of career applications and contact enquiries as CSV or XLSX
+ *
+ * Rows are read in batches of BATCH_SIZE and written as they arrive, so memory use does
+ * not grow with the size of the export. Filters are the same as the admin list endpoints.
+ */
+class ExportService {
+  /**
+   * Resolve and check an export request before anything is written
+   * @param {Object} options - Export options
+   * @param {string} options.dataset - 'applications' or 'contacts'
+   * @param {string} options.format - 'csv' or 'xlsx'
+   * @param {Array<string>} options.columns - Column keys; default all non-optional columns
+   * @param {boolean} options.redact - Mask personal data
+   * @param {Object} options.filters - Filters of the matching list endpoint
+   * @returns {Object} Export plan { dataset, format, columns, redact, filters, contentType, fileName }
+   */
+  static plan({ dataset, format = 'csv', columns = null, redact = false, filters = {} }) {
+    const definition = DATASETS[dataset];
+    if (!definition) {
+      throw new Error(`Invalid export: unknown dataset ${dataset}`);
+    }
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Invalid export: format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const available = Object.keys(definition.columns);
+    const selected = columns && columns.length > 0
+      ? [...new Set(columns)]
+      : available.filter(key => !definition.columns[key].optional);
+
+    const unknown = selected.filter(key => !available.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid export: unknown column(s) ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+    }
+
+    const date = clock.now().toISOString().slice(0, 10);
+
+    return {
+      dataset,
+      format,
+      columns: selected,
+      redact: Boolean(redact),
+      filters,
+      contentType: EXPORT_FORMATS[format].contentType,
+      fileName: `${dataset}${redact ? '-redacted' : ''}-${date}.${EXPORT_FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Write an export to a stream
+   * @param {Object} plan - Result of plan()
+   * @param {stream.Writable} output - Destination; not ended
+   * @returns {Promise<number>} Number of rows written
+   */
+  static async writeExport(plan, output) {
+    const definition = DATASETS[plan.dataset];
+    const columns = plan.columns.map(key => ({ key, ...definition.columns[key] }));
+    const headers = columns.map(column => column.header);
+    const context = await definition.prepare();
+
+    let count = 0;
+    const self = this;
+    async function* rows() {
+      for await (const record of self.fetchRows(plan.dataset, columns, plan.filters)) {
+        count += 1;
+        yield columns.map(column => self.cellValue(column, record, context, plan.redact));
+      }
+    }
+
+    if (plan.format === 'xlsx') {
+      await writeXlsx(output, { name: definition.sheetName, headers, rows: rows() });
+    } else {
+      // Byte order mark so Excel opens the UTF-8 file with the right encoding
+      await writeChunk(output, `\uFEFF${formatRow(headers)}`);
+      for await (const values of rows()) {
+        await writeChunk(output, formatRow(values));
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Read the filtered rows of a dataset batch by batch, oldest first
+   * @param {string} dataset - Dataset name
+   * @param {Array<Object>} columns - Selected column definitions
+   * @param {Object} filters - List filters
+   * @returns {AsyncGenerator<Object>} Database rows
+   */
+  static async* fetchRows(dataset, columns, filters) {
+    const definition = DATASETS[dataset];
+    const select = [...new Set(['id', ...columns.flatMap(column => column.select || [column.key])])].join(', ');
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const { rows } = await definition.repository().list({
+        filters,
+        columns: select,
+        sort: [{ column: definition.orderBy, ascending: true }, { column: 'id', ascending: true }],
+        offset,
+        limit: BATCH_SIZE,
+        count: false
+      });
+
+      yield* rows;
+
+      if (rows.length < BATCH_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Value of one cell, redacted if needed
+   * @param {Object} column - Column definition
+   * @param {Object} row - Database row
+   * @param {Object} context - Result of the dataset's prepare()
+   * @param {boolean} redact - Mask personal data
+   * @returns {*} Cell value
+   */
+  static cellValue(column, row, context, redact) {
+    const value = column.value ? column.value(row, context) : row[column.key];
+
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    return redact && column.pii ? REDACTORS[column.pii](String(value)) : value;
+  }
+}
+
+ExportService.DATASETS = Object.keys(DATASETS);
+ExportService.EXPORT_FORMATS = Object.keys(EXPORT_FORMATS);
+
+module.exports = ExportService;
@@ -0,0 +1,532 @@
+const config = require('../config');
+const CareerService = require('./careerService');
+const JobOpeningService = require('./jobOpeningService');
+const NotificationService = require('./notificationService');
+const { buildCalendar } = require('../utils/icalendar');
+const clock = require('../utils/clock');
+
+/**
+ * Interview modes and what the location fields mean for each
+ */
+const INTERVIEW_MODES = {
+  onsite: 'On-site',
+  video: 'Video call',
+  phone: 'Phone call'
+};
+
+const INTERVIEW_STATUSES = ['scheduled', 'completed', 'cancelled', 'no_show'];
+const INTERVIEW_OUTCOMES = ['advance', 'hold', 'reject'];
+const FEEDBACK_RECOMMENDATIONS = ['strong_yes', 'yes', 'no', 'strong_no'];
+
+// Interviews can be arranged once an application is shortlisted, including further rounds
+const SCHEDULABLE_STATUSES = ['shortlisted', 'interviewed'];
+
+// Maps API (camelCase) field names to Career_Interviews columns that staff can edit
+const INTERVIEW_FIELDS = {
+  mode: 'mode',
+  location: 'location',
+  meetingUrl: 'meeting_url',
+  phoneNumber: 'phone_number',
+  panel: 'panel',
+  instructions: 'instructions'
+};
+
+// Changes to these columns are sent to the candidate and panel as an updated invitation
+const INVITE_COLUMNS = ['starts_at', 'ends_at', 'mode', 'location', 'meeting_url', 'phone_number', 'panel', 'instructions'];
+
+// Interviews are kept with their applications, so erasing an application reaches them too
+const interviewStore = () => CareerService.getRepository();
+
+/**
+ * Interview Service
+ * Schedules interviews for career applications, sends .ics invitations and records feedback
+ *
+ * Each interview has two calendar events: one for the candidate and one for the panel,
+ * so neither sees the other's invitation. Both are re-sent with a higher SEQUENCE whenever
+ * the time or place changes, and cancelled with METHOD:CANCEL.
+ */
+class InterviewService {
+  /**
+   * Get the interviews of an application, with feedback, earliest first
+   * @param {number} applicationId - Application ID
+   * @returns {Promise<Array>} Interviews
+   */
+  static async getInterviews(applicationId) {
+    try {
+      // Throws 'Application not found' for unknown IDs
+      await CareerService.getApplicationById(applicationId);
+
+      const [interviews, feedback] = await Promise.all([
+        interviewStore().listInterviews(applicationId),
+        interviewStore().listFeedback(applicationId)
+      ]);
+
+      return interviews.map(row => this.formatInterview(
+        row,
+        feedback.filter(entry => entry.interview_id === row.id)
+      ));
+    } catch (error) {
+      console.error('InterviewService.getInterviews error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one interview row of an application
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @returns {Promise<Object>} Career_Interviews row
+   */
+  static async getInterviewRow(applicationId, interviewId) {
+    const data = await interviewStore().findInterview(applicationId, interviewId);
+
+    if (!data) {
+      throw new Error('Interview not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Schedule an interview and send the invitations
+   * @param {number} applicationId - Application ID
+   * @param {Object} interviewData - { startsAt, durationMinutes, mode, location?, meetingUrl?, phoneNumber?, panel, instructions? }
+   * @param {Object} user - Public staff profile of the scheduler
+   * @returns {Promise<Object>} Created interview
+   */
+  static async scheduleInterview(applicationId, interviewData, user) {
+    try {
+      const application = await CareerService.getApplicationById(applicationId);
+
+      if (!SCHEDULABLE_STATUSES.includes(application.application_status)) {
+        throw new Error(`Interviews can only be scheduled for shortlisted applications (this one is ${application.application_status})`);
+      }
+
+      const data = await interviewStore().createInterview({
+        application_id: applicationId,
+        ...this.toRow(interviewData),
+        ...this.toSchedule(interviewData),
+        phone_number: interviewData.mode === 'phone'
+          ? (interviewData.phoneNumber || application.phone)
+          : null,
+        created_by: user.id,
+        created_by_name: user.fullName
+      });
+
+      await this.sendInvitations(data, application, { method: 'REQUEST' });
+
+      return this.formatInterview(data);
+    } catch (error) {
+      console.error('InterviewService.scheduleInterview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a scheduled interview; the candidate and panel get updated invitations
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {Object} interviewData - Fields to change, as for scheduleInterview
+   * @returns {Promise<Object>} Updated interview
+   */
+  static async updateInterview(applicationId, interviewId, interviewData) {
+    try {
+      const current = await this.getInterviewRow(applicationId, interviewId);
+
+      if (current.status !== 'scheduled') {
+        throw new Error(`Only scheduled interviews can be changed (this one is ${current.status})`);
+      }
+
+      const changes = { ...this.toRow(interviewData) };
+
+      if (interviewData.startsAt !== undefined || interviewData.durationMinutes !== undefined) {
+        Object.assign(changes, this.toSchedule({
+          startsAt: interviewData.startsAt || current.starts_at,
+          durationMinutes: interviewData.durationMinutes || this.getDurationMinutes(current)
+        }));
+      }
+
+      const application = await CareerService.getApplicationById(applicationId);
+      if (changes.mode === 'phone' && !changes.phone_number && !current.phone_number) {
+        changes.phone_number = application.phone;
+      }
+
+      const next = { ...current, ...changes };
+      this.assertModeDetails(next);
+
+      const inviteChanged = INVITE_COLUMNS.some(column =>
+        JSON.stringify(next[column]) !== JSON.stringify(current[column]));
+
+      if (inviteChanged) {
+        changes.sequence = current.sequence + 1;
+      }
+
+      const data = await interviewStore().updateInterview(interviewId, {
+        ...changes,
+        updated_at: clock.now().toISOString()
+      });
+
+      if (inviteChanged) {
+        await this.sendInvitations(data, application, { method: 'REQUEST', updated: true });
+
+        // Panel members taken off the interview get a cancellation for their copy
+        const remaining = data.panel.map(member => member.email.toLowerCase());
+        const removed = current.panel.filter(member => !remaining.includes(member.email.toLowerCase()));
+        if (removed.length > 0) {
+          await this.sendInvitations(data, application, { method: 'CANCEL', audience: 'panel', panel: removed });
+        }
+      }
+
+      return this.formatInterview(data);
+    } catch (error) {
+      console.error('InterviewService.updateInterview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a scheduled interview and withdraw the invitations
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {string} reason - Optional reason, included in the cancellation email
+   * @returns {Promise<Object>} Cancelled interview
+   */
+  static async cancelInterview(applicationId, interviewId, reason = null) {
+    try {
+      const current = await this.getInterviewRow(applicationId, interviewId);
+
+      if (current.status !== 'scheduled') {
+        throw new Error(`Only scheduled interviews can be cancelled (this one is ${current.status})`);
+      }
+
+      const data = await interviewStore().updateInterview(interviewId, {
+        status: 'cancelled',
+        cancel_reason: reason,
+        sequence: current.sequence + 1,
+        updated_at: clock.now().toISOString()
+      });
+
+      const application = await CareerService.getApplicationById(applicationId);
+      await this.sendInvitations(data, application, { method: 'CANCEL' });
+
+      return this.formatInterview(data);
+    } catch (error) {
+      console.error('InterviewService.cancelInterview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record whether an interview took place and the panel's decision
+   * Completing the interview of a shortlisted application moves it to "interviewed".
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {Object} outcomeData - { status: 'completed' | 'no_show', outcome? }
+   * @param {Object} user - Public staff profile recording the outcome
+   * @returns {Promise<Object>} Updated interview
+   */
+  static async recordOutcome(applicationId, interviewId, outcomeData, user) {
+    try {
+      const current = await this.getInterviewRow(applicationId, interviewId);
+
+      if (current.status === 'cancelled') {
+        throw new Error('Cannot record an outcome for a cancelled interview');
+      }
+
+      const { status, outcome = null } = outcomeData;
+
+      const data = await interviewStore().updateInterview(interviewId, {
+        status,
+        outcome: status === 'completed' ? outcome : null,
+        updated_at: clock.now().toISOString()
+      });
+
+      if (status === 'completed') {
+        const application = await CareerService.getApplicationById(applicationId);
+        if (application.application_status === 'shortlisted') {
+          const note = `Interview on ${this.formatWhen(data)} completed${outcome ? ` (outcome: ${outcome})` : ''}`;
+          // The outcome is already saved; staff can still move the application by hand
+          try {
+            await CareerService.updateApplicationStatus(applicationId, 'interviewed', note, user);
+          } catch (statusError) {
+            console.warn(`⚠️  Could not move application ${applicationId} to "interviewed":`, statusError.message);
+          }
+        }
+      }
+
+      return this.formatInterview(data);
+    } catch (error) {
+      console.error('InterviewService.recordOutcome error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a panel member's feedback to an interview
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {Object} feedbackData - { rating (1-5), recommendation, comments? }
+   * @param {Object} author - Public staff profile ({ id, fullName })
+   * @returns {Promise<Object>} Created feedback
+   */
+  static async addFeedback(applicationId, interviewId, feedbackData, author) {
+    try {
+      const interview = await this.getInterviewRow(applicationId, interviewId);
+
+      if (interview.status === 'cancelled') {
+        throw new Error('Cannot add feedback to a cancelled interview');
+      }
+
+      const data = await interviewStore().addFeedback({
+        interview_id: interviewId,
+        application_id: applicationId,
+        author_id: author.id,
+        author_name: author.fullName,
+        rating: feedbackData.rating,
+        recommendation: feedbackData.recommendation,
+        comments: feedbackData.comments ? feedbackData.comments.trim() : null
+      });
+
+      return this.formatFeedback(data);
+    } catch (error) {
+      console.error('InterviewService.addFeedback error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current .ics file of an interview for the candidate or the panel
+   * @param {number} applicationId - Application ID
+   * @param {number} interviewId - Interview ID
+   * @param {string} audience - 'candidate' or 'panel'
+   * @returns {Promise<string>} iCalendar object
+   */
+  static async getInvitation(applicationId, interviewId, audience) {
+    try {
+      const interview = await this.getInterviewRow(applicationId, interviewId);
+      const application = await CareerService.getApplicationById(applicationId);
+      const positionTitle = await JobOpeningService.getTitle(application.position);
+      const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+
+      return this.buildInvitation(interview, application, positionTitle, audience, method);
+    } catch (error) {
+      console.error('InterviewService.getInvitation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue invitation emails with .ics attachments
+   * @param {Object} interview - Career_Interviews row
+   * @param {Object} application - Application (admin form)
+   * @param {Object} options - { method: 'REQUEST' | 'CANCEL', updated?, audience? (only one side), panel? (override recipients) }
+   */
+  static async sendInvitations(interview, application, options) {
+    const { method, updated = false, audience = null, panel = interview.panel } = options;
+    const positionTitle = await JobOpeningService.getTitle(application.position);
+    const audiences = audience ? [audience] : ['candidate', 'panel'];
+
+    const invites = audiences
+      .filter(side => side === 'candidate' || panel.length > 0)
+      .map(side => ({
+        audience: side,
+        to: side === 'candidate' ? application.email : panel.map(member => member.email),
+        method,
+        ics: this.buildInvitation(interview, application, positionTitle, side, method, panel)
+      }));
+
+    NotificationService.interviewInvitations({
+      applicationNumber: CareerService.formatApplicationNumber(application.id),
+      fullName: application.full_name,
+      positionTitle,
+      when: this.formatWhen(interview),
+      modeLabel: INTERVIEW_MODES[interview.mode],
+      candidateWhere: this.describeWhere(interview, 'candidate'),
+      panelWhere: this.describeWhere(interview, 'panel'),
+      panelNames: interview.panel.map(member => member.name).join(', '),
+      instructions: interview.instructions,
+      cancelReason: interview.cancel_reason,
+      changeLabel: updated ? 'Updated: ' : ''
+    }, invites);
+  }
+
+  /**
+   * Build the calendar event for one side of an interview
+   * @param {Object} interview - Career_Interviews row
+   * @param {Object} application - Application (admin form)
+   * @param {string} positionTitle - Position title
+   * @param {string} audience - 'candidate' or 'panel'
+   * @param {string} method - 'REQUEST' or 'CANCEL'
+   * @param {Array<Object>} panel - Panel attendees (defaults to the interview panel)
+   * @returns {string} iCalendar object
+   */
+  static buildInvitation(interview, application, positionTitle, audience, method, panel = interview.panel) {
+    const hrMailbox = config.mail.mailboxes.hr;
+    const domain = hrMailbox.split('@')[1];
+    const applicationNumber = CareerService.formatApplicationNumber(application.id);
+    const candidate = { name: application.full_name, email: application.email };
+
+    const description = audience === 'candidate'
+      ? [
+        `Interview for the ${positionTitle} position at Africure Pharma (application ${applicationNumber}).`,
+        `${INTERVIEW_MODES[interview.mode]}: ${this.describeWhere(interview, 'candidate')}`,
+        interview.instructions,
+        `Questions: ${hrMailbox}`
+      ]
+      : [
+        `Interview with ${application.full_name} for ${positionTitle} (application ${applicationNumber}).`,
+        `${INTERVIEW_MODES[interview.mode]}: ${this.describeWhere(interview, 'panel')}`,
+        `Panel: ${interview.panel.map(member => member.name).join(', ')}`,
+        'Record feedback through the careers admin API.'
+      ];
+
+    return buildCalendar({
+      method,
+      uid: `interview-${interview.id}-${audience}@${domain}`,
+      sequence: interview.sequence,
+      start: interview.starts_at,
+      end: interview.ends_at,
+      summary: audience === 'candidate'
+        ? `Interview: ${positionTitle} - Africure Pharma`
+        : `Interview: ${application.full_name} (${positionTitle})`,
+      description: description.filter(Boolean).join('\n'),
+      location: interview.mode === 'onsite' ? interview.location : null,
+      url: interview.mode === 'video' ? interview.meeting_url : null,
+      organizer: { name: 'Africure Pharma HR', email: hrMailbox },
+      attendees: audience === 'candidate' ? [candidate] : panel
+    });
+  }
+
+  /**
+   * Where the interview happens, from the point of view of the candidate or the panel
+   * @param {Object} interview - Career_Interviews row
+   * @param {string} audience - 'candidate' or 'panel'
+   * @returns {string} Description
+   */
+  static describeWhere(interview, audience) {
+    if (interview.mode === 'onsite') {
+      return interview.location;
+    }
+    if (interview.mode === 'video') {
+      return interview.meeting_url;
+    }
+    return audience === 'candidate'
+      ? `we will call you on ${interview.phone_number}`
+      : `call the candidate on ${interview.phone_number}`;
+  }
+
+  /**
+   * Interview time for emails, in config.careers.interviewTimezone
+   * @param {Object} interview - Career_Interviews row
+   * @returns {string} e.g. "Monday, 3 March 2025, 09:00 - 10:00 (Africa/Nairobi)"
+   */
+  static formatWhen(interview) {
+    const timeZone = config.careers.interviewTimezone;
+    const day = new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    const time = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+    const start = new Date(interview.starts_at);
+    const end = new Date(interview.ends_at);
+
+    return `${day.format(start)}, ${time.format(start)} - ${time.format(end)} (${timeZone})`;
+  }
+
+  /**
+   * Check that the fields a mode needs are present
+   * @param {Object} row - Career_Interviews row (or pending values)
+   * @throws {Error} When a required field is missing
+   */
+  static assertModeDetails(row) {
+    if (row.mode === 'onsite' && !row.location) {
+      throw new Error('Invalid interview: an on-site interview needs a location');
+    }
+    if (row.mode === 'video' && !row.meeting_url) {
+      throw new Error('Invalid interview: a video interview needs a meetingUrl');
+    }
+    if (row.mode === 'phone' && !row.phone_number) {
+      throw new Error('Invalid interview: a phone interview needs a phoneNumber');
+    }
+  }
+
+  static getDurationMinutes(row) {
+    return Math.round((new Date(row.ends_at) - new Date(row.starts_at)) / 60000);
+  }
+
+  /**
+   * Start and end columns from startsAt and durationMinutes
+   * @param {Object} interviewData - { startsAt, durationMinutes }
+   * @returns {Object} { starts_at, ends_at }
+   */
+  static toSchedule({ startsAt, durationMinutes = 60 }) {
+    const start = new Date(startsAt);
+    return {
+      starts_at: start.toISOString(),
+      ends_at: new Date(start.getTime() + durationMinutes * 60000).toISOString()
+    };
+  }
+
+  /**
+   * Convert API fields into Career_Interviews columns, ignoring unknown fields
+   * @param {Object} interviewData - Interview fields in API (camelCase) form
+   * @returns {Object} Career_Interviews columns
+   */
+  static toRow(interviewData) {
+    return Object.entries(INTERVIEW_FIELDS).reduce((row, [field, column]) => {
+      if (interviewData[field] !== undefined) {
+        const value = interviewData[field];
+        row[column] = typeof value === 'string' ? (value.trim() || null) : value;
+      }
+      return row;
+    }, {});
+  }
+
+  /**
+   * Convert a Career_Interviews row into the API form
+   * @param {Object} row - Career_Interviews row
+   * @param {Array<Object>} feedback - Career_Interview_Feedback rows
+   * @returns {Object} Interview
+   */
+  static formatInterview(row, feedback = []) {
+    return {
+      id: row.id,
+      applicationId: row.application_id,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      durationMinutes: this.getDurationMinutes(row),
+      mode: row.mode,
+      location: row.location,
+      meetingUrl: row.meeting_url,
+      phoneNumber: row.phone_number,
+      panel: row.panel || [],
+      instructions: row.instructions,
+      status: row.status,
+      outcome: row.outcome,
+      cancelReason: row.cancel_reason,
+      sequence: row.sequence,
+      createdBy: row.created_by || row.created_by_name
+        ? { id: row.created_by, name: row.created_by_name }
+        : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      feedback: feedback.map(entry => this.formatFeedback(entry))
+    };
+  }
+
+  static formatFeedback(row) {
+    return {
+      id: row.id,
+      interviewId: row.interview_id,
+      author: { id: row.author_id, name: row.author_name },
+      rating: row.rating,
+      recommendation: row.recommendation,
+      comments: row.comments,
+      createdAt: row.created_at
+    };
+  }
+}
+
+InterviewService.INTERVIEW_MODES = Object.keys(INTERVIEW_MODES);
+InterviewService.INTERVIEW_STATUSES = INTERVIEW_STATUSES;
+InterviewService.INTERVIEW_OUTCOMES = INTERVIEW_OUTCOMES;
+InterviewService.FEEDBACK_RECOMMENDATIONS = FEEDBACK_RECOMMENDATIONS;
+
+module.exports = InterviewService;
@@ -0,0 +1,262 @@
+const { createRepository } = require('../repositories');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+
+/**
+ * Employment types offered for an opening
+ */
+const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internship', 'temporary'];
+
+// Maps API (camelCase) field names to Job_Openings columns
+const JOB_OPENING_FIELDS = {
+  slug: 'slug',
+  title: 'title',
+  department: 'department',
+  location: 'location',
+  description: 'description',
+  requirements: 'requirements',
+  employmentType: 'employment_type',
+  opensAt: 'opens_at',
+  closesAt: 'closes_at',
+  isPublished: 'is_published',
+  sortOrder: 'sort_order'
+};
+
+const openingRepository = scoped(() => null);
+
+/**
+ * Job Opening Service
+ * Handles the roles shown on the careers page and accepted by the application form
+ *
+ * An opening is "open" while it is published and today is between opens_at and
+ * closes_at (either may be empty). Only open roles are listed publicly and accept
+ * applications; the slug is what Career_Applications.position stores.
+ */
+class JobOpeningService {
+  /**
+   * Replace the opening store (e.g. with MemoryJobOpeningRepository in tests)
+   * @param {Object} repository - Object implementing the job opening repository interface
+   */
+  static setRepository(repository) {
+    openingRepository.set(repository);
+  }
+
+  /**
+   * Get the active opening store, creating it from config.database.driver on first use
+   * @returns {Object} Job opening repository
+   */
+  static getRepository() {
+    if (!openingRepository.get()) {
+      openingRepository.set(createRepository('openings'));
+    }
+    return openingRepository.get();
+  }
+
+  /**
+   * Get openings that currently accept applications (public)
+   * @returns {Promise<Array>} Open roles in display order
+   */
+  static async getOpenPositions() {
+    try {
+      const data = await this.getRepository().listOpen(this.today());
+
+      return data.map(row => this.formatPublicOpening(row));
+    } catch (error) {
+      console.error('JobOpeningService.getOpenPositions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the open role with a slug, if it currently accepts applications
+   * @param {string} slug - Opening slug (the application form's position value)
+   * @returns {Promise<Object|null>} Open role, or null
+   */
+  static async findOpenPosition(slug) {
+    try {
+      const data = await this.getRepository().findOpen(slug, this.today());
+
+      return data ? this.formatPublicOpening(data) : null;
+    } catch (error) {
+      console.error('JobOpeningService.findOpenPosition error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Title of the opening with a slug, including closed and unpublished openings
+   * @param {string} slug - Opening slug
+   * @returns {Promise<string>} Title, or the slug itself if there is no such opening
+   */
+  static async getTitle(slug) {
+    try {
+      const data = await this.getRepository().findBySlug(slug, 'title');
+
+      return data ? data.title : slug;
+    } catch (error) {
+      console.error('JobOpeningService.getTitle error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all openings (admin use)
+   * @param {Object} options - Query options
+   * @param {string} options.state - 'open', 'scheduled', 'closed' or 'unpublished'
+   * @param {string} options.department - Filter by department
+   * @returns {Promise<Array>} Openings in display order
+   */
+  static async getAllOpenings(options = {}) {
+    try {
+      const { state = null, department = null } = options;
+
+      const data = await this.getRepository().list({ department });
+
+      const today = this.today();
+      const openings = data.map(row => this.formatOpening(row, today));
+
+      return state ? openings.filter(opening => opening.state === state) : openings;
+    } catch (error) {
+      console.error('JobOpeningService.getAllOpenings error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an opening by ID (admin use)
+   * @param {number} id - Opening ID
+   * @returns {Promise<Object>} Opening
+   */
+  static async getOpeningById(id) {
+    try {
+      const data = await this.getRepository().findById(id);
+
+      if (!data) {
+        throw new Error('Job opening not found');
+      }
+
+      return this.formatOpening(data, this.today());
+    } catch (error) {
+      console.error('JobOpeningService.getOpeningById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an opening (admin use)
+   * @param {Object} openingData - Opening fields in API (camelCase) form
+   * @returns {Promise<Object>} Created opening
+   */
+  static async createOpening(openingData) {
+    try {
+      // Throws 'A job opening with this slug already exists' for a slug in use
+      const data = await this.getRepository().create(this.toRow(openingData));
+
+      return this.formatOpening(data, this.today());
+    } catch (error) {
+      console.error('JobOpeningService.createOpening error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an opening (admin use)
+   * The slug is left unchanged so existing applications keep pointing at the opening.
+   * @param {number} id - Opening ID
+   * @param {Object} openingData - Fields to change in API (camelCase) form
+   * @returns {Promise<Object>} Updated opening
+   */
+  static async updateOpening(id, openingData) {
+    try {
+      const { slug, ...changes } = this.toRow(openingData);
+
+      const data = await this.getRepository().update(id, {
+        ...changes,
+        updated_at: clock.now().toISOString()
+      });
+
+      if (!data) {
+        throw new Error('Job opening not found');
+      }
+
+      return this.formatOpening(data, this.today());
+    } catch (error) {
+      console.error('JobOpeningService.updateOpening error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Where an opening is in its lifecycle on a given day
+   * @param {Object} row - Job_Openings row
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {string} 'open', 'scheduled', 'closed' or 'unpublished'
+   */
+  static getState(row, today = this.today()) {
+    if (!row.is_published) return 'unpublished';
+    if (row.opens_at && row.opens_at > today) return 'scheduled';
+    if (row.closes_at && row.closes_at < today) return 'closed';
+    return 'open';
+  }
+
+  /**
+   * Convert a Job_Openings row into the admin API form
+   * @param {Object} row - Job_Openings row
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Object} Opening
+   */
+  static formatOpening(row, today = this.today()) {
+    const opening = { id: row.id };
+    Object.entries(JOB_OPENING_FIELDS).forEach(([field, column]) => {
+      opening[field] = row[column] === undefined ? null : row[column];
+    });
+    opening.state = this.getState(row, today);
+    opening.createdAt = row.created_at || null;
+    opening.updatedAt = row.updated_at || null;
+    return opening;
+  }
+
+  /**
+   * Public view of an open role; value/label match the careers form's position select
+   * @param {Object} row - Job_Openings row
+   * @returns {Object} Position
+   */
+  static formatPublicOpening(row) {
+    return {
+      value: row.slug,
+      label: row.title,
+      department: row.department,
+      location: row.location || null,
+      employmentType: row.employment_type,
+      description: row.description || null,
+      requirements: row.requirements || null,
+      closesAt: row.closes_at || null
+    };
+  }
+
+  /**
+   * Convert API fields into Job_Openings columns, ignoring unknown fields
+   * @param {Object} openingData - Opening fields in API (camelCase) form
+   * @returns {Object} Job_Openings row
+   */
+  static toRow(openingData) {
+    return Object.entries(JOB_OPENING_FIELDS).reduce((row, [field, column]) => {
+      if (openingData[field] !== undefined) {
+        row[column] = typeof openingData[field] === 'string' ? openingData[field].trim() : openingData[field];
+      }
+      return row;
+    }, {});
+  }
+
+  /**
+   * Today's date as an ISO date string (UTC)
+   * @returns {string} YYYY-MM-DD
+   */
+  static today() {
+    return clock.now().toISOString().split('T')[0];
+  }
+}
+
+JobOpeningService.EMPLOYMENT_TYPES = EMPLOYMENT_TYPES;
+
+module.exports = JobOpeningService;
@@ -0,0 +1,150 @@
+const config = require('../config');
+const MailService = require('./mailService');
+const { scoped } = require('../utils/scope');
+
+const MAX_FAILURES_KEPT = 50;
+
+// Each app sends its own emails (see utils/scope.js)
+const queues = scoped(() => ({
+  pending: [],
+  retryTimers: new Set(),
+  failed: [], // most recent dropped jobs
+  idleWaiters: [],
+  processing: false,
+  nextId: 1,
+  sentCount: 0,
+  failedCount: 0
+}));
+
+/**
+ * Mail Queue
+ * Delivers notification emails in the background so a slow or failing SMTP server
+ * never affects the HTTP request that triggered the email.
+ *
+ * Jobs are held in memory and sent one at a time. A failed send is retried with
+ * exponential backoff (config.mail.queue.retryDelayMs, doubling) up to
+ * config.mail.queue.maxAttempts, after which the job is logged and dropped.
+ * Pending jobs are lost if the process stops. Each app has its own queue, which drain()
+ * and stop() act on when called from inside the app.
+ */
+class MailQueue {
+  /**
+   * Queue an email for delivery
+   * @param {Object} message - { to, subject, text, html, replyTo? }
+   * @param {string} label - Short description for logs, e.g. 'contact acknowledgement AF-1A2B3C4D'
+   * @returns {number} Job ID
+   */
+  static enqueue(message, label = message.subject) {
+    const queue = queues.get();
+    const job = { id: queue.nextId++, message, label, attempts: 0 };
+    queue.pending.push(job);
+    this.process();
+    return job.id;
+  }
+
+  /**
+   * Start sending queued jobs if not already doing so
+   */
+  static process() {
+    const queue = queues.get();
+    if (queue.processing) {
+      return;
+    }
+
+    queue.processing = true;
+    setImmediate(async () => {
+      while (queue.pending.length > 0) {
+        await this.attempt(queue.pending.shift());
+      }
+      queue.processing = false;
+      this.notifyIfIdle();
+    });
+  }
+
+  /**
+   * Try to send one job, scheduling a retry on failure
+   * @param {Object} job - Queue job
+   */
+  static async attempt(job) {
+    const { maxAttempts, retryDelayMs } = config.mail.queue;
+    const queue = queues.get();
+    job.attempts += 1;
+
+    try {
+      await MailService.send(job.message);
+      queue.sentCount += 1;
+    } catch (error) {
+      if (job.attempts >= maxAttempts) {
+        queue.failedCount += 1;
+        queue.failed.push({ id: job.id, label: job.label, error: error.message, failedAt: new Date().toISOString() });
+        if (queue.failed.length > MAX_FAILURES_KEPT) {
+          queue.failed.shift();
+        }
+        console.error(`❌ Email "${job.label}" dropped after ${job.attempts} attempts: ${error.message}`);
+        return;
+      }
+
+      const delay = retryDelayMs * 2 ** (job.attempts - 1);
+      console.warn(`⚠️  Email "${job.label}" failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${delay}ms`);
+
+      const timer = setTimeout(() => {
+        queue.retryTimers.delete(timer);
+        queue.pending.push(job);
+        this.process();
+      }, delay);
+      queue.retryTimers.add(timer);
+    }
+  }
+
+  /**
+   * Wait until every queued email has been sent or dropped
+   * @returns {Promise<void>}
+   */
+  static drain() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => queues.get().idleWaiters.push(resolve));
+  }
+
+  /**
+   * Cancel pending retries (used on shutdown)
+   */
+  static stop() {
+    const { retryTimers } = queues.get();
+    retryTimers.forEach(timer => clearTimeout(timer));
+    retryTimers.clear();
+    this.notifyIfIdle();
+  }
+
+  static isIdle() {
+    const { processing, pending, retryTimers } = queues.get();
+    return !processing && pending.length === 0 && retryTimers.size === 0;
+  }
+
+  static notifyIfIdle() {
+    if (this.isIdle()) {
+      const queue = queues.get();
+      const waiters = queue.idleWaiters;
+      queue.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Queue counters for monitoring
+   * @returns {Object} { pending, retrying, sent, failed, recentFailures }
+   */
+  static getStats() {
+    const queue = queues.get();
+    return {
+      pending: queue.pending.length,
+      retrying: queue.retryTimers.size,
+      sent: queue.sentCount,
+      failed: queue.failedCount,
+      recentFailures: queue.failed.slice(-10)
+    };
+  }
+}
+
+module.exports = MailQueue;
@@ -0,0 +1,90 @@
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const { scoped } = require('../utils/scope');
+
+const transport = scoped(() => null);
+const isCustomTransport = scoped(() => false);
+
+/**
+ * Mail Service
+ * Sends email through a pluggable nodemailer transport
+ *
+ * The transport is chosen by config.mail.transport:
+ * - 'smtp': any SMTP server, including a local stand-in such as MailHog or smtp4dev
+ * - 'json': messages are rendered and logged but not delivered (default when SMTP_HOST is unset)
+ * Tests and scripts can swap it with MailService.setTransport().
+ */
+class MailService {
+  /**
+   * Replace the transport (any object with a nodemailer-compatible sendMail method)
+   * @param {Object} customTransport - Transport instance
+   */
+  static setTransport(customTransport) {
+    transport.set(customTransport);
+    isCustomTransport.set(Boolean(customTransport));
+  }
+
+  /**
+   * Get the active transport, creating it from config on first use
+   * @returns {Object} nodemailer transport
+   */
+  static getTransport() {
+    if (!transport.get()) {
+      transport.set(this.createTransport(config.mail));
+    }
+    return transport.get();
+  }
+
+  /**
+   * Build a nodemailer transport from mail configuration
+   * @param {Object} mailConfig - config.mail
+   * @returns {Object} nodemailer transport
+   */
+  static createTransport(mailConfig) {
+    if (mailConfig.transport === 'smtp') {
+      const { host, port, secure, user, pass } = mailConfig.smtp;
+
+      if (!host) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+      }
+
+      return nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      });
+    }
+
+    if (mailConfig.transport === 'json') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html?, cc?, replyTo?, attachments? }
+   * @returns {Promise<Object>} Transport result ({ messageId, ... })
+   */
+  static async send(message) {
+    try {
+      const info = await this.getTransport().sendMail({
+        from: config.mail.from,
+        ...message
+      });
+
+      if (config.mail.transport === 'json' && !isCustomTransport.get()) {
+        console.log(`📧 Mail (not delivered, json transport) to ${message.to}: ${message.subject}`);
+      }
+
+      return info;
+    } catch (error) {
+      console.error('MailService.send error:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = MailService;
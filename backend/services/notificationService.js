@@ -0,0 +1,219 @@
+const config = require('../config');
+const EmailTemplateService = require('./emailTemplateService');
+const MailQueue = require('./mailQueue');
+const clock = require('../utils/clock');
+
+/**
+ * Contact form enquiries are routed to a department mailbox by keywords in the message.
+ * The first matching route wins; anything else goes to the general inbox.
+ */
+const CONTACT_ROUTES = [
+  {
+    mailbox: 'pharmacovigilance',
+    label: 'Pharmacovigilance',
+    keywords: ['adverse', 'side effect', 'side-effect', 'reaction', 'pharmacovigilance', 'counterfeit', 'quality complaint']
+  },
+  {
+    mailbox: 'regulatoryAffairs',
+    label: 'Regulatory Affairs',
+    keywords: ['registration', 'licence', 'license', 'dossier', 'marketing authori', 'regulatory']
+  },
+  {
+    mailbox: 'hr',
+    label: 'Human Resources',
+    keywords: ['job', 'vacancy', 'career', 'internship', 'resume', 'recruitment']
+  }
+];
+
+const GENERAL_ROUTE = { mailbox: 'general', label: 'General enquiries' };
+
+const formatDateTime = (value) => new Date(value || clock.now().getTime()).toUTCString();
+
+/**
+ * Notification Service
+ * Queues acknowledgement and internal alert emails for website submissions.
+ * Methods never throw: a notification problem must not fail the submission.
+ */
+class NotificationService {
+  /**
+   * Notify the sender and the routed department of a new contact enquiry
+   * @param {Object} submission - { reference, fullName, email, contact, message, submittedAt }
+   * @returns {Object|null} { route, jobIds } or null if the emails could not be queued
+   */
+  static contactSubmitted(submission) {
+    try {
+      const route = this.routeContact(submission.message);
+      const data = {
+        ...submission,
+        submittedAt: formatDateTime(submission.submittedAt),
+        routeLabel: route.label
+      };
+
+      const jobIds = [
+        this.queue('contactAcknowledgement', data, {
+          to: submission.email,
+          replyTo: config.mail.mailboxes.general
+        }, `contact acknowledgement ${submission.reference}`),
+        this.queue('contactAlert', data, {
+          to: config.mail.mailboxes[route.mailbox],
+          replyTo: submission.email
+        }, `contact alert ${submission.reference}`)
+      ];
+
+      return { route: route.mailbox, jobIds };
+    } catch (error) {
+      console.error('NotificationService.contactSubmitted error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Notify the applicant and HR of a new career application
+   * @param {Object} application - { id, applicationNumber, fullName, email, phone, location, position, positionTitle, experience, qualification, submittedAt }
+   * @returns {Object|null} { jobIds } or null if the emails could not be queued
+   */
+  static careerApplicationSubmitted(application) {
+    try {
+      const data = {
+        ...application,
+        positionTitle: application.positionTitle || application.position,
+        submittedAt: formatDateTime(application.submittedAt)
+      };
+
+      const jobIds = [
+        this.queue('careerAcknowledgement', data, {
+          to: application.email,
+          replyTo: config.mail.mailboxes.hr
+        }, `career acknowledgement ${application.applicationNumber}`),
+        this.queue('careerAlert', data, {
+          to: config.mail.mailboxes.hr,
+          replyTo: application.email
+        }, `career alert ${application.applicationNumber}`)
+      ];
+
+      return { jobIds };
+    } catch (error) {
+      console.error('NotificationService.careerApplicationSubmitted error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell an applicant that a repeat application was merged into their existing one
+   * Sent to the address on the existing application, never to the one just submitted.
+   * @param {Object} application - { applicationNumber, fullName, email, positionTitle, updated }
+   * @returns {Object|null} { jobIds } or null if the email could not be queued
+   */
+  static careerApplicationRepeated(application) {
+    try {
+      const data = {
+        ...application,
+        outcome: application.updated
+          ? 'As it has not been reviewed yet, we have updated it with the details and resume you just sent.'
+          : 'It is already being reviewed, so the details you just sent were not added. Please contact HR if your details have changed.'
+      };
+
+      const jobIds = [
+        this.queue('careerRepeatAcknowledgement', data, {
+          to: application.email,
+          replyTo: config.mail.mailboxes.hr
+        }, `career repeat acknowledgement ${application.applicationNumber}`)
+      ];
+
+      return { jobIds };
+    } catch (error) {
+      console.error('NotificationService.careerApplicationRepeated error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send interview invitations (or cancellations) with their .ics attachment
+   * @param {Object} interview - { applicationNumber, fullName, positionTitle, when, modeLabel, candidateWhere, panelWhere, panelNames, instructions, cancelReason, changeLabel }
+   * @param {Array<Object>} invites - [{ audience: 'candidate' | 'panel', to, method: 'REQUEST' | 'CANCEL', ics }]
+   * @returns {Object|null} { jobIds } or null if the emails could not be queued
+   */
+  static interviewInvitations(interview, invites) {
+    try {
+      const data = {
+        ...interview,
+        instructions: interview.instructions || '',
+        cancelNote: interview.cancelReason ? `Reason: ${interview.cancelReason}` : ''
+      };
+
+      const jobIds = invites.map(invite => {
+        const cancelled = invite.method === 'CANCEL';
+        const template = cancelled
+          ? 'interviewCancellation'
+          : (invite.audience === 'candidate' ? 'interviewInvitation' : 'interviewPanelInvitation');
+
+        return this.queue(template, {
+          ...data,
+          where: invite.audience === 'candidate' ? data.candidateWhere : data.panelWhere
+        }, {
+          to: invite.to,
+          replyTo: config.mail.mailboxes.hr,
+          // Sent as a text/calendar alternative so mail clients show accept/decline buttons
+          icalEvent: {
+            method: invite.method,
+            filename: 'invite.ics',
+            content: invite.ics
+          }
+        }, `interview ${cancelled ? 'cancellation' : 'invitation'} ${interview.applicationNumber} (${invite.audience})`);
+      });
+
+      return { jobIds };
+    } catch (error) {
+      console.error('NotificationService.interviewInvitations error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send the one-time link that confirms a request for a copy of personal data
+   * @param {Object} request - { email, link, expiresAt, expiresInHours }
+   * @returns {Object|null} { jobIds } or null if the email could not be queued
+   */
+  static dataAccessLink(request) {
+    try {
+      const jobIds = [
+        this.queue('dataAccessRequest', {
+          link: request.link,
+          expiresInHours: request.expiresInHours,
+          expiresAt: formatDateTime(request.expiresAt)
+        }, {
+          to: request.email,
+          replyTo: config.mail.mailboxes.general
+        }, 'data access link')
+      ];
+
+      return { jobIds };
+    } catch (error) {
+      console.error('NotificationService.dataAccessLink error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the department mailbox for a contact enquiry
+   * @param {string} message - Enquiry text
+   * @returns {Object} { mailbox, label }
+   */
+  static routeContact(message = '') {
+    const text = message.toLowerCase();
+    // Match keywords at the start of a word, so 'job' matches 'jobs' but not 'objective'
+    const route = CONTACT_ROUTES.find(candidate =>
+      candidate.keywords.some(keyword => new RegExp(`\\b${keyword}`).test(text))
+    );
+    return route || GENERAL_ROUTE;
+  }
+
+  static queue(template, data, envelope, label) {
+    const { subject, text, html } = EmailTemplateService.render(template, data);
+    return MailQueue.enqueue({ ...envelope, subject, text, html }, label);
+  }
+}
+
+NotificationService.CONTACT_ROUTES = CONTACT_ROUTES;
+
+module.exports = NotificationService;
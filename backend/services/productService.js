@@ -0,0 +1,221 @@
+const RegistrationService = require('./registrationService');
+const clock = require('../utils/clock');
+
+/**
+ * Therapeutic categories used to group the portfolio on the products page
+ */
+const PRODUCT_CATEGORIES = [
+  { value: 'antibiotics', label: 'Antibiotics' },
+  { value: 'analgesics', label: 'Analgesics' },
+  { value: 'cardiovascular', label: 'Cardiovascular' },
+  { value: 'respiratory', label: 'Respiratory' },
+  { value: 'gastrointestinal', label: 'Gastrointestinal' },
+  { value: 'antimalarial', label: 'Antimalarial' },
+  { value: 'antifungal', label: 'Antifungal' },
+  { value: 'corticosteroids', label: 'Corticosteroids' },
+  { value: 'vitamins', label: 'Vitamins & Supplements' },
+  { value: 'other', label: 'Other' }
+];
+
+// Maps API (camelCase) field names to Products table columns
+const PRODUCT_FIELDS = {
+  name: 'brand_name',
+  genericName: 'generic_name',
+  category: 'category',
+  description: 'description',
+  strength: 'strength',
+  dosageForm: 'dosage_form',
+  packSize: 'pack_size',
+  route: 'route',
+  isPublished: 'is_published',
+  sortOrder: 'sort_order'
+};
+
+// Products share their store with their registrations (RegistrationService.getRepository())
+const productStore = () => RegistrationService.getRepository();
+
+/**
+ * Product Service
+ * Handles the product catalogue: public listing, search and admin maintenance
+ */
+class ProductService {
+  /**
+   * Get published products
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Page size
+   * @param {string} options.category - Filter by category
+   * @param {string} options.search - Match against brand, generic name, strength or description
+   * @param {string} options.sortBy - 'sort_order', 'brand_name' or 'generic_name'
+   * @returns {Promise<Object>} Products and pagination info
+   */
+  static async getAllProducts(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        category = null,
+        search = null,
+        sortBy = 'sort_order'
+      } = options;
+      const offset = (page - 1) * limit;
+
+      const { rows, total } = await productStore().listPublished({
+        category,
+        search: this.sanitizeSearchTerm(search),
+        sortBy,
+        offset,
+        limit
+      });
+
+      return {
+        products: rows.map(row => this.formatProduct(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('ProductService.getAllProducts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a published product by ID
+   * @param {number} id - Product ID
+   * @returns {Promise<Object>} Product
+   */
+  static async getProductById(id) {
+    try {
+      const data = await productStore().findPublished(id);
+
+      if (!data) {
+        throw new Error('Product not found');
+      }
+
+      return this.formatProduct(data);
+    } catch (error) {
+      console.error('ProductService.getProductById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get categories with the number of published products in each
+   * @returns {Promise<Array>} [{ value, label, count }]
+   */
+  static async getCategories() {
+    try {
+      const categories = await productStore().listPublishedCategories();
+
+      const counts = categories.reduce((acc, category) => {
+        acc[category] = (acc[category] || 0) + 1;
+        return acc;
+      }, {});
+
+      return PRODUCT_CATEGORIES.map(category => ({
+        ...category,
+        count: counts[category.value] || 0
+      }));
+    } catch (error) {
+      console.error('ProductService.getCategories error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a product (admin use)
+   * Country registrations are added separately through RegistrationService.
+   * @param {Object} productData - Product fields in API (camelCase) form
+   * @returns {Promise<Object>} Created product
+   */
+  static async createProduct(productData) {
+    try {
+      const data = await productStore().create(this.toRow(productData));
+
+      return this.formatProduct(data);
+    } catch (error) {
+      console.error('ProductService.createProduct error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product (admin use)
+   * @param {number} id - Product ID
+   * @param {Object} productData - Fields to change in API (camelCase) form
+   * @returns {Promise<Object>} Updated product
+   */
+  static async updateProduct(id, productData) {
+    try {
+      const data = await productStore().update(id, {
+        ...this.toRow(productData),
+        updated_at: clock.now().toISOString()
+      });
+
+      if (!data) {
+        throw new Error('Product not found');
+      }
+
+      return this.formatProduct(data);
+    } catch (error) {
+      console.error('ProductService.updateProduct error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a Products row into the shape used by the website
+   * @param {Object} row - Products table row with embedded registrations
+   * @returns {Object} Product
+   */
+  static formatProduct(row) {
+    const today = RegistrationService.today();
+    const product = { id: row.id };
+    Object.entries(PRODUCT_FIELDS).forEach(([field, column]) => {
+      product[field] = row[column] === undefined ? null : row[column];
+    });
+    product.categoryLabel = this.getCategoryLabel(row.category);
+    product.registrations = (row.registrations || [])
+      .map(registration => RegistrationService.formatPublicRegistration(registration, today))
+      .sort((a, b) => a.country.localeCompare(b.country));
+    product.licenseStatus = RegistrationService.summarizeStatus(product.registrations);
+    product.updatedAt = row.updated_at || null;
+    return product;
+  }
+
+  /**
+   * Convert API fields into Products columns, ignoring unknown fields
+   * @param {Object} productData - Product fields in API (camelCase) form
+   * @returns {Object} Products row
+   */
+  static toRow(productData) {
+    return Object.entries(PRODUCT_FIELDS).reduce((row, [field, column]) => {
+      if (productData[field] !== undefined) {
+        row[column] = typeof productData[field] === 'string' ? productData[field].trim() : productData[field];
+      }
+      return row;
+    }, {});
+  }
+
+  static getCategoryLabel(category) {
+    const match = PRODUCT_CATEGORIES.find(c => c.value === category);
+    return match ? match.label : 'Other';
+  }
+
+  static sanitizeSearchTerm(search) {
+    if (!search) {
+      return null;
+    }
+    // Strip characters that have meaning in PostgREST filter syntax
+    const term = search.replace(/[,()*%]/g, ' ').trim();
+    return term || null;
+  }
+}
+
+ProductService.PRODUCT_CATEGORIES = PRODUCT_CATEGORIES;
+
+module.exports = ProductService;
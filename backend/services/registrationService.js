@@ -0,0 +1,409 @@
+const { createRepository } = require('../repositories');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+
+/**
+ * Registration statuses as stored in Product_Registrations
+ */
+const REGISTRATION_STATUSES = ['pending', 'active', 'expired', 'suspended', 'withdrawn'];
+
+// Labels shown on the website for each (effective) status
+const STATUS_LABELS = {
+  pending: 'Pending',
+  active: 'Licensed',
+  expired: 'Expired',
+  suspended: 'Suspended',
+  withdrawn: 'Withdrawn'
+};
+
+// Country names as used on the website; other ISO codes fall back to Intl names
+const COUNTRY_NAMES = {
+  CI: 'Ivory Coast',
+  ET: 'Ethiopia',
+  LR: 'Liberia',
+  BF: 'Burkina Faso'
+};
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const productRepository = scoped(() => null);
+
+/**
+ * Registration Service
+ * Handles country registrations (marketing authorisations) of products and expiry tracking
+ */
+class RegistrationService {
+  /**
+   * Replace the product and registration store (e.g. with MemoryProductRepository in tests)
+   * ProductService shares it.
+   * @param {Object} repository - Object implementing the product repository interface
+   */
+  static setRepository(repository) {
+    productRepository.set(repository);
+  }
+
+  /**
+   * Get the active product and registration store, creating it from config.database.driver on first use
+   * @returns {Object} Product repository
+   */
+  static getRepository() {
+    if (!productRepository.get()) {
+      productRepository.set(createRepository('products'));
+    }
+    return productRepository.get();
+  }
+
+  /**
+   * Get registrations (admin use)
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number (1-based)
+   * @param {number} options.limit - Page size
+   * @param {number} options.productId - Filter by product
+   * @param {string} options.countryCode - Filter by ISO country code
+   * @param {string} options.status - Filter by stored status
+   * @returns {Promise<Object>} Registrations and pagination info
+   */
+  static async getAllRegistrations(options = {}) {
+    try {
+      const { page = 1, limit = 20, productId = null, countryCode = null, status = null } = options;
+      const offset = (page - 1) * limit;
+
+      const { rows, total } = await this.getRepository().listRegistrations({
+        filters: { productId, countryCode, status },
+        offset,
+        limit
+      });
+
+      const today = this.today();
+
+      return {
+        registrations: rows.map(row => this.formatRegistration(row, today)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('RegistrationService.getAllRegistrations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a registration by ID (admin use)
+   * @param {number} id - Registration ID
+   * @returns {Promise<Object>} Registration
+   */
+  static async getRegistrationById(id) {
+    try {
+      const data = await this.getRepository().findRegistration(id);
+
+      if (!data) {
+        throw new Error('Registration not found');
+      }
+
+      return this.formatRegistration(data, this.today());
+    } catch (error) {
+      console.error('RegistrationService.getRegistrationById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get registrations expiring within the next N days (admin use)
+   * Only active registrations are considered; suspended or withdrawn ones are not renewed.
+   * @param {Object} options - Query options
+   * @param {number} options.days - Look-ahead window in days
+   * @param {boolean} options.includeLapsed - Also return active registrations already past expiry
+   * @param {string} options.countryCode - Filter by ISO country code
+   * @param {string} options.today - ISO date to measure from (defaults to today, UTC)
+   * @returns {Promise<Array>} Registrations ordered by expiry date
+   */
+  static async getExpiringRegistrations(options = {}) {
+    try {
+      const { days = 90, includeLapsed = false, countryCode = null, today = this.today() } = options;
+      const until = this.addDays(today, days);
+
+      const data = await this.getRepository().listActiveRegistrations({
+        from: includeLapsed ? null : today,
+        until,
+        countryCode
+      });
+
+      return data.map(row => this.formatRegistration(row, today));
+    } catch (error) {
+      console.error('RegistrationService.getExpiringRegistrations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark active registrations whose expiry date has passed as expired
+   * @param {string} today - ISO date (YYYY-MM-DD); registrations expiring before it are lapsed
+   * @returns {Promise<Array>} Registrations that were changed
+   */
+  static async expireLapsedRegistrations(today = this.today()) {
+    try {
+      const data = await this.getRepository().updateLapsedRegistrations(today, {
+        status: 'expired',
+        updated_at: clock.now().toISOString()
+      });
+
+      return data.map(row => this.formatRegistration(row, today));
+    } catch (error) {
+      console.error('RegistrationService.expireLapsedRegistrations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get active registrations expiring within the next N days, including when they were last alerted on
+   * @param {number} days - Look-ahead window in days (the largest alert threshold)
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Registrations ordered by expiry date
+   */
+  static async getRegistrationsDueForAlert(days, today = this.today()) {
+    try {
+      const data = await this.getRepository().listActiveRegistrations({
+        from: today,
+        until: this.addDays(today, days)
+      });
+
+      return data.map(row => this.formatRegistration(row, today));
+    } catch (error) {
+      console.error('RegistrationService.getRegistrationsDueForAlert error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that registrations were included in an expiry alert at a threshold
+   * @param {Array<number>} ids - Registration IDs
+   * @param {number} thresholdDays - Threshold that was alerted on (e.g. 90)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async recordExpiryAlert(ids, thresholdDays) {
+    try {
+      if (ids.length === 0) {
+        return true;
+      }
+
+      await this.getRepository().updateRegistrations(ids, {
+        last_expiry_alert_days: thresholdDays,
+        last_expiry_alert_at: clock.now().toISOString()
+      });
+
+      return true;
+    } catch (error) {
+      console.error('RegistrationService.recordExpiryAlert error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a product in a country (admin use)
+   * @param {number} productId - Product ID
+   * @param {Object} registrationData - Registration fields in API (camelCase) form
+   * @returns {Promise<Object>} Created registration
+   */
+  static async createRegistration(productId, registrationData) {
+    try {
+      // Throws 'Product not found' or 'Registration already exists for this country and visa number'
+      const data = await this.getRepository().createRegistration({ ...this.toRow(registrationData), product_id: productId });
+
+      return this.formatRegistration(data, this.today());
+    } catch (error) {
+      console.error('RegistrationService.createRegistration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a registration (admin use)
+   * @param {number} id - Registration ID
+   * @param {Object} registrationData - Fields to change in API (camelCase) form
+   * @returns {Promise<Object>} Updated registration
+   */
+  static async updateRegistration(id, registrationData) {
+    try {
+      const data = await this.getRepository().updateRegistration(id, {
+        ...this.toRow(registrationData),
+        // A renewed expiry date starts the 180/90/30 day alerts again
+        ...(registrationData.expiryDate !== undefined && {
+          last_expiry_alert_days: null,
+          last_expiry_alert_at: null
+        }),
+        updated_at: clock.now().toISOString()
+      });
+
+      if (!data) {
+        throw new Error('Registration not found');
+      }
+
+      return this.formatRegistration(data, this.today());
+    } catch (error) {
+      console.error('RegistrationService.updateRegistration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a registration (admin use)
+   * Prefer setting the status to "withdrawn" so the history is kept.
+   * @param {number} id - Registration ID
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteRegistration(id) {
+    try {
+      const deleted = await this.getRepository().deleteRegistration(id);
+
+      if (!deleted) {
+        throw new Error('Registration not found');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('RegistrationService.deleteRegistration error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Status to report for a registration on a given day.
+   * Active registrations whose expiry date has passed are reported as expired,
+   * even before the stored status has been updated.
+   * @param {Object} row - Product_Registrations row
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {string} Effective status
+   */
+  static effectiveStatus(row, today = this.today()) {
+    if (row.status === 'active' && row.expiry_date && row.expiry_date < today) {
+      return 'expired';
+    }
+    return row.status;
+  }
+
+  /**
+   * Summarise a product's registrations into one website licence status
+   * @param {Array} registrations - Formatted registrations
+   * @returns {string} 'Licensed', 'Pending', 'Expired' or 'Not registered'
+   */
+  static summarizeStatus(registrations) {
+    const statuses = registrations.map(r => r.status);
+
+    if (statuses.includes('active')) return STATUS_LABELS.active;
+    if (statuses.includes('pending')) return STATUS_LABELS.pending;
+    if (statuses.length > 0) return STATUS_LABELS.expired;
+    return 'Not registered';
+  }
+
+  /**
+   * Convert a Product_Registrations row into API form
+   * @param {Object} row - Product_Registrations row (optionally with an embedded product)
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Object} Registration
+   */
+  static formatRegistration(row, today = this.today()) {
+    const status = this.effectiveStatus(row, today);
+
+    const registration = {
+      id: row.id,
+      productId: row.product_id,
+      countryCode: row.country_code,
+      country: this.getCountryName(row.country_code),
+      regulatoryAuthority: row.regulatory_authority,
+      visaNumber: row.visa_number,
+      status,
+      statusLabel: STATUS_LABELS[status] || status,
+      recordedStatus: row.status,
+      approvalDate: row.approval_date,
+      expiryDate: row.expiry_date,
+      daysToExpiry: row.expiry_date ? this.daysBetween(today, row.expiry_date) : null,
+      lastExpiryAlertDays: row.last_expiry_alert_days ?? null,
+      notes: row.notes || null
+    };
+
+    if (row.product) {
+      registration.product = {
+        id: row.product.id,
+        name: row.product.brand_name,
+        genericName: row.product.generic_name,
+        strength: row.product.strength,
+        dosageForm: row.product.dosage_form
+      };
+    }
+
+    return registration;
+  }
+
+  /**
+   * Public view of a registration (no internal notes or stored status)
+   * @param {Object} row - Product_Registrations row
+   * @param {string} today - ISO date (YYYY-MM-DD)
+   * @returns {Object} Registration
+   */
+  static formatPublicRegistration(row, today = this.today()) {
+    const { notes, recordedStatus, daysToExpiry, lastExpiryAlertDays, ...registration } = this.formatRegistration(row, today);
+    return registration;
+  }
+
+  /**
+   * Convert API fields into Product_Registrations columns, ignoring unknown fields
+   * @param {Object} registrationData - Registration fields in API (camelCase) form
+   * @returns {Object} Product_Registrations row
+   */
+  static toRow(registrationData) {
+    const fields = {
+      countryCode: 'country_code',
+      regulatoryAuthority: 'regulatory_authority',
+      visaNumber: 'visa_number',
+      status: 'status',
+      approvalDate: 'approval_date',
+      expiryDate: 'expiry_date',
+      notes: 'notes'
+    };
+
+    return Object.entries(fields).reduce((row, [field, column]) => {
+      if (registrationData[field] !== undefined) {
+        row[column] = typeof registrationData[field] === 'string' ? registrationData[field].trim() : registrationData[field];
+      }
+      return row;
+    }, {});
+  }
+
+  static getCountryName(countryCode) {
+    if (COUNTRY_NAMES[countryCode]) {
+      return COUNTRY_NAMES[countryCode];
+    }
+    try {
+      return regionNames.of(countryCode) || countryCode;
+    } catch (error) {
+      return countryCode;
+    }
+  }
+
+  /**
+   * Today's date as an ISO date string (UTC)
+   * @returns {string} YYYY-MM-DD
+   */
+  static today() {
+    return clock.now().toISOString().split('T')[0];
+  }
+
+  static addDays(isoDate, days) {
+    return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  static daysBetween(fromIsoDate, toIsoDate) {
+    return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / DAY_MS);
+  }
+}
+
+RegistrationService.REGISTRATION_STATUSES = REGISTRATION_STATUSES;
+RegistrationService.STATUS_LABELS = STATUS_LABELS;
+
+module.exports = RegistrationService;
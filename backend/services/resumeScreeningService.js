@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const LocalFileStorage = require('../storage/localFileStorage');
+const ClamavScanner = require('../scanners/clamavScanner');
+const StubScanner = require('../scanners/stubScanner');
+const { readZipEntries, readZipText } = require('../utils/zipReader');
+const { readOleEntries } = require('../utils/oleReader');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+
+/**
+ * Resume formats accepted, identified by their leading bytes
+ */
+const RESUME_TYPES = {
+  pdf: {
+    contentType: 'application/pdf',
+    extensions: ['.pdf'],
+    signature: Buffer.from('%PDF-', 'latin1')
+  },
+  doc: {
+    contentType: 'application/msword',
+    extensions: ['.doc'],
+    // OLE2 compound file header
+    signature: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+    // ZIP local file header
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04])
+  }
+};
+
+// DOCX parts that carry macros or embedded content
+const DOCX_MACRO_PARTS = [/(^|\/)vbaProject\.bin$/i, /(^|\/)vbaData\.xml$/i];
+const DOCX_EMBEDDED_PARTS = [/^word\/embeddings\//i, /^word\/activeX\//i, /oleObject\d*\.bin$/i];
+
+// OLE2 directory entries of VBA projects and embedded objects in .doc files (names are
+// compared without case, as in the compound file format)
+const DOC_MACRO_ENTRIES = ['MACROS', 'VBA', '_VBA_PROJECT', '_VBA_PROJECT_CUR'];
+const DOC_EMBEDDED_ENTRIES = ['OBJECTPOOL'];
+
+// Quarantine files are named <milliseconds>_<random>, optionally with .json for the record
+const QUARANTINE_NAME = /^(\d+)_[0-9a-f]+(\.json)?$/;
+
+// Upper bound for the small XML parts read out of a DOCX; anything larger is not a real resume
+const MAX_XML_PART_SIZE = 1024 * 1024;
+
+const scanner = scoped(() => null);
+const quarantine = scoped(() => null);
+
+/**
+ * Resume Screening Service
+ * Checks uploaded resumes before they are stored
+ *
+ * Every upload is written to the quarantine directory first, then:
+ * 1. Its leading bytes must match PDF, DOC or DOCX, and agree with the file extension
+ * 2. Word documents must not contain macros or embedded objects (or remote templates)
+ * 3. The configured scanner must report it clean
+ * Files that pass are released from quarantine and handed back for upload to the
+ * resume bucket. Rejected files stay in quarantine with a .json record of the reason until
+ * the retention job deletes them (purgeQuarantine).
+ */
+class ResumeScreeningService {
+  /**
+   * Replace the virus scanner (e.g. with StubScanner in tests)
+   * @param {Object} customScanner - Object with scan(buffer, { fileName }) -> { clean, signature }
+   */
+  static setScanner(customScanner) {
+    scanner.set(customScanner);
+  }
+
+  /**
+   * Get the virus scanner, creating it from config.uploads on first use
+   * @returns {Object} Scanner
+   */
+  static getScanner() {
+    if (!scanner.get()) {
+      const { scanner: driver, clamav } = config.uploads;
+      if (driver === 'clamav') {
+        scanner.set(new ClamavScanner(clamav));
+      } else if (driver === 'stub') {
+        scanner.set(new StubScanner());
+      } else {
+        throw new Error(`Unknown upload scanner: ${driver}`);
+      }
+    }
+    return scanner.get();
+  }
+
+  /**
+   * Replace the quarantine store
+   * @param {Object} storage - File storage implementing upload/remove/list
+   */
+  static setQuarantine(storage) {
+    quarantine.set(storage);
+  }
+
+  /**
+   * Get the quarantine store, creating it from config.uploads on first use
+   * @returns {Object} File storage
+   */
+  static getQuarantine() {
+    if (!quarantine.get()) {
+      quarantine.set(new LocalFileStorage(config.uploads.quarantineDir));
+    }
+    return quarantine.get();
+  }
+
+  /**
+   * Screen an uploaded resume
+   * @param {Object} file - Multer file object
+   * @returns {Promise<Object>} { type, contentType, extension } detected from the file contents
+   * @throws {Error} 'Resume rejected: <reason>' when the file is refused,
+   *   'Resume could not be scanned' when the scanner is unavailable
+   */
+  static async screenResume(file) {
+    const quarantineId = `${clock.now().getTime()}_${crypto.randomBytes(8).toString('hex')}`;
+    const store = this.getQuarantine();
+
+    await store.upload(quarantineId, file.buffer);
+
+    let detected;
+    let reason;
+    let signature = null;
+
+    try {
+      detected = this.detectType(file.buffer);
+      reason = this.inspect(file, detected);
+
+      if (!reason) {
+        const result = await this.getScanner().scan(file.buffer, { fileName: file.originalname });
+        if (!result.clean) {
+          signature = result.signature || 'unknown';
+          reason = 'the file failed the virus scan';
+        }
+      }
+    } catch (error) {
+      // Leave the file out of the bucket; the upload can simply be retried
+      await store.remove(quarantineId).catch(() => {});
+      console.error('ResumeScreeningService.screenResume error:', error.message);
+      throw new Error('Resume could not be scanned');
+    }
+
+    if (reason) {
+      await this.recordRejection(quarantineId, file, reason, signature);
+      throw new Error(`Resume rejected: ${reason}`);
+    }
+
+    await store.remove(quarantineId);
+
+    return {
+      type: detected,
+      contentType: RESUME_TYPES[detected].contentType,
+      extension: RESUME_TYPES[detected].extensions[0]
+    };
+  }
+
+  /**
+   * Identify a resume format from the file's leading bytes
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} 'pdf', 'doc', 'docx', or null
+   */
+  static detectType(buffer) {
+    const match = Object.entries(RESUME_TYPES)
+      .find(([, type]) => buffer.subarray(0, type.signature.length).equals(type.signature));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Check a file's contents against its name and, for Word documents, its structure
+   * @param {Object} file - Multer file object
+   * @param {string|null} detected - Type from detectType
+   * @returns {string|null} Rejection reason, or null if the file is acceptable
+   */
+  static inspect(file, detected) {
+    if (!detected) {
+      return 'the file is not a PDF, DOC or DOCX document';
+    }
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!RESUME_TYPES[detected].extensions.includes(extension)) {
+      return 'the file contents do not match its extension';
+    }
+
+    if (detected === 'docx') {
+      return this.inspectDocx(file.buffer);
+    }
+    if (detected === 'doc') {
+      return this.inspectDoc(file.buffer);
+    }
+    return null;
+  }
+
+  /**
+   * Look for macros, embedded objects and remote templates in a DOCX package
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} Rejection reason, or null
+   */
+  static inspectDocx(buffer) {
+    let entries;
+    try {
+      entries = readZipEntries(buffer);
+    } catch (error) {
+      return 'the document is damaged';
+    }
+
+    const names = entries.map(entry => entry.name);
+    const contentTypes = entries.find(entry => entry.name === '[Content_Types].xml');
+
+    if (!contentTypes || !names.includes('word/document.xml')) {
+      return 'the file is not a Word document';
+    }
+
+    if (names.some(name => DOCX_MACRO_PARTS.some(pattern => pattern.test(name)))) {
+      return 'documents containing macros are not accepted';
+    }
+    if (names.some(name => DOCX_EMBEDDED_PARTS.some(pattern => pattern.test(name)))) {
+      return 'documents containing embedded objects are not accepted';
+    }
+
+    try {
+      if (/macroEnabled|vbaProject/i.test(readZipText(buffer, contentTypes, MAX_XML_PART_SIZE))) {
+        return 'documents containing macros are not accepted';
+      }
+
+      // A template loaded from a URL when the document opens
+      const settingsRels = entries.find(entry => entry.name === 'word/_rels/settings.xml.rels');
+      if (settingsRels && /TargetMode\s*=\s*"External"/i.test(readZipText(buffer, settingsRels, MAX_XML_PART_SIZE))) {
+        return 'documents linking to external templates are not accepted';
+      }
+    } catch (error) {
+      return 'the document is damaged';
+    }
+
+    return null;
+  }
+
+  /**
+   * Look for VBA projects and embedded objects in a legacy .doc file
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} Rejection reason, or null
+   */
+  static inspectDoc(buffer) {
+    let names;
+    try {
+      names = readOleEntries(buffer).map(entry => entry.name.toUpperCase());
+    } catch (error) {
+      return 'the document is damaged';
+    }
+
+    if (!names.includes('WORDDOCUMENT')) {
+      return 'the file is not a Word document';
+    }
+    if (names.some(name => DOC_MACRO_ENTRIES.includes(name))) {
+      return 'documents containing macros are not accepted';
+    }
+    if (names.some(name => DOC_EMBEDDED_ENTRIES.includes(name))) {
+      return 'documents containing embedded objects are not accepted';
+    }
+    return null;
+  }
+
+  /**
+   * Keep a rejected file in quarantine alongside a record of why it was refused
+   * @param {string} quarantineId - Quarantine file name
+   * @param {Object} file - Multer file object
+   * @param {string} reason - Rejection reason
+   * @param {string|null} signature - Scanner signature, when the scan failed
+   */
+  static async recordRejection(quarantineId, file, reason, signature) {
+    const record = {
+      fileName: file.originalname,
+      declaredType: file.mimetype,
+      size: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      reason,
+      signature,
+      quarantinedAt: clock.now().toISOString()
+    };
+
+    try {
+      await this.getQuarantine().upload(`${quarantineId}.json`, Buffer.from(JSON.stringify(record, null, 2)));
+    } catch (error) {
+      console.error(`Failed to record quarantined resume ${quarantineId}:`, error.message);
+    }
+
+    console.warn(`🛑 Resume quarantined as ${quarantineId}: ${reason}${signature ? ` (${signature})` : ''}`);
+  }
+
+  /**
+   * Delete rejected resumes and their records older than config.uploads.quarantineDays (run
+   * by the retention job)
+   * @param {Date} now - Time to run as
+   * @returns {Promise<number>} Rejected resumes deleted
+   */
+  static async purgeQuarantine(now = clock.now()) {
+    const cutoff = now.getTime() - config.uploads.quarantineDays * 24 * 60 * 60 * 1000;
+    const store = this.getQuarantine();
+    const purged = new Set();
+
+    for (const name of await store.list()) {
+      const match = name.match(QUARANTINE_NAME);
+      if (match && Number(match[1]) < cutoff) {
+        await store.remove(name);
+        purged.add(name.replace(/\.json$/, ''));
+      }
+    }
+
+    return purged.size;
+  }
+}
+
+ResumeScreeningService.RESUME_TYPES = RESUME_TYPES;
+
+module.exports = ResumeScreeningService;
@@ -0,0 +1,100 @@
+// The package index runs a self-test when loaded directly; the library entry point does not
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { readZipEntries, readZipText } = require('../utils/zipReader');
+
+// Resumes longer than this are truncated before indexing (Postgres tsvectors are capped at 1MB)
+const MAX_TEXT_LENGTH = 100000;
+
+// Only the first pages are read; the rest of a long PDF is rarely part of the resume
+const MAX_PDF_PAGES = 20;
+
+// Largest word/document.xml accepted when extracting DOCX text
+const MAX_DOCUMENT_XML_SIZE = 10 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode the entities that can appear in Office XML text nodes
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isNaN(code) ? match : String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity.toLowerCase()] || match;
+});
+
+/**
+ * Resume Text Service
+ * Extracts plain text from PDF and DOCX resumes so they can be searched
+ *
+ * Parsing is done in-process (pdf-parse for PDF, the bundled ZIP reader for DOCX);
+ * no external service is involved. Legacy .doc files are not extracted.
+ */
+class ResumeTextService {
+  /**
+   * Extract searchable text from a resume
+   * @param {Buffer} buffer - File contents
+   * @param {string} type - 'pdf', 'doc' or 'docx' (as detected by ResumeScreeningService)
+   * @returns {Promise<string|null>} Normalized text, or null if none could be extracted
+   */
+  static async extractText(buffer, type) {
+    let text = null;
+
+    if (type === 'pdf') {
+      text = await this.extractPdfText(buffer);
+    } else if (type === 'docx') {
+      text = this.extractDocxText(buffer);
+    }
+
+    return text ? this.normalize(text) || null : null;
+  }
+
+  /**
+   * Extract text from a PDF
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<string>} Raw text
+   */
+  static async extractPdfText(buffer) {
+    const result = await pdfParse(buffer, { max: MAX_PDF_PAGES });
+    return result.text;
+  }
+
+  /**
+   * Extract text from the main document part of a DOCX
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Raw text
+   */
+  static extractDocxText(buffer) {
+    const document = readZipEntries(buffer).find(entry => entry.name === 'word/document.xml');
+
+    if (!document) {
+      throw new Error('DOCX has no word/document.xml');
+    }
+
+    const xml = readZipText(buffer, document, MAX_DOCUMENT_XML_SIZE);
+
+    return decodeXmlEntities(xml
+      .replace(/<\/w:p>/g, '\n')
+      .replace(/<w:(tab|br|cr)\b[^>]*\/>/g, ' ')
+      .replace(/<[^>]+>/g, ''));
+  }
+
+  /**
+   * Collapse whitespace, drop control characters and cap the length
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  static normalize(text) {
+    return text
+      .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, ' ')
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/\s*\n\s*/g, '\n')
+      .trim()
+      .slice(0, MAX_TEXT_LENGTH);
+  }
+}
+
+module.exports = ResumeTextService;
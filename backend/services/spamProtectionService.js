@@ -0,0 +1,555 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createRepository } = require('../repositories');
+const CareerService = require('./careerService');
+const DataProtectionService = require('./dataProtectionService');
+const HcaptchaVerifier = require('../challenges/hcaptchaVerifier');
+const TurnstileVerifier = require('../challenges/turnstileVerifier');
+const FakeChallengeVerifier = require('../challenges/fakeChallengeVerifier');
+const clock = require('../utils/clock');
+const { scoped } = require('../utils/scope');
+
+const PROTECTED_FORMS = ['contact', 'careers'];
+const QUARANTINE_STATUSES = ['held', 'released', 'discarded'];
+
+/**
+ * How much each signal counts towards config.spamProtection.quarantineScore
+ * A filled honeypot is conclusive on its own; the others only add up. A missing form token
+ * stays below the default threshold alone, as visitors with scripts blocked or a page cached
+ * from before the forms had tokens send none.
+ */
+const SIGNAL_WEIGHTS = {
+  honeypot: 10,
+  form_token_missing: 2,
+  form_token_invalid: 3,
+  form_token_expired: 1,
+  too_fast: 3,
+  links: 2,
+  spam_phrase: 2,
+  script_mismatch: 2,
+  mixed_script: 3,
+  challenge_unavailable: 3
+};
+
+// Phrases seen in the spam the forms receive; SPAM_PHRASES adds to the list
+const SPAM_PHRASES = [
+  'backlinks',
+  'bitcoin',
+  'casino',
+  'crypto',
+  'first page of google',
+  'guest post',
+  'increase your traffic',
+  'loan offer',
+  'seo services',
+  'viagra',
+  'web traffic',
+  'whatsapp me',
+  'work from home'
+];
+
+// Scripts told apart when comparing a name with a message
+const SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Arabic', 'Hebrew', 'Han', 'Hangul', 'Thai', 'Devanagari'];
+const SCRIPT_PATTERNS = SCRIPTS.map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+// Latin, Cyrillic and Greek share look-alike letters; mixing them inside a word disguises spam words
+const LOOKALIKE_PATTERNS = SCRIPT_PATTERNS.filter(([script]) => ['Latin', 'Cyrillic', 'Greek'].includes(script));
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.|\[url)/gi;
+
+// Held resumes are kept in the resume bucket under this prefix until released or discarded
+const HELD_RESUME_PREFIX = 'quarantine';
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (payload) => crypto
+  .createHmac('sha256', config.spamProtection.formTokenSecret)
+  .update(payload)
+  .digest('base64url');
+
+// Undefined until created; null when no challenge is configured
+const verifier = scoped(() => undefined);
+
+const quarantineRepository = scoped(() => null);
+
+/**
+ * Spam Protection Service
+ * Bot checks for the public contact and careers forms
+ *
+ * Each submission is scored on:
+ * 1. A honeypot field ("website") hidden from people; anything in it means a bot filled the form
+ * 2. A signed form token issued when the page loads; a missing, forged or reused-elsewhere token,
+ *    or a submission within config.spamProtection.minFillSeconds of loading, counts against it
+ * 3. The text: too many links, known spam phrases, and a message in a different script from
+ *    the name (or words mixing look-alike scripts)
+ * When a challenge provider is configured (hCaptcha or Turnstile) its response must also pass;
+ * a failed challenge is refused outright so the visitor can try again. Submissions scoring
+ * config.spamProtection.quarantineScore or more are held in "Form_Quarantine" for staff review
+ * instead of being saved or acknowledged.
+ */
+class SpamProtectionService {
+  /**
+   * Replace the challenge verifier (e.g. with FakeChallengeVerifier in tests)
+   * @param {Object|null} customVerifier - Object with verify(token, { ip }) -> { success, errorCodes }, or null for none
+   */
+  static setVerifier(customVerifier) {
+    verifier.set(customVerifier);
+  }
+
+  /**
+   * Get the challenge verifier, creating it from config.spamProtection.challenge on first use
+   * @returns {Object|null} Verifier, or null when no challenge is configured
+   */
+  static getVerifier() {
+    if (verifier.get() === undefined) {
+      const { provider, ...options } = config.spamProtection.challenge;
+      if (provider === 'none') {
+        verifier.set(null);
+      } else if (provider === 'hcaptcha') {
+        verifier.set(new HcaptchaVerifier(options));
+      } else if (provider === 'turnstile') {
+        verifier.set(new TurnstileVerifier(options));
+      } else if (provider === 'fake') {
+        verifier.set(new FakeChallengeVerifier());
+      } else {
+        throw new Error(`Unknown challenge provider: ${provider}`);
+      }
+    }
+    return verifier.get();
+  }
+
+  /**
+   * Replace the quarantine store (e.g. with MemoryQuarantineRepository in tests)
+   * @param {Object} repository - Object implementing the quarantine repository interface
+   */
+  static setRepository(repository) {
+    quarantineRepository.set(repository);
+  }
+
+  /**
+   * Get the active quarantine store, creating it from config.database.driver on first use
+   * @returns {Object} Quarantine repository
+   */
+  static getRepository() {
+    if (!quarantineRepository.get()) {
+      quarantineRepository.set(createRepository('quarantine'));
+    }
+    return quarantineRepository.get();
+  }
+
+  /**
+   * Issue the token a form sends back with its submission
+   * @param {string} form - 'contact' or 'careers'
+   * @param {Date} now - Time the form loaded
+   * @returns {Object} { token, minFillSeconds, challenge: { provider, siteKey } | null }
+   */
+  static issueFormToken(form, now = clock.now()) {
+    if (!PROTECTED_FORMS.includes(form)) {
+      throw new Error(`Invalid form: ${form}`);
+    }
+
+    const payload = base64url(JSON.stringify({
+      form,
+      issuedAt: now.getTime(),
+      nonce: crypto.randomBytes(8).toString('hex')
+    }));
+    const { provider, siteKey } = config.spamProtection.challenge;
+
+    return {
+      token: `${payload}.${sign(payload)}`,
+      minFillSeconds: config.spamProtection.minFillSeconds,
+      challenge: this.getVerifier() ? { provider, siteKey: siteKey || null } : null
+    };
+  }
+
+  /**
+   * Check a form token
+   * @param {string} token - Token sent with the submission
+   * @param {string} form - Form it must have been issued for
+   * @param {Date} now - Time of the submission
+   * @returns {Object|null} Signal for a missing, invalid, early or expired token; null when it is fine
+   */
+  static checkFormToken(token, form, now = clock.now()) {
+    if (!token || typeof token !== 'string') {
+      return { signal: 'form_token_missing', detail: 'no form token' };
+    }
+
+    const [payload, signature = ''] = token.split('.');
+    // Compared as bytes: a string of the same length can still differ in byte length
+    const given = Buffer.from(signature);
+    const expected = Buffer.from(sign(payload));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { signal: 'form_token_invalid', detail: 'signature does not match' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { signal: 'form_token_invalid', detail: 'unreadable token' };
+    }
+    if (claims.form !== form) {
+      return { signal: 'form_token_invalid', detail: `issued for the ${claims.form} form` };
+    }
+
+    const elapsedSeconds = (now.getTime() - claims.issuedAt) / 1000;
+    if (elapsedSeconds < config.spamProtection.minFillSeconds) {
+      return { signal: 'too_fast', detail: `submitted ${Math.max(0, elapsedSeconds).toFixed(1)}s after loading` };
+    }
+    if (elapsedSeconds > config.spamProtection.formTokenMaxAgeHours * 60 * 60) {
+      return { signal: 'form_token_expired', detail: `issued ${Math.round(elapsedSeconds / 3600)}h earlier` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Score a submission
+   * @param {string} form - 'contact' or 'careers'
+   * @param {Object} submission - Submission details
+   * @param {string} submission.name - Name given on the form
+   * @param {Array<string>} submission.texts - Free-text fields (message, cover letter)
+   * @param {string} submission.honeypot - Value of the hidden honeypot field
+   * @param {string} submission.formToken - Token issued when the form loaded
+   * @param {string} submission.challengeToken - Challenge response, when a provider is configured
+   * @param {string} submission.ip - IP address of the request
+   * @param {Date} submission.now - Time of the submission
+   * @returns {Promise<Object>} { action: 'accept' | 'quarantine' | 'reject', score, signals, reason }
+   *   reason is 'challenge_missing' or 'challenge_failed' when the submission is rejected
+   */
+  static async assess(form, { name = '', texts = [], honeypot = '', formToken, challengeToken, ip = null, now = clock.now() }) {
+    const found = [];
+
+    if (typeof honeypot === 'string' && honeypot.trim() !== '') {
+      found.push({ signal: 'honeypot', detail: 'hidden field was filled in' });
+    }
+
+    const tokenSignal = this.checkFormToken(formToken, form, now);
+    if (tokenSignal) {
+      found.push(tokenSignal);
+    }
+
+    found.push(...this.analyseContent(name, texts.filter(Boolean)));
+
+    const challengeVerifier = this.getVerifier();
+    if (challengeVerifier) {
+      if (!challengeToken) {
+        return { action: 'reject', reason: 'challenge_missing', score: null, signals: [] };
+      }
+      try {
+        const result = await challengeVerifier.verify(challengeToken, { ip });
+        if (!result.success) {
+          return { action: 'reject', reason: 'challenge_failed', score: null, signals: [] };
+        }
+      } catch (error) {
+        // Without the provider the visitor cannot be confirmed, but the submission is kept
+        console.error('SpamProtectionService: challenge not verified:', error.message);
+        found.push({ signal: 'challenge_unavailable', detail: error.message });
+      }
+    }
+
+    const signals = found.map(({ signal, detail, weight }) => ({
+      signal,
+      weight: weight || SIGNAL_WEIGHTS[signal],
+      detail
+    }));
+    const score = signals.reduce((total, item) => total + item.weight, 0);
+
+    return {
+      action: score >= config.spamProtection.quarantineScore ? 'quarantine' : 'accept',
+      score,
+      signals
+    };
+  }
+
+  /**
+   * Content heuristics
+   * @param {string} name - Name given on the form
+   * @param {Array<string>} texts - Free-text fields
+   * @returns {Array<Object>} Signals ({ signal, detail, weight? })
+   */
+  static analyseContent(name, texts) {
+    const text = texts.join('\n');
+    const signals = [];
+
+    const links = (text.match(LINK_PATTERN) || []).length;
+    if (links > config.spamProtection.maxLinks) {
+      signals.push({ signal: 'links', detail: `${links} links` });
+    }
+
+    const lowerText = text.toLowerCase();
+    const phrases = [...SPAM_PHRASES, ...config.spamProtection.extraPhrases]
+      .filter(phrase => lowerText.includes(phrase));
+    if (phrases.length > 0) {
+      // Each phrase counts, up to three
+      signals.push({
+        signal: 'spam_phrase',
+        detail: phrases.join(', '),
+        weight: SIGNAL_WEIGHTS.spam_phrase * Math.min(phrases.length, 3)
+      });
+    }
+
+    const nameScript = this.dominantScript(name);
+    const textScript = this.dominantScript(text);
+    if (nameScript && textScript && nameScript !== textScript) {
+      signals.push({ signal: 'script_mismatch', detail: `name in ${nameScript}, text in ${textScript}` });
+    }
+
+    const mixed = (text.match(/\p{L}+/gu) || []).find(word =>
+      LOOKALIKE_PATTERNS.filter(([, pattern]) => pattern.test(word)).length > 1
+    );
+    if (mixed) {
+      signals.push({ signal: 'mixed_script', detail: `"${mixed.slice(0, 40)}"` });
+    }
+
+    return signals;
+  }
+
+  /**
+   * The script most letters of a text are written in
+   * @param {string} text - Text
+   * @returns {string|null} Script name (see SCRIPTS), or null when the text has no letters of a known script
+   */
+  static dominantScript(text) {
+    const counts = {};
+    for (const letter of text.match(/\p{L}/gu) || []) {
+      const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(letter));
+      if (match) {
+        counts[match[0]] = (counts[match[0]] || 0) + 1;
+      }
+    }
+
+    const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : null;
+  }
+
+  /**
+   * Hold a submission for review
+   * @param {string} form - 'contact' or 'careers'
+   * @param {Object} submission - Submission details
+   * @param {Object} submission.payload - Form fields needed to release it
+   * @param {string} submission.email - Email address given
+   * @param {Object} submission.assessment - Result of assess()
+   * @param {Object} submission.resumeFile - Uploaded resume (careers)
+   * @param {string} submission.ip - IP address of the request
+   * @returns {Promise<Object>} Quarantined submission
+   */
+  static async quarantine(form, { payload, email, assessment, resumeFile = null, ip = null }) {
+    let resume = {};
+
+    if (resumeFile) {
+      const storagePath = `${HELD_RESUME_PREFIX}/${clock.now().getTime()}_${crypto.randomBytes(8).toString('hex')}`;
+      await CareerService.getResumeStorage().upload(storagePath, resumeFile.buffer, { contentType: resumeFile.mimetype });
+      resume = {
+        resume_storage_path: storagePath,
+        resume_file_name: resumeFile.originalname,
+        resume_content_type: resumeFile.mimetype,
+        resume_size: resumeFile.size
+      };
+    }
+
+    let data;
+    try {
+      data = await this.getRepository().create({
+        form,
+        score: assessment.score,
+        signals: assessment.signals,
+        payload,
+        email: email ? CareerService.normalizeEmail(email) : null,
+        ...resume,
+        ip_hash: ip ? DataProtectionService.keyedHash(ip) : null
+      });
+    } catch (error) {
+      await this.removeHeldResume(resume.resume_storage_path);
+      throw error;
+    }
+
+    console.warn(`🛑 ${form} submission quarantined as ${data.id} (score ${assessment.score}: ${assessment.signals.map(item => item.signal).join(', ')})`);
+
+    return this.formatSubmission(data);
+  }
+
+  /**
+   * List quarantined submissions of a form, newest first
+   * @param {string} form - 'contact' or 'careers'
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { submissions, pagination }
+   */
+  static async getQuarantined(form, { page = 1, limit = 20, status = 'held' } = {}) {
+    const offset = (page - 1) * limit;
+
+    const { rows, total } = await this.getRepository().list({ form, status, offset, limit });
+
+    return {
+      submissions: rows.map(row => this.formatSubmission(row)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get a quarantined submission
+   * @param {string} form - 'contact' or 'careers'
+   * @param {number} id - Quarantine ID
+   * @returns {Promise<Object>} Submission, including the submitted fields
+   */
+  static async getQuarantinedById(form, id) {
+    return this.formatSubmission(await this.getRow(form, id));
+  }
+
+  /**
+   * Read a quarantine row
+   * @param {string} form - 'contact' or 'careers'
+   * @param {number} id - Quarantine ID
+   * @returns {Promise<Object>} Form_Quarantine row
+   */
+  static async getRow(form, id) {
+    const data = await this.getRepository().findById(id, form);
+
+    if (!data) {
+      throw new Error('Quarantined submission not found');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a held submission ready to be released
+   * @param {string} form - 'contact' or 'careers'
+   * @param {number} id - Quarantine ID
+   * @returns {Promise<Object>} { submission, resumeFile } - resumeFile is shaped like a multer upload
+   */
+  static async takeForRelease(form, id) {
+    const row = await this.getRow(form, id);
+    if (row.status !== 'held') {
+      throw new Error(`Quarantined submission already ${row.status}`);
+    }
+
+    let resumeFile = null;
+    if (row.resume_storage_path) {
+      const file = await CareerService.getResumeStorage().download(row.resume_storage_path);
+      const chunks = [];
+      for await (const chunk of file.stream) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+      const buffer = Buffer.concat(chunks);
+      resumeFile = {
+        buffer,
+        originalname: row.resume_file_name,
+        mimetype: row.resume_content_type,
+        size: buffer.length
+      };
+    }
+
+    return { submission: this.formatSubmission(row), resumeFile };
+  }
+
+  /**
+   * Close a held submission: released (the record was created) or discarded (spam)
+   * The submitted fields and held resume are removed either way; the signals stay until
+   * the retention job deletes the row.
+   * @param {string} form - 'contact' or 'careers'
+   * @param {number} id - Quarantine ID
+   * @param {string} status - 'released' or 'discarded'
+   * @param {Object} reviewedBy - Staff user
+   * @param {string} reference - Reference of the record created on release
+   * @returns {Promise<Object>} Updated submission
+   */
+  static async closeQuarantined(form, id, status, reviewedBy, reference = null) {
+    const current = await this.getRow(form, id);
+    if (current.status !== 'held') {
+      throw new Error(`Quarantined submission already ${current.status}`);
+    }
+
+    const data = await this.getRepository().updateHeld(id, {
+      status,
+      payload: null,
+      email: null,
+      resume_storage_path: null,
+      reviewed_by: reviewedBy.id,
+      reviewed_by_name: reviewedBy.fullName,
+      reviewed_at: clock.now().toISOString(),
+      released_reference: reference
+    });
+
+    if (!data) {
+      throw new Error('Quarantined submission already reviewed');
+    }
+
+    await this.removeHeldResume(current.resume_storage_path);
+
+    return this.formatSubmission(data);
+  }
+
+  /**
+   * Delete quarantined submissions older than config.spamProtection.quarantineDays (run by the retention job)
+   * @param {Date} now - Time to run as
+   * @returns {Promise<number>} Submissions deleted
+   */
+  static async purgeQuarantine(now = clock.now()) {
+    const cutoff = new Date(now.getTime() - config.spamProtection.quarantineDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const held = await this.getRepository().listResumesReceivedBefore(cutoff);
+
+    // Resumes first; a row whose file could not be removed is kept for the next run
+    const kept = [];
+    for (const row of held) {
+      if (!(await this.removeHeldResume(row.resume_storage_path))) {
+        kept.push(row.id);
+      }
+    }
+
+    return this.getRepository().deleteReceivedBefore(cutoff, kept);
+  }
+
+  /**
+   * Remove a held resume from storage
+   * @param {string|null} storagePath - Path in the resume bucket
+   * @returns {Promise<boolean>} false if the file could not be removed
+   */
+  static async removeHeldResume(storagePath) {
+    if (!storagePath) {
+      return true;
+    }
+    try {
+      await CareerService.getResumeStorage().remove(storagePath);
+      return true;
+    } catch (error) {
+      console.error(`Failed to remove held resume ${storagePath}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Format a quarantine row for the API
+   * @param {Object} row - Form_Quarantine row
+   * @returns {Object} Submission
+   */
+  static formatSubmission(row) {
+    return {
+      id: row.id,
+      form: row.form,
+      status: row.status,
+      score: row.score,
+      signals: row.signals,
+      email: row.email,
+      payload: row.payload,
+      resume: row.resume_storage_path
+        ? { fileName: row.resume_file_name, contentType: row.resume_content_type, size: row.resume_size }
+        : null,
+      receivedAt: row.received_at,
+      reviewedByName: row.reviewed_by_name,
+      reviewedAt: row.reviewed_at,
+      releasedReference: row.released_reference
+    };
+  }
+}
+
+SpamProtectionService.PROTECTED_FORMS = PROTECTED_FORMS;
+SpamProtectionService.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
+SpamProtectionService.HONEYPOT_FIELD = 'website';
+
+module.exports = SpamProtectionService;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local File Storage
+ * Same interface as SupabaseFileStorage, backed by a directory on disk.
+ * Intended for local development and tests; it cannot issue signed URLs,
+ * so files are always streamed through the API.
+ */
+class LocalFileStorage {
+  /**
+   * @param {string} rootDir - Directory files are stored under
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Absolute path for a storage path, refusing paths that escape rootDir
+   * @param {string} storagePath - Path relative to rootDir
+   * @returns {string} Absolute path
+   */
+  resolve(storagePath) {
+    const fullPath = path.resolve(this.rootDir, storagePath);
+    if (!fullPath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage path');
+    }
+    return fullPath;
+  }
+
+  async upload(storagePath, buffer, { contentType } = {}) {
+    const fullPath = this.resolve(storagePath);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    try {
+      // 'wx' fails if the file exists, matching upsert: false on Supabase
+      await fs.promises.writeFile(fullPath, buffer, { flag: 'wx' });
+      if (contentType) {
+        await fs.promises.writeFile(`${fullPath}.type`, contentType);
+      }
+    } catch (error) {
+      throw new Error(`File upload failed: ${error.message}`);
+    }
+
+    return { path: storagePath };
+  }
+
+  async download(storagePath) {
+    const fullPath = this.resolve(storagePath);
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(fullPath);
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT' ? 'File not found' : `File download failed: ${error.message}`);
+    }
+
+    const contentType = await fs.promises.readFile(`${fullPath}.type`, 'utf8')
+      .catch(() => 'application/octet-stream');
+
+    return {
+      stream: fs.createReadStream(fullPath),
+      contentType,
+      size: stats.size
+    };
+  }
+
+  async createSignedUrl() {
+    return null;
+  }
+
+  /**
+   * Paths of the files stored directly under rootDir (local only; used for the upload quarantine)
+   * @returns {Promise<Array<string>>}
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.rootDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`File listing failed: ${error.message}`);
+    }
+
+    return entries
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.type'))
+      .map(entry => entry.name);
+  }
+
+  async remove(storagePath) {
+    const fullPath = this.resolve(storagePath);
+    await fs.promises.rm(fullPath, { force: true });
+    await fs.promises.rm(`${fullPath}.type`, { force: true });
+    return true;
+  }
+}
+
+module.exports = LocalFileStorage;
@@ -0,0 +1,100 @@
+const { Readable } = require('stream');
+
+/**
+ * Whether a storage error means the object does not exist
+ * download() rejects with the raw response as originalError rather than a parsed error;
+ * Storage answers a missing object with 404, or with 400 and statusCode "404" in the body.
+ * @param {Error} error - Error from the storage client
+ * @returns {Promise<boolean>}
+ */
+const isNotFound = async (error) => {
+  const response = error.originalError;
+  if (error.status === 404 || error.statusCode === '404' || (response && response.status === 404)) {
+    return true;
+  }
+  if (response && response.status === 400 && typeof response.json === 'function') {
+    const body = await response.json().catch(() => null);
+    return Boolean(body && String(body.statusCode) === '404');
+  }
+  return /not found/i.test(error.message);
+};
+
+/**
+ * Supabase File Storage
+ * Stores files in a (private) Supabase Storage bucket
+ *
+ * File storage interface, shared with LocalFileStorage:
+ *   upload(path, buffer, { contentType }) -> { path }
+ *   download(path) -> { stream, contentType, size }
+ *   createSignedUrl(path, expiresIn, { downloadName }) -> url | null
+ *   remove(path) -> true
+ */
+class SupabaseFileStorage {
+  /**
+   * @param {Object} client - Supabase client with access to the bucket (service role)
+   * @param {string} bucket - Bucket name
+   */
+  constructor(client, bucket) {
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  async upload(path, buffer, { contentType } = {}) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(path, buffer, {
+        contentType,
+        upsert: false
+      });
+
+    if (error) {
+      throw new Error(`File upload failed: ${error.message}`);
+    }
+
+    return { path };
+  }
+
+  async download(path) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .download(path);
+
+    if (error) {
+      throw new Error(await isNotFound(error) ? 'File not found' : `File download failed: ${error.message}`);
+    }
+
+    const buffer = Buffer.from(await data.arrayBuffer());
+
+    return {
+      stream: Readable.from(buffer),
+      contentType: data.type || 'application/octet-stream',
+      size: buffer.length
+    };
+  }
+
+  async createSignedUrl(path, expiresIn, { downloadName } = {}) {
+    const { data, error } = await this.client.storage
+      .from(this.bucket)
+      .createSignedUrl(path, expiresIn, downloadName ? { download: downloadName } : undefined);
+
+    if (error) {
+      throw new Error(`Failed to create signed URL: ${error.message}`);
+    }
+
+    return data.signedUrl;
+  }
+
+  async remove(path) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .remove([path]);
+
+    if (error) {
+      throw new Error(`File removal failed: ${error.message}`);
+    }
+
+    return true;
+  }
+}
+
+module.exports = SupabaseFileStorage;
@@ -10,6 +10,11 @@ async function testCareerAPI() {
         const testResumeContent = '%PDF-1.4\n1 0 obj\n<<\n/Type /Catalog\n/Pages 2 0 R\n>>\nendobj\n2 0 obj\n<<\n/Type /Pages\n/Kids [3 0 R]\n/Count 1\n>>\nendobj\n3 0 obj\n<<\n/Type /Page\n/Parent 2 0 R\n/MediaBox [0 0 612 792]\n>>\nendobj\nxref\n0 4\n0000000000 65535 f \n0000000009 00000 n \n0000000058 00000 n \n0000000115 00000 n \ntrailer\n<<\n/Size 4\n/Root 1 0 R\n>>\nstartxref\n174\n%%EOF';
         fs.writeFileSync('test-resume.pdf', testResumeContent);
 
+        // Get a form token, then wait as long as a person would take to fill the form in
+        const tokenResponse = await fetch('http://localhost:3002/api/careers/form-token');
+        const { data: formProtection } = await tokenResponse.json();
+        await new Promise(resolve => setTimeout(resolve, (formProtection.minFillSeconds + 1) * 1000));
+
         // Create form data
         const formData = new FormData();
         formData.append('fullName', 'John Doe');
@@ -21,6 +26,9 @@ async function testCareerAPI() {
         formData.append('qualification', 'bpharm');
         formData.append('coverLetter', 'This is a test cover letter.');
         formData.append('consent', 'on');
+        formData.append('privacyNoticeVersion', '1.0');
+        formData.append('formToken', formProtection.token);
+        formData.append('website', '');
         formData.append('resume', fs.createReadStream('test-resume.pdf'), {
             filename: 'test-resume.pdf',
             contentType: 'application/pdf'
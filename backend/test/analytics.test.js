@@ -0,0 +1,229 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const MemoryCareerRepository = require('../repositories/memoryCareerRepository');
+
+describe('application analytics', () => {
+  let app;
+  let viewer;
+
+  before(async () => {
+    app = await startApp({ config: { careers: { reportingTimezone: 'Africa/Nairobi' } } });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    // 01:30 on 2 March in Nairobi (UTC+3), still 1 March in UTC
+    app.clock.fixed = new Date('2025-03-01T22:30:00Z');
+    viewer = app.staffToken('viewer');
+  });
+
+  const get = (urlPath) => app.request(urlPath, { headers: { Authorization: `Bearer ${viewer}` } });
+
+  // career_application_analytics() groups in SQL; the stand-in records the range it is asked for
+  const defineAnalytics = (result = {}) => {
+    const calls = [];
+    app.standIn.defineFunction('career_application_analytics', (args) => {
+      calls.push(args);
+      return {
+        total: 0,
+        series: [],
+        position: [],
+        qualification: [],
+        experience: [],
+        location: [],
+        status: [],
+        reached: {},
+        ...result
+      };
+    });
+    return calls;
+  };
+
+  describe('GET /api/careers/admin/stats', () => {
+    it('counts today in the reporting time zone', async () => {
+      app.standIn.seed('Career_Applications', [
+        { full_name: 'Before midnight', application_status: 'pending', application_date: '2025-03-01T20:59:59.000Z' },
+        { full_name: 'After midnight', application_status: 'pending', application_date: '2025-03-01T21:00:00.000Z' },
+        { full_name: 'Just now', application_status: 'reviewing', application_date: '2025-03-01T22:00:00.000Z' }
+      ]);
+
+      const response = await get('/api/careers/admin/stats');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.today, 2);
+      assert.equal(response.body.data.total, 3);
+      assert.equal(response.body.data.timezone, 'Africa/Nairobi');
+      assert.deepEqual(response.body.data.statusBreakdown, { pending: 2, reviewing: 1 });
+    });
+  });
+
+  describe('GET /api/careers/admin/analytics', () => {
+    it('defaults to the 30 days up to today in the reporting time zone, from local midnight to local midnight', async () => {
+      const calls = defineAnalytics();
+
+      const response = await get('/api/careers/admin/analytics');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.range, { from: '2025-02-01', to: '2025-03-02', interval: 'day', timezone: 'Africa/Nairobi' });
+      assert.deepEqual(calls, [{
+        p_from: '2025-01-31T21:00:00.000Z',
+        p_to: '2025-03-02T21:00:00.000Z',
+        p_interval: 'day',
+        p_timezone: 'Africa/Nairobi'
+      }]);
+    });
+
+    it('bounds the range by local midnight in the requested time zone, across daylight saving changes', async () => {
+      const calls = defineAnalytics();
+
+      await get('/api/careers/admin/analytics?from=2025-01-01&to=2025-01-01&timezone=Asia/Kolkata');
+      // Clocks in New York went forward at 02:00 on 9 March 2025, so that day had 23 hours
+      await get('/api/careers/admin/analytics?from=2025-03-09&to=2025-03-09&timezone=America/New_York&interval=week');
+
+      assert.deepEqual(calls.map(args => [args.p_from, args.p_to, args.p_interval]), [
+        ['2024-12-31T18:30:00.000Z', '2025-01-01T18:30:00.000Z', 'day'],
+        ['2025-03-09T05:00:00.000Z', '2025-03-10T04:00:00.000Z', 'week']
+      ]);
+    });
+
+    it('labels positions, orders experience bands and works out the conversion between stages', async () => {
+      defineAnalytics({
+        total: 8,
+        series: [{ period: '2025-02-24', count: 3 }, { period: '2025-03-03', count: 5 }],
+        position: [{ value: 'quality-assurance', count: 6 }, { value: 'retired-role', count: 2 }],
+        experience: [{ value: '10+', count: 1 }, { value: '2-3', count: 4 }, { value: '0-1', count: 3 }],
+        reached: { submitted: 8, reviewing: 4, shortlisted: 2, interviewed: 0, hired: 0 }
+      });
+
+      const response = await get('/api/careers/admin/analytics?from=2025-02-24&to=2025-03-09&interval=week');
+      const { data } = response.body;
+
+      assert.equal(data.total, 8);
+      assert.deepEqual(data.series, [{ period: '2025-02-24', count: 3 }, { period: '2025-03-03', count: 5 }]);
+      assert.deepEqual(data.breakdowns.position, [
+        { value: 'quality-assurance', count: 6, label: 'Quality Assurance Officer' },
+        { value: 'retired-role', count: 2, label: 'retired-role' }
+      ]);
+      assert.deepEqual(data.breakdowns.experience.map(entry => entry.value), ['0-1', '2-3', '10+']);
+      assert.deepEqual(data.funnel, [
+        { stage: 'submitted', count: 8, conversionRate: null, overallRate: null },
+        { stage: 'reviewing', count: 4, conversionRate: 0.5, overallRate: 0.5 },
+        { stage: 'shortlisted', count: 2, conversionRate: 0.5, overallRate: 0.25 },
+        { stage: 'interviewed', count: 0, conversionRate: 0, overallRate: 0 },
+        { stage: 'hired', count: 0, conversionRate: null, overallRate: 0 }
+      ]);
+      assert.equal(data.generatedAt, '2025-03-01T22:30:00.000Z');
+    });
+
+    it('exports the series, breakdowns and funnel as one CSV table', async () => {
+      defineAnalytics({
+        total: 2,
+        series: [{ period: '2025-03-01', count: 2 }],
+        position: [{ value: 'quality-assurance', count: 2 }],
+        reached: { submitted: 2, reviewing: 1 }
+      });
+
+      const response = await get('/api/careers/admin/analytics?from=2025-03-01&to=2025-03-01&format=csv');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="career-analytics-2025-03-01-to-2025-03-01.csv"');
+      const lines = response.body.trim().split(/\r?\n/);
+      assert.equal(lines[0], 'section,key,label,count,conversion_rate,overall_rate');
+      assert.equal(lines[1], 'series,2025-03-01,day,2,,');
+      assert.equal(lines[2], 'position,quality-assurance,Quality Assurance Officer,2,,');
+      assert.equal(lines.at(-4), 'funnel,reviewing,reviewing,1,0.5,0.5');
+    });
+
+    it('rejects a backwards or over-long range, impossible dates and unknown time zones', async () => {
+      const calls = defineAnalytics();
+
+      const backwards = await get('/api/careers/admin/analytics?from=2025-03-02&to=2025-03-01');
+      const tooLong = await get('/api/careers/admin/analytics?from=2023-01-01&to=2025-01-01');
+      const impossible = await get('/api/careers/admin/analytics?from=2025-02-30');
+      const zone = await get('/api/careers/admin/analytics?timezone=Africa/Atlantis');
+
+      assert.equal(backwards.status, 400);
+      assert.equal(backwards.body.message, 'Invalid analytics range: from must not be after to');
+      assert.equal(tooLong.status, 400);
+      assert.equal(tooLong.body.message, 'Invalid analytics range: at most 731 days');
+      assert.equal(impossible.status, 400);
+      assert.equal(impossible.body.errors[0].field, 'from');
+      assert.equal(zone.status, 400);
+      assert.equal(zone.body.errors[0].field, 'timezone');
+      assert.equal(calls.length, 0);
+    });
+  });
+
+  describe('grouping in the memory driver', () => {
+    const analytics = (applications, range) => new MemoryCareerRepository(applications).analytics(range);
+
+    it('counts an application on its local calendar day and includes days without applications', async () => {
+      const result = await analytics([
+        { position: 'quality-assurance', application_date: '2025-03-01T20:30:00.000Z' },
+        { position: 'quality-assurance', application_date: '2025-03-01T21:30:00.000Z' },
+        { position: 'quality-assurance', application_date: '2025-03-03T08:00:00.000Z' }
+      ], {
+        from: '2025-02-28T21:00:00.000Z',
+        to: '2025-03-03T21:00:00.000Z',
+        interval: 'day',
+        timezone: 'Africa/Nairobi'
+      });
+
+      assert.deepEqual(result.series, [
+        { period: '2025-03-01', count: 1 },
+        { period: '2025-03-02', count: 1 },
+        { period: '2025-03-03', count: 1 }
+      ]);
+    });
+
+    it('starts weeks on Monday and months on the first, in local time', async () => {
+      const applications = [
+        // Sunday 2 March at 23:30 in Nairobi
+        { application_date: '2025-03-02T20:30:00.000Z' },
+        // Monday 3 March at 00:30 in Nairobi
+        { application_date: '2025-03-02T21:30:00.000Z' },
+        // 1 April at 01:00 in Nairobi
+        { application_date: '2025-03-31T22:00:00.000Z' }
+      ];
+      const range = { from: '2025-02-28T21:00:00.000Z', to: '2025-04-01T21:00:00.000Z', timezone: 'Africa/Nairobi' };
+
+      const weeks = await analytics(applications, { ...range, interval: 'week' });
+      const months = await analytics(applications, { ...range, interval: 'month' });
+
+      assert.deepEqual(weeks.series.slice(0, 2), [
+        { period: '2025-02-24', count: 1 },
+        { period: '2025-03-03', count: 1 }
+      ]);
+      assert.deepEqual(weeks.series.at(-1), { period: '2025-03-31', count: 1 });
+      assert.deepEqual(months.series, [
+        { period: '2025-03-01', count: 2 },
+        { period: '2025-04-01', count: 1 }
+      ]);
+    });
+
+    it('counts the furthest stage each application reached, including through its history', async () => {
+      const repository = new MemoryCareerRepository([
+        { application_status: 'pending', application_date: '2025-03-01T08:00:00.000Z' },
+        { application_status: 'reviewing', application_date: '2025-03-01T08:00:00.000Z' },
+        { application_status: 'interviewed', application_date: '2025-03-01T08:00:00.000Z' }
+      ]);
+      await repository.transitionStatus({ id: 2, fromStatus: 'reviewing', toStatus: 'shortlisted' });
+      await repository.transitionStatus({ id: 2, fromStatus: 'shortlisted', toStatus: 'rejected' });
+
+      const result = await repository.analytics({
+        from: '2025-03-01T00:00:00.000Z',
+        to: '2025-03-02T00:00:00.000Z',
+        interval: 'day',
+        timezone: 'UTC'
+      });
+
+      assert.deepEqual(result.reached, { submitted: 3, reviewing: 2, shortlisted: 2, interviewed: 1, hired: 0 });
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { startApp, PRIVACY_NOTICE_VERSION } = require('./support/app');
+
+describe('app', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it('reports health', async () => {
+    const response = await app.request('/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'OK');
+    assert.equal(response.body.environment, 'test');
+  });
+
+  it('answers unknown routes with a JSON 404', async () => {
+    const response = await app.request('/api/brochures?lang=fr');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.error, 'Route not found');
+    assert.equal(response.body.message, 'The requested route /api/brochures?lang=fr does not exist.');
+  });
+
+  it('answers unknown methods on known paths with a JSON 404', async () => {
+    const response = await app.request('/api/contact', { method: 'PUT', body: {} });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Route not found');
+  });
+
+  describe('GET /api/admin/config', () => {
+    it('shows the configuration to admins with secrets redacted', async () => {
+      app.reset();
+      const response = await app.request('/api/admin/config', {
+        headers: { Authorization: `Bearer ${app.staffToken('admin')}` }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('cache-control'), 'private, no-store');
+      assert.equal(response.body.data.environment, 'test');
+      assert.equal(response.body.data.config.auth.jwtSecret, '[redacted]');
+      assert.equal(response.body.data.config.spamProtection.formTokenSecret, '[redacted]');
+      assert.equal(response.body.data.config.spamProtection.challenge.secret, null);
+      assert.equal(response.body.data.config.uploads.scanner, 'stub');
+      assert.ok(!JSON.stringify(response.body).includes('test-jwt-secret'));
+      assert.ok(Array.isArray(response.body.data.warnings));
+    });
+
+    it('is limited to admins', async () => {
+      app.reset();
+      const response = await app.request('/api/admin/config', {
+        headers: { Authorization: `Bearer ${app.staffToken('viewer')}` }
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.success, false);
+    });
+  });
+});
+
+describe('createApp', () => {
+  it('builds the app with injected Supabase clients and no Supabase settings, listening or leaving anything running', () => {
+    const script = `
+      const { createClient } = require('@supabase/supabase-js');
+      const createApp = require('./app');
+      const app = createApp({ database: { client: createClient('http://127.0.0.1:1', 'key') } });
+      process.stdout.write(typeof app.listen);
+    `;
+
+    // Empty values are kept by dotenv, so a local .env cannot fill them in
+    const result = spawnSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, SUPABASE_URL: '', SUPABASE_ANON_KEY: '', SUPABASE_SERVICE_KEY: '', SUPABASE_SERVICE_ROLE_KEY: '' },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, 'function');
+  });
+
+  it('gives each app a copy of the configuration with its overrides, leaving the loaded one in use elsewhere', () => {
+    const script = `
+      const config = require('./config');
+      const createApp = require('./app');
+      const loaded = JSON.stringify(config);
+      const settings = () => [config.auth.jwtSecret, config.security.rateLimit.maxRequests];
+
+      const first = createApp({ config: { auth: { jwtSecret: 'first-app-secret' }, security: { rateLimit: { maxRequests: 5 } } } });
+      const second = createApp({ config: { security: { rateLimit: { maxRequests: 7 } } } });
+
+      let assigned = null;
+      try { first.locals.run(() => { config.auth = {}; }); } catch (error) { assigned = error.message; }
+
+      process.stdout.write(JSON.stringify({
+        first: first.locals.run(settings),
+        second: second.locals.run(settings),
+        outside: settings(),
+        assigned,
+        unchanged: JSON.stringify(config) === loaded && first.locals.config.auth.jwtSecret === 'first-app-secret'
+      }));
+    `;
+
+    const result = spawnSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, JWT_SECRET: 'loaded-secret', RATE_LIMIT_MAX_REQUESTS: '100' },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(JSON.parse(result.stdout), {
+      first: ['first-app-secret', 5],
+      second: ['loaded-secret', 7],
+      outside: ['loaded-secret', 100],
+      assigned: 'Cannot set config.auth; pass overrides to createApp() instead',
+      unchanged: true
+    });
+  });
+
+  it('refuses missing Supabase settings', () => {
+    const script = `
+      const createApp = require('./app');
+      try { createApp(); } catch (error) { process.stdout.write(error.message); }
+    `;
+
+    const result = spawnSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, NODE_ENV: 'test', SUPABASE_URL: '', SUPABASE_ANON_KEY: '' },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, [
+      'Invalid configuration (test):',
+      '   - database.supabase.url (SUPABASE_URL) is required',
+      '   - database.supabase.anonKey (SUPABASE_ANON_KEY) is required'
+    ].join('\n'));
+  });
+
+  it('checks the configuration again once overrides are applied', () => {
+    const script = `
+      const createApp = require('./app');
+      const config = require('./config');
+      try {
+        createApp({
+          config: {
+            server: { environment: 'production' },
+            security: { cors: { origins: ['*'], credentials: true } },
+            auth: { jwtSecret: '' }
+          }
+        });
+      } catch (error) {
+        process.stdout.write(JSON.stringify({ message: error.message, inUse: config.server.environment }));
+      }
+    `;
+
+    const result = spawnSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: {
+        ...process.env,
+        NODE_ENV: 'test',
+        SUPABASE_URL: 'https://example.supabase.co',
+        SUPABASE_ANON_KEY: 'anon-key',
+        SUPABASE_SERVICE_ROLE_KEY: 'service-key'
+      },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(result.status, 0, result.stderr);
+    const { message, inUse } = JSON.parse(result.stdout);
+    assert.match(message, /^Invalid configuration \(production\):/);
+    assert.match(message, /auth\.jwtSecret \(JWT_SECRET\) is required/);
+    assert.match(message, /security\.cors allows any origin/);
+    assert.equal(inUse, 'test');
+  });
+
+  it('stops scripts with an invalid configuration before they do anything', () => {
+    const result = spawnSync(process.execPath, ['scripts/runRetentionJob.js'], {
+      cwd: path.join(__dirname, '..'),
+      env: {
+        ...process.env,
+        NODE_ENV: 'production',
+        SUPABASE_URL: 'https://example.supabase.co',
+        SUPABASE_ANON_KEY: 'anon-key',
+        SUPABASE_SERVICE_KEY: '',
+        SUPABASE_SERVICE_ROLE_KEY: '',
+        JWT_SECRET: ''
+      },
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, /❌ Invalid configuration \(production\):/);
+    assert.match(result.stderr, /database\.supabase\.serviceKey .* is required/);
+    assert.match(result.stderr, /auth\.jwtSecret \(JWT_SECRET\) is required/);
+  });
+});
+
+describe('two apps in one process', () => {
+  let first;
+  let second;
+
+  before(async () => {
+    first = await startApp({ config: { auth: { jwtSecret: 'first-app-secret' }, mail: { mailboxes: { general: 'first@africurepharma.com' } } } });
+    second = await startApp({ config: { auth: { jwtSecret: 'second-app-secret' }, mail: { mailboxes: { general: 'second@africurepharma.com' } } } });
+  });
+
+  after(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  const enquiry = (app) => app.request('/api/contact', {
+    method: 'POST',
+    body: {
+      fullName: 'Amina Okello',
+      email: 'amina.okello@example.com',
+      contact: '+256700123456',
+      message: 'Please send me your price list for antimalarials.',
+      consent: true,
+      privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+      formToken: app.formToken('contact'),
+      website: ''
+    }
+  });
+
+  it('keep their own configuration, database, mailer, clock and rate limits', async () => {
+    first.reset();
+    second.reset();
+    first.clock.fixed = new Date('2025-01-01T00:00:00Z');
+
+    // The contact form allows three submissions per IP; both apps see the same IP
+    const firstApp = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      firstApp.push(await enquiry(first));
+    }
+    const secondApp = await enquiry(second);
+    await first.mailSent();
+    await second.mailSent();
+
+    assert.deepEqual(firstApp.map(response => response.status), [201, 201, 201, 429]);
+    assert.equal(secondApp.status, 201);
+    assert.equal(first.standIn.rows('Contact_Us').length, 3);
+    assert.equal(second.standIn.rows('Contact_Us').length, 1);
+    assert.ok(first.mail.some(message => message.to === 'first@africurepharma.com'));
+    assert.ok(second.mail.some(message => message.to === 'second@africurepharma.com'));
+    assert.ok(!second.mail.some(message => message.to === 'first@africurepharma.com'));
+
+    const asOf = (app) => app.request('/api/registrations/expiring', { headers: { Authorization: `Bearer ${app.staffToken('viewer')}` } });
+    assert.equal((await asOf(first)).body.meta.asOf, '2025-01-01');
+    assert.notEqual((await asOf(second)).body.meta.asOf, '2025-01-01');
+
+    const ownToken = await second.request('/api/auth/me', { headers: { Authorization: `Bearer ${second.staffToken('admin')}` } });
+    const otherToken = await second.request('/api/auth/me', { headers: { Authorization: `Bearer ${first.staffToken('admin')}` } });
+    assert.equal(ownToken.status, 200);
+    assert.equal(otherToken.status, 401);
+  });
+});
@@ -0,0 +1,351 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp, RESUME_BUCKET } = require('./support/app');
+const CareerService = require('../services/careerService');
+const LocalFileStorage = require('../storage/localFileStorage');
+
+describe('admin applications', () => {
+  let app;
+  let viewer;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    viewer = app.staffToken('viewer');
+  });
+
+  const seedApplication = (fields = {}) => app.standIn.seed('Career_Applications', [{
+    full_name: 'Joseph Mukasa',
+    email: 'joseph.mukasa@example.com',
+    phone: '+256701234567',
+    phone_normalized: '701234567',
+    location: 'Kampala',
+    position: 'quality-assurance',
+    experience: '4-5',
+    qualification: 'bpharm',
+    application_status: 'pending',
+    application_date: '2025-01-01T08:00:00.000Z',
+    submission_count: 1,
+    resume_storage_path: null,
+    ...fields
+  }])[0];
+
+  const get = (urlPath, token = viewer) => app.request(urlPath, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  describe('GET /api/careers/admin/applications', () => {
+    it('pages and sorts the list', async () => {
+      seedApplication({ full_name: 'Amina Okello', application_date: '2025-01-03T08:00:00.000Z' });
+      seedApplication({ full_name: 'Brian Otieno', application_date: '2025-01-01T08:00:00.000Z' });
+      seedApplication({ full_name: 'Carol Achieng', application_date: '2025-01-02T08:00:00.000Z' });
+
+      const response = await get('/api/careers/admin/applications?page=2&limit=1&sortBy=full_name&sortOrder=asc');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.map(row => row.full_name), ['Brian Otieno']);
+      assert.deepEqual(response.body.pagination, { page: 2, limit: 1, total: 3, totalPages: 3 });
+    });
+
+    it('rejects invalid paging, sorting and filters with the field errors', async () => {
+      const response = await get('/api/careers/admin/applications?page=0&limit=500&sortBy=password_hash&sortOrder=up&status=lost');
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['limit', 'page', 'sortBy', 'sortOrder', 'status']);
+    });
+  });
+
+  describe('GET /api/careers/admin/applications/search', () => {
+    // As search_career_applications() in the migrations: ts_headline marks matches with \u0002 and \u0003
+    const defineSearch = (rows) => {
+      const calls = [];
+      app.standIn.defineFunction('search_career_applications', (args) => {
+        calls.push(args);
+        return rows.map(row => ({ ...row, total_count: 3 }));
+      });
+      return calls;
+    };
+
+    it('passes the terms, filters and page to the search and returns highlighted matches', async () => {
+      const calls = defineSearch([{
+        id: 7,
+        full_name: 'Joseph Mukasa',
+        position: 'quality-assurance',
+        resume_storage_path: 'applications/7/resume.pdf',
+        resume_text: 'GMP validation for <sterile> lines',
+        rank: 0.6,
+        resume_headline: '\u0002GMP\u0003 validation for <sterile> lines ... unrelated fragment',
+        cover_letter_headline: null
+      }]);
+
+      const response = await get('/api/careers/admin/applications/search?q=GMP%20validation&position=quality-assurance&experience=4-5&page=2&limit=2');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(calls, [{
+        search_query: 'GMP validation',
+        filter_position: 'quality-assurance',
+        filter_experience: '4-5',
+        filter_qualification: null,
+        result_limit: 2,
+        result_offset: 2
+      }]);
+      const [match] = response.body.data;
+      assert.deepEqual(match.highlights, {
+        resume: ['<mark>GMP</mark> validation for &lt;sterile&gt; lines'],
+        coverLetter: []
+      });
+      assert.equal(match.has_resume, true);
+      assert.equal(match.resume_storage_path, undefined);
+      assert.equal(match.resume_text, undefined);
+      assert.equal(match.total_count, undefined);
+      assert.deepEqual(response.body.pagination, { page: 2, limit: 2, total: 3, totalPages: 2 });
+    });
+
+    it('reports no matches with an empty page', async () => {
+      defineSearch([]);
+
+      const response = await get('/api/careers/admin/applications/search?q=CTD');
+
+      assert.deepEqual(response.body.data, []);
+      assert.equal(response.body.pagination.total, 0);
+    });
+
+    it('requires search terms and known filter values', async () => {
+      const response = await get('/api/careers/admin/applications/search?q=%20&experience=lots&qualification=phd-in-magic');
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['experience', 'q', 'qualification']);
+    });
+  });
+
+  describe('GET /api/careers/admin/applications/:id', () => {
+    it('returns the application without its storage path', async () => {
+      const application = seedApplication({ resume_storage_path: 'applications/1/resume.pdf' });
+
+      const response = await get(`/api/careers/admin/applications/${application.id}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.full_name, 'Joseph Mukasa');
+      assert.equal(response.body.data.resume_storage_path, undefined);
+    });
+
+    it('rejects an ID that is not a number and reports unknown ones as not found', async () => {
+      const invalid = await get('/api/careers/admin/applications/abc');
+      const unknown = await get('/api/careers/admin/applications/999');
+
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.errors[0].field, 'id');
+      assert.equal(unknown.status, 404);
+    });
+  });
+
+  describe('status workflow', () => {
+    let hr;
+
+    beforeEach(() => {
+      hr = app.staffToken('hr');
+    });
+
+    const setStatus = (id, status, notes, token = hr) => app.request(`/api/careers/admin/applications/${id}/status`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}` },
+      body: { status, notes }
+    });
+
+    it('moves an application through the pipeline and records each step in the timeline', async () => {
+      const { id } = seedApplication();
+
+      for (const [status, notes] of [['reviewing'], ['shortlisted', '  Strong GMP background  '], ['interviewed'], ['hired', 'Offer accepted']]) {
+        const response = await setStatus(id, status, notes);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.application_status, status);
+      }
+
+      const timeline = await get(`/api/careers/admin/applications/${id}/timeline`);
+
+      assert.equal(timeline.status, 200);
+      assert.equal(timeline.body.data.status, 'hired');
+      assert.deepEqual(timeline.body.data.allowedTransitions, []);
+      assert.deepEqual(timeline.body.data.events.map(event => [event.type, event.from, event.status, event.note]), [
+        ['submitted', undefined, 'pending', undefined],
+        ['status_changed', 'pending', 'reviewing', null],
+        ['status_changed', 'reviewing', 'shortlisted', 'Strong GMP background'],
+        ['status_changed', 'shortlisted', 'interviewed', null],
+        ['status_changed', 'interviewed', 'hired', 'Offer accepted']
+      ]);
+      assert.equal(timeline.body.data.events[1].changedBy.name, 'Test hr');
+    });
+
+    it('refuses to skip a step or to move a hired application, and leaves it as it was', async () => {
+      const pending = seedApplication();
+      const hired = seedApplication({ application_status: 'hired' });
+
+      const skipped = await setStatus(pending.id, 'hired');
+      const fromHired = await setStatus(hired.id, 'rejected');
+
+      assert.equal(skipped.status, 409);
+      assert.equal(skipped.body.message, 'Invalid status transition: pending -> hired');
+      assert.equal(fromHired.status, 409);
+      assert.deepEqual(app.standIn.rows('Career_Applications').map(row => row.application_status), ['pending', 'hired']);
+      assert.equal(app.standIn.rows('Career_Application_History').length, 0);
+    });
+
+    it('reopens a rejected application for review', async () => {
+      const { id } = seedApplication({ application_status: 'rejected' });
+
+      const response = await setStatus(id, 'reviewing', 'Second look after referral');
+      const timeline = await get(`/api/careers/admin/applications/${id}/timeline`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(timeline.body.data.allowedTransitions, ['shortlisted', 'rejected']);
+      assert.equal(timeline.body.data.events.at(-1).from, 'rejected');
+    });
+
+    it('refuses a change made on a stale copy when someone else moved the application first', async () => {
+      const { id } = seedApplication({ application_status: 'reviewing' });
+      const transition = app.standIn.functions.get('transition_career_application');
+      app.standIn.defineFunction('transition_career_application', (args, standIn) => {
+        standIn.rows('Career_Applications')[0].application_status = 'rejected';
+        return transition(args, standIn);
+      });
+
+      const response = await setStatus(id, 'shortlisted');
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.message, 'Invalid status transition: the application was updated by someone else, reload and try again');
+      assert.equal(app.standIn.rows('Career_Application_History').length, 0);
+    });
+
+    it('shows migrated history entries and rejects unknown statuses, unknown applications and viewers', async () => {
+      const { id } = seedApplication({ application_status: 'reviewing' });
+      app.standIn.seed('Career_Application_History', [{
+        application_id: id, from_status: null, to_status: 'reviewing', changed_by: null, changed_by_name: 'Migrated', note: 'Called on 2 Jan'
+      }]);
+
+      const timeline = await get(`/api/careers/admin/applications/${id}/timeline`);
+      const unknownStatus = await setStatus(id, 'archived');
+      const unknownApplication = await setStatus(999, 'reviewing');
+      const asViewer = await setStatus(id, 'shortlisted', undefined, viewer);
+
+      assert.deepEqual(timeline.body.data.events[1], {
+        type: 'migrated',
+        from: null,
+        status: 'reviewing',
+        changedBy: { id: null, name: 'Migrated' },
+        note: 'Called on 2 Jan',
+        at: timeline.body.data.events[1].at
+      });
+      assert.equal(unknownStatus.status, 400);
+      assert.equal(unknownStatus.body.errors[0].field, 'status');
+      assert.equal(unknownApplication.status, 404);
+      assert.equal(asViewer.status, 403);
+      assert.equal(app.standIn.rows('Career_Applications')[0].application_status, 'reviewing');
+    });
+  });
+
+  describe('resumes', () => {
+    const RESUME = Buffer.from('%PDF-1.4 Joseph Mukasa CV');
+
+    const seedWithResume = () => {
+      app.standIn.objects(RESUME_BUCKET).set('applications/1/resume.pdf', { body: RESUME, contentType: 'application/pdf' });
+      return seedApplication({
+        resume_storage_path: 'applications/1/resume.pdf',
+        resume_file_name: 'Joseph Mukasa CV.pdf',
+        resume_content_type: 'application/pdf'
+      });
+    };
+
+    it('streams the resume to HR staff under its original name, without caching', async () => {
+      const application = seedWithResume();
+
+      const response = await get(`/api/careers/admin/applications/${application.id}/resume`, app.staffToken('hr'));
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/pdf');
+      assert.equal(response.headers.get('cache-control'), 'private, no-store');
+      assert.match(response.headers.get('content-disposition'), /^attachment; filename="Joseph Mukasa CV\.pdf"/);
+      assert.equal(response.body, RESUME.toString());
+    });
+
+    it('issues a signed URL that expires after the configured time', async () => {
+      const application = seedWithResume();
+
+      const response = await get(`/api/careers/admin/applications/${application.id}/resume/url`, app.staffToken('hr'));
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.expiresIn, app.config.storage.signedUrlExpiresIn);
+      assert.equal(response.body.data.fileName, 'Joseph Mukasa CV.pdf');
+      assert.match(response.body.data.url, new RegExp(`/storage/v1/object/sign/${RESUME_BUCKET}/applications/1/resume\\.pdf\\?token=`));
+    });
+
+    it('keeps resumes from viewers and reports missing ones as not found', async () => {
+      const application = seedWithResume();
+      const withoutResume = seedApplication();
+      const hr = app.staffToken('hr');
+      app.standIn.objects(RESUME_BUCKET).clear();
+
+      const viewerDownload = await get(`/api/careers/admin/applications/${application.id}/resume`);
+      const viewerUrl = await get(`/api/careers/admin/applications/${application.id}/resume/url`);
+      const none = await get(`/api/careers/admin/applications/${withoutResume.id}/resume`, hr);
+      const lostFile = await get(`/api/careers/admin/applications/${application.id}/resume`, hr);
+      const unknown = await get('/api/careers/admin/applications/999/resume/url', hr);
+
+      assert.equal(viewerDownload.status, 403);
+      assert.equal(viewerUrl.status, 403);
+      assert.deepEqual([none.status, none.body.message], [404, 'Resume not found']);
+      assert.deepEqual([lostFile.status, lostFile.body.message], [404, 'Resume not found']);
+      assert.deepEqual([unknown.status, unknown.body.message], [404, 'Application not found']);
+    });
+
+    describe('with local file storage', () => {
+      let supabaseStorage;
+      let rootDir;
+
+      beforeEach(() => {
+        supabaseStorage = app.run(() => CareerService.getResumeStorage());
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'africure-resumes-'));
+        app.run(() => CareerService.setResumeStorage(new LocalFileStorage(rootDir)));
+      });
+
+      afterEach(() => {
+        app.run(() => CareerService.setResumeStorage(supabaseStorage));
+        fs.rmSync(rootDir, { recursive: true, force: true });
+      });
+
+      it('streams the file and refers signed URL requests to the download endpoint', async () => {
+        await app.run(() => CareerService.getResumeStorage()).upload('applications/1/resume.pdf', RESUME, { contentType: 'application/pdf' });
+        const application = seedApplication({ resume_storage_path: 'applications/1/resume.pdf', resume_file_name: 'cv.pdf' });
+        const hr = app.staffToken('hr');
+
+        const download = await get(`/api/careers/admin/applications/${application.id}/resume`, hr);
+        const url = await get(`/api/careers/admin/applications/${application.id}/resume/url`, hr);
+
+        assert.equal(download.status, 200);
+        assert.equal(download.headers.get('content-type'), 'application/pdf');
+        assert.equal(download.body, RESUME.toString());
+        assert.equal(url.status, 501);
+        assert.ok(url.body.message.includes(`/api/careers/admin/applications/${application.id}/resume`));
+      });
+
+      it('does not read files outside its directory', async () => {
+        fs.writeFileSync(path.join(path.dirname(rootDir), 'outside.pdf'), RESUME);
+        const application = seedApplication({ resume_storage_path: `../${path.basename(rootDir)}/../outside.pdf` });
+
+        const response = await get(`/api/careers/admin/applications/${application.id}/resume`, app.staffToken('hr'));
+
+        assert.equal(response.status, 500);
+        fs.rmSync(path.join(path.dirname(rootDir), 'outside.pdf'), { force: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startApp } = require('./support/app');
+const AuthService = require('../services/authService');
+const MemoryUserRepository = require('../repositories/memoryUserRepository');
+
+const PASSWORD = 'a-long-staff-password';
+
+describe('staff authentication', () => {
+  let app;
+  let users;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+
+    // Low cost factor: the hashes only need to be valid, not slow
+    const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+    users = new MemoryUserRepository([
+      { email: 'admin@africurepharma.com', full_name: 'Admin', role: 'admin', password_hash: passwordHash },
+      { email: 'hr@africurepharma.com', full_name: 'HR Team', role: 'hr', password_hash: passwordHash },
+      { email: 'viewer@africurepharma.com', full_name: 'Viewer', role: 'viewer', password_hash: passwordHash },
+      { email: 'former@africurepharma.com', full_name: 'Former', role: 'hr', password_hash: passwordHash, is_active: false }
+    ]);
+    const { loginRateLimit } = require('../middleware/validation');
+    app.run(() => {
+      AuthService.setUserRepository(users);
+      loginRateLimit.resetKey('127.0.0.1');
+    });
+  });
+
+  const login = (email, password = PASSWORD) => app.request('/api/auth/login', {
+    method: 'POST',
+    body: { email, password }
+  });
+
+  const tokenFor = async (email) => (await login(email)).body.data.token;
+
+  it('signs staff in and returns a token for their account', async () => {
+    const response = await login('HR@africurepharma.com');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.tokenType, 'Bearer');
+    assert.equal(response.body.data.user.role, 'hr');
+    assert.equal(response.body.data.user.password_hash, undefined);
+    assert.ok((await users.findByEmail('hr@africurepharma.com')).last_login_at);
+
+    const me = await app.request('/api/auth/me', {
+      headers: { Authorization: `Bearer ${response.body.data.token}` }
+    });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.data.email, 'hr@africurepharma.com');
+  });
+
+  it('rejects wrong passwords, unknown and deactivated accounts alike, without logging them', async (t) => {
+    const errorLog = t.mock.method(console, 'error', () => {});
+
+    const responses = [
+      await login('hr@africurepharma.com', 'wrong-password'),
+      await login('nobody@africurepharma.com'),
+      await login('former@africurepharma.com')
+    ];
+
+    responses.forEach(response => {
+      assert.equal(response.status, 401);
+      assert.equal(response.body.message, 'Invalid email or password');
+    });
+    assert.ok(!errorLog.mock.calls.some(call => String(call.arguments[0]).includes('AuthService.login')));
+  });
+
+  it('requires a valid token for admin routes', async () => {
+    const missing = await app.request('/api/careers/admin/applications');
+    const forged = await app.request('/api/careers/admin/applications', {
+      headers: { Authorization: 'Bearer not-a-token' }
+    });
+
+    assert.equal(missing.status, 401);
+    assert.equal(forged.status, 401);
+  });
+
+  it('lets every role read applications but only HR and admins change them', async () => {
+    const viewerToken = await tokenFor('viewer@africurepharma.com');
+    const hrToken = await tokenFor('hr@africurepharma.com');
+
+    const list = await app.request('/api/careers/admin/applications', {
+      headers: { Authorization: `Bearer ${viewerToken}` }
+    });
+    assert.equal(list.status, 200);
+
+    const update = (token) => app.request('/api/careers/admin/applications/1/status', {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}` },
+      body: { status: 'reviewing' }
+    });
+
+    assert.equal((await update(viewerToken)).status, 403);
+    assert.notEqual((await update(hrToken)).status, 403);
+  });
+
+  it('stops accepting tokens once the account is deactivated', async () => {
+    const token = await tokenFor('hr@africurepharma.com');
+    users.users.find(user => user.email === 'hr@africurepharma.com').is_active = false;
+
+    const response = await app.request('/api/auth/me', { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Account is no longer active');
+  });
+});
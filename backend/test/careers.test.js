@@ -0,0 +1,387 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startApp, PRIVACY_NOTICE_VERSION, RESUME_BUCKET } = require('./support/app');
+const { docFile, docxFile } = require('./support/documents');
+const { runRetentionJob } = require('../jobs/retentionJob');
+
+const RLS_VIOLATION = {
+  status: 403,
+  code: '42501',
+  message: 'new row violates row-level security policy for table "Career_Applications"'
+};
+
+const pdf = (size = 0) => Buffer.concat([
+  Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n', 'latin1'),
+  Buffer.alloc(size, ' '),
+  Buffer.from('\n%%EOF\n', 'latin1')
+]);
+
+// The app under test, started in before() below
+let app;
+
+/**
+ * Multipart body as sent by the careers page
+ */
+const application = (fields = {}, resume = { name: 'resume.pdf', type: 'application/pdf', content: pdf() }) => {
+  const form = new FormData();
+  Object.entries({
+    fullName: 'Joseph Mukasa',
+    email: 'joseph.mukasa@example.com',
+    phone: '+256701234567',
+    location: 'Kampala',
+    position: 'quality-assurance',
+    experience: '4-5',
+    qualification: 'bpharm',
+    coverLetter: 'I have five years of experience in pharmaceutical quality assurance.',
+    consent: 'on',
+    privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+    formToken: app.formToken('careers'),
+    website: '',
+    ...fields
+  }).forEach(([name, value]) => form.append(name, value));
+
+  if (resume) {
+    form.append('resume', new Blob([resume.content], { type: resume.type }), resume.name);
+  }
+  return form;
+};
+
+describe('POST /api/careers/apply', () => {
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+  });
+
+  const apply = body => app.request('/api/careers/apply', { method: 'POST', body });
+
+  it('stores the application and its resume and emails the application number', async () => {
+    const response = await apply(application());
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.deepEqual(Object.keys(response.body.data).sort(), ['position', 'submittedAt']);
+
+    const [row] = app.standIn.rows('Career_Applications');
+    assert.equal(row.position, 'quality-assurance');
+    assert.equal(row.application_status, 'pending');
+
+    await app.mailSent();
+    const acknowledgement = app.mail.find(message => message.to === 'joseph.mukasa@example.com');
+    assert.ok(acknowledgement.text.includes(`AC-${String(row.id).padStart(6, '0')}`));
+    assert.equal(row.resume_content_type, 'application/pdf');
+
+    const stored = app.standIn.objects(RESUME_BUCKET).get(row.resume_storage_path);
+    assert.ok(stored, 'resume is stored in the bucket');
+    assert.ok(stored.body.equals(pdf()));
+
+    assert.ok(app.standIn.rows('Consent_Records').some(consent => consent.purpose === 'recruitment'));
+  });
+
+  describe('repeat applications', () => {
+    // An earlier pending application, as stored (phone_normalized is generated by the database)
+    const seedExisting = (fields = {}) => app.standIn.seed('Career_Applications', [{
+      full_name: 'Joseph Mukasa',
+      email: 'joseph.mukasa@example.com',
+      phone: '+256701234567',
+      phone_normalized: '701234567',
+      location: 'Kampala',
+      position: 'quality-assurance',
+      application_status: 'pending',
+      application_date: new Date().toISOString(),
+      submission_count: 1,
+      resume_storage_path: null,
+      ...fields
+    }])[0];
+
+    it('merges a repeat from the same email and phone without revealing it to the caller', async () => {
+      const fresh = await apply(application({ email: 'new.applicant@example.com', phone: '+256709999999' }));
+      app.reset();
+      const existing = seedExisting();
+
+      const repeat = await apply(application({ fullName: 'Joseph K Mukasa' }));
+
+      assert.equal(repeat.status, fresh.status);
+      assert.equal(repeat.body.message, fresh.body.message);
+      assert.deepEqual(Object.keys(repeat.body).sort(), Object.keys(fresh.body).sort());
+      assert.deepEqual(Object.keys(repeat.body.data).sort(), Object.keys(fresh.body.data).sort());
+
+      const rows = app.standIn.rows('Career_Applications');
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].full_name, 'Joseph K Mukasa');
+      assert.equal(rows[0].submission_count, 2);
+
+      await app.mailSent();
+      assert.deepEqual(app.mail.map(message => message.to), ['joseph.mukasa@example.com']);
+      assert.ok(app.mail[0].text.includes(`AC-${String(existing.id).padStart(6, '0')}`));
+    });
+
+    it('does not let a matching phone number alone claim an application', async () => {
+      const existing = seedExisting();
+
+      const response = await apply(application({ email: 'someone.else@example.com' }));
+      await app.mailSent();
+
+      assert.equal(response.status, 201);
+      const rows = app.standIn.rows('Career_Applications');
+      assert.equal(rows.length, 2);
+      assert.equal(rows.find(row => row.id === existing.id).email, 'joseph.mukasa@example.com');
+      assert.ok(!app.mail.some(message => message.to === 'joseph.mukasa@example.com'));
+    });
+  });
+
+  it('rejects invalid fields with the field errors', async () => {
+    const response = await apply(application({ phone: '123', experience: '50+', position: 'astronaut' }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Validation failed');
+    assert.deepEqual(
+      [...new Set(response.body.errors.map(error => error.field))].sort(),
+      ['experience', 'phone', 'position']
+    );
+    assert.equal(app.standIn.rows('Career_Applications').length, 0);
+  });
+
+  it('only accepts applications for openings that are open today', async () => {
+    app.clock.fixed = new Date('2025-03-01T12:00:00Z');
+    app.standIn.seed('Job_Openings', [
+      { slug: 'regulatory-affairs', title: 'Regulatory Affairs Officer', department: 'Regulatory', is_published: true, opens_at: '2025-03-02', closes_at: null },
+      { slug: 'production-pharmacist', title: 'Production Pharmacist', department: 'Production', is_published: true, opens_at: null, closes_at: '2025-02-28' },
+      { slug: 'warehouse-lead', title: 'Warehouse Lead', department: 'Supply', is_published: true, opens_at: '2025-03-01', closes_at: '2025-03-01' }
+    ]);
+
+    // Two refusals and an application stay within the rate limit of three
+    for (const position of ['regulatory-affairs', 'production-pharmacist']) {
+      const response = await apply(application({ position }));
+      assert.equal(response.status, 400, position);
+      assert.deepEqual(response.body.errors.map(error => error.field), ['position']);
+    }
+    const lastDay = await apply(application({ position: 'warehouse-lead' }));
+
+    assert.equal(lastDay.status, 201);
+    assert.deepEqual(app.standIn.rows('Career_Applications').map(row => row.position), ['warehouse-lead']);
+  });
+
+  it('requires a resume', async () => {
+    const response = await apply(application({}, null));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, 'Resume file is required');
+  });
+
+  it('rejects a resume over 5MB', async () => {
+    const response = await apply(application({}, {
+      name: 'resume.pdf',
+      type: 'application/pdf',
+      content: pdf(5 * 1024 * 1024)
+    }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.message, 'File too large');
+    assert.equal(app.standIn.objects(RESUME_BUCKET).size, 0);
+  });
+
+  it('rejects a resume that is not a PDF, DOC or DOCX file', async () => {
+    const response = await apply(application({}, {
+      name: 'resume.png',
+      type: 'image/png',
+      content: Buffer.from([0x89, 0x50, 0x4e, 0x47])
+    }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.match(response.body.message, /^Invalid file type/);
+  });
+
+  describe('resume screening', () => {
+    const DOC = 'application/msword';
+    const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    const quarantined = () => (fs.existsSync(app.config.uploads.quarantineDir) ? fs.readdirSync(app.config.uploads.quarantineDir).sort() : []);
+
+    beforeEach(() => {
+      fs.rmSync(app.config.uploads.quarantineDir, { recursive: true, force: true });
+    });
+
+    const rejected = async (resume, reason) => {
+      const response = await apply(application({}, resume));
+
+      assert.equal(response.status, 422);
+      assert.ok(response.body.message.includes(reason), response.body.message);
+      assert.equal(app.standIn.rows('Career_Applications').length, 0);
+      assert.equal(app.standIn.objects(RESUME_BUCKET).size, 0);
+
+      const [file, record] = quarantined();
+      assert.equal(record, `${file}.json`);
+      assert.equal(JSON.parse(fs.readFileSync(`${app.config.uploads.quarantineDir}/${record}`)).reason, reason);
+    };
+
+    it('rejects a file whose contents do not match its extension', async () => {
+      await rejected({ name: 'resume.docx', type: DOCX, content: pdf() }, 'the file contents do not match its extension');
+    });
+
+    it('rejects a .doc file with a VBA project', async () => {
+      const content = docFile({ entries: [{ name: 'WordDocument', type: 'stream' }, { name: 'Macros', type: 'storage' }] });
+
+      await rejected({ name: 'resume.doc', type: DOC, content }, 'documents containing macros are not accepted');
+    });
+
+    it('rejects a .doc file with embedded objects', async () => {
+      const content = docFile({ entries: [{ name: 'WordDocument', type: 'stream' }, { name: 'ObjectPool', type: 'storage' }] });
+
+      await rejected({ name: 'resume.doc', type: DOC, content }, 'documents containing embedded objects are not accepted');
+    });
+
+    it('accepts a .doc file that only mentions macros in its text', async () => {
+      const content = docFile({ text: 'Macros and _VBA_PROJECT automation for the QA lab' });
+
+      const response = await apply(application({}, { name: 'resume.doc', type: DOC, content }));
+
+      assert.equal(response.status, 201);
+      assert.equal(app.standIn.rows('Career_Applications')[0].resume_content_type, DOC);
+      assert.deepEqual(quarantined(), []);
+    });
+
+    it('rejects a damaged .doc file', async () => {
+      const content = docFile().subarray(0, 700);
+
+      await rejected({ name: 'resume.doc', type: DOC, content }, 'the document is damaged');
+    });
+
+    it('rejects a DOCX file with a VBA project', async () => {
+      const content = await docxFile({ 'word/vbaProject.bin': 'vba' });
+
+      await rejected({ name: 'resume.docx', type: DOCX, content }, 'documents containing macros are not accepted');
+    });
+
+    it('accepts a plain DOCX file', async () => {
+      const response = await apply(application({}, { name: 'resume.docx', type: DOCX, content: await docxFile() }));
+
+      assert.equal(response.status, 201);
+    });
+
+    it('rejects a file the virus scanner reports', async () => {
+      const content = Buffer.concat([pdf(), Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*')]);
+
+      await rejected({ name: 'resume.pdf', type: 'application/pdf', content }, 'the file failed the virus scan');
+    });
+
+    it('deletes rejected files after the quarantine period', async () => {
+      app.clock.fixed = new Date('2025-01-01T00:00:00Z');
+      await rejected({ name: 'resume.docx', type: DOCX, content: pdf() }, 'the file contents do not match its extension');
+      app.clock.fixed = new Date('2025-01-20T00:00:00Z');
+      await apply(application({ email: 'second@example.com' }, { name: 'resume.docx', type: DOCX, content: pdf() }));
+
+      const summary = await app.run(() => runRetentionJob({ now: new Date('2025-02-05T00:00:00Z') }));
+
+      assert.equal(summary.rejectedResumesPurged, 1);
+      assert.equal(quarantined().length, 2);
+      assert.ok(quarantined().every(name => name.startsWith(String(Date.parse('2025-01-20T00:00:00Z')))));
+    });
+  });
+
+  describe('resume text', () => {
+    const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+    it('stores the text of a DOCX resume for the search index', async () => {
+      const content = await docxFile({
+        'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+          + '<w:p><w:r><w:t>GMP validation &amp; CTD</w:t></w:r><w:r><w:tab/><w:t>dossiers</w:t></w:r></w:p>'
+          + '<w:p><w:r><w:t>Regulatory affairs</w:t></w:r></w:p></w:body></w:document>'
+      });
+
+      const response = await apply(application({}, { name: 'resume.docx', type: DOCX, content }));
+
+      assert.equal(response.status, 201);
+      assert.equal(app.standIn.rows('Career_Applications')[0].resume_text, 'GMP validation & CTD dossiers\nRegulatory affairs');
+    });
+
+    it('accepts a resume without extractable text, leaving it out of the index', async () => {
+      const response = await apply(application({}, { name: 'resume.doc', type: 'application/msword', content: docFile() }));
+
+      assert.equal(response.status, 201);
+      assert.equal(app.standIn.rows('Career_Applications')[0].resume_text, null);
+    });
+  });
+
+  it('rejects a second file in the upload', async () => {
+    const form = application();
+    form.append('resume', new Blob([pdf()], { type: 'application/pdf' }), 'second.pdf');
+
+    const response = await apply(form);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+  });
+
+  it('inserts through insert_career_application() when row level security blocks the insert', async () => {
+    app.standIn.fail({ method: 'POST', table: 'Career_Applications' }, RLS_VIOLATION);
+    const calls = [];
+    app.standIn.defineFunction('insert_career_application', ({ application_data: data }, standIn) => {
+      calls.push(data);
+      const [row] = standIn.seed('Career_Applications', [data]);
+      return [{
+        id: row.id,
+        full_name: row.full_name,
+        email: row.email,
+        position: row.position,
+        application_status: row.application_status,
+        application_date: row.application_date
+      }];
+    });
+
+    const response = await apply(application());
+
+    assert.equal(response.status, 201);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].email, 'joseph.mukasa@example.com');
+
+    const rows = app.standIn.rows('Career_Applications');
+    assert.equal(rows.length, 1);
+    assert.ok(app.standIn.objects(RESUME_BUCKET).has(rows[0].resume_storage_path));
+  });
+
+  it('removes the stored resume when the application cannot be saved', async () => {
+    app.standIn.fail({ method: 'POST', table: 'Career_Applications' }, RLS_VIOLATION);
+    app.standIn.fail({ function: 'insert_career_application' }, RLS_VIOLATION);
+
+    const response = await apply(application());
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.success, false);
+    assert.equal(app.standIn.rows('Career_Applications').length, 0);
+    assert.equal(app.standIn.objects(RESUME_BUCKET).size, 0);
+  });
+
+  it('removes the application and its resume when the consent cannot be recorded', async () => {
+    app.standIn.fail({ method: 'POST', table: 'Consent_Records' }, { status: 500, code: '57014', message: 'canceling statement due to statement timeout' });
+
+    const response = await apply(application());
+
+    assert.equal(response.status, 500);
+    assert.equal(app.standIn.rows('Career_Applications').length, 0);
+    assert.equal(app.standIn.objects(RESUME_BUCKET).size, 0);
+  });
+
+  it('limits each IP to three applications per hour', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await apply(application({ email: `applicant${attempt}@example.com`, phone: `+25670123456${attempt}` }));
+      assert.equal(response.status, 201);
+    }
+
+    const response = await apply(application({ email: 'applicant3@example.com', phone: '+256701234563' }));
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.success, false);
+    assert.match(response.body.message, /Too many career applications/);
+    assert.equal(app.standIn.rows('Career_Applications').length, 3);
+  });
+});
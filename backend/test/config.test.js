@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConfig, validateConfig, redactConfig } = require('../config/schema');
+
+// The smallest environment a production server starts with
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  SUPABASE_URL: 'https://example.supabase.co',
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  JWT_SECRET: 'a-production-secret-of-at-least-32-chars'
+};
+
+describe('config schema', () => {
+  it('applies defaults, then layer files, then environment variables', () => {
+    const { config, problems } = buildConfig({
+      env: { PORT: '4000', SPAM_PHRASES: 'Cheap Pills, ,Casino' },
+      layers: [{ name: 'test.json', values: { server: { port: 5000, host: 'api.local' } }, allowSecrets: false }]
+    });
+
+    assert.deepEqual(problems, []);
+    assert.equal(config.server.port, 4000);
+    assert.equal(config.server.host, 'api.local');
+    assert.equal(config.security.rateLimit.maxRequests, 100);
+    assert.deepEqual(config.spamProtection.extraPhrases, ['cheap pills', 'casino']);
+    assert.equal(config.privacy.accessRequests.linkBaseUrl, 'http://localhost:4000');
+  });
+
+  it('derives the privacy and form token keys from JWT_SECRET unless they are set', () => {
+    const { config } = buildConfig({ env: { JWT_SECRET: 'jwt', FORM_TOKEN_SECRET: 'form' } });
+
+    assert.equal(config.privacy.hashSecret, 'jwt');
+    assert.equal(config.spamProtection.formTokenSecret, 'form');
+  });
+
+  it('accepts a valid production environment', () => {
+    const { config, problems } = buildConfig({ env: PRODUCTION_ENV });
+
+    assert.deepEqual(validateConfig(config, problems), { errors: [], warnings: [] });
+  });
+
+  it('names the setting and variable of every invalid value', () => {
+    const { config } = buildConfig({
+      env: {
+        ...PRODUCTION_ENV,
+        PORT: 'eighty',
+        RETENTION_ACTION: 'archive',
+        REPORTING_TIMEZONE: 'Mars/Olympus',
+        LOG_ENABLED: 'maybe'
+      }
+    });
+
+    assert.deepEqual(validateConfig(config).errors, [
+      'server.port (PORT) must be a whole number, got "eighty"',
+      'careers.reportingTimezone (REPORTING_TIMEZONE) must be an IANA time zone such as Africa/Nairobi, got "Mars/Olympus"',
+      'retention.action (RETENTION_ACTION) must be one of anonymise, delete, got "archive"',
+      'privacy.accessRequests.linkBaseUrl (PUBLIC_API_URL) must be an http(s) URL, got "http://localhost:eighty"',
+      'logging.enabled (LOG_ENABLED) must be true or false, got "maybe"'
+    ]);
+  });
+
+  it('refuses wildcard CORS with credentials and a missing service key in production', () => {
+    const { config } = buildConfig({
+      env: { ...PRODUCTION_ENV, SUPABASE_SERVICE_ROLE_KEY: '', CORS_ORIGIN: '*' }
+    });
+
+    const { errors } = validateConfig(config);
+
+    assert.ok(errors.includes('database.supabase.serviceKey (SUPABASE_SERVICE_KEY or SUPABASE_SERVICE_ROLE_KEY) is required'));
+    assert.ok(errors.some(error => error.startsWith('security.cors allows any origin')));
+  });
+
+  it('only warns about unsafe combinations outside production', () => {
+    const { config } = buildConfig({
+      env: { ...PRODUCTION_ENV, NODE_ENV: 'development', SUPABASE_SERVICE_ROLE_KEY: '', CORS_ORIGIN: '*' }
+    });
+
+    const { errors, warnings } = validateConfig(config);
+
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].startsWith('security.cors allows any origin'));
+  });
+
+  it('refuses the memory database driver in production', () => {
+    const { config } = buildConfig({ env: { ...PRODUCTION_ENV, DATABASE_DRIVER: 'memory' } });
+
+    const { errors } = validateConfig(config);
+
+    assert.ok(errors.some(error => error.startsWith('database.driver (DATABASE_DRIVER) is "memory"')));
+  });
+
+  it('keeps secrets, fixed settings and unknown keys out of committed files', () => {
+    const { config, problems } = buildConfig({
+      env: PRODUCTION_ENV,
+      layers: [
+        {
+          name: 'production.json',
+          values: { auth: { jwtSecret: 'committed' }, api: { prefix: '/v2' }, mial: { from: 'x' } },
+          allowSecrets: false
+        },
+        { name: 'production.local.json', values: { mail: { smtp: { pass: 'local-pass' } } }, allowSecrets: true }
+      ]
+    });
+
+    assert.deepEqual(problems, [
+      'auth.jwtSecret (JWT_SECRET) is a secret; set it in the environment or a *.local.json file, not in production.json',
+      'api.prefix cannot be set in production.json',
+      'Unknown setting mial in production.json'
+    ]);
+    assert.equal(config.auth.jwtSecret, PRODUCTION_ENV.JWT_SECRET);
+    assert.equal(config.api.prefix, '/api');
+    assert.equal(config.mail.smtp.pass, 'local-pass');
+  });
+
+  it('redacts secrets that are set and shows unset ones as null', () => {
+    const { config } = buildConfig({ env: PRODUCTION_ENV });
+
+    const redacted = redactConfig(config);
+
+    assert.equal(redacted.database.supabase.anonKey, '[redacted]');
+    assert.equal(redacted.auth.jwtSecret, '[redacted]');
+    assert.equal(redacted.privacy.hashSecret, '[redacted]');
+    assert.equal(redacted.mail.smtp.pass, null);
+    assert.equal(redacted.database.supabase.url, 'https://example.supabase.co');
+    assert.equal(redacted.validation.contact.fullName.pattern, '/^[a-zA-Z\\s]+$/');
+    assert.equal(config.auth.jwtSecret, PRODUCTION_ENV.JWT_SECRET);
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, PRIVACY_NOTICE_VERSION } = require('./support/app');
+
+describe('POST /api/contact', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+  });
+
+  const enquiry = (fields = {}) => ({
+    fullName: 'Amina Okello',
+    email: 'amina.okello@example.com',
+    contact: '+256700123456',
+    message: 'Please send me your price list for antimalarials.',
+    consent: true,
+    privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+    formToken: app.formToken('contact'),
+    website: '',
+    ...fields
+  });
+
+  it('stores the enquiry and its consent and returns a reference', async () => {
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.match(response.body.data.reference, /^AF-[0-9A-F]{8}$/);
+
+    const [row] = app.standIn.rows('Contact_Us');
+    assert.equal(row.id, response.body.data.id);
+    assert.equal(row.Full_Name, 'Amina Okello');
+    assert.equal(row.Email_id, 'amina.okello@example.com');
+
+    const consents = app.standIn.rows('Consent_Records');
+    assert.ok(consents.length > 0);
+    assert.ok(consents.every(consent => consent.notice_version === PRIVACY_NOTICE_VERSION));
+  });
+
+  it('does not keep the enquiry when its consent cannot be recorded', async () => {
+    app.standIn.fail({ method: 'POST', table: 'Consent_Records' }, { status: 500, code: '57014', message: 'canceling statement due to statement timeout' });
+
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+
+    assert.equal(response.status, 500);
+    assert.equal(app.standIn.rows('Contact_Us').length, 0);
+    await app.mailSent();
+    assert.equal(app.mail.length, 0);
+  });
+
+  it('rejects invalid fields with the field errors', async () => {
+    const response = await app.request('/api/contact', {
+      method: 'POST',
+      body: enquiry({ fullName: 'R2-D2', email: 'not-an-email', message: 'Hi' })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.message, 'Validation failed');
+    assert.deepEqual(
+      [...new Set(response.body.errors.map(error => error.field))].sort(),
+      ['email', 'fullName', 'message']
+    );
+    assert.equal(app.standIn.rows('Contact_Us').length, 0);
+  });
+
+  it('rejects an enquiry agreed against an outdated privacy notice', async () => {
+    const response = await app.request('/api/contact', {
+      method: 'POST',
+      body: enquiry({ privacyNoticeVersion: '2019-01' })
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.errors.some(error => error.field === 'privacyNoticeVersion'));
+  });
+
+  it('holds an enquiry with the honeypot filled in for review', async () => {
+    const response = await app.request('/api/contact', {
+      method: 'POST',
+      body: enquiry({ website: 'http://cheap-pills.example.com' })
+    });
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.held, true);
+    assert.equal(app.standIn.rows('Contact_Us').length, 0);
+
+    const [held] = app.standIn.rows('Form_Quarantine');
+    assert.equal(held.form, 'contact');
+  });
+
+  it('holds an enquiry sent sooner after loading the form than a person could type it', async () => {
+    app.clock.fixed = new Date('2025-03-03T09:00:00.000Z');
+    const { body: { data: { token } } } = await app.request('/api/contact/form-token');
+
+    app.clock.fixed = new Date('2025-03-03T09:00:01.000Z');
+    const hurried = await app.request('/api/contact', { method: 'POST', body: enquiry({ formToken: token }) });
+
+    assert.equal(hurried.status, 202);
+    assert.equal(app.standIn.rows('Form_Quarantine').length, 1);
+
+    app.clock.fixed = new Date('2025-03-03T09:02:00.000Z');
+    const typed = await app.request('/api/contact', { method: 'POST', body: enquiry({ formToken: token }) });
+
+    assert.equal(typed.status, 201);
+    assert.equal(app.standIn.rows('Contact_Us').length, 1);
+  });
+
+  it('accepts an enquiry without a form token unless something else counts against it', async () => {
+    const untokened = await app.request('/api/contact', { method: 'POST', body: enquiry({ formToken: undefined }) });
+
+    assert.equal(untokened.status, 201);
+    assert.equal(app.standIn.rows('Contact_Us').length, 1);
+
+    const spammy = await app.request('/api/contact', {
+      method: 'POST',
+      body: enquiry({ formToken: undefined, message: 'Grow your bitcoin savings with our new plan today.' })
+    });
+
+    assert.equal(spammy.status, 202);
+    const [held] = app.standIn.rows('Form_Quarantine');
+    assert.equal(held.score, app.config.spamProtection.quarantineScore + 1);
+    assert.deepEqual(held.signals.map(item => item.signal), ['form_token_missing', 'spam_phrase']);
+  });
+
+  it('holds an enquiry whose form token signature has multibyte characters', async () => {
+    const [payload, signature] = app.formToken('contact').split('.');
+    const forged = `${payload}.${signature.slice(0, -1)}é`;
+
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry({ formToken: forged }) });
+
+    assert.equal(response.status, 202);
+    const [held] = app.standIn.rows('Form_Quarantine');
+    assert.ok(held.signals.some(item => item.signal === 'form_token_invalid'));
+  });
+
+  it('acknowledges the enquiry and alerts the office by email', async () => {
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+    await app.mailSent();
+
+    const reference = response.body.data.reference;
+    assert.deepEqual(app.mail.map(message => message.to).sort(), ['amina.okello@example.com', app.config.mail.mailboxes.general].sort());
+    assert.ok(app.mail.every(message => message.subject.includes(reference)));
+  });
+
+  it('echoes nothing the visitor typed to the unverified sender and escapes only when rendering', async () => {
+    const message = "Visit http://win.example now, it's <b>free</b>";
+    await app.request('/api/contact', { method: 'POST', body: enquiry({ message }) });
+    await app.mailSent();
+
+    const acknowledgement = app.mail.find(sent => sent.to === 'amina.okello@example.com');
+    const alert = app.mail.find(sent => sent.to === app.config.mail.mailboxes.general);
+
+    assert.ok(!acknowledgement.text.includes('win.example') && !acknowledgement.html.includes('win.example'));
+    assert.ok(!acknowledgement.text.includes('Amina'));
+    assert.equal(app.standIn.rows('Contact_Us')[0].Enter_Message, message);
+    assert.ok(alert.text.includes(message));
+    assert.ok(alert.html.includes('it&#39;s &lt;b&gt;free&lt;/b&gt;'));
+  });
+
+  it('limits each IP to three submissions per window', async () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+      assert.notEqual(response.status, 429);
+    }
+
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.success, false);
+    assert.match(response.body.message, /Too many contact form submissions/);
+    assert.equal(app.standIn.rows('Contact_Us').length, 3);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('contact inbox', () => {
+  let app;
+  let hr;
+  let assignee;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    hr = app.staffToken('hr');
+    [assignee] = app.standIn.seed('Admin_Users', [{
+      email: 'grace.nambi@africurepharma.com',
+      full_name: 'Grace Nambi',
+      role: 'hr',
+      is_active: true
+    }]);
+  });
+
+  const seedEnquiry = (fields = {}) => app.standIn.seed('Contact_Us', [{
+    Full_Name: 'Amina Okello',
+    Email_id: 'amina.okello@example.com',
+    Contact: '+256700123456',
+    Enter_Message: 'Please send me your price list for antimalarials.',
+    status: 'new',
+    assigned_to: null,
+    created_at: '2025-01-01T08:00:00.000Z',
+    ...fields
+  }])[0];
+
+  const send = (urlPath, { method = 'GET', body, token = hr } = {}) => app.request(urlPath, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body
+  });
+
+  const setStatus = (id, status, note) => send(`/api/contact/admin/${id}/status`, { method: 'PUT', body: { status, note } });
+  const assign = (id, assigneeId = assignee.id) => send(`/api/contact/admin/${id}/assign`, { method: 'PUT', body: { assigneeId } });
+
+  describe('status workflow', () => {
+    it('moves an enquiry from new through assigned and replied to closed, and reopens it by assigning', async () => {
+      const { id } = seedEnquiry();
+
+      const assigned = await assign(id);
+      assert.equal(assigned.status, 200);
+      assert.equal(assigned.body.data.status, 'assigned');
+      assert.equal(assigned.body.data.assigned_to, assignee.id);
+
+      const replied = await setStatus(id, 'replied', 'Price list sent by email');
+      assert.equal(replied.status, 200);
+      assert.equal(replied.body.data.status, 'replied');
+
+      const closed = await setStatus(id, 'closed');
+      assert.equal(closed.body.data.status, 'closed');
+
+      const reopened = await assign(id);
+      assert.equal(reopened.status, 200);
+      assert.equal(reopened.body.data.status, 'assigned');
+
+      const enquiry = await send(`/api/contact/admin/${id}`);
+      assert.deepEqual(enquiry.body.data.notes.map(note => [note.note, note.author_name]), [
+        ['Price list sent by email', 'Test hr']
+      ]);
+    });
+
+    it('refuses a change the workflow does not allow with 409 and leaves the enquiry as it was', async () => {
+      const fresh = seedEnquiry();
+      const closed = seedEnquiry({ status: 'closed', assigned_to: assignee.id });
+
+      const skipped = await setStatus(fresh.id, 'replied');
+      const unassigned = await setStatus(fresh.id, 'assigned');
+      const reopened = await setStatus(closed.id, 'replied');
+
+      assert.equal(skipped.status, 409);
+      assert.equal(skipped.body.message, 'Invalid status transition: new -> replied');
+      assert.equal(unassigned.status, 409);
+      assert.equal(reopened.status, 409);
+      assert.deepEqual(app.standIn.rows('Contact_Us').map(row => row.status), ['new', 'closed']);
+    });
+
+    it('lets an enquiry be closed without a reply', async () => {
+      const { id } = seedEnquiry();
+
+      const response = await setStatus(id, 'closed');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.status, 'closed');
+    });
+
+    it('only assigns enquiries to active staff', async () => {
+      const { id } = seedEnquiry();
+      const [inactive] = app.standIn.seed('Admin_Users', [{
+        email: 'former@africurepharma.com',
+        full_name: 'Former Staff',
+        role: 'hr',
+        is_active: false
+      }]);
+
+      const response = await assign(id, inactive.id);
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.errors[0].field, 'assigneeId');
+      assert.equal(app.standIn.rows('Contact_Us')[0].status, 'new');
+    });
+
+    it('rejects unknown statuses, malformed IDs, unknown enquiries and viewers', async () => {
+      const { id } = seedEnquiry();
+
+      const unknownStatus = await setStatus(id, 'archived');
+      const malformed = await setStatus('42', 'closed');
+      const missing = await setStatus('00000000-0000-4000-8000-000000000000', 'closed');
+      const viewer = await send(`/api/contact/admin/${id}/status`, {
+        method: 'PUT',
+        body: { status: 'closed' },
+        token: app.staffToken('viewer')
+      });
+
+      assert.equal(unknownStatus.status, 400);
+      assert.equal(malformed.status, 400);
+      assert.equal(missing.status, 404);
+      assert.equal(viewer.status, 403);
+      assert.equal(app.standIn.rows('Contact_Us')[0].status, 'new');
+    });
+  });
+
+  describe('GET /api/contact/admin/all', () => {
+    it('filters by status, assignment and search term', async () => {
+      seedEnquiry({ Full_Name: 'Amina Okello' });
+      seedEnquiry({ Full_Name: 'Brian Otieno', Email_id: 'brian@example.com', Enter_Message: 'Distributor enquiry', status: 'assigned', assigned_to: assignee.id });
+      seedEnquiry({ Full_Name: 'Carol Achieng', Email_id: 'carol@example.com', Enter_Message: 'Thanks', status: 'closed' });
+
+      const assigned = await send('/api/contact/admin/all?status=assigned');
+      const unassigned = await send('/api/contact/admin/all?unassigned=true&sortBy=Full_Name&sortOrder=asc');
+      const search = await send('/api/contact/admin/all?search=distributor');
+
+      assert.deepEqual(assigned.body.data.map(row => row.Full_Name), ['Brian Otieno']);
+      assert.deepEqual(unassigned.body.data.map(row => row.Full_Name), ['Amina Okello', 'Carol Achieng']);
+      assert.deepEqual(search.body.data.map(row => row.Full_Name), ['Brian Otieno']);
+    });
+
+    it('counts the enquiries in each status and the open ones nobody is assigned to', async () => {
+      app.clock.fixed = new Date('2025-01-01T12:00:00Z');
+      seedEnquiry();
+      seedEnquiry({ status: null });
+      seedEnquiry({ status: 'assigned', assigned_to: assignee.id, created_at: '2024-12-31T08:00:00.000Z' });
+      seedEnquiry({ status: 'closed', created_at: '2024-12-30T08:00:00.000Z' });
+
+      const response = await send('/api/contact/admin/stats');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.statusBreakdown, { new: 2, assigned: 1, replied: 0, closed: 1 });
+      assert.equal(response.body.data.unassigned, 2);
+      assert.equal(response.body.data.total, 4);
+      assert.equal(response.body.data.today, 2);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const { readZipEntries, readZipText } = require('../utils/zipReader');
+const { crc32 } = require('../utils/zipWriter');
+const { columnName } = require('../utils/xlsxWriter');
+
+describe('admin exports', () => {
+  let app;
+  let hr;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    app.clock.fixed = new Date('2025-03-01T09:00:00Z');
+    hr = app.staffToken('hr');
+  });
+
+  const seedApplication = (fields = {}) => app.standIn.seed('Career_Applications', [{
+    full_name: 'Joseph Mukasa',
+    email: 'joseph.mukasa@example.com',
+    phone: '+256 701 234567',
+    location: 'Kampala',
+    position: 'quality-assurance',
+    experience: '4-5',
+    qualification: 'bpharm',
+    application_status: 'pending',
+    submission_count: 1,
+    resume_file_name: 'joseph-mukasa-cv.pdf',
+    cover_letter: 'I have led two WHO prequalification audits.',
+    application_date: '2025-01-01T08:00:00.000Z',
+    last_submitted_at: null,
+    updated_at: '2025-01-01T08:00:00.000Z',
+    ...fields
+  }])[0];
+
+  const get = (urlPath, token = hr) => app.request(urlPath, { headers: { Authorization: `Bearer ${token}` } });
+
+  // A file download as bytes, plus its text (fetch's text() would drop the byte order mark)
+  const download = async (urlPath, token = hr) => {
+    const response = await app.request(urlPath, { headers: { Authorization: `Bearer ${token}` }, binary: true });
+    return { ...response, text: response.body.toString('utf8') };
+  };
+
+  // Header and data lines of a CSV export, after checking the byte order mark
+  const csvLines = (text) => {
+    assert.equal(text.charAt(0), '﻿');
+    return text.slice(1).split('\r\n').slice(0, -1);
+  };
+
+  const csvRows = (text) => csvLines(text).slice(1);
+
+  describe('CSV', () => {
+    it('streams the applications oldest first, with opening titles and application numbers', async () => {
+      const later = seedApplication({ full_name: 'Amina Okello', email: 'amina@example.com', application_date: '2025-01-02T08:00:00.000Z' });
+      const earlier = seedApplication();
+
+      const response = await download('/api/careers/admin/applications/export');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'text/csv; charset=utf-8');
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="applications-2025-03-01.csv"');
+      assert.equal(response.headers.get('cache-control'), 'private, no-store');
+      assert.equal(csvLines(response.text)[0], [
+        'Application number', 'Full name', 'Email', 'Phone', 'Location', 'Position', 'Position title',
+        'Experience (years)', 'Qualification', 'Status', 'Submissions', 'Resume file', 'Applied at',
+        'Last submitted at', 'Updated at'
+      ].join(','));
+      assert.deepEqual(csvRows(response.text), [
+        `AC-${String(earlier.id).padStart(6, '0')},Joseph Mukasa,joseph.mukasa@example.com,+256 701 234567,Kampala,quality-assurance,Quality Assurance Officer,4-5,bpharm,pending,1,joseph-mukasa-cv.pdf,2025-01-01T08:00:00.000Z,,2025-01-01T08:00:00.000Z`,
+        `AC-${String(later.id).padStart(6, '0')},Amina Okello,amina@example.com,+256 701 234567,Kampala,quality-assurance,Quality Assurance Officer,4-5,bpharm,pending,1,joseph-mukasa-cv.pdf,2025-01-02T08:00:00.000Z,,2025-01-01T08:00:00.000Z`
+      ]);
+    });
+
+    it('quotes separators and keeps spreadsheet formulas from running', async () => {
+      seedApplication({
+        full_name: '=HYPERLINK("http://evil.example","Click")',
+        location: 'Plot 5, Jinja Road\nKampala',
+        cover_letter: '@SUM(A1:A2)'
+      });
+
+      const response = await download('/api/careers/admin/applications/export?columns=full_name,phone,location,cover_letter');
+
+      assert.deepEqual(csvRows(response.text), [
+        `"'=HYPERLINK(""http://evil.example"",""Click"")",+256 701 234567,"Plot 5, Jinja Road\nKampala",'@SUM(A1:A2)`
+      ]);
+    });
+
+    it('applies the list filters and exports only the chosen columns', async () => {
+      seedApplication({ full_name: 'Pending QA' });
+      seedApplication({ full_name: 'Shortlisted QA', application_status: 'shortlisted' });
+      seedApplication({ full_name: 'Shortlisted sales', application_status: 'shortlisted', position: 'medical-rep' });
+
+      const response = await download('/api/careers/admin/applications/export?status=shortlisted&position=quality-assurance&columns=full_name, application_status,full_name');
+
+      assert.equal(csvLines(response.text)[0], 'Full name,Status');
+      assert.deepEqual(csvRows(response.text), ['Shortlisted QA,shortlisted']);
+    });
+
+    it('reads large exports in batches rather than all at once', async () => {
+      app.standIn.seed('Career_Applications', Array.from({ length: 1001 }, (_, index) => ({
+        full_name: `Applicant ${index}`,
+        position: 'quality-assurance',
+        application_status: 'pending',
+        application_date: new Date(Date.UTC(2025, 0, 1, 0, index)).toISOString()
+      })));
+      app.standIn.requests.length = 0;
+
+      const response = await download('/api/careers/admin/applications/export?columns=full_name');
+
+      const lines = csvRows(response.text);
+      assert.equal(lines.length, 1001);
+      assert.equal(lines[0], 'Applicant 0');
+      assert.equal(lines[1000], 'Applicant 1000');
+      const batches = app.standIn.requests.filter(request => request.table === 'Career_Applications' && request.method === 'GET');
+      assert.deepEqual(batches.map(request => [request.query.get('offset'), request.query.get('limit')]), [
+        ['0', '500'], ['500', '500'], ['1000', '500']
+      ]);
+    });
+
+    it('masks personal data when asked, and always for viewers', async () => {
+      seedApplication();
+
+      const redacted = await download('/api/careers/admin/applications/export?redact=true&columns=full_name,email,phone,resume_file_name,cover_letter,location');
+      const viewer = await download('/api/careers/admin/applications/export?redact=false&columns=full_name,email', app.staffToken('viewer'));
+
+      assert.equal(redacted.headers.get('content-disposition'), 'attachment; filename="applications-redacted-2025-03-01.csv"');
+      assert.deepEqual(csvRows(redacted.text), ['J. M.,j***@example.com,***567,[redacted],[redacted],Kampala']);
+      assert.equal(viewer.headers.get('content-disposition'), 'attachment; filename="applications-redacted-2025-03-01.csv"');
+      assert.deepEqual(csvRows(viewer.text), ['J. M.,j***@example.com']);
+    });
+
+    it('exports contact enquiries with the inbox filters', async () => {
+      app.standIn.seed('Contact_Us', [
+        { Full_Name: 'Amina Okello', Email_id: 'amina@example.com', Contact: '+256700123456', Enter_Message: 'Price list, please', status: 'new', assigned_to: null, created_at: '2025-01-01T08:00:00.000Z' },
+        { Full_Name: 'Brian Otieno', Email_id: 'brian@example.com', Contact: '+254712345678', Enter_Message: 'Distributor enquiry', status: 'new', assigned_to: null, created_at: '2025-01-02T08:00:00.000Z' },
+        { Full_Name: 'Carol Achieng', Email_id: 'carol@example.com', Contact: '+254712000000', Enter_Message: 'Distributor too', status: 'closed', assigned_to: null, created_at: '2025-01-03T08:00:00.000Z' }
+      ]);
+
+      const response = await download('/api/contact/admin/export?status=new&search=distributor&columns=full_name,contact,message,status&redact=true');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="contacts-redacted-2025-03-01.csv"');
+      assert.deepEqual(csvRows(response.text), ['B. O.,***678,[redacted],new']);
+    });
+
+    it('refuses unknown columns and formats before sending anything', async () => {
+      const column = await get('/api/careers/admin/applications/export?columns=full_name,password_hash');
+      const format = await get('/api/careers/admin/applications/export?format=pdf');
+      const malformed = await get('/api/contact/admin/export?columns=Full_Name;DROP');
+
+      assert.equal(column.status, 400);
+      assert.match(column.body.message, /^Invalid export: unknown column\(s\) password_hash\. Available: application_number, full_name/);
+      assert.equal(format.status, 400);
+      assert.equal(format.body.errors[0].field, 'format');
+      assert.equal(malformed.status, 400);
+      assert.equal(malformed.body.errors[0].field, 'columns');
+    });
+
+    it('cuts the download short rather than sending a partial file as complete when reading fails', async () => {
+      seedApplication();
+      app.standIn.fail({ method: 'GET', table: 'Career_Applications' }, { status: 500, code: 'XX000', message: 'connection reset' });
+
+      await assert.rejects(download('/api/careers/admin/applications/export'));
+    });
+  });
+
+  describe('XLSX', () => {
+    // The parts of a downloaded workbook, checking each entry against its CRC
+    const workbook = (body) => {
+      const entries = readZipEntries(body);
+      return Object.fromEntries(entries.map(entry => {
+        const text = readZipText(body, entry, 1024 * 1024);
+        assert.equal(crc32(0, Buffer.from(text, 'utf8')), readCrc(body, entry.name), `CRC of ${entry.name}`);
+        return [entry.name, text];
+      }));
+    };
+
+    // CRC from the central directory record of an entry
+    const readCrc = (body, name) => {
+      const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+      for (let record = body.indexOf(signature); record !== -1; record = body.indexOf(signature, record + 4)) {
+        const nameLength = body.readUInt16LE(record + 28);
+        if (body.toString('utf8', record + 46, record + 46 + nameLength) === name) {
+          return body.readUInt32LE(record + 16);
+        }
+      }
+      return null;
+    };
+
+    it('streams a workbook Excel can open, with a bold header row and typed cells', async () => {
+      const application = seedApplication({ full_name: 'Amina <Okello> & Sons', submission_count: 2 });
+
+      const response = await download('/api/careers/admin/applications/export?format=xlsx&columns=application_number,full_name,submission_count,last_submitted_at');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      assert.equal(response.headers.get('content-disposition'), 'attachment; filename="applications-2025-03-01.xlsx"');
+
+      const parts = workbook(response.body);
+      assert.deepEqual(Object.keys(parts), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+      ]);
+      assert.match(parts['xl/workbook.xml'], /<sheet name="Applications" sheetId="1" r:id="rId1"\/>/);
+
+      const sheet = parts['xl/worksheets/sheet1.xml'];
+      assert.match(sheet, /<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Application number<\/t><\/is><\/c>/);
+      const [, dataRow] = sheet.match(/<row r="2">(.*?)<\/row>/);
+      assert.equal(dataRow, [
+        `<c r="A2" t="inlineStr"><is><t xml:space="preserve">AC-${String(application.id).padStart(6, '0')}</t></is></c>`,
+        '<c r="B2" t="inlineStr"><is><t xml:space="preserve">Amina &lt;Okello&gt; &amp; Sons</t></is></c>',
+        '<c r="C2"><v>2</v></c>'
+      ].join(''));
+    });
+
+    it('names columns past Z the way Excel does', () => {
+      assert.deepEqual([0, 25, 26, 51, 52, 701, 702].map(columnName), ['A', 'Z', 'AA', 'AZ', 'BA', 'ZZ', 'AAA']);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('interviews', () => {
+  let app;
+  let hr;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    app.clock.fixed = new Date('2025-02-20T08:00:00Z');
+    hr = app.staffToken('hr');
+  });
+
+  const seedApplication = (fields = {}) => app.standIn.seed('Career_Applications', [{
+    full_name: 'Joseph Mukasa',
+    email: 'joseph.mukasa@example.com',
+    phone: '+256701234567',
+    position: 'quality-assurance',
+    application_status: 'shortlisted',
+    application_date: '2025-01-01T08:00:00.000Z',
+    ...fields
+  }])[0];
+
+  const PANEL = [
+    { name: 'Grace Nambi', email: 'grace.nambi@africurepharma.com' },
+    { name: 'Peter Ssali', email: 'peter.ssali@africurepharma.com' }
+  ];
+
+  const interview = (fields = {}) => ({
+    startsAt: '2025-03-03T09:00:00+03:00',
+    durationMinutes: 45,
+    mode: 'onsite',
+    location: 'Head office, Plot 12 Industrial Area, Kampala',
+    panel: PANEL,
+    ...fields
+  });
+
+  const send = (urlPath, { method = 'GET', body, token = hr } = {}) => app.request(urlPath, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body
+  });
+
+  const schedule = (applicationId, body = interview()) => send(`/api/careers/admin/applications/${applicationId}/interviews`, { method: 'POST', body });
+
+  // Content lines are folded at 75 octets; unfold them to match whole properties
+  const unfold = (ics) => {
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    return ics.replace(/\r\n /g, '');
+  };
+
+  // Sent invitations as [to, method, unfolded .ics], in the order they were queued
+  const invitations = async () => {
+    await app.mailSent();
+    return app.mail.map(message => [message.to, message.icalEvent.method, unfold(message.icalEvent.content)]);
+  };
+
+  describe('scheduling', () => {
+    it('schedules an interview and sends the candidate and the panel their own invitations', async () => {
+      const application = seedApplication();
+
+      const response = await schedule(application.id);
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.startsAt, '2025-03-03T06:00:00.000Z');
+      assert.equal(response.body.data.endsAt, '2025-03-03T06:45:00.000Z');
+      assert.equal(response.body.data.sequence, 0);
+      assert.deepEqual(response.body.data.createdBy, { id: response.body.data.createdBy.id, name: 'Test hr' });
+
+      const [candidate, panel, ...others] = await invitations();
+      assert.equal(others.length, 0);
+
+      assert.deepEqual(candidate.slice(0, 2), ['joseph.mukasa@example.com', 'REQUEST']);
+      assert.match(candidate[2], new RegExp(`\r\nUID:interview-${response.body.data.id}-candidate@africurepharma.com\r\n`));
+      assert.match(candidate[2], /\r\nDTSTART:20250303T060000Z\r\nDTEND:20250303T064500Z\r\n/);
+      assert.match(candidate[2], /\r\nSUMMARY:Interview: Quality Assurance Officer - Africure Pharma\r\n/);
+      assert.match(candidate[2], /\r\nLOCATION:Head office\\, Plot 12 Industrial Area\\, Kampala\r\n/);
+      assert.match(candidate[2], /\r\nATTENDEE;CN=Joseph Mukasa;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:joseph.mukasa@example.com\r\n/);
+      assert.doesNotMatch(candidate[2], /grace\.nambi/);
+
+      assert.deepEqual(panel.slice(0, 2), [PANEL.map(member => member.email), 'REQUEST']);
+      assert.match(panel[2], new RegExp(`\r\nUID:interview-${response.body.data.id}-panel@africurepharma.com\r\n`));
+      assert.match(panel[2], /\r\nSUMMARY:Interview: Joseph Mukasa \(Quality Assurance Officer\)\r\n/);
+      assert.doesNotMatch(panel[2], /mailto:joseph\.mukasa/);
+    });
+
+    it('calls the candidate on the number in their application unless another is given', async () => {
+      const application = seedApplication();
+
+      const response = await schedule(application.id, interview({ mode: 'phone', location: undefined }));
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.phoneNumber, '+256701234567');
+      const [[, , candidateIcs]] = await invitations();
+      assert.match(candidateIcs, /we will call you on \+256701234567/);
+    });
+
+    it('only schedules interviews for shortlisted applications', async () => {
+      const application = seedApplication({ application_status: 'reviewing' });
+
+      const response = await schedule(application.id);
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.message, 'Interviews can only be scheduled for shortlisted applications (this one is reviewing)');
+      assert.equal(app.standIn.rows('Career_Interviews').length, 0);
+    });
+
+    it('rejects a time in the past, a video interview without a link and viewers', async () => {
+      const application = seedApplication();
+
+      const past = await schedule(application.id, interview({ startsAt: '2025-02-20T07:59:00Z' }));
+      const video = await schedule(application.id, interview({ mode: 'video' }));
+      const asViewer = await send(`/api/careers/admin/applications/${application.id}/interviews`, {
+        method: 'POST',
+        body: interview(),
+        token: app.staffToken('viewer')
+      });
+
+      assert.equal(past.status, 400);
+      assert.equal(past.body.errors[0].message, 'startsAt must be in the future');
+      assert.equal(video.status, 400);
+      assert.equal(video.body.errors[0].message, 'A video interview needs a meetingUrl');
+      assert.equal(asViewer.status, 403);
+      assert.equal(app.standIn.rows('Career_Interviews').length, 0);
+    });
+  });
+
+  describe('changes and cancellation', () => {
+    it('sends updated invitations with a higher sequence, and a cancellation to panel members taken off', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+      await app.mailSent();
+      app.mail.length = 0;
+
+      const response = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}`, {
+        method: 'PUT',
+        body: { startsAt: '2025-03-04T10:00:00+03:00', panel: [PANEL[0]] }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.sequence, 1);
+      assert.equal(response.body.data.durationMinutes, 45);
+
+      const sent = await invitations();
+      assert.deepEqual(sent.map(([to, method]) => [to, method]), [
+        ['joseph.mukasa@example.com', 'REQUEST'],
+        [[PANEL[0].email], 'REQUEST'],
+        [[PANEL[1].email], 'CANCEL']
+      ]);
+      assert.match(sent[0][2], /\r\nSEQUENCE:1\r\nDTSTAMP:20250220T080000Z\r\nDTSTART:20250304T070000Z\r\n/);
+      assert.match(app.mail[0].subject, /^Updated: /);
+      assert.match(sent[2][2], /\r\nATTENDEE;CN=Peter Ssali;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:peter.ssali@africurepharma.com\r\n/);
+    });
+
+    it('does not send anything when only the time is restated', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+      await app.mailSent();
+      app.mail.length = 0;
+
+      const response = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}`, {
+        method: 'PUT',
+        body: { startsAt: '2025-03-03T06:00:00Z' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.sequence, 0);
+      assert.deepEqual(await invitations(), []);
+    });
+
+    it('cancels an interview for everyone and keeps it cancelled', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+      await app.mailSent();
+      app.mail.length = 0;
+      const interviewPath = `/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}`;
+
+      const cancelled = await send(`${interviewPath}/cancel`, { method: 'POST', body: { reason: 'Position filled internally' } });
+
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.data.status, 'cancelled');
+      assert.equal(cancelled.body.data.cancelReason, 'Position filled internally');
+      const sent = await invitations();
+      assert.deepEqual(sent.map(([, method]) => method), ['CANCEL', 'CANCEL']);
+      assert.match(sent[0][2], /\r\nMETHOD:CANCEL\r\n[\s\S]*\r\nSEQUENCE:1\r\n[\s\S]*\r\nSTATUS:CANCELLED\r\n/);
+      assert.match(app.mail[0].text, /Reason: Position filled internally/);
+
+      const again = await send(`${interviewPath}/cancel`, { method: 'POST', body: {} });
+      const changed = await send(interviewPath, { method: 'PUT', body: { location: 'Board room' } });
+      const outcome = await send(`${interviewPath}/outcome`, { method: 'PUT', body: { status: 'completed' } });
+      const feedback = await send(`${interviewPath}/feedback`, { method: 'POST', body: { rating: 4, recommendation: 'yes' } });
+
+      assert.equal(again.status, 409);
+      assert.equal(again.body.message, 'Only scheduled interviews can be cancelled (this one is cancelled)');
+      assert.equal(changed.status, 409);
+      assert.equal(outcome.status, 409);
+      assert.equal(outcome.body.message, 'Cannot record an outcome for a cancelled interview');
+      assert.equal(feedback.status, 409);
+    });
+  });
+
+  describe('GET /api/careers/admin/applications/:id/interviews/:interviewId/invite.ics', () => {
+    it('downloads the current invitation of either side, and the cancellation once cancelled', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+      const invitePath = `/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/invite.ics`;
+
+      const candidate = await send(invitePath);
+      const panel = await send(`${invitePath}?for=panel`);
+
+      assert.equal(candidate.status, 200);
+      assert.equal(candidate.headers.get('content-type'), 'text/calendar; charset=utf-8');
+      assert.equal(candidate.headers.get('content-disposition'), `attachment; filename="interview-${scheduled.id}-candidate.ics"`);
+      assert.equal(candidate.headers.get('cache-control'), 'private, no-store');
+      assert.match(unfold(candidate.body), /^BEGIN:VCALENDAR\r\n[\s\S]*\r\nMETHOD:REQUEST\r\n[\s\S]*\r\nEND:VCALENDAR\r\n$/);
+      assert.match(unfold(panel.body), /\r\nATTENDEE;CN=Grace Nambi;/);
+
+      await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/cancel`, { method: 'POST', body: {} });
+      const cancelled = await send(invitePath);
+
+      assert.match(unfold(cancelled.body), /\r\nMETHOD:CANCEL\r\n/);
+    });
+
+    it('rejects an unknown audience and reports an interview of another application as not found', async () => {
+      const application = seedApplication();
+      const other = seedApplication({ full_name: 'Amina Okello' });
+      const { body: { data: scheduled } } = await schedule(application.id);
+
+      const audience = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/invite.ics?for=everyone`);
+      const elsewhere = await send(`/api/careers/admin/applications/${other.id}/interviews/${scheduled.id}/invite.ics`);
+
+      assert.equal(audience.status, 400);
+      assert.equal(elsewhere.status, 404);
+      assert.equal(elsewhere.body.message, 'Interview not found');
+    });
+  });
+
+  describe('outcomes and feedback', () => {
+    it('moves a shortlisted application to interviewed when its interview is completed', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+
+      const response = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/outcome`, {
+        method: 'PUT',
+        body: { status: 'completed', outcome: 'advance' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.status, 'completed');
+      assert.equal(response.body.data.outcome, 'advance');
+      assert.equal(app.standIn.rows('Career_Applications')[0].application_status, 'interviewed');
+      assert.deepEqual(app.standIn.rows('Career_Application_History').map(entry => [entry.from_status, entry.to_status, entry.changed_by_name, entry.note]), [
+        ['shortlisted', 'interviewed', 'Test hr', 'Interview on Monday, 3 March 2025, 06:00 - 06:45 (UTC) completed (outcome: advance)']
+      ]);
+    });
+
+    it('leaves the application alone when the candidate did not attend or was already interviewed', async () => {
+      const shortlisted = seedApplication();
+      const secondRound = seedApplication({ application_status: 'interviewed' });
+      const { body: { data: first } } = await schedule(shortlisted.id);
+      const { body: { data: second } } = await schedule(secondRound.id);
+
+      const noShow = await send(`/api/careers/admin/applications/${shortlisted.id}/interviews/${first.id}/outcome`, {
+        method: 'PUT',
+        body: { status: 'no_show', outcome: 'reject' }
+      });
+      const completed = await send(`/api/careers/admin/applications/${secondRound.id}/interviews/${second.id}/outcome`, {
+        method: 'PUT',
+        body: { status: 'completed', outcome: 'hold' }
+      });
+
+      assert.equal(noShow.body.data.status, 'no_show');
+      assert.equal(noShow.body.data.outcome, null);
+      assert.equal(completed.status, 200);
+      assert.deepEqual(app.standIn.rows('Career_Applications').map(row => row.application_status), ['shortlisted', 'interviewed']);
+      assert.equal(app.standIn.rows('Career_Application_History').length, 0);
+    });
+
+    it('records feedback from any staff member and lists it with the interview', async () => {
+      const application = seedApplication();
+      const { body: { data: scheduled } } = await schedule(application.id);
+      const viewer = app.staffToken('viewer');
+
+      const feedback = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/feedback`, {
+        method: 'POST',
+        body: { rating: 4, recommendation: 'strong_yes', comments: '  Knows GMP audits well  ' },
+        token: viewer
+      });
+      const invalid = await send(`/api/careers/admin/applications/${application.id}/interviews/${scheduled.id}/feedback`, {
+        method: 'POST',
+        body: { rating: 6, recommendation: 'maybe' }
+      });
+      const list = await send(`/api/careers/admin/applications/${application.id}/interviews`, { token: viewer });
+
+      assert.equal(feedback.status, 201);
+      assert.equal(feedback.body.data.author.name, 'Test viewer');
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors.map(error => error.field).sort(), ['rating', 'recommendation']);
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.data.map(item => [item.id, item.feedback.map(entry => [entry.rating, entry.recommendation, entry.comments])]), [
+        [scheduled.id, [[4, 'strong_yes', 'Knows GMP audits well']]]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+const SmtpStandIn = require('./support/smtpStandIn');
+const MailService = require('../services/mailService');
+const RegistrationService = require('../services/registrationService');
+const { runLicenceExpiryJob } = require('../jobs/licenceExpiryJob');
+
+const TODAY = '2025-01-01';
+
+describe('licence expiry job', () => {
+  let app;
+  let smtp;
+
+  before(async () => {
+    app = await startApp();
+    smtp = new SmtpStandIn();
+    const port = await smtp.start();
+
+    // The digest goes through the real SMTP transport to the stand-in
+    app.run(() => MailService.setTransport(MailService.createTransport({
+      transport: 'smtp',
+      smtp: { host: '127.0.0.1', port, secure: false }
+    })));
+  });
+
+  after(async () => {
+    await app.close();
+    await smtp.stop();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    smtp.reset();
+  });
+
+  const seedRegistration = (expiryDate, fields = {}) => app.standIn.seed('Product_Registrations', [{
+    product_id: 1,
+    country_code: 'UG',
+    regulatory_authority: 'NDA',
+    visa_number: `NDA/${expiryDate}`,
+    status: 'active',
+    approval_date: '2020-01-01',
+    expiry_date: expiryDate,
+    last_expiry_alert_days: null,
+    last_expiry_alert_at: null,
+    ...fields
+  }])[0];
+
+  const registration = (id) => app.standIn.rows('Product_Registrations').find(row => row.id === id);
+
+  it('expires lapsed registrations and alerts each at the smallest threshold reached', async () => {
+    const lapsed = seedRegistration('2024-12-31');
+    const within180 = seedRegistration('2025-06-01'); // 151 days
+    const within90 = seedRegistration('2025-03-01'); // 59 days
+    const within30 = seedRegistration('2025-01-31'); // 30 days
+    const later = seedRegistration('2025-07-01'); // 181 days
+
+    const summary = await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+
+    assert.equal(summary.digestSent, true);
+    assert.deepEqual(summary.expired.map(r => r.id), [lapsed.id]);
+    assert.deepEqual(summary.alerts.map(({ threshold, registrations }) => [threshold, registrations.map(r => r.id)]), [
+      [30, [within30.id]],
+      [90, [within90.id]],
+      [180, [within180.id]]
+    ]);
+
+    assert.equal(registration(lapsed.id).status, 'expired');
+    assert.equal(registration(within180.id).last_expiry_alert_days, 180);
+    assert.equal(registration(within90.id).last_expiry_alert_days, 90);
+    assert.equal(registration(within30.id).last_expiry_alert_days, 30);
+    assert.equal(registration(later.id).last_expiry_alert_days, null);
+
+    assert.equal(smtp.messages.length, 1);
+    assert.deepEqual(smtp.messages[0].to, [app.config.mail.mailboxes.regulatoryAffairs]);
+    assert.match(smtp.messages[0].raw, /Subject: Licence expiry digest 2025-01-01: 1 expired, 3 expiring/);
+  });
+
+  it('reports a registration again only when it crosses the next threshold', async () => {
+    const reg = seedRegistration('2025-06-01');
+
+    await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+    const sameDay = await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+    const stillWithin180 = await app.run(() => runLicenceExpiryJob({ today: '2025-02-01' }));
+    const within90 = await app.run(() => runLicenceExpiryJob({ today: '2025-03-10' }));
+
+    assert.equal(sameDay.digestSent, false);
+    assert.equal(stillWithin180.digestSent, false);
+    assert.deepEqual(within90.alerts.map(group => group.threshold), [90]);
+    assert.equal(registration(reg.id).last_expiry_alert_days, 90);
+    assert.equal(smtp.messages.length, 2);
+  });
+
+  it('starts the alerts again when the expiry date is renewed', async () => {
+    const reg = seedRegistration('2025-01-20');
+    await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+    assert.equal(registration(reg.id).last_expiry_alert_days, 30);
+
+    await app.run(() => RegistrationService.updateRegistration(reg.id, { expiryDate: '2025-05-01' }));
+    assert.equal(registration(reg.id).last_expiry_alert_days, null);
+
+    const summary = await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+
+    assert.deepEqual(summary.alerts.map(group => group.threshold), [180]);
+    assert.equal(registration(reg.id).last_expiry_alert_days, 180);
+  });
+
+  it('keeps the alerts for the next run when the digest cannot be sent', async () => {
+    const reg = seedRegistration('2025-01-20');
+    smtp.reject();
+
+    await assert.rejects(app.run(() => runLicenceExpiryJob({ today: TODAY })));
+    assert.equal(registration(reg.id).last_expiry_alert_days, null);
+
+    const retry = await app.run(() => runLicenceExpiryJob({ today: TODAY }));
+
+    assert.equal(retry.digestSent, true);
+    assert.equal(registration(reg.id).last_expiry_alert_days, 30);
+  });
+
+  it('changes nothing and sends nothing on a dry run', async () => {
+    const lapsed = seedRegistration('2024-12-01');
+    const reg = seedRegistration('2025-01-20');
+
+    const summary = await app.run(() => runLicenceExpiryJob({ today: TODAY, dryRun: true }));
+
+    assert.ok(summary.digest);
+    assert.equal(summary.digestSent, false);
+    assert.equal(registration(lapsed.id).status, 'active');
+    assert.equal(registration(reg.id).last_expiry_alert_days, null);
+    assert.equal(smtp.messages.length, 0);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, PRIVACY_NOTICE_VERSION } = require('./support/app');
+const CareerService = require('../services/careerService');
+const ContactService = require('../services/contactService');
+const ConsentService = require('../services/consentService');
+const SpamProtectionService = require('../services/spamProtectionService');
+const DataProtectionService = require('../services/dataProtectionService');
+
+const pdf = () => Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF\n', 'latin1');
+
+describe('DATABASE_DRIVER=memory', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { database: { driver: 'memory' } } });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+  });
+
+  // Resumes still go to storage; nothing may reach the Supabase tables or functions
+  afterEach(() => {
+    const database = app.standIn.requests.filter(request => request.table || request.function);
+    assert.deepEqual(database.map(request => `${request.method} ${request.table || request.function}`), []);
+  });
+
+  const store = (Service) => app.run(() => Service.getRepository());
+
+  const send = (urlPath, { method = 'GET', body, token } = {}) => app.request(urlPath, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body
+  });
+
+  const enquiry = (fields = {}) => ({
+    fullName: 'Amina Okello',
+    email: 'amina.okello@example.com',
+    contact: '+256700123456',
+    message: 'Please send me your price list for antimalarials.',
+    consent: true,
+    privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+    formToken: app.formToken('contact'),
+    website: '',
+    ...fields
+  });
+
+  const application = () => {
+    const form = new FormData();
+    Object.entries({
+      fullName: 'Joseph Mukasa',
+      email: 'joseph.mukasa@example.com',
+      phone: '+256701234567',
+      location: 'Kampala',
+      position: 'quality-assurance',
+      experience: '4-5',
+      qualification: 'bpharm',
+      coverLetter: 'I have five years of experience in pharmaceutical quality assurance.',
+      consent: 'on',
+      privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+      formToken: app.formToken('careers'),
+      website: ''
+    }).forEach(([name, value]) => form.append(name, value));
+    form.append('resume', new Blob([pdf()], { type: 'application/pdf' }), 'resume.pdf');
+    return form;
+  };
+
+  it('serves the privacy notice and the open positions', async () => {
+    const notice = await app.request('/api/privacy/notice');
+    const positions = await app.request('/api/careers/positions');
+
+    assert.equal(notice.status, 200);
+    assert.equal(notice.body.data.version, PRIVACY_NOTICE_VERSION);
+    assert.equal(positions.status, 200);
+    assert.deepEqual(positions.body.data.map(position => position.value), ['quality-assurance']);
+  });
+
+  it('stores an enquiry and its consent from the contact form', async () => {
+    const response = await app.request('/api/contact', { method: 'POST', body: enquiry() });
+
+    assert.equal(response.status, 201);
+    const [contact] = store(ContactService).contacts;
+    assert.equal(contact.id, response.body.data.id);
+    assert.equal(contact.Email_id, 'amina.okello@example.com');
+    assert.ok(store(ConsentService).records.every(record => record.contact_id === contact.id));
+    assert.ok(store(ConsentService).records.length > 0);
+  });
+
+  it('holds a submission with the honeypot filled in', async () => {
+    const response = await app.request('/api/contact', {
+      method: 'POST',
+      body: enquiry({ website: 'http://cheap-pills.example.com' })
+    });
+
+    assert.equal(response.status, 202);
+    assert.equal(store(ContactService).contacts.length, 0);
+
+    const held = await send('/api/contact/admin/quarantine', { token: app.staffToken('hr') });
+    assert.equal(held.status, 200);
+    assert.deepEqual(held.body.data.submissions.map(submission => submission.form), ['contact']);
+    assert.equal(store(SpamProtectionService).submissions.length, 1);
+  });
+
+  it('takes a career application and schedules its interview', async () => {
+    const applied = await app.request('/api/careers/apply', { method: 'POST', body: application() });
+    assert.equal(applied.status, 201);
+
+    const [row] = store(CareerService).applications;
+    assert.equal(row.position, 'quality-assurance');
+    assert.equal(row.resume_content_type, 'application/pdf');
+
+    const hr = app.staffToken('hr');
+    const shortlisted = await send(`/api/careers/admin/applications/${row.id}/status`, {
+      method: 'PUT',
+      token: hr,
+      body: { status: 'reviewing' }
+    });
+    assert.equal(shortlisted.status, 200);
+    await send(`/api/careers/admin/applications/${row.id}/status`, { method: 'PUT', token: hr, body: { status: 'shortlisted' } });
+
+    const scheduled = await send(`/api/careers/admin/applications/${row.id}/interviews`, {
+      method: 'POST',
+      token: hr,
+      body: {
+        startsAt: '2030-03-03T09:00:00+03:00',
+        durationMinutes: 45,
+        mode: 'phone',
+        panel: [{ name: 'Grace Nambi', email: 'grace.nambi@africurepharma.com' }]
+      }
+    });
+    assert.equal(scheduled.status, 201);
+    assert.equal(scheduled.body.data.phoneNumber, '+256701234567');
+
+    const feedback = await send(`/api/careers/admin/applications/${row.id}/interviews/${scheduled.body.data.id}/feedback`, {
+      method: 'POST',
+      token: hr,
+      body: { rating: 4, recommendation: 'yes', comments: 'Knows GMP well.' }
+    });
+    assert.equal(feedback.status, 201);
+
+    const interviews = await send(`/api/careers/admin/applications/${row.id}/interviews`, { token: hr });
+    assert.equal(interviews.body.data.length, 1);
+    assert.deepEqual(interviews.body.data[0].feedback.map(entry => entry.comments), ['Knows GMP well.']);
+  });
+
+  it('lets admins add products and register them', async () => {
+    const admin = app.staffToken('admin');
+
+    const product = await send('/api/products/admin', {
+      method: 'POST',
+      token: admin,
+      body: { name: 'Ciproxin', genericName: 'Ciprofloxacin', category: 'antibiotics', strength: '500mg', dosageForm: 'Tablet' }
+    });
+    const registration = await send('/api/registrations', {
+      method: 'POST',
+      token: admin,
+      body: { productId: product.body.data.id, countryCode: 'UG', regulatoryAuthority: 'NDA', visaNumber: 'NDA-1', expiryDate: '2030-01-01' }
+    });
+    const duplicate = await send('/api/registrations', {
+      method: 'POST',
+      token: admin,
+      body: { productId: product.body.data.id, countryCode: 'UG', regulatoryAuthority: 'NDA', visaNumber: 'NDA-1' }
+    });
+    const listed = await app.request('/api/products');
+
+    assert.equal(product.status, 201);
+    assert.equal(registration.status, 201);
+    assert.equal(duplicate.status, 409);
+    assert.equal(listed.body.data[0].licenseStatus, 'Licensed');
+  });
+
+  it('erases a data subject and records the certificate', async () => {
+    await app.request('/api/contact', { method: 'POST', body: enquiry({ email: 'John.Doe@Gmail.com' }) });
+    const admin = app.staffToken('admin');
+
+    const erased = await send('/api/privacy/admin/erasures', {
+      method: 'POST',
+      token: admin,
+      body: { email: 'johndoe@gmail.com', reason: 'Data subject request' }
+    });
+    const certificate = await send(`/api/privacy/admin/erasures/${erased.body.data.certificateId}`, { token: admin });
+
+    assert.equal(erased.status, 201);
+    assert.deepEqual(erased.body.data.records.map(record => record.table), ['Contact_Us']);
+    assert.equal(store(ContactService).contacts.length, 0);
+    assert.equal(certificate.body.data.verified, true);
+    assert.equal(store(DataProtectionService).entries.length, 1);
+  });
+
+  it('sends a copy of the data held through a one-time link', async () => {
+    await app.request('/api/contact', { method: 'POST', body: enquiry() });
+
+    const requested = await app.request('/api/privacy/access-requests', { method: 'POST', body: { email: 'amina.okello@example.com' } });
+    await app.mailSent();
+    const token = app.mail.at(-1).text.match(/download\?token=([\w-]+)/)[1];
+    const first = await app.request('/api/privacy/access-requests/download', { method: 'POST', body: { token, format: 'json' } });
+
+    assert.equal(requested.status, 202);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.contactEnquiries.length, 1);
+    assert.deepEqual(first.body.consents.map(consent => consent.purpose), ['enquiry_handling']);
+  });
+});
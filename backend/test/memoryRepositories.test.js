@@ -0,0 +1,370 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryCareerRepository = require('../repositories/memoryCareerRepository');
+const MemoryContactRepository = require('../repositories/memoryContactRepository');
+
+describe('MemoryCareerRepository', () => {
+  const applicant = (fields = {}) => ({
+    full_name: 'Joseph Mukasa',
+    email: 'joseph.mukasa@example.com',
+    phone: '+256 701 234 567',
+    location: 'Kampala',
+    position: 'quality-assurance',
+    experience: '4-5',
+    qualification: 'bpharm',
+    ...fields
+  });
+
+  it('fills in the column defaults and keeps the stored row to itself', async () => {
+    const repository = new MemoryCareerRepository();
+
+    const created = await repository.create(applicant());
+    created.full_name = 'Changed by the caller';
+
+    assert.equal(created.id, 1);
+    assert.equal(created.application_status, 'pending');
+    assert.equal(created.phone_normalized, '701234567');
+    assert.equal(created.anonymised_at, null);
+    assert.equal((await repository.findById(1)).full_name, 'Joseph Mukasa');
+  });
+
+  it('updates a row and returns only the columns asked for', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ updated_at: '2025-03-01T08:00:00.000Z' })
+    ]);
+
+    const updated = await repository.update('1', { phone: '0782 000 111', admin_notes: 'Called back' }, 'id, admin_notes');
+    const missing = await repository.update(99, { admin_notes: 'Nobody here' });
+
+    assert.deepEqual(updated, { id: 1, admin_notes: 'Called back' });
+    assert.equal(missing, null);
+    const row = await repository.findById(1);
+    assert.equal(row.phone_normalized, '782000111');
+    assert.notEqual(row.updated_at, '2025-03-01T08:00:00.000Z');
+  });
+
+  it('finds an application only with its own email address', async () => {
+    const repository = new MemoryCareerRepository([applicant()]);
+
+    assert.equal((await repository.findByIdAndEmail(1, 'joseph.mukasa@example.com', 'id')).id, 1);
+    assert.equal(await repository.findByIdAndEmail(1, 'someone.else@example.com'), null);
+  });
+
+  it('finds recent applications from the same applicant for the same position, newest first', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ application_date: '2025-03-01T08:00:00.000Z' }),
+      applicant({ application_date: '2025-03-03T08:00:00.000Z', phone: '0701234567' }),
+      applicant({ application_date: '2025-03-04T08:00:00.000Z', position: 'production-pharmacist' }),
+      applicant({ application_date: '2025-02-01T08:00:00.000Z' })
+    ]);
+
+    const recent = await repository.findRecentByApplicant({
+      position: 'quality-assurance',
+      email: 'joseph.mukasa@example.com',
+      phoneNormalized: '701234567',
+      since: '2025-02-15T00:00:00.000Z'
+    }, 'id');
+
+    assert.deepEqual(recent, [{ id: 2 }, { id: 1 }]);
+  });
+
+  it('lists with filters, sort and paging', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ full_name: 'Ann', application_status: 'reviewing' }),
+      applicant({ full_name: 'Ben', application_status: 'pending' }),
+      applicant({ full_name: 'Cate', application_status: 'reviewing' }),
+      applicant({ full_name: 'Dan', application_status: 'reviewing', position: 'production-pharmacist' })
+    ]);
+
+    const page = await repository.list({
+      filters: { status: 'reviewing', position: 'quality-assurance' },
+      columns: 'full_name',
+      sort: [{ column: 'full_name', ascending: false }],
+      limit: 1
+    });
+    const uncounted = await repository.list({ count: false });
+
+    assert.deepEqual(page, { rows: [{ full_name: 'Cate' }], total: 2 });
+    assert.equal(uncounted.total, null);
+    assert.equal(uncounted.rows.length, 4);
+  });
+
+  it('searches words, phrases, prefixes and exclusions and marks the matches', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ full_name: 'Ann', resume_text: 'Quality control pharmacist at a GMP plant' }),
+      applicant({ full_name: 'Ben', cover_letter: 'Pharmacy technician, no GMP experience' }),
+      applicant({ full_name: 'Cate', resume_text: 'Hospital pharmacist', qualification: 'diploma' })
+    ]);
+
+    const prefix = await repository.search({ q: 'pharmac' });
+    const phrase = await repository.search({ q: '"quality control"' });
+    const excluded = await repository.search({ q: 'gmp -technician' });
+    const either = await repository.search({ q: 'hospital or plant', qualification: 'bpharm' });
+
+    assert.deepEqual(prefix.map(row => row.full_name).sort(), ['Ann', 'Ben', 'Cate']);
+    assert.equal(prefix[0].total_count, 3);
+    assert.equal(phrase[0].resume_headline, '\u0002Quality control\u0003 pharmacist at a GMP plant');
+    assert.equal(phrase[0].cover_letter_headline, '');
+    assert.deepEqual(excluded.map(row => row.full_name), ['Ann']);
+    assert.deepEqual(either.map(row => row.full_name), ['Ann']);
+    assert.equal('resume_text' in phrase[0], false);
+  });
+
+  it('moves the status only from the expected one and records the history', async () => {
+    const repository = new MemoryCareerRepository([applicant({ application_status: 'reviewing' })]);
+
+    const moved = await repository.transitionStatus({
+      id: '1',
+      fromStatus: 'reviewing',
+      toStatus: 'shortlisted',
+      changedBy: 'user-1',
+      changedByName: 'Grace Nambi',
+      note: 'Strong GMP background'
+    }, 'id, application_status');
+
+    assert.deepEqual(moved, { id: 1, application_status: 'shortlisted' });
+    await assert.rejects(
+      repository.transitionStatus({ id: 1, fromStatus: 'reviewing', toStatus: 'rejected' }),
+      /Application status changed/
+    );
+    const history = await repository.listHistory('1');
+    assert.deepEqual(history.map(({ from_status, to_status, note }) => ({ from_status, to_status, note })), [
+      { from_status: 'reviewing', to_status: 'shortlisted', note: 'Strong GMP background' }
+    ]);
+  });
+
+  it('counts applications in a range and lists their statuses', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ application_date: '2025-03-01T08:00:00.000Z', application_status: 'hired' }),
+      applicant({ application_date: '2025-03-02T08:00:00.000Z' }),
+      applicant({ application_date: '2025-03-03T08:00:00.000Z', application_status: null })
+    ]);
+
+    assert.equal(await repository.count({ from: '2025-03-02T00:00:00.000Z' }), 2);
+    assert.equal(await repository.count({ to: '2025-03-02T08:00:00.000Z' }), 1);
+    assert.deepEqual(await repository.listStatuses(), ['hired', 'pending']);
+  });
+
+  it('lists the applications of a data subject in any case, oldest first', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ email: 'Joseph.Mukasa@Example.com', application_date: '2025-03-02T08:00:00.000Z' }),
+      applicant({ application_date: '2025-03-01T08:00:00.000Z' }),
+      applicant({ email: 'someone.else@example.com' })
+    ]);
+
+    const rows = await repository.listByEmail('joseph.mukasa@example.com');
+
+    assert.deepEqual(rows.map(row => row.id), [2, 1]);
+  });
+
+  it('pages the erasable applications in id order', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ updated_at: '2020-01-01T00:00:00.000Z', resume_storage_path: 'resumes/1.pdf' }),
+      applicant({ updated_at: '2020-01-01T00:00:00.000Z', anonymised_at: '2021-01-01T00:00:00.000Z' }),
+      applicant({ updated_at: '2025-01-01T00:00:00.000Z' }),
+      applicant({ updated_at: '2020-01-01T00:00:00.000Z', email: 'someone.else@example.com' })
+    ]);
+
+    const stale = await repository.listErasable({ updatedBefore: '2024-01-01T00:00:00.000Z', notAnonymised: true, limit: 10 });
+    const subject = await repository.listErasable({ email: 'JOSEPH.MUKASA@example.com', offset: 1, limit: 1 });
+
+    assert.deepEqual(stale, [
+      { id: 1, resume_storage_path: 'resumes/1.pdf' },
+      { id: 4, resume_storage_path: null }
+    ]);
+    assert.deepEqual(subject, [{ id: 2, resume_storage_path: null }]);
+  });
+
+  it('anonymises an application with its history, interviews and feedback', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ application_status: 'reviewing', cover_letter: 'Dear hiring team', resume_text: 'GMP' })
+    ]);
+    await repository.transitionStatus({ id: 1, fromStatus: 'reviewing', toStatus: 'shortlisted', note: 'Call on his mobile' });
+    const interview = await repository.createInterview({
+      application_id: '1',
+      starts_at: '2030-03-03T06:00:00.000Z',
+      mode: 'phone',
+      phone_number: '+256701234567',
+      instructions: 'Ask for Joseph'
+    });
+    await repository.addFeedback({ application_id: '1', interview_id: String(interview.id), rating: 4, comments: 'Knows GMP well.' });
+
+    await repository.anonymise('1');
+
+    const row = await repository.findById(1);
+    assert.equal(row.full_name, 'Erased applicant');
+    assert.equal(row.email, 'erased-1@erased.invalid');
+    assert.equal(row.phone_normalized, '000000000');
+    assert.equal(row.cover_letter, null);
+    assert.equal(row.resume_text, null);
+    assert.ok(row.anonymised_at);
+    assert.equal((await repository.listHistory(1))[0].note, null);
+    const [kept] = await repository.listInterviews(1);
+    assert.equal(kept.phone_number, null);
+    assert.equal(kept.instructions, null);
+    assert.equal((await repository.listFeedback(1))[0].comments, null);
+    assert.equal((await repository.listFeedback(1))[0].rating, 4);
+  });
+
+  it('keeps interviews with their application', async () => {
+    const repository = new MemoryCareerRepository([applicant(), applicant()]);
+    const later = await repository.createInterview({ application_id: '1', starts_at: '2030-03-04T06:00:00.000Z', mode: 'onsite' });
+    const earlier = await repository.createInterview({ application_id: '1', starts_at: '2030-03-03T06:00:00.000Z', mode: 'phone' });
+
+    const updated = await repository.updateInterview(String(later.id), { status: 'cancelled', cancel_reason: 'Position filled' });
+
+    assert.equal(later.status, 'scheduled');
+    assert.deepEqual(later.panel, []);
+    assert.deepEqual((await repository.listInterviews('1')).map(interview => interview.id), [earlier.id, later.id]);
+    assert.equal(updated.status, 'cancelled');
+    assert.equal((await repository.findInterview('1', later.id)).cancel_reason, 'Position filled');
+    assert.equal(await repository.findInterview('2', later.id), null);
+    await assert.rejects(repository.updateInterview(99, { status: 'completed' }), /Interview not found/);
+  });
+
+  it('deletes an application with its history, interviews and feedback', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ application_status: 'reviewing' }),
+      applicant({ application_status: 'reviewing' })
+    ]);
+    for (const id of [1, 2]) {
+      await repository.transitionStatus({ id, fromStatus: 'reviewing', toStatus: 'shortlisted' });
+      const interview = await repository.createInterview({ application_id: id, starts_at: '2030-03-03T06:00:00.000Z', mode: 'phone' });
+      await repository.addFeedback({ application_id: id, interview_id: interview.id, rating: 3 });
+    }
+
+    await repository.delete('1');
+
+    assert.deepEqual(repository.applications.map(application => application.id), [2]);
+    assert.deepEqual(repository.history.map(entry => entry.application_id), [2]);
+    assert.deepEqual(repository.interviews.map(interview => interview.application_id), [2]);
+    assert.deepEqual(repository.feedback.map(entry => entry.application_id), [2]);
+  });
+
+  it('lists the applications with a resume still to be indexed', async () => {
+    const repository = new MemoryCareerRepository([
+      applicant({ resume_storage_path: 'resumes/1.pdf' }),
+      applicant({ resume_storage_path: 'resumes/2.pdf', resume_text: 'Indexed' }),
+      applicant(),
+      applicant({ resume_storage_path: 'resumes/4.pdf' }),
+      applicant({ resume_storage_path: 'resumes/5.pdf' })
+    ]);
+
+    assert.deepEqual(await repository.listUnindexedResumeIds(10, 0), [1, 4, 5]);
+    assert.deepEqual(await repository.listUnindexedResumeIds(1, 1), [4]);
+  });
+});
+
+describe('MemoryContactRepository', () => {
+  const enquiry = (fields = {}) => ({
+    Full_Name: 'Amina Okello',
+    Email_id: 'amina.okello@example.com',
+    Contact: '+256700123456',
+    Enter_Message: 'Please send me your price list for antimalarials.',
+    ...fields
+  });
+
+  it('fills in the column defaults and updates a row', async () => {
+    const repository = new MemoryContactRepository();
+
+    const created = await repository.create(enquiry({ updated_at: '2025-03-01T08:00:00.000Z' }));
+    const updated = await repository.update(created.id, { status: 'in_progress', assigned_to: 'user-1' });
+
+    assert.match(created.id, /^[0-9a-f-]{36}$/);
+    assert.equal(created.status, 'new');
+    assert.equal(created.assigned_to, null);
+    assert.equal(updated.status, 'in_progress');
+    assert.notEqual(updated.updated_at, '2025-03-01T08:00:00.000Z');
+    assert.equal(await repository.update('missing', { status: 'closed' }), null);
+    assert.equal(await repository.findById('missing'), null);
+  });
+
+  it('filters the inbox by status, assignment, search text and date', async () => {
+    const repository = new MemoryContactRepository([
+      enquiry({ id: 'a', status: 'new', created_at: '2025-03-01T08:00:00.000Z' }),
+      enquiry({ id: 'b', status: 'in_progress', assigned_to: 'user-1', created_at: '2025-03-02T08:00:00.000Z' }),
+      enquiry({ id: 'c', status: 'in_progress', assigned_to: 'user-2', Enter_Message: 'Do you export to Kenya?', created_at: '2025-03-03T08:00:00.000Z' }),
+      enquiry({ id: 'd', status: 'new', Full_Name: 'Peter Ssali', Email_id: 'peter@example.com', created_at: '2025-03-04T08:00:00.000Z' })
+    ]);
+    const ids = async (filters) => (await repository.list({ filters, columns: 'id', sort: [{ column: 'created_at', ascending: true }] }))
+      .rows.map(row => row.id);
+
+    assert.deepEqual(await ids({ status: 'in_progress' }), ['b', 'c']);
+    assert.deepEqual(await ids({ assignedTo: 'user-2' }), ['c']);
+    assert.deepEqual(await ids({ unassigned: true }), ['a', 'd']);
+    assert.deepEqual(await ids({ search: 'KENYA' }), ['c']);
+    assert.deepEqual(await ids({ search: 'ssali' }), ['d']);
+    assert.deepEqual(await ids({ search: '(%)' }), ['a', 'b', 'c', 'd']);
+    assert.deepEqual(await ids({ from: '2025-03-02T08:00:00.000Z', to: '2025-03-03T08:00:00.000Z' }), ['b', 'c']);
+  });
+
+  it('pages, sorts and counts the inbox', async () => {
+    const repository = new MemoryContactRepository([
+      enquiry({ id: 'a', created_at: '2025-03-01T08:00:00.000Z' }),
+      enquiry({ id: 'b', created_at: '2025-03-02T08:00:00.000Z' }),
+      enquiry({ id: 'c', created_at: '2025-03-03T08:00:00.000Z' })
+    ]);
+
+    const page = await repository.list({ columns: 'id', sort: [{ column: 'created_at', ascending: false }], offset: 1, limit: 1 });
+
+    assert.deepEqual(page, { rows: [{ id: 'b' }], total: 3 });
+    assert.equal(await repository.count({ from: '2025-03-02T00:00:00.000Z' }), 2);
+    assert.deepEqual(await repository.listStatuses(), [
+      { status: 'new', assigned_to: null },
+      { status: 'new', assigned_to: null },
+      { status: 'new', assigned_to: null }
+    ]);
+  });
+
+  it('lists the notes of an enquiry in the order they were added', async () => {
+    const repository = new MemoryContactRepository([enquiry({ id: 'a' }), enquiry({ id: 'b' })]);
+    await repository.addNote({ contact_id: 'a', note: 'Sent the price list', created_at: '2025-03-01T08:00:00.000Z' });
+    await repository.addNote({ contact_id: 'b', note: 'Other enquiry', created_at: '2025-03-01T08:00:00.000Z' });
+    await repository.addNote({ contact_id: 'a', note: 'Followed up', created_at: '2025-03-01T08:00:00.000Z' });
+
+    const notes = await repository.listNotes('a');
+
+    assert.deepEqual(notes.map(note => note.note), ['Sent the price list', 'Followed up']);
+  });
+
+  it('finds and pages the enquiries of a data subject in any case', async () => {
+    const repository = new MemoryContactRepository([
+      enquiry({ id: 'b', Email_id: 'Amina.Okello@Example.com', created_at: '2025-03-02T08:00:00.000Z', updated_at: '2020-01-01T00:00:00.000Z' }),
+      enquiry({ id: 'a', created_at: '2025-03-01T08:00:00.000Z', updated_at: '2020-01-01T00:00:00.000Z', anonymised_at: '2021-01-01T00:00:00.000Z' }),
+      enquiry({ id: 'c', Email_id: 'peter@example.com', updated_at: '2025-01-01T00:00:00.000Z' })
+    ]);
+
+    const subject = await repository.listByEmail('amina.okello@example.com');
+    const stale = await repository.listErasable({ updatedBefore: '2024-01-01T00:00:00.000Z', notAnonymised: true, limit: 10 });
+    const page = await repository.listErasable({ email: 'AMINA.OKELLO@example.com', offset: 1, limit: 1 });
+
+    assert.deepEqual(subject.map(contact => contact.id), ['a', 'b']);
+    assert.deepEqual(stale, [{ id: 'b' }]);
+    assert.deepEqual(page, [{ id: 'b' }]);
+  });
+
+  it('anonymises an enquiry and its notes', async () => {
+    const repository = new MemoryContactRepository([enquiry({ id: '3f1c2b9e-0000-4000-8000-000000000000' })]);
+    await repository.addNote({ contact_id: '3f1c2b9e-0000-4000-8000-000000000000', note: 'Called Amina on her mobile' });
+
+    await repository.anonymise('3f1c2b9e-0000-4000-8000-000000000000');
+
+    const contact = await repository.findById('3f1c2b9e-0000-4000-8000-000000000000');
+    assert.equal(contact.Full_Name, 'Erased');
+    assert.equal(contact.Email_id, 'erased-3f1c2b9e@erased.invalid');
+    assert.equal(contact.Enter_Message, '[erased]');
+    assert.ok(contact.anonymised_at);
+    assert.deepEqual((await repository.listNotes('3f1c2b9e-0000-4000-8000-000000000000')).map(note => note.note), ['[erased]']);
+  });
+
+  it('deletes an enquiry with its notes', async () => {
+    const repository = new MemoryContactRepository([enquiry({ id: 'a' }), enquiry({ id: 'b' })]);
+    await repository.addNote({ contact_id: 'a', note: 'Sent the price list' });
+    await repository.addNote({ contact_id: 'b', note: 'Other enquiry' });
+
+    await repository.delete('a');
+
+    assert.deepEqual(repository.contacts.map(contact => contact.id), ['b']);
+    assert.deepEqual(repository.notes.map(note => note.contact_id), ['b']);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Migrator = require('../database/migrator');
+const FakePgClient = require('./support/fakePgClient');
+
+describe('migrator', () => {
+  let directory;
+  let client;
+  let migrator;
+
+  // Write NNNN_name.up.sql and .down.sql; each script is a comment naming it
+  const write = (version, name, { up = `-- ${version} up`, down = `-- ${version} down` } = {}) => {
+    const label = `${String(version).padStart(4, '0')}_${name}`;
+    fs.writeFileSync(path.join(directory, `${label}.up.sql`), up);
+    fs.writeFileSync(path.join(directory, `${label}.down.sql`), down);
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'africure-migrations-'));
+    client = new FakePgClient();
+    migrator = new Migrator(client, { directory });
+    write(1, 'create_first');
+    write(2, 'create_second');
+    write(3, 'create_third');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('applies pending migrations in order and records them with their checksums', async () => {
+    const applied = await migrator.up({ to: 2 });
+
+    assert.deepEqual(applied.map(migration => migration.version), [1, 2]);
+    assert.deepEqual(client.scripts, ['-- 1 up', '-- 2 up']);
+    assert.equal(client.migrations[0].checksum, Migrator.checksum('-- 1 up'));
+    assert.equal(client.locked, false);
+
+    const status = await migrator.status();
+
+    assert.deepEqual(status.map(entry => [entry.version, entry.state]), [[1, 'applied'], [2, 'applied'], [3, 'pending']]);
+  });
+
+  it('loads the migrations in database/migrations, numbered without gaps', () => {
+    const versions = Migrator.loadMigrations().map(migration => migration.version);
+
+    assert.deepEqual(versions, versions.map((version, index) => index + 1));
+  });
+
+  it('ignores line ending differences in the checksum', () => {
+    assert.equal(Migrator.checksum('SELECT 1;\r\nSELECT 2;\r\n'), Migrator.checksum('SELECT 1;\nSELECT 2;\n'));
+  });
+
+  it('refuses to run when an applied migration has been edited or removed', async () => {
+    await migrator.up({ to: 2 });
+    write(1, 'create_first', { up: '-- 1 up, edited' });
+    fs.rmSync(path.join(directory, '0002_create_second.up.sql'));
+    fs.rmSync(path.join(directory, '0002_create_second.down.sql'));
+
+    await assert.rejects(migrator.up(), {
+      message: 'Applied migrations do not match the files: 0001_create_first is changed since it was applied; 0002_create_second is applied but missing from disk. Add a new migration instead of editing one that has been applied.'
+    });
+    await assert.rejects(migrator.down(), /Applied migrations do not match the files/);
+    assert.deepEqual(client.scripts, ['-- 1 up', '-- 2 up']);
+    assert.equal(client.locked, false);
+
+    const status = await migrator.status();
+    assert.deepEqual(status.map(entry => entry.state), ['changed', 'missing', 'pending']);
+  });
+
+  it('refuses a pending migration numbered before the latest applied one', async () => {
+    fs.rmSync(path.join(directory, '0002_create_second.up.sql'));
+    fs.rmSync(path.join(directory, '0002_create_second.down.sql'));
+    await migrator.up();
+    write(2, 'create_second');
+
+    await assert.rejects(migrator.up(), {
+      message: 'Migration 0002_create_second is older than the latest applied migration (3); renumber it after 3'
+    });
+    assert.deepEqual(client.migrations.map(row => row.version), [1, 3]);
+  });
+
+  it('rolls back a failed migration with its record and stops there', async () => {
+    write(2, 'create_second', { up: 'CREATE TABLE broken (' });
+    client.failOn('broken');
+
+    await assert.rejects(migrator.up(), /^Error: Migration 0002_create_second \(up\) failed: syntax error/);
+    assert.deepEqual(client.migrations.map(row => row.version), [1]);
+    assert.deepEqual(client.scripts, ['-- 1 up']);
+    assert.equal(client.locked, false);
+  });
+
+  it('rolls back the newest migrations with their down scripts', async () => {
+    await migrator.up();
+
+    const lastOne = await migrator.down();
+
+    assert.deepEqual(lastOne.map(migration => migration.version), [3]);
+    assert.deepEqual(client.migrations.map(row => row.version), [1, 2]);
+
+    const toZero = await migrator.down({ to: 0 });
+
+    assert.deepEqual(toZero.map(migration => migration.version), [2, 1]);
+    assert.deepEqual(client.scripts.slice(3), ['-- 3 down', '-- 2 down', '-- 1 down']);
+    assert.deepEqual(client.migrations, []);
+  });
+
+  it('records a baseline without running the scripts, only on a database with no migrations', async () => {
+    const recorded = await migrator.baseline({ to: 2 });
+
+    assert.deepEqual(recorded.map(migration => migration.version), [1, 2]);
+    assert.deepEqual(client.scripts, []);
+    assert.deepEqual(client.migrations.map(row => [row.version, row.baseline, row.execution_ms]), [[1, true, 0], [2, true, 0]]);
+
+    const applied = await migrator.up();
+
+    assert.deepEqual(applied.map(migration => migration.version), [3]);
+    assert.deepEqual(client.scripts, ['-- 3 up']);
+    await assert.rejects(migrator.baseline({ to: 3 }), /baseline is only for databases with none/);
+  });
+
+  it('refuses a baseline to a version that does not exist', async () => {
+    await assert.rejects(migrator.baseline({ to: 7 }), { message: 'No migration with version 7' });
+    assert.deepEqual(client.migrations, []);
+  });
+
+  it('refuses migration files without a down script or with an invalid name', () => {
+    fs.rmSync(path.join(directory, '0003_create_third.down.sql'));
+    assert.throws(() => Migrator.loadMigrations(directory), { message: 'Migration 0003_create_third has no down script' });
+
+    write(3, 'create_third');
+    fs.writeFileSync(path.join(directory, '4_create_fourth.up.sql'), '-- 4 up');
+    assert.throws(() => Migrator.loadMigrations(directory), /Invalid migration file name: 4_create_fourth\.up\.sql/);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('job openings', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    app.clock.fixed = new Date('2025-03-01T12:00:00Z');
+  });
+
+  // reset() seeds 'quality-assurance', open with no dates
+  const seedOpenings = () => app.standIn.seed('Job_Openings', [
+    { slug: 'regulatory-affairs', title: 'Regulatory Affairs Officer', department: 'Regulatory', is_published: true, opens_at: '2025-03-02', closes_at: null, sort_order: 1 },
+    { slug: 'production-pharmacist', title: 'Production Pharmacist', department: 'Production', is_published: true, opens_at: null, closes_at: '2025-02-28', sort_order: 1 },
+    { slug: 'medical-rep', title: 'Medical Representative', department: 'Sales', is_published: false, opens_at: null, closes_at: null, sort_order: 1 },
+    { slug: 'warehouse-lead', title: 'Warehouse Lead', department: 'Supply', employment_type: 'contract', is_published: true, opens_at: '2025-02-01', closes_at: '2025-03-01', sort_order: 1 }
+  ]);
+
+  const send = (urlPath, { method = 'GET', body, token } = {}) => app.request(urlPath, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body
+  });
+
+  describe('GET /api/careers/positions', () => {
+    it('lists only published openings within their dates, in display order', async () => {
+      seedOpenings();
+
+      const response = await app.request('/api/careers/positions');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.map(position => position.value), ['quality-assurance', 'warehouse-lead']);
+      assert.deepEqual(response.body.data[1], {
+        value: 'warehouse-lead',
+        label: 'Warehouse Lead',
+        department: 'Supply',
+        location: null,
+        employmentType: 'contract',
+        description: null,
+        requirements: null,
+        closesAt: '2025-03-01'
+      });
+    });
+  });
+
+  describe('admin', () => {
+    const opening = (fields = {}) => ({
+      slug: 'QC-Analyst',
+      title: 'Quality Control Analyst',
+      department: 'Quality',
+      location: 'Kampala',
+      employmentType: 'full-time',
+      opensAt: '2025-03-01',
+      closesAt: '2025-04-30',
+      isPublished: true,
+      ...fields
+    });
+
+    it('lists every opening with its state, filtered by state', async () => {
+      seedOpenings();
+      const viewer = app.staffToken('viewer');
+
+      const all = await send('/api/careers/admin/openings', { token: viewer });
+      const closed = await send('/api/careers/admin/openings?state=closed', { token: viewer });
+
+      assert.deepEqual(Object.fromEntries(all.body.data.map(item => [item.slug, item.state])), {
+        'quality-assurance': 'open',
+        'regulatory-affairs': 'scheduled',
+        'production-pharmacist': 'closed',
+        'medical-rep': 'unpublished',
+        'warehouse-lead': 'open'
+      });
+      assert.deepEqual(closed.body.data.map(item => item.slug), ['production-pharmacist']);
+    });
+
+    it('creates an opening that is listed publicly and can be unpublished again', async () => {
+      const hr = app.staffToken('hr');
+
+      const created = await send('/api/careers/admin/openings', { method: 'POST', body: opening(), token: hr });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.data.slug, 'qc-analyst');
+      assert.equal(created.body.data.state, 'open');
+      assert.ok((await app.request('/api/careers/positions')).body.data.some(position => position.value === 'qc-analyst'));
+
+      const removed = await send(`/api/careers/admin/openings/${created.body.data.id}`, { method: 'DELETE', token: hr });
+      assert.equal(removed.status, 200);
+      assert.equal(app.standIn.rows('Job_Openings').find(row => row.slug === 'qc-analyst').is_published, false);
+      assert.ok(!(await app.request('/api/careers/positions')).body.data.some(position => position.value === 'qc-analyst'));
+    });
+
+    it('rejects a malformed slug, unknown employment type, non-ISO dates and a closing date before the opening date', async () => {
+      const hr = app.staffToken('hr');
+
+      const fields = await send('/api/careers/admin/openings', {
+        method: 'POST',
+        body: opening({ slug: 'QC Analyst!', employmentType: 'gig', opensAt: '03/01/2025' }),
+        token: hr
+      });
+      const backwards = await send('/api/careers/admin/openings', {
+        method: 'POST',
+        body: opening({ opensAt: '2025-04-30', closesAt: '2025-03-01' }),
+        token: hr
+      });
+
+      assert.equal(fields.status, 400);
+      assert.deepEqual([...new Set(fields.body.errors.map(error => error.field))].sort(), ['employmentType', 'opensAt', 'slug']);
+      assert.equal(backwards.status, 400);
+      assert.equal(backwards.body.errors[0].message, 'Closing date must not be before the opening date');
+      assert.equal(app.standIn.rows('Job_Openings').length, 1);
+    });
+
+    it('does not let the slug change, as applications refer to it', async () => {
+      const [row] = app.standIn.rows('Job_Openings');
+
+      const response = await send(`/api/careers/admin/openings/${row.id}`, {
+        method: 'PUT',
+        body: { slug: 'qa-officer', title: 'QA Officer' },
+        token: app.staffToken('hr')
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.errors[0].field, 'slug');
+      assert.equal(app.standIn.rows('Job_Openings')[0].title, 'Quality Assurance Officer');
+    });
+
+    it('reports a duplicate slug as a conflict, an unknown opening as not found and refuses viewers', async () => {
+      const hr = app.staffToken('hr');
+      app.standIn.fail({ method: 'POST', table: 'Job_Openings' }, { status: 409, code: '23505', message: 'duplicate key value violates unique constraint' });
+
+      const duplicate = await send('/api/careers/admin/openings', { method: 'POST', body: opening({ slug: 'quality-assurance' }), token: hr });
+      const unknown = await send('/api/careers/admin/openings/999', { token: hr });
+      const viewer = await send('/api/careers/admin/openings', { method: 'POST', body: opening(), token: app.staffToken('viewer') });
+
+      assert.equal(duplicate.status, 409);
+      assert.equal(unknown.status, 404);
+      assert.equal(viewer.status, 403);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, PRIVACY_NOTICE_VERSION, RESUME_BUCKET } = require('./support/app');
+const DataProtectionService = require('../services/dataProtectionService');
+
+describe('privacy', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+  });
+
+  // A careers submission held for spam review, with its resume under quarantine/
+  const seedHeld = (email) => {
+    app.standIn.objects(RESUME_BUCKET).set('quarantine/1735732800000_0a1b2c3d', { body: Buffer.from('%PDF-1.4 held'), contentType: 'application/pdf' });
+    return app.standIn.seed('Form_Quarantine', [{
+      form: 'careers',
+      status: 'held',
+      score: 5,
+      signals: [{ signal: 'too_fast', weight: 3 }, { signal: 'links', weight: 2 }],
+      payload: { fullName: 'John Doe', email, position: 'quality-assurance' },
+      email,
+      resume_storage_path: 'quarantine/1735732800000_0a1b2c3d',
+      resume_file_name: 'John Doe CV.pdf',
+      resume_content_type: 'application/pdf',
+      resume_size: 13,
+      ip_hash: 'f00d',
+      received_at: '2025-01-01T12:00:00.000Z'
+    }])[0];
+  };
+
+  describe('data access requests', () => {
+    // As claim_data_access_request() in migration 0020
+    const defineClaim = () => app.standIn.defineFunction('claim_data_access_request', ({ p_token_hash: tokenHash, p_hold_seconds: holdSeconds }, standIn) => {
+      const now = Date.now();
+      const request = standIn.rows('Data_Access_Requests').find(row => row.token_hash === tokenHash
+        && !row.completed_at
+        && row.email
+        && new Date(row.expires_at).getTime() > now
+        && (!row.claimed_until || new Date(row.claimed_until).getTime() <= now));
+      if (!request) {
+        return [];
+      }
+      request.claimed_until = new Date(now + holdSeconds * 1000).toISOString();
+      return [{ request_id: request.id, email: request.email }];
+    });
+
+    // Ask for a copy and return the token from the emailed link
+    const requestLink = async (email) => {
+      const response = await app.request('/api/privacy/access-requests', { method: 'POST', body: { email } });
+      assert.equal(response.status, 202);
+      await app.mailSent();
+      return app.mail.at(-1).text.match(/download\?token=([\w-]+)/)[1];
+    };
+
+    // A request is completed after the response has been sent; wait for it
+    const completed = async () => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const [request] = app.standIn.rows('Data_Access_Requests');
+        if (request.completed_at) {
+          return request;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return app.standIn.rows('Data_Access_Requests')[0];
+    };
+
+    const download = (token, format = 'json') => app.request('/api/privacy/access-requests/download', {
+      method: 'POST',
+      body: { token, format }
+    });
+
+    it('shows a confirmation page for the link and uses it up once the data has been downloaded', async () => {
+      defineClaim();
+      app.standIn.seed('Contact_Us', [{ Full_Name: 'John Doe', Email_id: 'johndoe@gmail.com', Enter_Message: 'Hello' }]);
+
+      const token = await requestLink('John.Doe@Gmail.com');
+      const page = await app.request(`/api/privacy/access-requests/download?token=${token}`);
+      const [request] = app.standIn.rows('Data_Access_Requests');
+
+      assert.equal(page.status, 200);
+      assert.match(page.headers.get('content-type'), /^text\/html/);
+      assert.ok(page.body.includes(`value="${token}"`));
+      assert.equal(request.completed_at, undefined);
+
+      const first = await download(token);
+      const used = await completed();
+
+      assert.equal(first.status, 200);
+      assert.equal(first.body.email, 'johndoe@gmail.com');
+      assert.equal(first.body.contactEnquiries.length, 1);
+      assert.ok(used.completed_at);
+      assert.equal(used.email, null);
+      assert.deepEqual(used.records, { careerApplications: 0, contactEnquiries: 1, heldSubmissions: 0, consents: 0 });
+
+      const second = await download(token);
+
+      assert.equal(second.status, 410);
+    });
+
+    it('includes submissions held for spam review with their resume', async () => {
+      defineClaim();
+      const held = seedHeld('johndoe@gmail.com');
+
+      const token = await requestLink('john.doe@gmail.com');
+      const response = await download(token);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.heldSubmissions, [{
+        id: held.id,
+        form: 'careers',
+        status: 'held',
+        receivedAt: '2025-01-01T12:00:00.000Z',
+        submitted: { fullName: 'John Doe', email: 'johndoe@gmail.com', position: 'quality-assurance' },
+        resume: {
+          fileName: 'John Doe CV.pdf',
+          contentType: 'application/pdf',
+          contentBase64: Buffer.from('%PDF-1.4 held').toString('base64')
+        }
+      }]);
+      assert.equal((await completed()).records.heldSubmissions, 1);
+    });
+
+    it('keeps the link usable when the download fails', async () => {
+      defineClaim();
+      const token = await requestLink('amina.okello@example.com');
+      app.standIn.fail({ method: 'GET', table: 'Contact_Us' }, { status: 500, code: '57014', message: 'canceling statement due to statement timeout' });
+
+      const failed = await download(token);
+      app.standIn.failures.length = 0;
+      const retried = await download(token);
+
+      assert.equal(failed.status, 500);
+      assert.equal(retried.status, 200);
+      assert.ok((await completed()).completed_at);
+    });
+  });
+
+  describe('consent ledger', () => {
+    it('records a staff withdrawal against the consent given on the form', async () => {
+      await app.request('/api/contact', {
+        method: 'POST',
+        body: {
+          fullName: 'John Doe',
+          email: 'John.Doe@gmail.com',
+          contact: '+256700123456',
+          message: 'Please keep me posted about new products.',
+          consent: true,
+          marketingConsent: true,
+          privacyNoticeVersion: PRIVACY_NOTICE_VERSION,
+          formToken: app.formToken('contact'),
+          website: ''
+        }
+      });
+      const headers = { Authorization: `Bearer ${app.staffToken('hr')}` };
+
+      const withdrawal = await app.request('/api/privacy/admin/consents/withdrawals', {
+        method: 'POST',
+        headers,
+        body: { email: 'john.doe@gmail.com', purpose: 'marketing', note: 'Asked by phone' }
+      });
+      const history = await app.request(`/api/privacy/admin/consents?email=${encodeURIComponent('JOHNDOE+news@googlemail.com')}`, { headers });
+
+      assert.equal(withdrawal.status, 201);
+      assert.equal(history.status, 200);
+      assert.equal(history.body.data.current.enquiry_handling.status, 'granted');
+      assert.equal(history.body.data.current.marketing.status, 'withdrawn');
+      assert.equal(new Set(app.standIn.rows('Consent_Records').map(record => record.subject_hash)).size, 1);
+    });
+  });
+
+  describe('POST /api/privacy/admin/erasures', () => {
+    // The forms store the canonical address: no dots or subaddress for Gmail, lower case
+    const seedSubject = () => {
+      app.standIn.seed('Contact_Us', [{ Full_name: 'John Doe', Email_id: 'johndoe@gmail.com', Message: 'Hello' }]);
+      app.standIn.seed('Career_Applications', [{ full_name: 'John Doe', email: 'johndoe@gmail.com', position: 'quality-assurance' }]);
+    };
+
+    it('finds the data stored from the forms however the address is written', async () => {
+      seedSubject();
+
+      const response = await app.request('/api/privacy/admin/erasures', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${app.staffToken('admin')}` },
+        body: { email: 'John.Doe+x@Gmail.com', reason: 'Data subject request', reference: 'DSR-1' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.message, 'Personal data erased');
+      assert.deepEqual(response.body.data.records.map(record => record.table).sort(), ['Career_Applications', 'Contact_Us']);
+      assert.equal(app.standIn.rows('Contact_Us').length, 0);
+      assert.equal(app.standIn.rows('Career_Applications').length, 0);
+      assert.equal(response.body.data.subjectHash, app.run(() => DataProtectionService.hashSubject('johndoe@gmail.com')));
+    });
+
+    it('deletes submissions held for spam review and their resume', async () => {
+      seedHeld('johndoe@gmail.com');
+
+      const response = await app.request('/api/privacy/admin/erasures', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${app.staffToken('admin')}` },
+        body: { email: 'John.Doe@gmail.com', reason: 'Data subject request', reference: 'DSR-3' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.deepEqual(response.body.data.records.map(({ table, action, resumeDeleted }) => ({ table, action, resumeDeleted })), [
+        { table: 'Form_Quarantine', action: 'deleted', resumeDeleted: true }
+      ]);
+      assert.equal(app.standIn.rows('Form_Quarantine').length, 0);
+      assert.equal(app.standIn.objects(RESUME_BUCKET).size, 0);
+    });
+
+    it('does not match a different address', async () => {
+      seedSubject();
+
+      const response = await app.request('/api/privacy/admin/erasures', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${app.staffToken('admin')}` },
+        body: { email: 'jane.doe@gmail.com', reason: 'Data subject request', reference: 'DSR-2' }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.message, 'No personal data held for this email address');
+      assert.equal(app.standIn.rows('Contact_Us').length, 1);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('products', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    app.clock.fixed = new Date('2025-01-01T12:00:00Z');
+  });
+
+  const seedProduct = (fields = {}) => app.standIn.seed('Products', [{
+    brand_name: 'Amoxiclav',
+    generic_name: 'Amoxicillin / Clavulanic acid',
+    category: 'antibiotics',
+    strength: '625mg',
+    dosage_form: 'Tablet',
+    description: null,
+    pack_size: '14',
+    route: 'Oral',
+    is_published: true,
+    sort_order: 0,
+    ...fields
+  }])[0];
+
+  const seedRegistration = (product, fields = {}) => app.standIn.seed('Product_Registrations', [{
+    product_id: product.id,
+    country_code: 'UG',
+    regulatory_authority: 'NDA',
+    visa_number: `NDA/${product.id}`,
+    status: 'active',
+    approval_date: '2020-01-01',
+    expiry_date: '2026-01-01',
+    notes: 'Internal note',
+    last_expiry_alert_days: null,
+    ...fields
+  }])[0];
+
+  describe('public catalogue', () => {
+    it('lists published products with their registrations and licence status', async () => {
+      const licensed = seedProduct({ brand_name: 'Amoxiclav', sort_order: 1 });
+      seedRegistration(licensed, { country_code: 'UG' });
+      seedRegistration(licensed, { country_code: 'KE', expiry_date: '2024-06-01' });
+      const lapsed = seedProduct({ brand_name: 'Paracip', category: 'analgesics', sort_order: 2 });
+      seedRegistration(lapsed, { expiry_date: '2024-06-01' });
+      seedProduct({ brand_name: 'Hidden', is_published: false });
+
+      const response = await app.request('/api/products');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.map(product => [product.name, product.licenseStatus]), [
+        ['Amoxiclav', 'Licensed'],
+        ['Paracip', 'Expired']
+      ]);
+      assert.deepEqual(response.body.data[0].registrations.map(registration => [registration.countryCode, registration.status]), [
+        ['KE', 'expired'],
+        ['UG', 'active']
+      ]);
+      assert.equal(response.body.data[0].registrations[0].notes, undefined);
+      assert.equal(response.body.pagination.total, 2);
+    });
+
+    it('filters by category and search term', async () => {
+      seedProduct({ brand_name: 'Amoxiclav' });
+      seedProduct({ brand_name: 'Paracip', generic_name: 'Paracetamol', category: 'analgesics' });
+
+      const category = await app.request('/api/products/categories/analgesics');
+      const search = await app.request('/api/products/search?q=amoxi');
+
+      assert.deepEqual(category.body.data.map(product => product.name), ['Paracip']);
+      assert.deepEqual(search.body.data.map(product => product.name), ['Amoxiclav']);
+    });
+
+    it('counts published products in each category', async () => {
+      seedProduct();
+      seedProduct({ brand_name: 'Ciproxin' });
+      seedProduct({ brand_name: 'Hidden', is_published: false });
+
+      const response = await app.request('/api/products/categories');
+
+      const antibiotics = response.body.data.find(category => category.value === 'antibiotics');
+      assert.deepEqual(antibiotics, { value: 'antibiotics', label: 'Antibiotics', count: 2 });
+    });
+
+    it('hides unpublished products', async () => {
+      const published = seedProduct();
+      const hidden = seedProduct({ is_published: false });
+
+      assert.equal((await app.request(`/api/products/${published.id}`)).status, 200);
+      assert.equal((await app.request(`/api/products/${hidden.id}`)).status, 404);
+    });
+
+    it('rejects an unknown category, sort field or short search term', async () => {
+      const category = await app.request('/api/products/categories/sweets');
+      const sort = await app.request('/api/products?sortBy=price');
+      const search = await app.request('/api/products/search?q=a');
+
+      assert.equal(category.status, 400);
+      assert.equal(sort.status, 400);
+      assert.equal(search.status, 400);
+    });
+  });
+
+  describe('admin', () => {
+    const product = {
+      name: 'Ciproxin',
+      genericName: 'Ciprofloxacin',
+      category: 'antibiotics',
+      strength: '500mg',
+      dosageForm: 'Tablet'
+    };
+
+    it('lets admins add, change and unpublish products', async () => {
+      const admin = app.staffToken('admin');
+      const headers = { Authorization: `Bearer ${admin}` };
+
+      const created = await app.request('/api/products/admin', { method: 'POST', headers, body: product });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.data.licenseStatus, 'Not registered');
+
+      const { id } = created.body.data;
+      const updated = await app.request(`/api/products/admin/${id}`, { method: 'PUT', headers, body: { strength: '750mg' } });
+      assert.equal(updated.body.data.strength, '750mg');
+      assert.equal(updated.body.data.name, 'Ciproxin');
+
+      const removed = await app.request(`/api/products/admin/${id}`, { method: 'DELETE', headers });
+      assert.equal(removed.status, 200);
+      assert.equal(app.standIn.rows('Products')[0].is_published, false);
+      assert.equal((await app.request(`/api/products/${id}`)).status, 404);
+    });
+
+    it('is limited to admins and validates the fields', async () => {
+      const hr = await app.request('/api/products/admin', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${app.staffToken('hr')}` },
+        body: product
+      });
+      const invalid = await app.request('/api/products/admin', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${app.staffToken('admin')}` },
+        body: { ...product, category: 'sweets', name: '' }
+      });
+
+      assert.equal(hr.status, 403);
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors.map(error => error.field).sort(), ['category', 'name']);
+      assert.equal(app.standIn.rows('Products').length, 0);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('product registrations', () => {
+  let app;
+  let viewer;
+  let product;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+    app.clock.fixed = new Date('2025-01-01T12:00:00Z');
+    viewer = app.staffToken('viewer');
+    [product] = app.standIn.seed('Products', [{
+      brand_name: 'Amoxiclav',
+      generic_name: 'Amoxicillin / Clavulanic acid',
+      category: 'antibiotics',
+      strength: '625mg',
+      dosage_form: 'Tablet',
+      is_published: true,
+      sort_order: 0
+    }]);
+  });
+
+  const seedRegistration = (expiryDate, fields = {}) => app.standIn.seed('Product_Registrations', [{
+    product_id: product.id,
+    country_code: 'UG',
+    regulatory_authority: 'NDA',
+    visa_number: `NDA/${expiryDate}`,
+    status: 'active',
+    approval_date: '2020-01-01',
+    expiry_date: expiryDate,
+    last_expiry_alert_days: null,
+    ...fields
+  }])[0];
+
+  const send = (urlPath, { method = 'GET', body, token = viewer } = {}) => app.request(urlPath, {
+    method,
+    headers: { Authorization: `Bearer ${token}` },
+    body
+  });
+
+  describe('GET /api/registrations/expiring', () => {
+    it('lists active registrations expiring within the window, soonest first, with the days left', async () => {
+      seedRegistration('2025-03-01');
+      seedRegistration('2025-01-01');
+      seedRegistration('2025-03-02');
+      seedRegistration('2024-12-31');
+      seedRegistration('2025-02-01', { status: 'suspended' });
+      seedRegistration(null);
+
+      const response = await send('/api/registrations/expiring?days=59');
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.data.map(registration => [registration.expiryDate, registration.daysToExpiry, registration.status]), [
+        ['2025-01-01', 0, 'active'],
+        ['2025-03-01', 59, 'active']
+      ]);
+      assert.equal(response.body.data[0].product.name, 'Amoxiclav');
+      assert.deepEqual(response.body.meta, { days: 59, includeLapsed: false, asOf: '2025-01-01', count: 2 });
+    });
+
+    it('includes active registrations already past expiry when asked, shown as expired', async () => {
+      seedRegistration('2024-12-31');
+      seedRegistration('2025-02-01');
+
+      const response = await send('/api/registrations/expiring?days=90&includeLapsed=true');
+
+      assert.deepEqual(response.body.data.map(registration => [registration.expiryDate, registration.daysToExpiry, registration.status, registration.recordedStatus]), [
+        ['2024-12-31', -1, 'expired', 'active'],
+        ['2025-02-01', 31, 'active', 'active']
+      ]);
+    });
+
+    it('defaults to 90 days and filters by country', async () => {
+      seedRegistration('2025-04-01', { country_code: 'KE' });
+      seedRegistration('2025-04-01', { country_code: 'UG' });
+      seedRegistration('2025-04-02', { country_code: 'KE' });
+
+      const response = await send('/api/registrations/expiring?countryCode=ke');
+
+      assert.deepEqual(response.body.data.map(registration => [registration.countryCode, registration.daysToExpiry]), [['KE', 90]]);
+      assert.equal(response.body.meta.days, 90);
+    });
+
+    it('rejects an invalid window or country and requires staff', async () => {
+      const days = await send('/api/registrations/expiring?days=0');
+      const country = await send('/api/registrations/expiring?countryCode=Kenya');
+      const anonymous = await app.request('/api/registrations/expiring');
+
+      assert.equal(days.status, 400);
+      assert.equal(days.body.errors[0].field, 'days');
+      assert.equal(country.status, 400);
+      assert.equal(anonymous.status, 401);
+    });
+  });
+
+  describe('POST and PUT /api/registrations', () => {
+    const registration = () => ({
+      productId: product.id,
+      countryCode: 'ci',
+      regulatoryAuthority: 'AIRP',
+      visaNumber: 'CI-2025-001',
+      approvalDate: '2024-06-01',
+      expiryDate: '2029-06-01'
+    });
+
+    it('registers a product in a country with ISO dates', async () => {
+      const response = await send('/api/registrations', { method: 'POST', body: registration(), token: app.staffToken('admin') });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.countryCode, 'CI');
+      assert.equal(response.body.data.expiryDate, '2029-06-01');
+      assert.equal(app.standIn.rows('Product_Registrations')[0].product_id, product.id);
+    });
+
+    it('rejects dates that are not ISO, an expiry before approval, and non-admins', async () => {
+      const admin = app.staffToken('admin');
+      const usDate = await send('/api/registrations', { method: 'POST', body: { ...registration(), expiryDate: '06/01/2029' }, token: admin });
+      const backwards = await send('/api/registrations', { method: 'POST', body: { ...registration(), expiryDate: '2024-01-01' }, token: admin });
+      const hr = await send('/api/registrations', { method: 'POST', body: registration(), token: app.staffToken('hr') });
+
+      assert.equal(usDate.status, 400);
+      assert.equal(usDate.body.errors[0].field, 'expiryDate');
+      assert.equal(backwards.status, 400);
+      assert.equal(backwards.body.errors[0].message, 'Expiry date must be after the approval date');
+      assert.equal(hr.status, 403);
+      assert.equal(app.standIn.rows('Product_Registrations').length, 0);
+    });
+
+    it('reports a duplicate registration as a conflict and an unknown product as not found', async () => {
+      const admin = app.staffToken('admin');
+      app.standIn.fail({ method: 'POST', table: 'Product_Registrations' }, { status: 409, code: '23505', message: 'duplicate key value violates unique constraint' });
+      const duplicate = await send('/api/registrations', { method: 'POST', body: registration(), token: admin });
+      app.standIn.failures.length = 0;
+      app.standIn.fail({ method: 'POST', table: 'Product_Registrations' }, { status: 409, code: '23503', message: 'insert or update violates foreign key constraint' });
+      const unknown = await send('/api/registrations', { method: 'POST', body: { ...registration(), productId: 999 }, token: admin });
+
+      assert.equal(duplicate.status, 409);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.message, 'Product not found');
+    });
+
+    it('starts the expiry alerts again when a registration is renewed', async () => {
+      const renewed = seedRegistration('2025-02-01', { last_expiry_alert_days: 90, last_expiry_alert_at: '2024-11-03T06:00:00.000Z' });
+
+      const response = await send(`/api/registrations/${renewed.id}`, {
+        method: 'PUT',
+        body: { expiryDate: '2030-02-01' },
+        token: app.staffToken('admin')
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.expiryDate, '2030-02-01');
+      const [row] = app.standIn.rows('Product_Registrations');
+      assert.equal(row.last_expiry_alert_days, null);
+      assert.equal(row.last_expiry_alert_at, null);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('POST /api/careers/status', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  beforeEach(() => {
+    app.reset();
+  });
+
+  // Stored as the form stores it: the canonical address
+  const seedApplication = (fields = {}) => app.standIn.seed('Career_Applications', [{
+    full_name: 'Joseph Mukasa',
+    email: 'josephmukasa@gmail.com',
+    phone: '+256701234567',
+    position: 'quality-assurance',
+    application_status: 'shortlisted',
+    application_date: '2025-01-01T08:00:00.000Z',
+    updated_at: '2025-01-05T08:00:00.000Z',
+    internal_notes: 'Strong candidate',
+    ...fields
+  }])[0];
+
+  const applicationNumber = (id) => `AC-${String(id).padStart(6, '0')}`;
+
+  const lookUp = (body) => app.request('/api/careers/status', { method: 'POST', body });
+
+  it('returns the status of an application for its number and email, written any way', async () => {
+    const application = seedApplication();
+
+    const response = await lookUp({
+      applicationNumber: applicationNumber(application.id).toLowerCase(),
+      email: 'Joseph.Mukasa+jobs@Gmail.com'
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, {
+      applicationNumber: applicationNumber(application.id),
+      position: 'Quality Assurance Officer',
+      status: 'shortlisted',
+      statusLabel: 'Shortlisted',
+      description: 'You have been shortlisted. Our HR team will contact you about the next steps.',
+      submittedAt: '2025-01-01T08:00:00.000Z',
+      lastUpdated: '2025-01-05T08:00:00.000Z'
+    });
+  });
+
+  it('answers a wrong email exactly as it answers an application number that does not exist', async () => {
+    const application = seedApplication();
+
+    const wrongEmail = await lookUp({ applicationNumber: applicationNumber(application.id), email: 'someone.else@example.com' });
+    const unknownNumber = await lookUp({ applicationNumber: applicationNumber(application.id + 100), email: 'josephmukasa@gmail.com' });
+
+    assert.equal(wrongEmail.status, 404);
+    assert.equal(unknownNumber.status, 404);
+    assert.deepEqual(wrongEmail.body, unknownNumber.body);
+    assert.equal(JSON.stringify(wrongEmail.body).includes('Mukasa'), false);
+  });
+
+  it('rejects a malformed application number or email with the field errors', async () => {
+    const response = await lookUp({ applicationNumber: '123', email: 'not-an-email' });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['applicationNumber', 'email']);
+  });
+
+  it('limits each IP to ten lookups per window', async () => {
+    const application = seedApplication();
+    const body = { applicationNumber: applicationNumber(application.id), email: 'josephmukasa@gmail.com' };
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      assert.equal((await lookUp(body)).status, 200);
+    }
+    const limited = await lookUp(body);
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.success, false);
+  });
+});
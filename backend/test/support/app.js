@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const SupabaseStandIn = require('./supabaseStandIn');
+
+/**
+ * Test App
+ * Starts the Supabase stand-in and builds the app with createApp() (app.js), injecting
+ * Supabase clients and resume storage pointed at the stand-in, a mailer that records messages
+ * and a clock the test controls, then serves it on a free local port. Everything the app
+ * uses is its own (see app.js), so apps started in the same file do not affect each other;
+ * run() calls services as the app does. With database.driver 'memory' the data is kept in the
+ * in-memory repositories instead of the stand-in (resumes still go to the stand-in's storage).
+ */
+
+const PRIVACY_NOTICE_VERSION = '2024-01';
+const RESUME_BUCKET = 'career-applications';
+
+// Reference data the public forms need, seeded by reset()
+const PRIVACY_NOTICE = {
+  version: PRIVACY_NOTICE_VERSION,
+  title: 'Privacy notice',
+  body: 'How Africure Pharma uses your personal data.',
+  purposes: ['enquiry', 'recruitment', 'marketing'],
+  effective_at: '2024-01-01T00:00:00.000Z'
+};
+const JOB_OPENING = {
+  slug: 'quality-assurance',
+  title: 'Quality Assurance Officer',
+  department: 'Quality',
+  location: 'Kampala',
+  employment_type: 'full-time',
+  opens_at: null,
+  closes_at: null,
+  is_published: true,
+  sort_order: 0
+};
+
+// Each data store and how its owning service takes a replacement
+const STORES = {
+  users: (repository) => require('../../services/authService').setUserRepository(repository),
+  contacts: (repository) => require('../../services/contactService').setRepository(repository),
+  careers: (repository) => require('../../services/careerService').setRepository(repository),
+  consents: (repository) => require('../../services/consentService').setRepository(repository),
+  openings: (repository) => require('../../services/jobOpeningService').setRepository(repository),
+  products: (repository) => require('../../services/registrationService').setRepository(repository),
+  quarantine: (repository) => require('../../services/spamProtectionService').setRepository(repository),
+  erasures: (repository) => require('../../services/dataProtectionService').setRepository(repository),
+  accessRequests: (repository) => require('../../services/dataAccessService').setRepository(repository)
+};
+
+// The test runner reads results from stdout and can mistake app logging for them; log to stderr
+console.log = console.error;
+console.info = console.error;
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration values to change from the test configuration
+ * @returns {Promise<Object>} { config, standIn, mail, clock, request, run, reset, mailSent, staffToken, formToken, close }
+ */
+async function startApp({ config: overrides = {} } = {}) {
+  const createApp = require('../../app');
+  const { createRepository } = require('../../repositories');
+  const { deepMerge } = require('../../utils/objects');
+  const SupabaseFileStorage = require('../../storage/supabaseFileStorage');
+
+  const standIn = new SupabaseStandIn();
+  const supabaseUrl = await standIn.start();
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'africure-test-'));
+  const clientOptions = { auth: { autoRefreshToken: false, persistSession: false } };
+  const serviceClient = createClient(supabaseUrl, 'test-service-key', clientOptions);
+
+  // Sent emails, oldest first
+  const mail = [];
+
+  // The real time unless a test sets clock.fixed
+  const clock = { fixed: null };
+
+  const app = createApp({
+    // Everything the environment (or a local .env) could set that the tests rely on
+    config: deepMerge({
+      server: { environment: 'test' },
+      database: { driver: 'supabase' },
+      security: { rateLimit: { windowMs: 15 * 60 * 1000, maxRequests: 1000 } },
+      auth: { jwtSecret: 'test-jwt-secret' },
+      privacy: { hashSecret: 'test-privacy-secret' },
+      spamProtection: {
+        formTokenSecret: 'test-form-token-secret',
+        extraPhrases: [],
+        challenge: { provider: 'none' }
+      },
+      uploads: { scanner: 'stub', quarantineDir: path.join(tempDir, 'quarantine') },
+      logging: { enabled: false }
+    }, overrides),
+    database: {
+      client: createClient(supabaseUrl, 'test-anon-key', clientOptions),
+      serviceClient
+    },
+    storage: new SupabaseFileStorage(serviceClient, RESUME_BUCKET),
+    mailer: {
+      sendMail: async (message) => {
+        mail.push(message);
+        return { messageId: `<${mail.length}@test>` };
+      }
+    },
+    clock: () => clock.fixed || new Date()
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const memory = app.locals.config.database.driver === 'memory';
+
+  /**
+   * Call services with the app's configuration and dependencies
+   * @param {Function} fn - Function to run
+   * @returns {*} What fn returns
+   */
+  const run = (fn) => app.locals.run(fn);
+
+  /**
+   * Send a request to the app
+   * @param {string} urlPath - Path, e.g. '/api/contact'
+   * @param {Object} options - fetch options; a plain object body is sent as JSON, and
+   *   binary: true returns the response body as a Buffer
+   * @returns {Promise<Object>} { status, headers, body } (body parsed when JSON)
+   */
+  const request = async (urlPath, { body, headers = {}, binary = false, ...options } = {}) => {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      ...options,
+      headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: isJson ? JSON.stringify(body) : body
+    });
+    if (binary) {
+      return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+    }
+    const text = await response.text();
+    const isJsonResponse = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJsonResponse ? JSON.parse(text) : text };
+  };
+
+  /**
+   * Empty the stand-in (or the in-memory stores) and the mail log, seed the reference data the
+   * public forms need, define the table defaults and database functions the services rely on,
+   * go back to the real time and clear the form rate limits
+   */
+  const reset = () => {
+    standIn.reset();
+    mail.length = 0;
+    clock.fixed = null;
+
+    if (memory) {
+      run(() => Object.entries(STORES).forEach(([name, setRepository]) => setRepository(createRepository(name))));
+      run(() => {
+        require('../../services/consentService').getRepository().insertNotice(PRIVACY_NOTICE);
+        require('../../services/jobOpeningService').getRepository().insert(JOB_OPENING);
+      });
+    }
+
+    standIn.defineTable('Contact_Us', () => ({ id: crypto.randomUUID() }));
+    standIn.defineTable('Career_Interviews', () => ({
+      panel: [],
+      status: 'scheduled',
+      outcome: null,
+      cancel_reason: null,
+      sequence: 0,
+      updated_at: new Date().toISOString()
+    }));
+
+    // As transition_career_application() in the migrations: refuses if the status moved on meanwhile
+    standIn.defineFunction('transition_career_application', (args, db) => {
+      const row = db.rows('Career_Applications').find(application => application.id === args.p_application_id);
+      if (!row || row.application_status !== args.p_from_status) {
+        throw new Error('Application status changed');
+      }
+      row.application_status = args.p_to_status;
+      db.seed('Career_Application_History', [{
+        application_id: row.id,
+        from_status: args.p_from_status,
+        to_status: args.p_to_status,
+        changed_by: args.p_changed_by,
+        changed_by_name: args.p_changed_by_name,
+        note: args.p_note
+      }]);
+      return [row];
+    });
+
+    standIn.seed('Privacy_Notices', [PRIVACY_NOTICE]);
+    standIn.seed('Job_Openings', [JOB_OPENING]);
+
+    const { contactRateLimit, careerApplicationRateLimit, statusLookupRateLimit } = require('../../middleware/validation');
+    run(() => {
+      contactRateLimit.resetKey(server.address().address);
+      careerApplicationRateLimit.resetKey(server.address().address);
+      statusLookupRateLimit.resetKey(server.address().address);
+    });
+  };
+
+  /**
+   * Wait until the emails queued by earlier requests have been sent
+   */
+  const mailSent = () => run(() => require('../../services/mailQueue').drain());
+
+  /**
+   * Add an active staff account to Admin_Users (or the in-memory user store) and sign a token for it
+   * @param {string} role - 'admin', 'hr' or 'viewer'
+   * @returns {string} Bearer token
+   */
+  const staffToken = (role) => {
+    const AuthService = require('../../services/authService');
+    const account = {
+      email: `${role}@africurepharma.com`,
+      full_name: `Test ${role}`,
+      role,
+      is_active: true
+    };
+    const user = memory
+      ? run(() => AuthService.getUserRepository().insert(account))
+      : standIn.seed('Admin_Users', [account])[0];
+    return run(() => AuthService.issueToken(user));
+  };
+
+  /**
+   * A form token issued long enough before the app's current time to pass the minimum fill time
+   * @param {string} form - 'contact' or 'careers'
+   * @returns {string}
+   */
+  const formToken = (form) => run(() => {
+    const SpamProtectionService = require('../../services/spamProtectionService');
+    const clock = require('../../utils/clock');
+    return SpamProtectionService.issueFormToken(form, new Date(clock.now().getTime() - 60 * 1000)).token;
+  });
+
+  const close = async () => {
+    run(() => require('../../services/mailQueue').stop());
+    await new Promise(resolve => server.close(() => resolve()));
+    await standIn.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  };
+
+  reset();
+  return { config: app.locals.config, standIn, mail, clock, request, run, reset, mailSent, staffToken, formToken, close };
+}
+
+module.exports = {
+  startApp,
+  PRIVACY_NOTICE_VERSION,
+  RESUME_BUCKET
+};
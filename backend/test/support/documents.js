@@ -0,0 +1,105 @@
+const { PassThrough } = require('stream');
+const { buffer } = require('stream/consumers');
+const { ZipStreamWriter } = require('../../utils/zipWriter');
+
+/**
+ * Test Documents
+ * Builds small Word files for the resume screening tests: legacy .doc files (OLE2 compound
+ * files) with chosen directory entries, and DOCX packages with chosen parts.
+ */
+
+const SECTOR_SIZE = 512;
+const END_OF_CHAIN = 0xfffffffe;
+const FAT_SECTOR = 0xfffffffd;
+const NO_STREAM = 0xffffffff;
+const ENTRY_TYPES = { storage: 1, stream: 2, root: 5 };
+
+const directoryEntry = ({ name, type, start = END_OF_CHAIN, size = 0 }) => {
+  const entry = Buffer.alloc(128);
+  entry.write(name, 0, 'utf16le');
+  entry.writeUInt16LE((name.length + 1) * 2, 0x40);
+  entry[0x42] = ENTRY_TYPES[type];
+  entry.writeUInt32LE(NO_STREAM, 0x44);
+  entry.writeUInt32LE(NO_STREAM, 0x48);
+  entry.writeUInt32LE(NO_STREAM, 0x4c);
+  entry.writeUInt32LE(start, 0x74);
+  entry.writeUInt32LE(size, 0x78);
+  return entry;
+};
+
+/**
+ * A legacy Word document: a compound file with a root entry, the given directory entries
+ * and one sector of body text (stored UTF-16LE, as Word does)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.entries] - [{ name, type: 'storage'|'stream' }]
+ * @param {string} [options.text] - Body text
+ * @returns {Buffer}
+ */
+function docFile({ entries = [{ name: 'WordDocument', type: 'stream' }], text = 'Curriculum vitae' } = {}) {
+  const all = [{ name: 'Root Entry', type: 'root' }, ...entries];
+  const directorySectors = Math.ceil(all.length / (SECTOR_SIZE / 128));
+  const textSector = 1 + directorySectors;
+
+  // Sector 0 is the FAT, then the directory chain, then the text
+  const fat = Buffer.alloc(SECTOR_SIZE, 0xff);
+  fat.writeUInt32LE(FAT_SECTOR, 0);
+  for (let sector = 1; sector <= directorySectors; sector++) {
+    fat.writeUInt32LE(sector === directorySectors ? END_OF_CHAIN : sector + 1, sector * 4);
+  }
+  fat.writeUInt32LE(END_OF_CHAIN, textSector * 4);
+
+  const directory = Buffer.alloc(directorySectors * SECTOR_SIZE);
+  all.forEach((entry, index) => {
+    const body = entry.name === 'WordDocument' ? { start: textSector, size: SECTOR_SIZE } : {};
+    directoryEntry({ ...entry, ...body }).copy(directory, index * 128);
+  });
+
+  const header = Buffer.alloc(SECTOR_SIZE);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(header, 0);
+  header.writeUInt16LE(0x3e, 0x18);
+  header.writeUInt16LE(3, 0x1a);
+  header.writeUInt16LE(0xfffe, 0x1c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt16LE(6, 0x20);
+  header.writeUInt32LE(1, 0x2c);
+  header.writeUInt32LE(1, 0x30);
+  header.writeUInt32LE(4096, 0x38);
+  header.writeUInt32LE(END_OF_CHAIN, 0x3c);
+  header.writeUInt32LE(END_OF_CHAIN, 0x44);
+  header.fill(0xff, 0x4c);
+  header.writeUInt32LE(0, 0x4c);
+
+  const body = Buffer.alloc(SECTOR_SIZE);
+  body.write(text, 0, 'utf16le');
+
+  return Buffer.concat([header, fat, directory, body]);
+}
+
+/**
+ * A DOCX package with the minimum parts Word needs, plus any others
+ * @param {Object} [parts] - Extra parts, { 'word/vbaProject.bin': 'content' }
+ * @returns {Promise<Buffer>}
+ */
+async function docxFile(parts = {}) {
+  const output = new PassThrough();
+  const contents = buffer(output);
+
+  const zip = new ZipStreamWriter(output);
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>',
+    'word/document.xml': '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"/>',
+    ...parts
+  };
+  for (const [name, content] of Object.entries(files)) {
+    await zip.addEntry(name, content);
+  }
+  await zip.finish();
+  output.end();
+
+  return contents;
+}
+
+module.exports = {
+  docFile,
+  docxFile
+};
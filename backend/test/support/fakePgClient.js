@@ -0,0 +1,77 @@
+/**
+ * Fake pg Client
+ * Answers the queries database/migrator.js makes, keeping "Schema_Migrations" in memory, and
+ * records every other script it is given instead of running it. BEGIN, COMMIT and ROLLBACK
+ * behave as a transaction over both. A script containing a marker passed to failOn() throws,
+ * as Postgres would for an invalid statement.
+ */
+class FakePgClient {
+  constructor() {
+    this.migrations = [];
+    this.scripts = [];
+    this.statements = [];
+    this.locked = false;
+    this.snapshot = null;
+    this.failMarkers = [];
+  }
+
+  /**
+   * Make scripts containing a marker fail
+   * @param {string} marker - Text to look for
+   */
+  failOn(marker) {
+    this.failMarkers.push(marker);
+  }
+
+  async query(text, params = []) {
+    const sql = text.trim();
+    this.statements.push(sql);
+
+    if (sql === 'BEGIN') {
+      this.snapshot = { migrations: this.migrations.map(row => ({ ...row })), scripts: [...this.scripts] };
+      return { rows: [] };
+    }
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+      if (sql === 'ROLLBACK' && this.snapshot) {
+        ({ migrations: this.migrations, scripts: this.scripts } = this.snapshot);
+      }
+      this.snapshot = null;
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT pg_advisory_lock')) {
+      this.locked = true;
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT pg_advisory_unlock')) {
+      this.locked = false;
+      return { rows: [] };
+    }
+    if (sql.startsWith('CREATE TABLE IF NOT EXISTS "Schema_Migrations"')) {
+      return { rows: [] };
+    }
+    if (sql.startsWith('SELECT version, name, checksum')) {
+      return { rows: [...this.migrations].sort((a, b) => a.version - b.version).map(row => ({ ...row })) };
+    }
+    if (sql.startsWith('INSERT INTO "Schema_Migrations"')) {
+      const [version, name, checksum, executionMs, baseline] = params;
+      if (this.migrations.some(row => row.version === version)) {
+        throw new Error('duplicate key value violates unique constraint "Schema_Migrations_pkey"');
+      }
+      this.migrations.push({ version, name, checksum, applied_at: new Date(), execution_ms: executionMs, baseline });
+      return { rows: [] };
+    }
+    if (sql.startsWith('DELETE FROM "Schema_Migrations"')) {
+      this.migrations = this.migrations.filter(row => row.version !== params[0]);
+      return { rows: [] };
+    }
+
+    const marker = this.failMarkers.find(candidate => sql.includes(candidate));
+    if (marker) {
+      throw new Error(`syntax error at or near "${marker}"`);
+    }
+    this.scripts.push(sql);
+    return { rows: [] };
+  }
+}
+
+module.exports = FakePgClient;
@@ -0,0 +1,108 @@
+const net = require('net');
+
+/**
+ * SMTP Stand-in
+ * A plain-text SMTP server on a free local port that accepts every message and keeps it in
+ * memory, so mail can be sent through the real nodemailer SMTP transport in tests. No TLS,
+ * authentication or extensions are offered.
+ */
+class SmtpStandIn {
+  constructor() {
+    this.messages = [];
+    this.rejectNext = 0;
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  /**
+   * Start listening on 127.0.0.1
+   * @returns {Promise<number>} Port
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Forget received messages and pending rejections
+   */
+  reset() {
+    this.messages = [];
+    this.rejectNext = 0;
+  }
+
+  /**
+   * Refuse the next messages with a permanent error, as a mail server that is down would
+   * @param {number} count - Messages to refuse
+   */
+  reject(count = 1) {
+    this.rejectNext = count;
+  }
+
+  handle(socket) {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply('220 smtp-stand-in ready');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            this.messages.push({ ...envelope, raw: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 OK: queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          reply('250 smtp-stand-in');
+        } else if (command === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || null;
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          if (this.rejectNext > 0) {
+            this.rejectNext -= 1;
+            reply('550 Mailbox unavailable');
+          } else {
+            envelope.to.push((line.match(/<([^>]*)>/) || [])[1]);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  }
+}
+
+module.exports = SmtpStandIn;
@@ -0,0 +1,501 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Supabase Stand-in
+ * A local HTTP server answering the parts of the Supabase REST (PostgREST) and Storage APIs
+ * the app uses, backed by in-memory tables and buckets, so supabase-js can be pointed at it
+ * with SUPABASE_URL and the app runs unchanged.
+ *
+ * Supported:
+ *   /rest/v1/<table>       GET, HEAD, POST, PATCH, DELETE with select, filters (eq, neq, gt, gte,
+ *                          lt, lte, is, in, like, ilike, not.*, or=(...), and=(...)), order,
+ *                          limit, offset, Prefer count=exact and return=representation|minimal,
+ *                          and single-object responses (Accept: application/vnd.pgrst.object+json)
+ *   /rest/v1/rpc/<name>    Functions registered with defineFunction()
+ *   /storage/v1/object     Upload, download, remove and signed URLs
+ *
+ * Embedded resources (alias:Table(columns)) follow <table>_id foreign keys in either direction.
+ * Row level security, constraints and filters on embedded resources are not emulated; fail()
+ * injects the errors a test needs instead.
+ */
+class SupabaseStandIn {
+  constructor() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        send(res, 500, { code: 'XX000', message: error.message, details: null, hint: null });
+      });
+    });
+    this.functions = new Map();
+    this.reset();
+  }
+
+  /**
+   * Listen on a free local port
+   * @returns {Promise<string>} Base URL, for SUPABASE_URL
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Empty every table and bucket and clear injected failures (functions stay defined)
+   */
+  reset() {
+    this.tables = new Map();
+    this.defaults = new Map();
+    this.buckets = new Map();
+    this.failures = [];
+    this.requests = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Set column defaults for a table's inserted rows (id defaults to a sequential integer)
+   * @param {string} table - Table name
+   * @param {Function} defaults - () => Object
+   */
+  defineTable(table, defaults) {
+    this.defaults.set(table, defaults);
+  }
+
+  /**
+   * Register a database function, called by POST /rest/v1/rpc/<name>
+   * @param {string} name - Function name
+   * @param {Function} handler - (args, standIn) => result (array for set-returning functions)
+   */
+  defineFunction(name, handler) {
+    this.functions.set(name, handler);
+  }
+
+  /**
+   * Add rows to a table
+   * @param {string} table - Table name
+   * @param {Array<Object>} rows - Rows; missing columns get the table defaults
+   * @returns {Array<Object>} Stored rows
+   */
+  seed(table, rows) {
+    const stored = rows.map(row => ({ ...this.rowDefaults(table), ...row }));
+    this.rows(table).push(...stored);
+    return stored;
+  }
+
+  /**
+   * Rows of a table (the stored array itself)
+   * @param {string} table - Table name
+   * @returns {Array<Object>}
+   */
+  rows(table) {
+    if (!this.tables.has(table)) {
+      this.tables.set(table, []);
+    }
+    return this.tables.get(table);
+  }
+
+  /**
+   * Objects stored in a bucket
+   * @param {string} bucket - Bucket name
+   * @returns {Map<string, Object>} path -> { body, contentType }
+   */
+  objects(bucket) {
+    if (!this.buckets.has(bucket)) {
+      this.buckets.set(bucket, new Map());
+    }
+    return this.buckets.get(bucket);
+  }
+
+  /**
+   * Answer matching requests with an error instead of handling them
+   * @param {Object} match - { method?, table?, function? }
+   * @param {Object} error - { status, code, message, details?, hint? }
+   */
+  fail(match, error) {
+    this.failures.push({ match, error });
+  }
+
+  rowDefaults(table) {
+    const defaults = this.defaults.get(table);
+    return {
+      id: this.nextId++,
+      created_at: new Date().toISOString(),
+      ...(defaults ? defaults() : {})
+    };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+    const request = { method: req.method, path: url.pathname, query: url.searchParams };
+    this.requests.push(request);
+
+    const rest = url.pathname.match(/^\/rest\/v1\/(?:rpc\/(.+)|([^/]+))$/);
+    if (rest) {
+      request.function = rest[1] && decodeURIComponent(rest[1]);
+      request.table = rest[2] && decodeURIComponent(rest[2]);
+
+      const failure = this.failures.find(({ match }) =>
+        (!match.method || match.method === req.method)
+        && (!match.table || match.table === request.table)
+        && (!match.function || match.function === request.function));
+      if (failure) {
+        const { status = 400, ...error } = failure.error;
+        return send(res, status, { details: null, hint: null, ...error });
+      }
+
+      const json = body.length > 0 ? JSON.parse(body.toString()) : undefined;
+      return request.function
+        ? this.callFunction(req, res, request.function, json)
+        : this.handleTable(req, res, request.table, url.searchParams, json);
+    }
+
+    const storage = url.pathname.match(/^\/storage\/v1\/object\/(.+)$/);
+    if (storage) {
+      return this.handleStorage(req, res, storage[1].split('/').map(decodeURIComponent), body);
+    }
+
+    return send(res, 404, { message: `No stand-in route for ${req.method} ${url.pathname}` });
+  }
+
+  handleTable(req, res, table, params, body) {
+    const rows = this.rows(table);
+    const prefer = req.headers.prefer || '';
+    const matches = rowFilter(params);
+    let result;
+    let total;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const found = rows.filter(matches);
+      total = found.length;
+      result = paginate(sortRows(found, params.get('order')), params);
+    } else if (req.method === 'POST') {
+      result = (Array.isArray(body) ? body : [body]).map(row => ({ ...this.rowDefaults(table), ...row }));
+      rows.push(...result);
+    } else if (req.method === 'PATCH') {
+      result = rows.filter(matches);
+      result.forEach(row => Object.assign(row, body));
+    } else if (req.method === 'DELETE') {
+      result = rows.filter(matches);
+      this.tables.set(table, rows.filter(row => !result.includes(row)));
+    } else {
+      return send(res, 405, { message: `${req.method} is not supported` });
+    }
+
+    const headers = {};
+    if (/count=exact/.test(prefer)) {
+      total = total === undefined ? result.length : total;
+      const offset = parseInt(params.get('offset')) || 0;
+      headers['content-range'] = result.length > 0
+        ? `${offset}-${offset + result.length - 1}/${total}`
+        : `*/${total}`;
+    }
+
+    if (req.method === 'HEAD' || (req.method !== 'GET' && !/return=representation/.test(prefer))) {
+      return send(res, req.method === 'POST' ? 201 : 204, undefined, headers);
+    }
+
+    const selected = result.map(row => this.embed(selectColumns(row, params.get('select')), row, table, params.get('select')));
+    return respond(req, res, req.method === 'POST' ? 201 : 200, selected, headers);
+  }
+
+  /**
+   * Add the embedded resources of a select parameter (alias:Table(columns)) to a selected row:
+   * the row its <table>_id column points to, or the rows of Table pointing back at it
+   */
+  embed(selected, row, table, select) {
+    splitTopLevel(select || '').forEach(term => {
+      const resource = term.match(/^(?:(\w+):)?(\w+)\((.*)\)$/);
+      if (!resource) return;
+
+      const [, alias, target, columns] = resource;
+      const foreignKey = `${singular(target)}_id`;
+      if (foreignKey in row) {
+        const parent = this.rows(target).find(other => other.id === row[foreignKey]);
+        selected[alias || target] = parent ? selectColumns(parent, columns) : null;
+      } else {
+        selected[alias || target] = this.rows(target)
+          .filter(other => other[`${singular(table)}_id`] === row.id)
+          .map(other => selectColumns(other, columns));
+      }
+    });
+    return selected;
+  }
+
+  async callFunction(req, res, name, args = {}) {
+    const handler = this.functions.get(name);
+    if (!handler) {
+      return send(res, 404, {
+        code: 'PGRST202',
+        message: `Could not find the function public.${name} in the schema cache`,
+        details: null,
+        hint: null
+      });
+    }
+
+    const result = await handler(args, this);
+    return Array.isArray(result)
+      ? respond(req, res, 200, result)
+      : send(res, 200, result === undefined ? null : result);
+  }
+
+  handleStorage(req, res, [first, ...rest], body) {
+    if (req.method === 'DELETE') {
+      const objects = this.objects(first);
+      const { prefixes = [] } = JSON.parse(body.toString() || '{}');
+      const removed = prefixes.filter(path => objects.delete(path)).map(name => ({ name, bucket_id: first }));
+      return send(res, 200, removed);
+    }
+
+    if (first === 'sign' && req.method === 'POST') {
+      const [bucket, ...path] = rest;
+      if (!this.objects(bucket).has(path.join('/'))) {
+        return send(res, 400, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+      }
+      return send(res, 200, { signedURL: `/object/sign/${bucket}/${path.join('/')}?token=stand-in` });
+    }
+
+    const [bucket, ...path] = first === 'authenticated' ? rest : [first, ...rest];
+    const objects = this.objects(bucket);
+    const key = path.join('/');
+
+    if (req.method === 'POST' || req.method === 'PUT') {
+      if (req.method === 'POST' && objects.has(key) && req.headers['x-upsert'] !== 'true') {
+        return send(res, 400, { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' });
+      }
+      objects.set(key, { body, contentType: req.headers['content-type'] });
+      return send(res, 200, { Key: `${bucket}/${key}`, Id: crypto.randomUUID() });
+    }
+
+    if (req.method === 'GET') {
+      const object = objects.get(key);
+      if (!object) {
+        return send(res, 400, { statusCode: '404', error: 'not_found', message: 'Object not found' });
+      }
+      res.writeHead(200, { 'content-type': object.contentType, 'content-length': object.body.length });
+      return res.end(object.body);
+    }
+
+    return send(res, 405, { message: `${req.method} is not supported` });
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    return res.end();
+  }
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  return res.end(JSON.stringify(body));
+}
+
+/**
+ * Send rows as an array, or as one object when the client asked for a single row
+ */
+function respond(req, res, status, rows, headers) {
+  if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json')) {
+    if (rows.length !== 1) {
+      return send(res, 406, {
+        code: 'PGRST116',
+        message: 'JSON object requested, multiple (or no) rows returned',
+        details: `The result contains ${rows.length} rows`,
+        hint: null
+      });
+    }
+    return send(res, status, rows[0], headers);
+  }
+  return send(res, status, rows, headers);
+}
+
+/**
+ * Build a row predicate from the filter query parameters
+ * @param {URLSearchParams} params - Request query
+ * @returns {Function} row => boolean
+ */
+function rowFilter(params) {
+  const tests = [];
+
+  params.forEach((value, key) => {
+    if (['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'].includes(key)) {
+      return;
+    }
+    if (key === 'or' || key === 'and') {
+      tests.push(logicalTest(key, value.slice(1, -1)));
+      return;
+    }
+    tests.push(conditionTest(key, value));
+  });
+
+  return row => tests.every(test => test(row));
+}
+
+/**
+ * Predicate for an or=(...) / and=(...) group
+ */
+function logicalTest(operator, list) {
+  const tests = splitTopLevel(list).map(part => {
+    const group = part.match(/^(not\.)?(or|and)\((.*)\)$/);
+    if (group) {
+      const test = logicalTest(group[2], group[3]);
+      return group[1] ? row => !test(row) : test;
+    }
+    const dot = part.indexOf('.');
+    return conditionTest(part.slice(0, dot), part.slice(dot + 1));
+  });
+
+  return operator === 'or'
+    ? row => tests.some(test => test(row))
+    : row => tests.every(test => test(row));
+}
+
+/**
+ * Predicate for one column condition, e.g. ('status', 'eq.pending') or ('id', 'not.in.(1,2)')
+ */
+function conditionTest(column, expression) {
+  const negated = expression.startsWith('not.');
+  const rest = negated ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const operator = rest.slice(0, dot);
+  const operand = rest.slice(dot + 1);
+
+  const test = row => compare(row[column], operator, operand);
+  return negated ? row => !test(row) : test;
+}
+
+function compare(value, operator, operand) {
+  switch (operator) {
+    case 'eq': return value !== null && value !== undefined && String(value) === unquote(operand);
+    case 'neq': return value !== null && value !== undefined && String(value) !== unquote(operand);
+    case 'gt': return value !== null && value !== undefined && order(value, operand) > 0;
+    case 'gte': return value !== null && value !== undefined && order(value, operand) >= 0;
+    case 'lt': return value !== null && value !== undefined && order(value, operand) < 0;
+    case 'lte': return value !== null && value !== undefined && order(value, operand) <= 0;
+    case 'is':
+      if (operand === 'null') return value === null || value === undefined;
+      return value === (operand === 'true');
+    case 'in':
+      return splitTopLevel(operand.slice(1, -1)).map(unquote).includes(String(value));
+    case 'like':
+    case 'ilike': {
+      const pattern = unquote(operand).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*').replace(/_/g, '.');
+      return value !== null && value !== undefined
+        && new RegExp(`^${pattern}$`, operator === 'ilike' ? 'is' : 's').test(String(value));
+    }
+    default:
+      throw new Error(`Filter operator ${operator} is not supported by the stand-in`);
+  }
+}
+
+/**
+ * Compare a column value with a filter operand: numbers numerically, dates by time, text by code point
+ */
+function order(value, operand) {
+  const text = unquote(operand);
+  if (typeof value === 'number') {
+    return value - Number(text);
+  }
+  const [left, right] = [Date.parse(value), Date.parse(text)];
+  if (!Number.isNaN(left) && !Number.isNaN(right) && /^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return left - right;
+  }
+  return String(value) < text ? -1 : String(value) > text ? 1 : 0;
+}
+
+function unquote(text) {
+  return /^".*"$/.test(text) ? text.slice(1, -1).replace(/\\(.)/g, '$1') : text;
+}
+
+/**
+ * Split a comma-separated list, ignoring commas inside parentheses and double quotes
+ */
+function splitTopLevel(list) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of list) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth += 1;
+    if (!quoted && char === ')') depth -= 1;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Sort rows by an order parameter, e.g. 'effective_at.desc,id.asc.nullslast'
+ */
+function sortRows(rows, orderParam) {
+  if (!orderParam) {
+    return rows;
+  }
+
+  const keys = orderParam.split(',').map(term => {
+    const [column, ...flags] = term.split('.');
+    const descending = flags.includes('desc');
+    return { column, descending, nullsFirst: flags.includes('nullsfirst') || (descending && !flags.includes('nullslast')) };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const [x, y] = [a[column], b[column]];
+      if (x === y) continue;
+      if (x === null || x === undefined) return nullsFirst ? -1 : 1;
+      if (y === null || y === undefined) return nullsFirst ? 1 : -1;
+      const difference = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+      if (difference !== 0) return descending ? -difference : difference;
+    }
+    return 0;
+  });
+}
+
+function paginate(rows, params) {
+  const offset = parseInt(params.get('offset')) || 0;
+  const limit = params.has('limit') ? parseInt(params.get('limit')) : rows.length;
+  return rows.slice(offset, offset + limit);
+}
+
+// 'Products' -> 'product', the prefix of foreign key columns pointing at a table
+function singular(table) {
+  return table.toLowerCase().replace(/s$/, '');
+}
+
+/**
+ * Pick the columns of a select parameter; '*' (or an embedded resource) returns the whole row
+ */
+function selectColumns(row, select) {
+  if (!select || select === '*' || select.includes('(') || select.split(',').includes('*')) {
+    return { ...row };
+  }
+
+  return Object.fromEntries(select.split(',').map(term => {
+    const [alias, column = alias] = term.trim().split(':');
+    return [alias, row[column.split('::')[0]] === undefined ? null : row[column.split('::')[0]]];
+  }));
+}
+
+module.exports = SupabaseStandIn;
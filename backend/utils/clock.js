@@ -0,0 +1,27 @@
+// Current time for services and repositories, replaceable so tests and jobs can fix or move it
+
+const { scoped } = require('./scope');
+
+const systemNow = () => new Date();
+
+// Each app has its own time source (see utils/scope.js)
+const currentNow = scoped(() => systemNow);
+
+/**
+ * The current time
+ * @returns {Date} A new Date each call
+ */
+const now = () => new Date(currentNow.get()().getTime());
+
+/**
+ * Replace the time source (e.g. with a fixed date in tests); call without arguments to restore the system clock
+ * @param {Function} [customNow] - () => Date
+ */
+const setClock = (customNow) => {
+  currentNow.set(customNow || systemNow);
+};
+
+module.exports = {
+  now,
+  setClock
+};
@@ -0,0 +1,45 @@
+// CSV writing (RFC 4180) for admin exports
+
+const PLAIN_NUMBER = /^[+-]?[\d\s().]+$/;
+
+/**
+ * Format one CSV field
+ * Values starting with =, +, -, @ or a control character are prefixed with an apostrophe
+ * so that spreadsheet applications do not run them as formulas. Signed numbers and phone
+ * numbers such as +254 712 345678 are left alone.
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values
+ * @returns {string} Line including the CRLF terminator
+ */
+const formatRow = (values) => `${values.map(formatField).join(',')}\r\n`;
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Rows of field values, in header order
+ * @returns {string} CSV text
+ */
+const toCsv = (headers, rows) => [headers, ...rows].map(formatRow).join('');
+
+module.exports = {
+  formatField,
+  formatRow,
+  toCsv
+};
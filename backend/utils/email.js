@@ -0,0 +1,23 @@
+// The one canonical form of an email address, used wherever addresses are stored, compared or hashed
+const validator = require('validator');
+
+/**
+ * Canonical form of an email address
+ * Lowercased and trimmed, with the provider rules of validator's normalizeEmail() (the
+ * express-validator default the forms have always stored): for Gmail, dots and "+tag"
+ * subaddresses are dropped and googlemail.com becomes gmail.com, so
+ * "John.Doe+x@Googlemail.com" and "johndoe@gmail.com" are the same subject.
+ * @param {string} email - Email address as entered
+ * @returns {string} Canonical address (just lowercased and trimmed if it is not an address)
+ */
+const canonicalEmail = (email) => {
+  const trimmed = String(email || '').trim();
+  if (!validator.isEmail(trimmed)) {
+    return trimmed.toLowerCase();
+  }
+  return validator.normalizeEmail(trimmed) || trimmed.toLowerCase();
+};
+
+module.exports = {
+  canonicalEmail
+};
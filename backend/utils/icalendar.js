@@ -0,0 +1,129 @@
+// Minimal RFC 5545 (iCalendar) writer for single-event invitations
+
+const clock = require('./clock');
+
+const PRODUCT_ID = '-//Africure Pharma//Careers//EN';
+
+/**
+ * Format a date as an RFC 5545 UTC date-time (e.g. 20250131T090000Z)
+ * @param {Date|string} value - Date
+ * @returns {string} Date-time in UTC
+ */
+const formatDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Quote a parameter value such as CN when it contains separators (RFC 5545 section 3.2)
+ * @param {string} value - Parameter value
+ * @returns {string} Safe parameter value
+ */
+const paramValue = (value) => {
+  const clean = String(value).replace(/["\r\n]/g, '');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Fold a content line to 75 octets, without splitting UTF-8 characters (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Calendar user address line (ORGANIZER / ATTENDEE)
+ * @param {string} property - Property name
+ * @param {Object} person - { name, email }
+ * @param {Array<string>} params - Extra parameters, e.g. ['ROLE=REQ-PARTICIPANT']
+ * @returns {string} Content line
+ */
+const calendarUser = (property, { name, email }, params = []) => {
+  const allParams = [name ? `CN=${paramValue(name)}` : null, ...params].filter(Boolean);
+  return `${[property, ...allParams].join(';')}:mailto:${email}`;
+};
+
+/**
+ * Build a VCALENDAR with one VEVENT
+ * @param {Object} event - Event details
+ * @param {string} event.method - 'REQUEST' or 'CANCEL'
+ * @param {string} event.uid - Globally unique, stable ID of the event
+ * @param {number} event.sequence - Revision number; increase on every change
+ * @param {Date|string} event.start - Start time
+ * @param {Date|string} event.end - End time
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Description (optional)
+ * @param {string} event.location - Location (optional)
+ * @param {string} event.url - URL, e.g. a video meeting link (optional)
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array<Object>} event.attendees - [{ name, email }]
+ * @returns {string} iCalendar object (CRLF line endings)
+ */
+const buildCalendar = (event) => {
+  const cancelled = event.method === 'CANCEL';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    `PRODID:${PRODUCT_ID}`,
+    'VERSION:2.0',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${event.method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDate(clock.now())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description ? `DESCRIPTION:${escapeText(event.description)}` : null,
+    event.location ? `LOCATION:${escapeText(event.location)}` : null,
+    event.url ? `URL:${event.url}` : null,
+    calendarUser('ORGANIZER', event.organizer),
+    ...event.attendees.map(attendee => calendarUser('ATTENDEE', attendee, [
+      'ROLE=REQ-PARTICIPANT',
+      'PARTSTAT=NEEDS-ACTION',
+      cancelled ? null : 'RSVP=TRUE'
+    ])),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  formatDate,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,40 @@
+// Plain-object helpers for layering configuration
+
+/**
+ * Whether a value is a plain object ({} or Object.create(null)), not an array, date, regex, etc.
+ * @param {*} value - Any value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Merge a source object into a target, recursing into nested plain objects
+ * Other values (arrays included) replace the target's; undefined values are skipped.
+ * @param {Object} target - Object to change
+ * @param {Object} source - Values to apply
+ * @returns {Object} The target
+ */
+const deepMerge = (target, source = {}) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value === undefined) {
+      return;
+    }
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      deepMerge(target[key], value);
+    } else {
+      target[key] = isPlainObject(value) ? deepMerge({}, value) : value;
+    }
+  });
+  return target;
+};
+
+module.exports = {
+  isPlainObject,
+  deepMerge
+};
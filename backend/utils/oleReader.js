@@ -0,0 +1,89 @@
+// Minimal OLE2 compound file reading for legacy Word documents (.doc); reads the directory only
+
+// Special sector numbers; anything above MAX_SECTOR is not a sector
+const MAX_SECTOR = 0xfffffffa;
+const END_OF_CHAIN = 0xfffffffe;
+
+const ENTRY_TYPES = { 1: 'storage', 2: 'stream', 5: 'root' };
+
+// Sector numbers of the FAT: the first 109 are in the header, the rest in the DIFAT chain
+const readFatSectors = (buffer, readSector, sectorSize) => {
+  const sectors = [];
+  for (let i = 0; i < 109; i++) {
+    sectors.push(buffer.readUInt32LE(0x4c + i * 4));
+  }
+
+  const perSector = sectorSize / 4 - 1;
+  let difat = buffer.readUInt32LE(0x44);
+  for (let count = buffer.readUInt32LE(0x48); count > 0 && difat <= MAX_SECTOR; count--) {
+    const data = readSector(difat);
+    for (let i = 0; i < perSector; i++) {
+      sectors.push(data.readUInt32LE(i * 4));
+    }
+    difat = data.readUInt32LE(perSector * 4);
+  }
+
+  return sectors.filter(sector => sector <= MAX_SECTOR);
+};
+
+/**
+ * Read the directory entries (storages and streams) of a compound file by following the
+ * directory's sector chain through the FAT
+ * @param {Buffer} buffer - File contents
+ * @returns {Array<Object>} [{ name, type }], type 'root', 'storage' or 'stream'
+ */
+const readOleEntries = (buffer) => {
+  if (buffer.length < 512) {
+    throw new Error('Truncated compound file header');
+  }
+
+  const sectorShift = buffer.readUInt16LE(0x1e);
+  if (sectorShift !== 9 && sectorShift !== 12) {
+    throw new Error(`Unsupported compound file sector size 2^${sectorShift}`);
+  }
+
+  const sectorSize = 1 << sectorShift;
+  const readSector = (sector) => {
+    const offset = (sector + 1) * sectorSize;
+    if (sector > MAX_SECTOR || offset + sectorSize > buffer.length) {
+      throw new Error(`Compound file sector ${sector} is out of range`);
+    }
+    return buffer.subarray(offset, offset + sectorSize);
+  };
+
+  const fat = readFatSectors(buffer, readSector, sectorSize).map(readSector);
+  const nextSector = (sector) => {
+    const perSector = sectorSize / 4;
+    const table = fat[Math.floor(sector / perSector)];
+    if (!table) {
+      throw new Error(`Compound file sector ${sector} is not in the FAT`);
+    }
+    return table.readUInt32LE((sector % perSector) * 4);
+  };
+
+  const entries = [];
+  const visited = new Set();
+
+  for (let sector = buffer.readUInt32LE(0x30); sector !== END_OF_CHAIN; sector = nextSector(sector)) {
+    if (visited.has(sector)) {
+      throw new Error('Compound file directory chain loops');
+    }
+    visited.add(sector);
+
+    const data = readSector(sector);
+    for (let offset = 0; offset + 128 <= sectorSize; offset += 128) {
+      const type = ENTRY_TYPES[data[offset + 0x42]];
+      if (type) {
+        // Name length in bytes, including the terminating null
+        const nameLength = Math.min(Math.max(data.readUInt16LE(offset + 0x40) - 2, 0), 62);
+        entries.push({ name: data.toString('utf16le', offset, offset + nameLength), type });
+      }
+    }
+  }
+
+  return entries;
+};
+
+module.exports = {
+  readOleEntries
+};
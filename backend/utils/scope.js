@@ -0,0 +1,75 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+/**
+ * App Scope
+ * Holds the configuration and dependencies of one app, so that apps built in the same
+ * process (tests, workers) do not share them.
+ *
+ * createApp() (app.js) gives each app a scope and handles every request of the app inside
+ * it. Code running outside any app scope (server.js, scripts, jobs) uses the process scope,
+ * whose configuration is the one loaded by ./config.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * A new scope
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Configuration in use inside the scope; null for the loaded one
+ * @returns {Object} Scope
+ */
+const createScope = ({ config = null } = {}) => ({ config, values: new Map() });
+
+const processScope = createScope();
+
+/**
+ * The scope the caller runs in
+ * @returns {Object} Scope
+ */
+const current = () => storage.getStore() || processScope;
+
+/**
+ * Run a function, and everything it starts, inside a scope
+ * @param {Object} scope - Scope from createScope()
+ * @param {Function} fn - Function to run
+ * @returns {*} What fn returns
+ */
+const run = (scope, fn) => storage.run(scope, fn);
+
+/**
+ * A value kept separately for each scope, created in a scope the first time it is read there
+ * @param {Function} initial - () => the value a scope starts with
+ * @returns {Object} { get(), set(value) }
+ */
+const scoped = (initial) => {
+  const key = Symbol('scoped');
+
+  return {
+    get: () => {
+      const { values } = current();
+      if (!values.has(key)) {
+        values.set(key, initial());
+      }
+      return values.get(key);
+    },
+    set: (value) => {
+      current().values.set(key, value);
+    }
+  };
+};
+
+/**
+ * Keep middleware that calls next() from a stream or other callback (body parsers, multer)
+ * in the scope of the request
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} Express middleware
+ */
+const bindNext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+module.exports = {
+  createScope,
+  current,
+  run,
+  scoped,
+  bindNext
+};
@@ -0,0 +1,38 @@
+// Writing to Node streams with backpressure
+
+/**
+ * Write a chunk, waiting for 'drain' when the stream's buffer is full
+ * Rejects if the stream closes first (e.g. the client disconnected), so producers stop.
+ * @param {stream.Writable} output - Destination
+ * @param {string|Buffer} chunk - Data
+ * @returns {Promise<void>}
+ */
+const writeChunk = (output, chunk) => {
+  if (output.destroyed || output.writableEnded) {
+    return Promise.reject(new Error('Output stream closed'));
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed'));
+    };
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+  });
+};
+
+module.exports = {
+  writeChunk
+};
@@ -0,0 +1,101 @@
+// Calendar dates in an IANA time zone, without a date library
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a time zone name is known (e.g. 'Asia/Kolkata', 'Africa/Nairobi')
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if supported
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => getFormatter(timeZone)
+  .formatToParts(date)
+  .reduce((parts, { type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+    return parts;
+  }, {});
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} YYYY-MM-DD
+ */
+const toLocalDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Instant at which a calendar date starts in a time zone
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} First instant of that day
+ */
+const startOfLocalDay = (localDate, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  // Correct once with the offset at the first guess, then again in case that crossed a DST change
+  let result = midnightUtc - getOffset(new Date(midnightUtc), timeZone);
+  result = midnightUtc - getOffset(new Date(result), timeZone);
+  return new Date(result);
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} localDate - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isValidTimeZone,
+  toLocalDate,
+  startOfLocalDay,
+  addDays
+};
@@ -0,0 +1,125 @@
+const { ZipStreamWriter } = require('./zipWriter');
+
+// Minimal streaming XLSX (SpreadsheetML) writer: one worksheet, a bold header row, inline strings
+
+// Excel refuses longer cell text
+const MAX_CELL_LENGTH = 32767;
+
+const escapeXml = (value) => value
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * One <c> element
+ * @param {*} value - Cell value; null and undefined leave the cell empty
+ * @param {string} ref - Cell reference, e.g. B2
+ * @param {number} style - Style index (1 is the bold header style)
+ * @returns {string} Cell XML
+ */
+const cellXml = (value, ref, style = 0) => {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = (value instanceof Date ? value.toISOString() : String(value)).slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber, style = 0) =>
+  `<row r="${rowNumber}">${values.map((value, index) => cellXml(value, `${columnName(index)}${rowNumber}`, style)).join('')}</row>`;
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const staticParts = (sheetName) => ({
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+    + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>'
+});
+
+/**
+ * Stream a single-sheet workbook
+ * Rows are written as they arrive, so only one batch is held in memory at a time.
+ * @param {stream.Writable} output - Destination; not ended
+ * @param {Object} sheet - Sheet contents
+ * @param {string} sheet.name - Sheet name (up to 31 characters)
+ * @param {Array<string>} sheet.headers - Header row
+ * @param {AsyncIterable<Array>} sheet.rows - Data rows, in header order
+ */
+const writeXlsx = async (output, { name, headers, rows }) => {
+  const zip = new ZipStreamWriter(output);
+  const parts = staticParts(name);
+
+  for (const partName of ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml']) {
+    await zip.addEntry(partName, parts[partName]);
+  }
+
+  const widths = headers.map(header => Math.min(Math.max(header.length + 4, 14), 50));
+
+  async function* sheetXml() {
+    yield `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+      + `<sheetData>${rowXml(headers, 1, 1)}`;
+
+    let rowNumber = 1;
+    for await (const values of rows) {
+      rowNumber += 1;
+      yield rowXml(values, rowNumber);
+    }
+
+    yield '</sheetData></worksheet>';
+  }
+
+  await zip.addEntry('xl/worksheets/sheet1.xml', sheetXml());
+  await zip.finish();
+};
+
+module.exports = {
+  writeXlsx,
+  columnName
+};
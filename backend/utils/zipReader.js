@@ -0,0 +1,85 @@
+const zlib = require('zlib');
+
+// Minimal ZIP reading for Office Open XML documents (DOCX); supports stored and deflated entries
+
+/**
+ * Read the entry list of a ZIP archive from its central directory
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Array<Object>} [{ name, method, compressedSize, size, localHeaderOffset }]
+ */
+const readZipEntries = (buffer) => {
+  // The end of central directory record is 22 bytes plus a comment of up to 64KB
+  const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= searchFrom; offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Missing ZIP end of central directory');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+
+    entries.push({
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Read a text entry out of a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {Object} entry - Entry from readZipEntries
+ * @param {number} maxSize - Largest uncompressed size to accept (guards against ZIP bombs)
+ * @returns {string} Entry contents
+ */
+const readZipText = (buffer, entry, maxSize) => {
+  if (entry.size > maxSize) {
+    throw new Error(`ZIP entry ${entry.name} is too large`);
+  }
+
+  const header = entry.localHeaderOffset;
+  if (header + 30 > buffer.length || buffer.readUInt32LE(header) !== 0x04034b50) {
+    throw new Error('Corrupt ZIP local header');
+  }
+
+  const dataStart = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data.toString('utf8');
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxSize }).toString('utf8');
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+};
+
+module.exports = {
+  readZipEntries,
+  readZipText
+};
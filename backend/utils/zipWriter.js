@@ -0,0 +1,163 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const { writeChunk } = require('./streams');
+
+// Streaming ZIP writing for Office Open XML exports (XLSX); deflated entries, no ZIP64
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a CRC-32 with more data
+ * @param {number} crc - CRC so far (0 to start)
+ * @param {Buffer} buffer - Data
+ * @returns {number} Updated CRC
+ */
+const crc32 = (crc, buffer) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS date and time fields of a date
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Writes a ZIP archive to a stream one entry at a time
+ *
+ * Entry sizes are not known in advance, so each entry is followed by a data descriptor
+ * (general purpose flag bit 3) and only the central directory at the end carries the
+ * final sizes. Archives and entries are limited to 4 GB.
+ */
+class ZipStreamWriter {
+  /**
+   * @param {stream.Writable} output - Destination (e.g. an HTTP response)
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.modified = dosDateTime(new Date());
+  }
+
+  /**
+   * Write to the output, waiting when it asks us to slow down
+   * @param {Buffer} buffer - Bytes to write
+   */
+  async push(buffer) {
+    this.offset += buffer.length;
+    await writeChunk(this.output, buffer);
+  }
+
+  /**
+   * Add an entry
+   * @param {string} name - Path inside the archive
+   * @param {string|Buffer|AsyncIterable<string|Buffer>} source - Content, or chunks of it
+   */
+  async addEntry(name, source) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor follows, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    // CRC and sizes (14-25) stay zero; they are in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await this.push(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    let failure = null;
+    const compressed = (async () => {
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await this.push(chunk);
+      }
+    })().catch(error => {
+      // Usually the output closing early; stop reading the source
+      failure = error;
+      deflate.destroy();
+    });
+
+    const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+    for await (const chunk of chunks) {
+      if (failure) {
+        break;
+      }
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+      entry.crc = crc32(entry.crc, buffer);
+      entry.size += buffer.length;
+      if (!deflate.write(buffer)) {
+        await Promise.race([once(deflate, 'drain'), compressed]);
+      }
+    }
+    if (!failure) {
+      deflate.end();
+    }
+    await compressed;
+    if (failure) {
+      throw failure;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.push(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Write the central directory; the output is not ended
+   */
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4); // version made by
+      record.writeUInt16LE(20, 6); // version needed
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(this.modified.time, 12);
+      record.writeUInt16LE(this.modified.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await this.push(Buffer.concat([record, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.push(end);
+  }
+}
+
+module.exports = {
+  ZipStreamWriter,
+  crc32
+};
@@ -0,0 +1,76 @@
+/**
+ * AFRICURE PHARMA - FORM PROTECTION
+ * Fetches the form token for the contact and careers forms and, when the backend has a
+ * challenge provider configured (hCaptcha or Turnstile), shows its widget.
+ *
+ * Each form needs hidden "formToken" and "challengeToken" inputs, the hidden "website"
+ * honeypot input, and an element for the challenge widget.
+ */
+
+(function() {
+    'use strict';
+
+    const CHALLENGE_SCRIPTS = {
+        hcaptcha: { src: 'https://js.hcaptcha.com/1/api.js?render=explicit', global: 'hcaptcha' },
+        turnstile: { src: 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit', global: 'turnstile' }
+    };
+
+    const loadedScripts = {};
+
+    /**
+     * Load a provider script once and resolve with its global object
+     */
+    function loadChallengeScript(provider) {
+        const script = CHALLENGE_SCRIPTS[provider];
+        if (!loadedScripts[provider]) {
+            loadedScripts[provider] = new Promise((resolve, reject) => {
+                const element = document.createElement('script');
+                element.src = script.src;
+                element.async = true;
+                element.onload = () => resolve(window[script.global]);
+                element.onerror = () => reject(new Error(`Failed to load ${provider}`));
+                document.head.appendChild(element);
+            });
+        }
+        return loadedScripts[provider];
+    }
+
+    /**
+     * Fetch a new form token and render the challenge, if any
+     * @param {string} endpoint - Form token endpoint, e.g. http://localhost:3002/api/contact/form-token
+     * @param {HTMLFormElement} form - Form to protect
+     * @param {HTMLElement} challengeContainer - Where the challenge widget goes
+     */
+    async function protectForm(endpoint, form, challengeContainer) {
+        const tokenInput = form.querySelector('input[name="formToken"]');
+        const challengeInput = form.querySelector('input[name="challengeToken"]');
+
+        try {
+            const response = await fetch(endpoint, { cache: 'no-store' });
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            tokenInput.value = result.data.token;
+            challengeInput.value = '';
+
+            const challenge = result.data.challenge;
+            if (challenge && CHALLENGE_SCRIPTS[challenge.provider] && challengeContainer) {
+                const widget = await loadChallengeScript(challenge.provider);
+                challengeContainer.innerHTML = '';
+                widget.render(challengeContainer, {
+                    sitekey: challenge.siteKey,
+                    callback: token => { challengeInput.value = token; },
+                    'expired-callback': () => { challengeInput.value = ''; }
+                });
+            }
+        } catch (error) {
+            // The form still works; the submission is then checked by hand before it reaches us
+            console.error('Failed to load form protection:', error);
+        }
+    }
+
+    window.AfricureFormProtection = { protectForm };
+})();
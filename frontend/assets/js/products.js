@@ -10,110 +10,29 @@
     // PRODUCT DATA
     // ===================================
 
-    const productData = [
-        {
-            id: 1,
-            name: "Amoxicillin 500mg",
-            category: "antibiotics",
-            description: "Broad-spectrum antibiotic for treating bacterial infections",
-            strength: "500mg Capsules",
-            pack: "Pack of 20",
-            image: "assets/images/product-1.jpg",
-            featured: true,
-            badge: "Bestseller"
-        },
-        {
-            id: 2,
-            name: "Amlodipine 5mg",
-            category: "cardiovascular",
-            description: "Calcium channel blocker for hypertension treatment",
-            strength: "5mg Tablets",
-            pack: "Pack of 30",
-            image: "assets/images/product-2.jpg",
-            featured: true
-        },
-        {
-            id: 3,
-            name: "Ibuprofen 400mg",
-            category: "pain-management",
-            description: "Non-steroidal anti-inflammatory drug for pain relief",
-            strength: "400mg Tablets",
-            pack: "Pack of 24",
-            image: "assets/images/product-3.jpg",
-            featured: true
-        },
-        {
-            id: 4,
-            name: "Salbutamol Inhaler",
-            category: "respiratory",
-            description: "Fast-acting bronchodilator for asthma relief",
-            strength: "100mcg/dose",
-            pack: "200 doses",
-            image: "assets/images/product-4.jpg",
-            featured: true
-        },
-        {
-            id: 5,
-            name: "Metformin 500mg",
-            category: "diabetes",
-            description: "First-line treatment for type 2 diabetes",
-            strength: "500mg Tablets",
-            pack: "Pack of 60",
-            image: "assets/images/product-5.jpg",
-            featured: true
-        },
-        {
-            id: 6,
-            name: "Vitamin D3 1000IU",
-            category: "vitamins",
-            description: "Essential vitamin for bone health and immunity",
-            strength: "1000IU Capsules",
-            pack: "Pack of 90",
-            image: "assets/images/product-6.jpg",
-            featured: true
-        },
-        // Additional products for demonstration
-        {
-            id: 7,
-            name: "Ciprofloxacin 500mg",
-            category: "antibiotics",
-            description: "Fluoroquinolone antibiotic for various infections",
-            strength: "500mg Tablets",
-            pack: "Pack of 14",
-            image: "assets/images/product-7.jpg",
-            featured: false
-        },
-        {
-            id: 8,
-            name: "Atenolol 50mg",
-            category: "cardiovascular",
-            description: "Beta-blocker for heart conditions and hypertension",
-            strength: "50mg Tablets",
-            pack: "Pack of 28",
-            image: "assets/images/product-8.jpg",
-            featured: false
-        },
-        {
-            id: 9,
-            name: "Paracetamol 500mg",
-            category: "pain-management",
-            description: "Analgesic and antipyretic for pain and fever",
-            strength: "500mg Tablets",
-            pack: "Pack of 20",
-            image: "assets/images/product-9.jpg",
-            featured: false
-        },
-        {
-            id: 10,
-            name: "Montelukast 10mg",
-            category: "respiratory",
-            description: "Leukotriene receptor antagonist for asthma",
-            strength: "10mg Tablets",
-            pack: "Pack of 30",
-            image: "assets/images/product-10.jpg",
-            featured: false
-        }
-    ];
+    // Products are served by the backend catalogue API (see backend/routes/productRoutes.js)
+    const API_BASE_URL = 'http://localhost:3002';
+    const PRODUCTS_ENDPOINT = `${API_BASE_URL}/api/products`;
+
+    async function fetchProducts() {
+        const products = [];
+        let page = 1;
+        let totalPages = 1;
+
+        do {
+            const response = await fetch(`${PRODUCTS_ENDPOINT}?page=${page}&limit=100`);
+            if (!response.ok) {
+                throw new Error(`Products API responded with ${response.status}`);
+            }
+
+            const result = await response.json();
+            products.push(...result.data);
+            totalPages = result.pagination.totalPages;
+            page++;
+        } while (page <= totalPages);
+
+        return products;
+    }
 
     // ===================================
     // PRODUCT FILTERING & SEARCH
@@ -121,8 +40,8 @@
 
     class ProductManager {
         constructor() {
-            this.products = productData;
-            this.filteredProducts = [...this.products];
+            this.products = [];
+            this.filteredProducts = [];
             this.currentCategory = 'all';
             this.currentSearch = '';
             this.productsPerPage = 6;
@@ -131,9 +50,16 @@
             this.init();
         }
 
-        init() {
+        async init() {
             this.bindEvents();
-            this.renderProducts();
+
+            try {
+                this.products = await fetchProducts();
+            } catch (error) {
+                console.error('Failed to load products:', error);
+            }
+
+            this.applyFilters();
         }
 
         bindEvents() {
@@ -207,7 +133,8 @@
                                       product.category === this.currentCategory;
                 const matchesSearch = this.currentSearch === '' ||
                                     product.name.toLowerCase().includes(this.currentSearch) ||
-                                    product.description.toLowerCase().includes(this.currentSearch);
+                                    product.genericName.toLowerCase().includes(this.currentSearch) ||
+                                    (product.description || '').toLowerCase().includes(this.currentSearch);
                 
                 return matchesCategory && matchesSearch;
             });
@@ -256,17 +183,13 @@
             const categoryName = this.getCategoryDisplayName(product.category);
 
             card.innerHTML = `
-                <div class="product-image">
-                    <img src="${product.image}" alt="${product.name}" loading="lazy" width="300" height="200">
-                    ${product.badge ? `<div class="product-badge">${product.badge}</div>` : ''}
-                </div>
                 <div class="product-info">
-                    <h3 class="product-name">${product.name}</h3>
-                    <p class="product-category">${categoryName}</p>
-                    <p class="product-description">${product.description}</p>
+                    <h3 class="product-name">${escapeHtml(product.name)}</h3>
+                    <p class="product-category">${escapeHtml(categoryName)}</p>
+                    <p class="product-description">${escapeHtml(product.description)}</p>
                     <div class="product-details">
-                        <span class="product-strength">${product.strength}</span>
-                        <span class="product-pack">${product.pack}</span>
+                        <span class="product-strength">${escapeHtml(product.strength)} ${escapeHtml(product.dosageForm)}</span>
+                        <span class="product-pack">${escapeHtml(product.packSize)}</span>
                     </div>
                     <button class="btn btn-primary btn-sm product-btn">View Details</button>
                 </div>
@@ -282,15 +205,8 @@
         }
 
         getCategoryDisplayName(category) {
-            const categoryMap = {
-                'antibiotics': 'Antibiotics',
-                'cardiovascular': 'Cardiovascular',
-                'pain-management': 'Pain Management',
-                'respiratory': 'Respiratory',
-                'diabetes': 'Diabetes Care',
-                'vitamins': 'Vitamins & Supplements'
-            };
-            return categoryMap[category] || category;
+            const product = this.products.find(p => p.category === category);
+            return product ? product.categoryLabel : category;
         }
 
         renderNoResults(container) {
@@ -333,7 +249,7 @@
         showProductDetails(product) {
             // Create modal or navigate to product detail page
             // For now, we'll show an alert with product info
-            alert(`Product Details:\n\nName: ${product.name}\nCategory: ${this.getCategoryDisplayName(product.category)}\nDescription: ${product.description}\nStrength: ${product.strength}\nPack Size: ${product.pack}`);
+            alert(`Product Details:\n\nName: ${product.name}\nGeneric Name: ${product.genericName}\nCategory: ${product.categoryLabel}\nDescription: ${product.description}\nStrength: ${product.strength} ${product.dosageForm}\nPack Size: ${product.packSize}`);
         }
     }
 
@@ -341,6 +257,15 @@
     // UTILITY FUNCTIONS
     // ===================================
 
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     function debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {